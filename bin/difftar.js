@@ -7,21 +7,47 @@
  * Fear my unified diffs! I will compare your tarballs and ROAR the differences!
  *
  * Usage:
- *   difftar <left-tarball-url> <right-tarball-url> [options]
- *   difftar --diff <spec> --diff <spec> [options]
+ *   difftar <left-tarball-url> <right-tarball-url> [options] [<pathspec>...]
+ *   difftar --diff <spec> --diff <spec> [options] [<pathspec>...]
+ *   difftar [--diff <spec>] [options] [-- <pathspec>...]   (compare current directory)
+ *
+ * Pathspecs limit the diff to matching files (`lib`, `*.js`, `src/**`);
+ * prefix one with `:!` to exclude matches instead.
  *
  * Options:
  *   --diff-name-only        Only show file names (quiet stomp)
+ *   --diff-name-status      Show file names with A/D/M/R/C status
  *   --diff-unified=N        Number of context lines (default: 3)
  *   --diff-ignore-all-space Ignore all whitespace (gentle giant mode)
  *   --diff-no-prefix        Remove a/ b/ prefixes
  *   --diff-src-prefix=X     Custom source prefix
  *   --diff-dst-prefix=X     Custom destination prefix
  *   --diff-text             Treat all files as text
- *   --auth=bearer|basic     Authentication type
+ *   --find-renames[=N%]     Detect renames (default similarity: 50%)
+ *   --find-copies[=N%]      Detect copies as well as renames
+ *   --full-index            Show full blob hashes in index lines
+ *   --binary                Output git binary patches for binary files
+ *   --json                  Output file records with parsed hunks as JSON
+ *   --stat[=WIDTH]          Show a diffstat with a +/- graph
+ *   --numstat               Show added/deleted line counts per file
+ *   --shortstat             Show only the diffstat summary line
+ *   --auth=bearer|basic     Authentication type for --registry (overrides .npmrc there)
  *   --token=TOKEN           Auth token/credential
+ *   --registry=URL          Registry used to resolve package specs
+ *   --max-tarball-size=SIZE Compressed tarball limit (default: 20MB)
+ *   --max-unpacked-size=SIZE Uncompressed tar limit (default: 100MB)
+ *   --max-file-size=SIZE    Single file limit (default: 50MB)
+ *   --max-files=N           Files per tarball (default: no limit)
+ *   --max-path-length=N     Characters per path (default: no limit)
+ *   --max-output-size=SIZE  Diff output limit (default: no limit)
+ *   --timeout=MS            Give up after MS milliseconds
+ *   --retries=N             Retry failed requests N times with backoff
+ *   --cache=DIR             Cache tarballs and extracted files in DIR
  *   --help                  Show this help
  *
+ * Registries and credentials are also read from .npmrc files (project,
+ * user and global), including `@scope:registry` and `//host/:_authToken`.
+ *
  * Examples:
  *   difftar https://registry.npmjs.org/lodash/-/lodash-4.17.20.tgz \
  *           https://registry.npmjs.org/lodash/-/lodash-4.17.21.tgz
@@ -29,9 +55,77 @@
  *   difftar --diff lodash@4.17.20 --diff lodash@4.17.21
  *
  *   difftar --diff lodash@4.17.20 --diff lodash@4.17.21 --diff-name-only
+ *
+ *   difftar --diff 1.0.0
+ */
+
+import semver from 'semver';
+import { diff, specToSource, readManifest, createFsCache, createSignal, loadNpmrc } from '../src/index.js';
+
+/**
+ * Parse a rename/copy similarity score the way git does.
+ *
+ * `50%` is a percentage; bare digits are a decimal fraction, so `5`
+ * means 50% and `90` means 90%.
+ *
+ * @param {string} value - Score from --find-renames= or --find-copies=
+ * @returns {number} Minimum similarity in percent
+ */
+function parseScore(value) {
+  const match = /^(\d+)(%?)$/.exec(value);
+
+  if (!match) {
+    console.error(`Invalid similarity score: ${value}`);
+    process.exit(1);
+  }
+
+  const [, digits, percent] = match;
+  const score = percent ? Number(digits) : Number(`0.${digits}`) * 100;
+
+  return Math.min(score, 100);
+}
+
+/**
+ * Size units accepted by the --max-*-size flags, in bytes.
+ * @type {Record<string, number>}
+ */
+const SIZE_UNITS = { '': 1, b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 };
+
+/**
+ * Flags that set a resource limit, and whether each takes a size or a count.
+ * @type {Record<string, [string, 'size' | 'count']>}
+ */
+const LIMIT_FLAGS = {
+  '--max-tarball-size': ['tarballSize', 'size'],
+  '--max-unpacked-size': ['unpackedSize', 'size'],
+  '--max-file-size': ['fileSize', 'size'],
+  '--max-files': ['fileCount', 'count'],
+  '--max-path-length': ['pathLength', 'count'],
+  '--max-output-size': ['outputSize', 'size']
+};
+
+/**
+ * Parse a limit value: a byte size like `512`, `64KB` or `1.5GB`
+ * (units of 1024), or a plain count.
+ *
+ * @param {string} flag - Flag being parsed, for the error message
+ * @param {string} value - Value after the `=`
+ * @param {'size' | 'count'} kind - Size with optional unit, or count
+ * @returns {number} Limit in bytes or items
  */
+function parseLimit(flag, value, kind) {
+  const match = kind === 'size'
+    ? /^(\d+(?:\.\d+)?)\s*([kmg]?b?)$/i.exec(value)
+    : /^(\d+)()$/.exec(value);
 
-import { diff } from '../src/index.js';
+  if (!match) {
+    console.error(`Invalid value for ${flag}: ${value}`);
+    process.exit(1);
+  }
+
+  const [, amount, unit] = match;
+  return Math.floor(Number(amount) * SIZE_UNITS[unit.toLowerCase()]);
+}
 
 /**
  * Parse command line arguments
@@ -45,10 +139,12 @@ function parseArgs(args) {
     options: {},
     auth: null,
     token: null,
+    registry: undefined,
     help: false
   };
 
   const diffSpecs = [];
+  const positionals = [];
   let i = 0;
 
   while (i < args.length) {
@@ -60,6 +156,9 @@ function parseArgs(args) {
     } else if (arg === '--diff-name-only') {
       result.options.nameOnly = true;
       i++;
+    } else if (arg === '--diff-name-status') {
+      result.options.nameStatus = true;
+      i++;
     } else if (arg.startsWith('--diff-unified=')) {
       result.options.context = parseInt(arg.slice('--diff-unified='.length), 10);
       i++;
@@ -84,6 +183,40 @@ function parseArgs(args) {
     } else if (arg === '--diff-text') {
       result.options.text = true;
       i++;
+    } else if (arg === '--find-renames' || arg === '-M') {
+      result.options.findRenames = true;
+      i++;
+    } else if (arg.startsWith('--find-renames=')) {
+      result.options.findRenames = parseScore(arg.slice('--find-renames='.length));
+      i++;
+    } else if (arg === '--find-copies' || arg === '-C') {
+      result.options.findCopies = true;
+      i++;
+    } else if (arg.startsWith('--find-copies=')) {
+      result.options.findCopies = parseScore(arg.slice('--find-copies='.length));
+      i++;
+    } else if (arg === '--full-index') {
+      result.options.fullIndex = true;
+      i++;
+    } else if (arg === '--binary') {
+      result.options.binary = true;
+      i++;
+    } else if (arg === '--json') {
+      result.options.format = 'json';
+      i++;
+    } else if (arg === '--stat') {
+      result.options.format = 'stat';
+      i++;
+    } else if (arg.startsWith('--stat=')) {
+      result.options.format = 'stat';
+      result.options.statWidth = parseInt(arg.slice('--stat='.length), 10);
+      i++;
+    } else if (arg === '--numstat') {
+      result.options.format = 'numstat';
+      i++;
+    } else if (arg === '--shortstat') {
+      result.options.format = 'shortstat';
+      i++;
     } else if (arg === '--diff' && args[i + 1]) {
       diffSpecs.push(args[i + 1]);
       i += 2;
@@ -93,13 +226,38 @@ function parseArgs(args) {
     } else if (arg.startsWith('--token=')) {
       result.token = arg.slice('--token='.length);
       i++;
-    } else if (!arg.startsWith('-')) {
-      // Positional argument (URL)
-      if (!result.left) {
-        result.left = arg;
-      } else if (!result.right) {
-        result.right = arg;
+    } else if (arg.startsWith('--registry=')) {
+      result.registry = arg.slice('--registry='.length);
+      i++;
+    } else if (arg.startsWith('--max-') && arg.split('=')[0] in LIMIT_FLAGS) {
+      const [flag, ...rest] = arg.split('=');
+      const [name, kind] = LIMIT_FLAGS[flag];
+      result.options.limits = {
+        ...result.options.limits,
+        [name]: parseLimit(flag, rest.join('='), kind)
+      };
+      i++;
+    } else if (arg.startsWith('--timeout=')) {
+      result.options.timeout = parseLimit('--timeout', arg.slice('--timeout='.length), 'count');
+      i++;
+    } else if (arg.startsWith('--cache=')) {
+      const dir = arg.slice('--cache='.length);
+      if (!dir) {
+        console.error('Invalid value for --cache: expected a directory');
+        process.exit(1);
       }
+      result.options.cache = createFsCache(dir);
+      i++;
+    } else if (arg.startsWith('--retries=')) {
+      result.options.retry = { retries: parseLimit('--retries', arg.slice('--retries='.length), 'count') };
+      i++;
+    } else if (arg === '--') {
+      // Everything after -- is a pathspec
+      positionals.push(...args.slice(i + 1).map((path) => ({ path, pathspec: true })));
+      break;
+    } else if (!arg.startsWith('-')) {
+      // Positional argument (URL or pathspec)
+      positionals.push({ path: arg, pathspec: false });
       i++;
     } else {
       console.error(`Unknown option: ${arg}`);
@@ -107,58 +265,62 @@ function parseArgs(args) {
     }
   }
 
-  // Handle --diff specs
-  if (diffSpecs.length === 2) {
+  // Without --diff specs, the first two positionals are tarball URLs;
+  // any others are pathspecs
+  const include = [];
+  const exclude = [];
+  for (const { path, pathspec } of positionals) {
+    if (!pathspec && diffSpecs.length === 0 && !result.right) {
+      if (!result.left) {
+        result.left = path;
+      } else {
+        result.right = path;
+      }
+    } else if (path.startsWith(':!') || path.startsWith(':^')) {
+      exclude.push(path.slice(2));
+    } else {
+      include.push(path);
+    }
+  }
+
+  if (include.length > 0) {
+    result.options.include = include;
+  }
+  if (exclude.length > 0) {
+    result.options.exclude = exclude;
+  }
+
+  // Handle --diff specs (a single spec is compared against the current directory)
+  if (diffSpecs.length >= 2) {
     result.left = diffSpecs[0];
     result.right = diffSpecs[1];
   } else if (diffSpecs.length === 1) {
-    console.error('Error: --diff requires two specs');
-    process.exit(1);
+    result.left = diffSpecs[0];
   }
 
   return result;
 }
 
 /**
- * Convert package spec to tarball URL
- * @param {string} spec - Package spec like "lodash@4.17.21" or full URL
- * @returns {string} Tarball URL
+ * Build the published-side spec when diffing the current directory.
+ *
+ * Mirrors npm diff: no spec means `<name>@latest`, and a bare version or
+ * range like `1.0.0` or `^2` is taken relative to the local package name.
+ *
+ * @param {string | null} spec - The single --diff spec, if any
+ * @param {string} name - Local package name from package.json
+ * @returns {string} Package spec or URL
  */
-function specToUrl(spec) {
-  // If already a URL, return as-is
-  if (spec.startsWith('http://') || spec.startsWith('https://')) {
-    return spec;
+function publishedSpec(spec, name) {
+  if (!spec) {
+    return `${name}@latest`;
   }
 
-  // Parse package@version format
-  let name, version;
-
-  if (spec.startsWith('@')) {
-    // Scoped package: @scope/name@version
-    const atIndex = spec.lastIndexOf('@');
-    if (atIndex > 0) {
-      name = spec.slice(0, atIndex);
-      version = spec.slice(atIndex + 1);
-    } else {
-      name = spec;
-      version = 'latest';
-    }
-  } else {
-    // Regular package: name@version
-    const atIndex = spec.indexOf('@');
-    if (atIndex > 0) {
-      name = spec.slice(0, atIndex);
-      version = spec.slice(atIndex + 1);
-    } else {
-      name = spec;
-      version = 'latest';
-    }
+  if (semver.validRange(spec)) {
+    return `${name}@${spec}`;
   }
 
-  // Construct npm registry URL
-  // Format: https://registry.npmjs.org/{name}/-/{basename}-{version}.tgz
-  const basename = name.startsWith('@') ? name.split('/')[1] : name;
-  return `https://registry.npmjs.org/${name}/-/${basename}-${version}.tgz`;
+  return spec;
 }
 
 /**
@@ -176,17 +338,21 @@ function printHelp() {
    I stomp through your npm packages and ROAR the differences!
 
 Usage:
-  difftar <left-url> <right-url> [options]
-  difftar --diff <spec> --diff <spec> [options]
+  difftar <left-url> <right-url> [options] [<pathspec>...]
+  difftar --diff <spec> --diff <spec> [options] [<pathspec>...]
+  difftar [--diff <spec>] [options] [-- <pathspec>...]
 
 Arguments:
   <left-url>   URL to the left (old) tarball to CHOMP
   <right-url>  URL to the right (new) tarball to STOMP
-  <spec>       Package spec (e.g., lodash@4.17.21) or tarball URL
+  <spec>       Package spec (e.g., lodash@4.17.21, lodash@^4, react@next) or tarball URL
+  <pathspec>   Only diff matching files (lib, *.js, src/**); :!<pathspec> excludes
 
 Options:
-  --diff <spec>            Package spec or URL (use twice for MAXIMUM DESTRUCTION)
+  --diff <spec>            Package spec or URL (use twice for MAXIMUM DESTRUCTION;
+                           once or not at all to compare the current directory)
   --diff-name-only         Only show changed file names (quiet stomp)
+  --diff-name-status       Show changed file names with A/D/M/R/C status letters
   --diff-unified=N         Number of context lines (default: 3)
   --diff-ignore-all-space  Ignore all whitespace changes (gentle giant mode)
   --diff-ignore-space-change  Ignore whitespace amount changes
@@ -194,8 +360,26 @@ Options:
   --diff-src-prefix=X      Source prefix (default: a/)
   --diff-dst-prefix=X      Destination prefix (default: b/)
   --diff-text              Treat all files as text (even binary prey!)
-  --auth=bearer|basic      Authentication type for private registries
+  --find-renames[=N%], -M  Detect renames (default similarity: 50%)
+  --find-copies[=N%], -C   Detect copies as well as renames
+  --full-index             Show full 40-character blob hashes in index lines
+  --binary                 Output git binary patches for binary files (implies --full-index)
+  --json                   Output changed files and parsed hunks as JSON
+  --stat[=WIDTH]           Show a diffstat (default width: terminal or 80)
+  --numstat                Show added/deleted lines per file, tab-separated
+  --shortstat              Show only the diffstat summary line
+  --auth=bearer|basic      Authentication type for --registry (overrides .npmrc there)
   --token=TOKEN            Auth token or base64 credentials
+  --registry=URL           Registry for resolving specs (default: npmjs)
+  --max-tarball-size=SIZE  Compressed tarball limit, e.g. 60MB (default: 20MB)
+  --max-unpacked-size=SIZE Uncompressed tar limit (default: 100MB)
+  --max-file-size=SIZE     Limit on any single file (default: 50MB)
+  --max-files=N            Files per tarball (default: no limit)
+  --max-path-length=N      Characters per file path (default: no limit)
+  --max-output-size=SIZE   Diff output limit (default: no limit)
+  --timeout=MS             Give up after MS milliseconds (default: never)
+  --retries=N              Retry failed requests N times with backoff (default: 0)
+  --cache=DIR              Cache tarballs and extracted files in DIR (cacache layout)
   --help, -h               Show this help
 
 Examples:
@@ -206,12 +390,43 @@ Examples:
   # CHOMP packages using specs (npm diff style)
   difftar --diff lodash@4.17.20 --diff lodash@4.17.21
 
+  # Ranges and dist-tags are resolved through the registry
+  difftar --diff lodash@^4.16.0 --diff lodash@latest
+
+  # STOMP your working directory against the published latest (like npm diff)
+  difftar
+
+  # ...or against a specific published version
+  difftar --diff 1.0.0
+
   # Quiet stomp - only show changed file names
   difftar --diff is-number@6.0.0 --diff is-number@7.0.0 --diff-name-only
 
-  # RAWR at private registries with authentication
+  # Only hunt in lib/, skipping source maps
+  difftar --diff pkg@1.0.0 --diff pkg@2.0.0 lib ':!*.map'
+
+  # Feast on packages too big for the default 20MB limit
+  difftar --diff huge@1.0.0 --diff huge@2.0.0 --max-tarball-size=60MB \\
+          --max-unpacked-size=300MB
+
+  # Stash prey for later: diffing 18.2.0 again skips its download and unpacking
+  difftar --diff react@18.2.0 --diff react@18.3.1 --cache=$HOME/.cache/difftar
+
+  # Size up the damage
+  difftar --diff pkg@1.0.0 --diff pkg@2.0.0 --stat
+
+  # Track prey that moved between versions
+  difftar --diff pkg@1.0.0 --diff pkg@2.0.0 --find-renames=90%
+
+  # Apply a published upgrade to a checkout
+  difftar --diff pkg@1.0.0 --diff pkg@1.1.0 | git apply --3way
+
+  # RAWR at private registries: @myorg:registry and tokens come from .npmrc
+  difftar --diff @myorg/pkg@1.0.0 --diff @myorg/pkg@2.0.0
+
+  # ...or hand over a token for the registry yourself
   difftar --diff @myorg/pkg@1.0.0 --diff @myorg/pkg@2.0.0 \\
-          --auth=bearer --token=npm_xxxxx
+          --registry=https://npm.example.com/ --auth=bearer --token=npm_xxxxx
 
 RAWR! Let Difftar loose on your tarballs today!
 `);
@@ -224,42 +439,53 @@ async function main() {
   const args = process.argv.slice(2);
   const parsed = parseArgs(args);
 
-  if (parsed.help || args.length === 0) {
+  if (parsed.help) {
     printHelp();
     process.exit(0);
   }
 
-  if (!parsed.left || !parsed.right) {
-    console.error('Error: Two package specs or URLs are required');
-    console.error('Run with --help for usage information');
-    process.exit(1);
+  // Like git, fill the terminal unless a width was given
+  if (parsed.options.format === 'stat' && !parsed.options.statWidth && process.stdout.isTTY) {
+    parsed.options.statWidth = process.stdout.columns;
   }
 
-  // Convert specs to URLs
-  const leftUrl = specToUrl(parsed.left);
-  const rightUrl = specToUrl(parsed.right);
+  try {
+    // One deadline covers resolving the specs as well as the diff itself
+    const { timeout, ...options } = parsed.options;
+    const signal = createSignal({ timeout });
 
-  // Build source configs
-  const leftConfig = {
-    transport: 'url',
-    source: leftUrl
-  };
+    // Scoped registries and credentials come from .npmrc files, as for npm diff
+    const resolveOptions = {
+      registry: parsed.registry,
+      npmrc: await loadNpmrc(),
+      retry: options.retry,
+      signal,
+      ...(parsed.auth && parsed.token && { auth: parsed.auth, credential: parsed.token })
+    };
 
-  const rightConfig = {
-    transport: 'url',
-    source: rightUrl
-  };
+    let leftConfig;
+    let rightConfig;
 
-  // Add auth if specified
-  if (parsed.auth && parsed.token) {
-    leftConfig.auth = parsed.auth;
-    leftConfig.credential = parsed.token;
-    rightConfig.auth = parsed.auth;
-    rightConfig.credential = parsed.token;
-  }
+    if (parsed.right) {
+      // Resolve specs to tarball source configs
+      [leftConfig, rightConfig] = await Promise.all([
+        specToSource(parsed.left, resolveOptions),
+        specToSource(parsed.right, resolveOptions)
+      ]);
+    } else {
+      // Compare the published package against the current directory
+      const cwd = process.cwd();
+      const manifest = await readManifest(cwd);
 
-  try {
-    const output = await diff(leftConfig, rightConfig, parsed.options);
+      if (typeof manifest.name !== 'string' || !manifest.name) {
+        throw new Error(`package.json in ${cwd} has no name`);
+      }
+
+      leftConfig = await specToSource(publishedSpec(parsed.left, manifest.name), resolveOptions);
+      rightConfig = { transport: 'directory', source: cwd };
+    }
+
+    const output = await diff(leftConfig, rightConfig, { ...options, signal });
     process.stdout.write(output);
   } catch (error) {
     console.error(`Error: ${error.message}`);
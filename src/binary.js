@@ -1,9 +1,12 @@
 /**
  * Binary file detection for npm-diff-worker.
  *
- * Uses extension-based detection to match npm diff behavior.
- * The binary-extensions package provides a comprehensive list of
- * known binary file extensions (341 extensions as of v3.0.0).
+ * Sniffs file content when it is available: known magic numbers, a NUL
+ * byte in the first 8000 bytes (git's rule, which also catches UTF-16
+ * text) or too many invalid UTF-8 sequences and control characters mark
+ * a file as binary. The binary-extensions package (341 extensions as of
+ * v3.0.0) serves as a hint: content with a binary extension must be
+ * clean text to be diffed, and paths alone are judged by extension.
  *
  * Binary files are handled differently in diffs:
  * - Header is shown but content is not diffed
@@ -29,6 +32,44 @@ const BINARY_EXTENSIONS_SET = new Set(binaryExtensions);
  */
 const NPM_BINARY_EXTENSIONS = new Set(['wasm', 'node']);
 
+/**
+ * Number of leading bytes sniffed for binary content (git's FIRST_FEW_BYTES).
+ * @type {number}
+ */
+export const SNIFF_LENGTH = 8000;
+
+/**
+ * Share of suspicious bytes (invalid UTF-8, control characters) above
+ * which content without a binary extension counts as binary.
+ * @type {number}
+ */
+const MAX_SUSPICIOUS_RATIO = 0.1;
+
+/**
+ * Leading bytes of common binary formats.
+ * @type {Uint8Array[]}
+ */
+const MAGIC_NUMBERS = [
+  [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], // PNG
+  [0xff, 0xd8, 0xff], // JPEG
+  [0x47, 0x49, 0x46, 0x38, 0x37, 0x61], // GIF87a
+  [0x47, 0x49, 0x46, 0x38, 0x39, 0x61], // GIF89a
+  [0x25, 0x50, 0x44, 0x46, 0x2d], // %PDF-
+  [0x50, 0x4b, 0x03, 0x04], // ZIP (also jar, docx, ...)
+  [0x1f, 0x8b], // gzip
+  [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], // xz
+  [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], // 7z
+  [0x7f, 0x45, 0x4c, 0x46], // ELF
+  [0xfe, 0xed, 0xfa, 0xce], // Mach-O 32-bit
+  [0xfe, 0xed, 0xfa, 0xcf], // Mach-O 64-bit
+  [0xce, 0xfa, 0xed, 0xfe], // Mach-O 32-bit, little-endian
+  [0xcf, 0xfa, 0xed, 0xfe], // Mach-O 64-bit, little-endian
+  [0xca, 0xfe, 0xba, 0xbe], // Mach-O universal, Java class
+  [0x00, 0x61, 0x73, 0x6d], // WebAssembly
+  [0x77, 0x4f, 0x46, 0x46], // WOFF
+  [0x77, 0x4f, 0x46, 0x32] // WOFF2
+].map((bytes) => new Uint8Array(bytes));
+
 /**
  * Extract the extension from a file path.
  *
@@ -105,6 +146,173 @@ export function isBinaryPath(path) {
   return BINARY_EXTENSIONS_SET.has(ext) || NPM_BINARY_EXTENSIONS.has(ext);
 }
 
+/**
+ * Content sniffing options.
+ * @typedef {Object} SniffOptions
+ * @property {boolean} [strict] - Treat any suspicious byte as binary, as for
+ *   files with a binary extension
+ */
+
+/**
+ * Check whether content starts with a known binary magic number.
+ *
+ * @param {Uint8Array} content - File content
+ * @returns {boolean} True if a magic number matches
+ */
+function hasMagicNumber(content) {
+  return MAGIC_NUMBERS.some((magic) =>
+    content.length >= magic.length && magic.every((byte, i) => content[i] === byte)
+  );
+}
+
+/**
+ * Check whether an ASCII byte is a control character that text rarely holds.
+ * Backspace, tab, line breaks, form feed and escape are allowed.
+ *
+ * @param {number} byte - Byte below 0x80
+ * @returns {boolean} True for unexpected control characters
+ */
+function isSuspiciousControl(byte) {
+  return (byte < 0x20 && (byte < 0x08 || (byte > 0x0d && byte !== 0x1b))) || byte === 0x7f;
+}
+
+/**
+ * Length of a valid UTF-8 sequence starting at an offset.
+ *
+ * @param {Uint8Array} bytes - Bytes to check
+ * @param {number} i - Offset of a lead byte (0x80 or above)
+ * @returns {number} Sequence length, 0 if invalid, or -1 if cut off by the end
+ */
+function utf8SequenceLength(bytes, i) {
+  const lead = bytes[i];
+
+  /** @type {number} */
+  let length;
+  // Allowed range of the second byte, excluding overlongs and surrogates
+  let min = 0x80;
+  let max = 0xbf;
+
+  if (lead >= 0xc2 && lead <= 0xdf) {
+    length = 2;
+  } else if (lead >= 0xe0 && lead <= 0xef) {
+    length = 3;
+    if (lead === 0xe0) min = 0xa0;
+    if (lead === 0xed) max = 0x9f;
+  } else if (lead >= 0xf0 && lead <= 0xf4) {
+    length = 4;
+    if (lead === 0xf0) min = 0x90;
+    if (lead === 0xf4) max = 0x8f;
+  } else {
+    return 0;
+  }
+
+  for (let j = 1; j < length; j++) {
+    if (i + j >= bytes.length) {
+      return -1;
+    }
+    const byte = bytes[i + j];
+    if (j === 1 ? byte < min || byte > max : byte < 0x80 || byte > 0xbf) {
+      return 0;
+    }
+  }
+
+  return length;
+}
+
+/**
+ * Check whether file content is binary.
+ *
+ * Looks at the first SNIFF_LENGTH bytes. Content is binary if it starts
+ * with a known magic number, contains a NUL byte (like git, this also
+ * flags UTF-16 text, which cannot be diffed line by line), or if more
+ * than 10% of it is invalid UTF-8 or unexpected control characters.
+ * Empty content is never binary.
+ *
+ * @param {Uint8Array} content - File content
+ * @param {SniffOptions} [options] - Sniffing options
+ * @returns {boolean} True if the content looks binary
+ *
+ * @example
+ * ```js
+ * isBinaryContent(new TextEncoder().encode('hello\n'))    // false
+ * isBinaryContent(new Uint8Array([0x68, 0x00, 0x69]))     // true (NUL)
+ * isBinaryContent(new Uint8Array([0xe9, 0x74, 0xe9]))     // true (Latin-1)
+ * isBinaryContent(new Uint8Array([0x01]), { strict: true }) // true
+ * ```
+ */
+export function isBinaryContent(content, options = {}) {
+  if (content.length === 0) {
+    return false;
+  }
+
+  if (hasMagicNumber(content)) {
+    return true;
+  }
+
+  const sample = content.subarray(0, SNIFF_LENGTH);
+  const truncated = content.length > sample.length;
+  let suspicious = 0;
+
+  for (let i = 0; i < sample.length; i++) {
+    const byte = sample[i];
+
+    if (byte === 0) {
+      return true;
+    }
+
+    if (byte < 0x80) {
+      if (isSuspiciousControl(byte)) {
+        suspicious++;
+      }
+      continue;
+    }
+
+    const length = utf8SequenceLength(sample, i);
+    if (length > 0) {
+      i += length - 1;
+    } else if (length === -1 && truncated) {
+      break; // Sequence continues past the sample
+    } else {
+      suspicious++;
+    }
+  }
+
+  if (options.strict) {
+    return suspicious > 0;
+  }
+  return suspicious > sample.length * MAX_SUSPICIOUS_RATIO;
+}
+
+/**
+ * Check whether a file is binary, from its path and content.
+ *
+ * Every non-empty side is sniffed with isBinaryContent(), strictly if
+ * the path has a binary extension; the file is binary if any side is.
+ * Without content to sniff (no sides, or only empty ones), the
+ * extension decides.
+ *
+ * @param {string} path - File path
+ * @param {...(Uint8Array | undefined)} contents - Old and/or new content
+ * @returns {boolean} True if the file is binary
+ *
+ * @example
+ * ```js
+ * isBinaryFile('fixture.dat', encoder.encode('a,b\n')) // false (text content)
+ * isBinaryFile('bin/tool', elfBytes)                  // true (ELF magic)
+ * isBinaryFile('image.png')                           // true (extension)
+ * ```
+ */
+export function isBinaryFile(path, ...contents) {
+  const strict = isBinaryPath(path);
+  const sniffable = contents.filter((content) => content && content.length > 0);
+
+  if (sniffable.length === 0) {
+    return strict;
+  }
+
+  return sniffable.some((content) => isBinaryContent(/** @type {Uint8Array} */ (content), { strict }));
+}
+
 /**
  * Diff options that affect binary handling.
  * @typedef {Object} DiffOptions
@@ -116,7 +324,8 @@ export function isBinaryPath(path) {
  * Determine if we should print the patch content for a file.
  *
  * Returns true if:
- * 1. The file is not binary (by extension), OR
+ * 1. The file is not binary (see isBinaryFile: by content when given,
+ *    otherwise by extension), OR
  * 2. The `text` option is set to force text treatment
  *
  * Used to decide whether to compute and output the actual diff
@@ -124,6 +333,8 @@ export function isBinaryPath(path) {
  *
  * @param {string} path - File path to check
  * @param {DiffOptions} [opts] - Diff options
+ * @param {Uint8Array} [left] - Old content, if any
+ * @param {Uint8Array} [right] - New content, if any
  * @returns {boolean} True if we should compute and print the diff
  *
  * @example
@@ -138,13 +349,17 @@ export function isBinaryPath(path) {
  * // Force binary treatment
  * shouldPrintPatch('data.bin')                  // false
  * shouldPrintPatch('data.bin', { text: true })  // true
+ *
+ * // Content decides when given
+ * shouldPrintPatch('data.bin', {}, encoder.encode('plain text\n')) // true
+ * shouldPrintPatch('tool', {}, elfBytes)                           // false
  * ```
  *
  * @example
  * ```js
  * // Usage in diff pipeline
  * for (const [path, content] of files) {
- *   if (shouldPrintPatch(path, options)) {
+ *   if (shouldPrintPatch(path, options, oldContent, content)) {
  *     const patch = computeDiff(oldContent, newContent);
  *     output += formatPatch(path, patch);
  *   } else {
@@ -153,14 +368,14 @@ export function isBinaryPath(path) {
  * }
  * ```
  */
-export function shouldPrintPatch(path, opts = {}) {
+export function shouldPrintPatch(path, opts = {}, left, right) {
   // --diff-text forces text treatment for all files
   if (opts.text) {
     return true;
   }
 
-  // Check if file has binary extension
-  return !isBinaryPath(path);
+  // Sniff content, falling back to the extension
+  return !isBinaryFile(path, left, right);
 }
 
 /**
@@ -0,0 +1,461 @@
+/**
+ * Git binary patches for npm-diff-worker.
+ *
+ * Encodes binary file changes as git's `GIT binary patch` sections, so
+ * patches that touch `.wasm` or `.node` files still apply with
+ * `git apply`. Each section holds a forward and a reverse hunk; a hunk
+ * is either the zlib-deflated new content (`literal`) or a deflated git
+ * delta against the old content (`delta`), whichever is smaller, encoded
+ * in git's base85 at up to 52 bytes per line.
+ *
+ * Compression uses CompressionStream('deflate'), which is asynchronous,
+ * while formatting is synchronous. Like blob hashes, binary patches are
+ * therefore computed up front with prepareBinaryPatches() and recorded
+ * beside the file contents; formatters look them up with getBinaryPatch().
+ *
+ * @module binpatch
+ */
+
+import { isBinaryFile } from './binary.js';
+import { areIdentical } from './diff.js';
+import { detectRenames } from './rename.js';
+
+/**
+ * Base85 alphabet used by git.
+ * @type {string}
+ */
+const BASE85_ALPHABET =
+  '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz!#$%&()*+-;<=>?@^_`{|}~';
+
+/**
+ * Deflated bytes per base85 line.
+ * @type {number}
+ */
+const LINE_BYTES = 52;
+
+/**
+ * Window of the rolling hash that finds delta copies.
+ * @type {number}
+ */
+const BLOCK_SIZE = 16;
+
+/**
+ * Multiplier of the rolling hash.
+ * @type {number}
+ */
+const HASH_BASE = 257;
+
+/**
+ * HASH_BASE raised to BLOCK_SIZE - 1, mod 2^32, to roll a byte out.
+ * @type {number}
+ */
+const HASH_OUT = (() => {
+  let power = 1;
+  for (let i = 1; i < BLOCK_SIZE; i++) {
+    power = Math.imul(power, HASH_BASE);
+  }
+  return power;
+})();
+
+/**
+ * Largest copy in one delta instruction (encoded as a size of 0).
+ * @type {number}
+ */
+const MAX_COPY = 0x10000;
+
+/**
+ * Largest insert in one delta instruction.
+ * @type {number}
+ */
+const MAX_INSERT = 0x7f;
+
+/**
+ * Stand-in content for the missing side of added and deleted files.
+ * @type {Uint8Array}
+ */
+const EMPTY = new Uint8Array(0);
+
+/**
+ * Binary patches recorded per old content, then per new content.
+ * @type {WeakMap<Uint8Array, WeakMap<Uint8Array, string>>}
+ */
+const binaryPatches = new WeakMap();
+
+/**
+ * Encode bytes in git's base85.
+ *
+ * Every 4 bytes (the last group zero-padded) become 5 characters.
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base85 text
+ *
+ * @example
+ * ```js
+ * encodeBase85(new Uint8Array([0, 0, 0, 0])) // '00000'
+ * ```
+ */
+export function encodeBase85(bytes) {
+  let output = '';
+
+  for (let i = 0; i < bytes.length; i += 4) {
+    let acc = 0;
+    for (let j = 0; j < 4; j++) {
+      acc = acc * 256 + (bytes[i + j] ?? 0);
+    }
+
+    let group = '';
+    for (let j = 0; j < 5; j++) {
+      group = BASE85_ALPHABET[acc % 85] + group;
+      acc = Math.floor(acc / 85);
+    }
+    output += group;
+  }
+
+  return output;
+}
+
+/**
+ * Append a size to a delta header, 7 bits per byte, low bits first.
+ *
+ * @param {number[]} out - Delta bytes
+ * @param {number} size - Size to encode
+ */
+function pushSize(out, size) {
+  while (size >= 0x80) {
+    out.push((size & 0x7f) | 0x80);
+    size = Math.floor(size / 0x80);
+  }
+  out.push(size);
+}
+
+/**
+ * Append copy instructions for a range of the source.
+ *
+ * @param {number[]} out - Delta bytes
+ * @param {number} offset - Source offset
+ * @param {number} length - Bytes to copy
+ */
+function pushCopy(out, offset, length) {
+  while (length > 0) {
+    const size = Math.min(length, MAX_COPY);
+    const args = [];
+    let cmd = 0x80;
+
+    // Only non-zero bytes of the offset and size are stored
+    for (let i = 0; i < 4; i++) {
+      const byte = (offset >>> (8 * i)) & 0xff;
+      if (byte) {
+        cmd |= 1 << i;
+        args.push(byte);
+      }
+    }
+    for (let i = 0; i < 3; i++) {
+      const byte = ((size === MAX_COPY ? 0 : size) >>> (8 * i)) & 0xff;
+      if (byte) {
+        cmd |= 0x10 << i;
+        args.push(byte);
+      }
+    }
+
+    out.push(cmd, ...args);
+    offset += size;
+    length -= size;
+  }
+}
+
+/**
+ * Append insert instructions for literal bytes.
+ *
+ * @param {number[]} out - Delta bytes
+ * @param {Uint8Array} bytes - Bytes to insert
+ */
+function pushInsert(out, bytes) {
+  for (let i = 0; i < bytes.length; i += MAX_INSERT) {
+    const chunk = bytes.subarray(i, i + MAX_INSERT);
+    out.push(chunk.length, ...chunk);
+  }
+}
+
+/**
+ * Hash the block of bytes starting at an offset.
+ *
+ * @param {Uint8Array} bytes - Bytes to hash
+ * @param {number} offset - Block start
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashBlock(bytes, offset) {
+  let hash = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    hash = (Math.imul(hash, HASH_BASE) + bytes[offset + i]) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Create a git delta that rebuilds the target from the source.
+ *
+ * Source blocks are indexed by a rolling hash; the target is scanned
+ * for matching blocks, which are extended in both directions and
+ * emitted as copies. Everything else is inserted literally.
+ *
+ * @param {Uint8Array} source - Base content
+ * @param {Uint8Array} target - Content to rebuild
+ * @returns {Uint8Array} Delta in git's pack format
+ */
+export function createDelta(source, target) {
+  /** @type {number[]} */
+  const out = [];
+  pushSize(out, source.length);
+  pushSize(out, target.length);
+
+  // First offset of each block hash in the source
+  /** @type {Map<number, number>} */
+  const index = new Map();
+  for (let offset = 0; offset + BLOCK_SIZE <= source.length; offset += BLOCK_SIZE) {
+    const hash = hashBlock(source, offset);
+    if (!index.has(hash)) {
+      index.set(hash, offset);
+    }
+  }
+
+  let pending = 0; // Start of bytes not yet emitted
+  let pos = 0;
+  let hash = target.length >= BLOCK_SIZE ? hashBlock(target, 0) : 0;
+
+  while (pos + BLOCK_SIZE <= target.length) {
+    const candidate = index.get(hash);
+    if (candidate !== undefined && areIdentical(
+      source.subarray(candidate, candidate + BLOCK_SIZE),
+      target.subarray(pos, pos + BLOCK_SIZE)
+    )) {
+      // Extend backwards into pending bytes, then forwards
+      let start = pos;
+      let offset = candidate;
+      while (start > pending && offset > 0 && source[offset - 1] === target[start - 1]) {
+        start--;
+        offset--;
+      }
+      let end = pos + BLOCK_SIZE;
+      while (end < target.length && offset + (end - start) < source.length &&
+        source[offset + (end - start)] === target[end]) {
+        end++;
+      }
+
+      pushInsert(out, target.subarray(pending, start));
+      pushCopy(out, offset, end - start);
+      pending = end;
+      pos = end;
+
+      if (pos + BLOCK_SIZE <= target.length) {
+        hash = hashBlock(target, pos);
+      }
+      continue;
+    }
+
+    // Roll one byte forward
+    if (pos + BLOCK_SIZE < target.length) {
+      hash = (Math.imul(hash - Math.imul(target[pos], HASH_OUT), HASH_BASE) +
+        target[pos + BLOCK_SIZE]) >>> 0;
+    }
+    pos++;
+  }
+
+  pushInsert(out, target.subarray(pending));
+
+  return new Uint8Array(out);
+}
+
+/**
+ * Compress bytes with zlib, as stored in git binary patches.
+ *
+ * @param {Uint8Array} bytes - Bytes to compress
+ * @returns {Promise<Uint8Array>} zlib stream (RFC 1950)
+ */
+async function deflate(bytes) {
+  const source = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes);
+      controller.close();
+    }
+  });
+
+  // CompressionStream is available in all target runtimes, like DecompressionStream
+  const stream = source.pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode one hunk of a binary patch: a header and base85 lines.
+ *
+ * @param {'literal' | 'delta'} kind - Hunk type
+ * @param {number} size - Uncompressed size of the content or delta
+ * @param {Uint8Array} deflated - Compressed content or delta
+ * @returns {string} Hunk text, ending with a blank line
+ */
+function encodeHunk(kind, size, deflated) {
+  let text = `${kind} ${size}\n`;
+
+  for (let i = 0; i < deflated.length; i += LINE_BYTES) {
+    const chunk = deflated.subarray(i, i + LINE_BYTES);
+    // Line length: A-Z for 1-26 bytes, a-z for 27-52
+    const length = chunk.length <= 26
+      ? String.fromCharCode(64 + chunk.length)
+      : String.fromCharCode(96 + chunk.length - 26);
+    text += `${length}${encodeBase85(chunk)}\n`;
+  }
+
+  return text + '\n';
+}
+
+/**
+ * Encode the hunk that turns one side into the other.
+ *
+ * Uses a delta when both sides have content and the compressed delta
+ * is smaller than the compressed literal, as git does.
+ *
+ * @param {Uint8Array} from - Content the hunk applies to
+ * @param {Uint8Array} to - Content the hunk produces
+ * @returns {Promise<string>} Hunk text
+ */
+async function binaryHunk(from, to) {
+  const literal = await deflate(to);
+
+  if (from.length > 0 && to.length > 0) {
+    const delta = createDelta(from, to);
+    const deflatedDelta = await deflate(delta);
+    if (deflatedDelta.length < literal.length) {
+      return encodeHunk('delta', delta.length, deflatedDelta);
+    }
+  }
+
+  return encodeHunk('literal', to.length, literal);
+}
+
+/**
+ * Format the `GIT binary patch` section of a binary file change.
+ *
+ * @param {Uint8Array | undefined} left - Old content (undefined if added)
+ * @param {Uint8Array | undefined} right - New content (undefined if deleted)
+ * @returns {Promise<string>} Section with forward and reverse hunks
+ *
+ * @example
+ * ```js
+ * await formatBinaryPatch(undefined, new Uint8Array([0, 1, 2, 3]));
+ * // GIT binary patch
+ * // literal 4
+ * // Lc${NkWMT#Y01f~L
+ * //
+ * // literal 0
+ * // Hc$@<O00001
+ * //
+ * ```
+ */
+export async function formatBinaryPatch(left, right) {
+  const [forward, reverse] = await Promise.all([
+    binaryHunk(left ?? EMPTY, right ?? EMPTY),
+    binaryHunk(right ?? EMPTY, left ?? EMPTY)
+  ]);
+
+  return `GIT binary patch\n${forward}${reverse}`;
+}
+
+/**
+ * Record the binary patch between two contents.
+ *
+ * @param {Uint8Array | undefined} left - Old content (undefined if added)
+ * @param {Uint8Array | undefined} right - New content (undefined if deleted)
+ * @param {string} patch - Section from formatBinaryPatch()
+ */
+export function setBinaryPatch(left, right, patch) {
+  const from = left ?? EMPTY;
+  let patches = binaryPatches.get(from);
+  if (!patches) {
+    patches = new WeakMap();
+    binaryPatches.set(from, patches);
+  }
+  patches.set(right ?? EMPTY, patch);
+}
+
+/**
+ * Get the recorded binary patch between two contents.
+ *
+ * @param {Uint8Array | undefined} left - Old content (undefined if added)
+ * @param {Uint8Array | undefined} right - New content (undefined if deleted)
+ * @returns {string | undefined} Section, or undefined if not prepared
+ */
+export function getBinaryPatch(left, right) {
+  return binaryPatches.get(left ?? EMPTY)?.get(right ?? EMPTY);
+}
+
+/**
+ * Compute binary patches for every binary file that differs.
+ *
+ * Covers modified, added and deleted files and, when rename or copy
+ * detection is on, changed renames and copies. Call this before
+ * formatting with the `binary` option; files without a prepared patch
+ * fall back to the `Binary files ... differ` line.
+ *
+ * @param {Map<string, Uint8Array>} leftTree - Old file tree
+ * @param {Map<string, Uint8Array>} rightTree - New file tree
+ * @param {import('./rename.js').RenameOptions & {
+ *   text?: boolean, renames?: import('./rename.js').RenamePair[]
+ * }} [options] - Rename detection and text options, as passed to formatDiff,
+ *   and any renames already detected for these trees
+ * @returns {Promise<void>}
+ *
+ * @example
+ * ```js
+ * await hashFileMaps(leftFiles, rightFiles);
+ * await prepareBinaryPatches(leftFiles, rightFiles);
+ * const { output } = formatDiff(leftFiles, rightFiles, { binary: true });
+ * ```
+ */
+export async function prepareBinaryPatches(leftTree, rightTree, options = {}) {
+  // Everything is a text diff with --text
+  if (options.text) {
+    return;
+  }
+
+  /** @type {Promise<void>[]} */
+  const pending = [];
+
+  /**
+   * @param {string} path
+   * @param {Uint8Array | undefined} left
+   * @param {Uint8Array | undefined} right
+   */
+  const record = (path, left, right) => {
+    if (getBinaryPatch(left, right) === undefined && isBinaryFile(path, left, right)) {
+      pending.push(formatBinaryPatch(left, right).then((patch) => setBinaryPatch(left, right, patch)));
+    }
+  };
+
+  const renames = options.renames ?? detectRenames(leftTree, rightTree, options);
+  const destinations = new Set(renames.map((pair) => pair.to));
+  const renamedSources = new Set(
+    renames.filter((pair) => pair.status === 'renamed').map((pair) => pair.from)
+  );
+
+  for (const pair of renames) {
+    const source = /** @type {Uint8Array} */ (leftTree.get(pair.from));
+    const right = /** @type {Uint8Array} */ (rightTree.get(pair.to));
+    if (!areIdentical(source, right)) {
+      record(pair.to, source, right);
+    }
+  }
+
+  for (const [path, left] of leftTree) {
+    const right = rightTree.get(path);
+    if (right ? !areIdentical(left, right) : !renamedSources.has(path)) {
+      record(path, left, right);
+    }
+  }
+
+  for (const [path, right] of rightTree) {
+    if (!leftTree.has(path) && !destinations.has(path)) {
+      record(path, undefined, right);
+    }
+  }
+
+  await Promise.all(pending);
+}
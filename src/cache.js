@@ -0,0 +1,657 @@
+/**
+ * Caching for npm-diff-worker.
+ *
+ * Diffing one version against a dozen others downloads and extracts the
+ * same tarball a dozen times. With a cache, fetchTarball() keeps the bytes
+ * of url and s3 tarballs, and diff calls keep the extracted file maps, so
+ * repeated diffs skip CHOMP and TEAR entirely.
+ *
+ * Entries are addressed by content. Tarballs are keyed by their
+ * `integrity` when it is known (as for every package spec) and otherwise
+ * by URL and strong ETag; file maps by the tarball's integrity and the
+ * pathspecs and limits they were extracted with. Entries never go stale,
+ * so caches only ever need eviction, never invalidation.
+ *
+ * Integrities are no secret, since lockfiles publish them, so entries
+ * found by integrity are scoped to the origin and credentials the tarball
+ * was fetched with: a shared cache only hands bytes to callers that could
+ * have fetched them the same way.
+ *
+ * A cache is any object with `get` and `put`. Failures to read or write
+ * one never fail a diff: the entry is treated as a miss.
+ *
+ * @module cache
+ */
+
+import { DiffError, assertDiff } from './errors.js';
+import { verifyIntegrity } from './integrity.js';
+import { LIMIT_NAMES, formatBytes } from './limits.js';
+import { getFileMode, setFileMode } from './tar.js';
+
+/**
+ * A cached tarball or file map.
+ * @typedef {Object} CacheEntry
+ * @property {Uint8Array} data - Cached bytes
+ * @property {string} [etag] - ETag of the response a tarball was fetched with
+ */
+
+/**
+ * Storage for tarballs and extracted file maps.
+ * @typedef {Object} DiffCache
+ * @property {(key: string) => Promise<CacheEntry | undefined>} get - Entry stored under a key
+ * @property {(key: string, entry: CacheEntry) => Promise<void>} put - Store an entry under a key
+ */
+
+/**
+ * Options of the in-memory cache.
+ * @typedef {Object} MemoryCacheOptions
+ * @property {number} [maxSize] - Bytes kept before the least recently used entries
+ *   are evicted (default: 64MB)
+ */
+
+/**
+ * Options that shape an extracted file map.
+ * @typedef {Object} FilesKeyOptions
+ * @property {string[]} [include] - Pathspecs of the files extracted
+ * @property {string[]} [exclude] - Pathspecs of the files skipped
+ * @property {import('./limits.js').ResourceLimits} [limits] - Limits checked while extracting
+ */
+
+/**
+ * Default size of the in-memory cache in bytes.
+ * @type {number}
+ */
+export const DEFAULT_MEMORY_CACHE_SIZE = 64 * 1024 * 1024; // 64MB
+
+/**
+ * Origin of the request URLs that Web Cache API entries are stored under.
+ * @type {string}
+ */
+const WEB_CACHE_ORIGIN = 'https://difftar.cache';
+
+/**
+ * Concatenate chunks into one array.
+ *
+ * @param {Uint8Array[]} chunks - Chunks in order
+ * @param {number} length - Total length of the chunks
+ * @returns {Uint8Array} Concatenated bytes
+ */
+function concatBytes(chunks, length) {
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * Read an entry, treating cache failures as misses.
+ *
+ * @param {DiffCache} cache - Cache
+ * @param {string} key - Entry key
+ * @returns {Promise<CacheEntry | undefined>} Entry, if cached and readable
+ */
+async function readEntry(cache, key) {
+  try {
+    const entry = await cache.get(key);
+    return entry?.data instanceof Uint8Array ? entry : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Write an entry, ignoring cache failures.
+ *
+ * @param {DiffCache} cache - Cache
+ * @param {string} key - Entry key
+ * @param {CacheEntry} entry - Entry to store
+ * @returns {Promise<void>}
+ */
+async function writeEntry(cache, key, entry) {
+  try {
+    await cache.put(key, entry);
+  } catch {
+    // A cache that cannot be written only costs the next call a fetch
+  }
+}
+
+// =============================================================================
+// Tarballs
+// =============================================================================
+
+/**
+ * Build the scope of the cache entries for a tarball.
+ *
+ * @param {string} url - Tarball URL
+ * @param {unknown[]} credentials - Everything that authenticates the fetch; undefined
+ *   entries are ignored
+ * @returns {Promise<string>} The URL's origin, followed by a SHA-256 hash of the
+ *   credentials if there are any
+ *
+ * @example
+ * ```js
+ * await cacheScope('https://registry.npmjs.org/a/-/a-1.0.0.tgz', [])
+ * // 'https://registry.npmjs.org'
+ * await cacheScope('https://npm.example.com/a/-/a-1.0.0.tgz', ['bearer', 'npm_abc'])
+ * // 'https://npm.example.com 5c1f...'
+ * ```
+ */
+export async function cacheScope(url, credentials) {
+  const { origin } = new URL(url);
+  if (credentials.every((credential) => credential === undefined)) {
+    return origin;
+  }
+
+  const bytes = new TextEncoder().encode(JSON.stringify(credentials));
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  const hex = Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${origin} ${hex}`;
+}
+
+/**
+ * Create a FetchResult from a cached tarball.
+ *
+ * @param {CacheEntry} entry - Cached tarball
+ * @param {number} limit - Maximum tarball size in bytes
+ * @returns {import('./fetch.js').FetchResult} Stream and size
+ * @throws {DiffError} With phase SIZE if the tarball exceeds the limit
+ */
+function cachedResult(entry, limit) {
+  const { data } = entry;
+  if (data.length > limit) {
+    throw new DiffError(
+      'SIZE',
+      `Cached tarball size ${formatBytes(data.length)} exceeds limit of ${formatBytes(limit)}`
+    );
+  }
+
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(data);
+      controller.close();
+    }
+  });
+
+  return { stream, size: data.length, etag: entry.etag ?? null };
+}
+
+/**
+ * Create a pass-through TransformStream that caches a tarball once it has
+ * been read in full.
+ *
+ * Streams that error, such as those cancelled for a size limit, are not
+ * cached; nor are bytes that do not match the expected integrity.
+ *
+ * @param {DiffCache} cache - Cache
+ * @param {string} key - Entry key
+ * @param {{ integrity?: string, etag?: string }} expected - Integrity to verify, ETag to record
+ * @returns {TransformStream<Uint8Array, Uint8Array>} Caching transform stream
+ */
+function createCacheStream(cache, key, { integrity, etag }) {
+  /** @type {Uint8Array[]} */
+  const chunks = [];
+  let length = 0;
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      chunks.push(chunk);
+      length += chunk.length;
+      controller.enqueue(chunk);
+    },
+    async flush() {
+      const data = concatBytes(chunks, length);
+      chunks.length = 0;
+
+      if (integrity) {
+        try {
+          await verifyIntegrity(data, integrity);
+        } catch {
+          // Decompression reports the mismatch; just keep it out of the cache
+          return;
+        }
+      }
+
+      await writeEntry(cache, key, etag ? { data, etag } : { data });
+    }
+  });
+}
+
+/**
+ * Fetch a tarball through a cache.
+ *
+ * With an integrity, a tarball cached in the same scope is used without any
+ * request. Without one, the tarball is requested and, if the response has
+ * a strong ETag that was seen before, its body is cancelled and the cached
+ * bytes used instead. Fetched tarballs are cached as they are read.
+ *
+ * @param {DiffCache} cache - Cache
+ * @param {{ url: string, scope: string, integrity?: string }} tarball - URL of the tarball,
+ *   its scope from cacheScope(), and its integrity, if known
+ * @param {number} limit - Maximum tarball size in bytes
+ * @param {() => Promise<import('./fetch.js').FetchResult>} send - Fetches the tarball
+ * @returns {Promise<import('./fetch.js').FetchResult>} Stream and size information
+ * @throws {DiffError} From `send`, or SIZE if a cached tarball exceeds the limit
+ *
+ * @example
+ * ```js
+ * const scope = await cacheScope(url, []);
+ * const result = await fetchCached(cache, { url, scope, integrity }, MAX_TARBALL_SIZE, () => fetchUrl(url));
+ * ```
+ */
+export async function fetchCached(cache, tarball, limit, send) {
+  const { url, scope, integrity } = tarball;
+
+  if (integrity) {
+    const key = `difftar:tarball:${integrity} ${scope}`;
+    const entry = await readEntry(cache, key);
+    if (entry) {
+      return cachedResult(entry, limit);
+    }
+
+    const result = await send();
+    return { ...result, stream: result.stream.pipeThrough(createCacheStream(cache, key, { integrity })) };
+  }
+
+  const result = await send();
+  const { etag } = result;
+
+  // Weak ETags promise equivalent content, not identical bytes
+  if (!etag || etag.startsWith('W/')) {
+    return result;
+  }
+
+  const key = `difftar:tarball:${url} ${etag}`;
+  const entry = await readEntry(cache, key);
+  if (entry) {
+    await result.stream.cancel();
+    return cachedResult(entry, limit);
+  }
+
+  return { ...result, stream: result.stream.pipeThrough(createCacheStream(cache, key, { etag })) };
+}
+
+// =============================================================================
+// File Maps
+// =============================================================================
+
+/**
+ * Build the cache key of a file map extracted from a tarball.
+ *
+ * The tarball's scope, the pathspecs and every extraction limit that is
+ * set are part of the key, so a file map is only reused by calls that
+ * could fetch the tarball, and would extract the same files and fail in
+ * the same way.
+ *
+ * @param {string} integrity - Integrity of the tarball
+ * @param {string} scope - Scope of the tarball, from cacheScope()
+ * @param {FilesKeyOptions} [options] - Pathspecs and limits
+ * @returns {string} Cache key
+ *
+ * @example
+ * ```js
+ * filesCacheKey('sha512-abc...', 'https://registry.npmjs.org')
+ * // 'difftar:files:sha512-abc... https://registry.npmjs.org'
+ * filesCacheKey('sha512-abc...', 'https://registry.npmjs.org', { include: ['lib'] })
+ * // 'difftar:files:sha512-abc... https://registry.npmjs.org {"include":["lib"]}'
+ * ```
+ */
+export function filesCacheKey(integrity, scope, options = {}) {
+  /** @type {Record<string, unknown>} */
+  const shape = {};
+  if (options.include?.length) {
+    shape.include = options.include;
+  }
+  if (options.exclude?.length) {
+    shape.exclude = options.exclude;
+  }
+  for (const name of LIMIT_NAMES) {
+    // The output size limit applies to the diff, not the extraction
+    if (name !== 'outputSize' && options.limits?.[name] !== undefined) {
+      shape[name] = options.limits[name];
+    }
+  }
+
+  const suffix = Object.keys(shape).length > 0 ? ` ${JSON.stringify(shape)}` : '';
+  return `difftar:files:${integrity} ${scope}${suffix}`;
+}
+
+/**
+ * Serialize a file map, with file modes, into bytes.
+ *
+ * The result is a one-line JSON index of `[path, size, mode]` triples,
+ * then the file contents in the same order.
+ *
+ * @param {import('./tar.js').FileMap} files - File map
+ * @returns {Uint8Array} Serialized file map
+ */
+export function serializeFiles(files) {
+  /** @type {Array<[string, number, number]>} */
+  const index = [];
+  let length = 0;
+  for (const [path, content] of files) {
+    index.push([path, content.length, getFileMode(files, path)]);
+    length += content.length;
+  }
+
+  const header = new TextEncoder().encode(`${JSON.stringify({ version: 1, files: index })}\n`);
+  return concatBytes([header, ...files.values()], header.length + length);
+}
+
+/**
+ * Deserialize a file map made by serializeFiles().
+ *
+ * File contents are views into `data`, not copies.
+ *
+ * @param {Uint8Array} data - Serialized file map
+ * @returns {import('./tar.js').FileMap} File map, with file modes
+ * @throws {DiffError} With phase TAR if the data is not a serialized file map
+ */
+export function deserializeFiles(data) {
+  const newline = data.indexOf(0x0a);
+  assertDiff(newline !== -1, 'TAR', 'Invalid cached file map');
+
+  /** @type {{ version?: number, files?: Array<[string, number, number]> }} */
+  let header;
+  try {
+    header = JSON.parse(new TextDecoder().decode(data.subarray(0, newline)));
+  } catch (error) {
+    throw DiffError.wrap('TAR', error, 'Invalid cached file map');
+  }
+  assertDiff(header.version === 1 && Array.isArray(header.files), 'TAR', 'Invalid cached file map');
+
+  /** @type {import('./tar.js').FileMap} */
+  const files = new Map();
+  let offset = newline + 1;
+  for (const [path, size, mode] of /** @type {Array<[string, number, number]>} */ (header.files)) {
+    assertDiff(offset + size <= data.length, 'TAR', 'Truncated cached file map');
+    files.set(path, data.subarray(offset, offset + size));
+    setFileMode(files, path, mode);
+    offset += size;
+  }
+
+  return files;
+}
+
+/**
+ * Get a cached file map.
+ *
+ * @param {DiffCache} cache - Cache
+ * @param {string} key - Key from filesCacheKey()
+ * @returns {Promise<import('./tar.js').FileMap | undefined>} File map, if cached and intact
+ */
+export async function getCachedFiles(cache, key) {
+  const entry = await readEntry(cache, key);
+  if (!entry) {
+    return undefined;
+  }
+
+  try {
+    return deserializeFiles(entry.data);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Cache an extracted file map.
+ *
+ * @param {DiffCache} cache - Cache
+ * @param {string} key - Key from filesCacheKey()
+ * @param {import('./tar.js').FileMap} files - File map
+ * @returns {Promise<void>}
+ */
+export async function putCachedFiles(cache, key, files) {
+  await writeEntry(cache, key, { data: serializeFiles(files) });
+}
+
+// =============================================================================
+// Adapters
+// =============================================================================
+
+/**
+ * Create an in-memory cache that evicts the least recently used entries.
+ *
+ * Entries larger than the whole cache are not kept.
+ *
+ * @param {MemoryCacheOptions} [options] - Cache size
+ * @returns {DiffCache} In-memory cache
+ *
+ * @example
+ * ```js
+ * const cache = createMemoryCache({ maxSize: 256 * 1024 * 1024 });
+ * for (const version of versions) {
+ *   await diff('react@18.2.0', `react@${version}`, { cache });
+ * }
+ * ```
+ */
+export function createMemoryCache(options = {}) {
+  const { maxSize = DEFAULT_MEMORY_CACHE_SIZE } = options;
+
+  /** @type {Map<string, CacheEntry>} Entries, least recently used first */
+  const entries = new Map();
+  let size = 0;
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry;
+    },
+
+    async put(key, entry) {
+      const previous = entries.get(key);
+      if (previous) {
+        entries.delete(key);
+        size -= previous.data.length;
+      }
+
+      if (entry.data.length > maxSize) {
+        return;
+      }
+
+      entries.set(key, entry);
+      size += entry.data.length;
+
+      for (const [oldest, { data }] of entries) {
+        if (size <= maxSize) {
+          break;
+        }
+        entries.delete(oldest);
+        size -= data.length;
+      }
+    }
+  };
+}
+
+/**
+ * Create a cache in a directory, in the layout of npm's cacache.
+ *
+ * Contents are stored once under `content-v2/` by their sha512 integrity
+ * and verified when read; `index-v5/` maps keys to them. Tools that read
+ * cacache directories (`cacache.ls`, `npm cache ls`-style scripts) see
+ * difftar's entries. Requires Node.js, Bun or Deno.
+ *
+ * @param {string} path - Cache directory, created as needed
+ * @returns {DiffCache} Filesystem cache
+ * @throws {DiffError} With phase FETCH if the path is empty
+ *
+ * @example
+ * ```js
+ * const cache = createFsCache(join(homedir(), '.cache', 'difftar'));
+ * await diff('react@18.2.0', 'react@18.3.1', { cache });
+ * ```
+ */
+export function createFsCache(path) {
+  assertDiff(
+    typeof path === 'string' && path.length > 0,
+    'FETCH',
+    'Cache path is required'
+  );
+
+  // Dynamic imports - only fails when the cache is used on edge
+  // Using 'any' types because dynamic import type inference is complex
+  /** @type {Promise<{ fsp: any, nodePath: any, crypto: any }> | undefined} */
+  let modules;
+  const load = () => (modules ??= Promise.all([
+    import('node:fs/promises'),
+    import('node:path'),
+    import('node:crypto')
+  ]).then(([fsp, nodePath, crypto]) => ({ fsp, nodePath, crypto })));
+
+  /**
+   * Read a file, or return undefined if it does not exist.
+   * @param {any} fsp - node:fs/promises
+   * @param {string} file - File path
+   * @param {string} [encoding] - Text encoding, for strings
+   * @returns {Promise<any>} Contents, if the file exists
+   */
+  const readIfExists = async (fsp, file, encoding) => {
+    try {
+      return await fsp.readFile(file, encoding);
+    } catch (error) {
+      if (/** @type {any} */ (error).code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Locate the index bucket and content files, as cacache does.
+   * @param {any} nodePath - node:path
+   * @param {any} crypto - node:crypto
+   * @returns {{ bucket: (key: string) => string, content: (integrity: string) => string }}
+   */
+  const layout = (nodePath, crypto) => {
+    // Hex digests are split into three levels: ab/cd/ef...
+    const split = (/** @type {string} */ hex) => [hex.slice(0, 2), hex.slice(2, 4), hex.slice(4)];
+    return {
+      bucket: (key) => nodePath.join(path, 'index-v5', ...split(crypto.createHash('sha256').update(key).digest('hex'))),
+      content: (integrity) => {
+        const dash = integrity.indexOf('-');
+        const hex = Buffer.from(integrity.slice(dash + 1), 'base64').toString('hex');
+        return nodePath.join(path, 'content-v2', integrity.slice(0, dash), ...split(hex));
+      }
+    };
+  };
+
+  /**
+   * Checksum an index line, as cacache does.
+   * @param {any} crypto - node:crypto
+   * @param {string} text - Serialized index entry
+   * @returns {string} Hex sha1 digest
+   */
+  const checksum = (crypto, text) => crypto.createHash('sha1').update(text).digest('hex');
+
+  return {
+    async get(key) {
+      const { fsp, nodePath, crypto } = await load();
+      const { bucket, content } = layout(nodePath, crypto);
+
+      /** @type {string | undefined} */
+      const lines = await readIfExists(fsp, bucket(key), 'utf8');
+      if (!lines) {
+        return undefined;
+      }
+
+      // The newest entry for the key wins; lines failing their checksum are torn writes
+      const record = lines.split('\n').reverse().map((line) => {
+        const tab = line.indexOf('\t');
+        const json = line.slice(tab + 1);
+        return tab !== -1 && checksum(crypto, json) === line.slice(0, tab) ? JSON.parse(json) : undefined;
+      }).find((parsed) => parsed?.key === key);
+
+      // A null integrity marks a deleted entry
+      if (!record?.integrity) {
+        return undefined;
+      }
+
+      /** @type {Uint8Array | undefined} */
+      const data = await readIfExists(fsp, content(record.integrity));
+      if (!data) {
+        return undefined;
+      }
+
+      await verifyIntegrity(data, record.integrity);
+      return record.metadata?.etag ? { data, etag: record.metadata.etag } : { data };
+    },
+
+    async put(key, entry) {
+      const { fsp, nodePath, crypto } = await load();
+      const { bucket, content } = layout(nodePath, crypto);
+      const { data, etag } = entry;
+      const integrity = `sha512-${crypto.createHash('sha512').update(data).digest('base64')}`;
+
+      // Write content through a temporary file, so readers never see part of it
+      const tmp = nodePath.join(path, 'tmp', crypto.randomUUID());
+      await fsp.mkdir(nodePath.dirname(tmp), { recursive: true });
+      await fsp.writeFile(tmp, data);
+      await fsp.mkdir(nodePath.dirname(content(integrity)), { recursive: true });
+      await fsp.rename(tmp, content(integrity));
+
+      const record = JSON.stringify({
+        key,
+        integrity,
+        time: Date.now(),
+        size: data.length,
+        metadata: etag ? { etag } : undefined
+      });
+      await fsp.mkdir(nodePath.dirname(bucket(key)), { recursive: true });
+      await fsp.appendFile(bucket(key), `\n${checksum(crypto, record)}\t${record}`);
+    }
+  };
+}
+
+/**
+ * Create a cache on the Web Cache API, as on Cloudflare Workers and Deno.
+ *
+ * Entries are stored as responses to synthetic `https://difftar.cache/`
+ * URLs, marked immutable since their keys address content.
+ *
+ * @param {Cache | string} [cache] - Cache, or name of the cache to open with
+ *   `caches.open()` (default: 'difftar')
+ * @returns {DiffCache} Web Cache API cache
+ *
+ * @example
+ * ```js
+ * // Cloudflare Workers: the data center's default cache
+ * const cache = createWebCache(caches.default);
+ * ```
+ */
+export function createWebCache(cache = 'difftar') {
+  /** @type {Promise<Cache> | undefined} */
+  let opened;
+  const open = () => (opened ??= typeof cache === 'string' ? caches.open(cache) : Promise.resolve(cache));
+  const toRequest = (/** @type {string} */ key) => new Request(`${WEB_CACHE_ORIGIN}/${encodeURIComponent(key)}`);
+
+  return {
+    async get(key) {
+      const response = await (await open()).match(toRequest(key));
+      if (!response) {
+        return undefined;
+      }
+
+      const data = new Uint8Array(await response.arrayBuffer());
+      const etag = response.headers.get('X-Difftar-ETag');
+      return etag ? { data, etag } : { data };
+    },
+
+    async put(key, entry) {
+      const headers = new Headers({
+        'Content-Type': 'application/octet-stream',
+        'Cache-Control': 'public, max-age=31536000, immutable'
+      });
+      if (entry.etag) {
+        headers.set('X-Difftar-ETag', entry.etag);
+      }
+
+      await (await open()).put(toRequest(key), new Response(/** @type {BodyInit} */ (entry.data), { headers }));
+    }
+  };
+}
@@ -9,6 +9,16 @@
  */
 
 import { DiffError } from './errors.js';
+import { createIntegrityStream } from './integrity.js';
+import { MAX_UNPACKED_SIZE, createByteLimitStream } from './limits.js';
+
+/**
+ * Options for decompression.
+ * @typedef {Object} DecompressOptions
+ * @property {string} [integrity] - SRI string the compressed bytes must match
+ * @property {import('./limits.js').ResourceLimits} [limits] - Resource limits; `unpackedSize`
+ *   bounds the decompressed bytes (default: MAX_UNPACKED_SIZE)
+ */
 
 /**
  * Decompress a gzip-compressed stream.
@@ -17,9 +27,18 @@ import { DiffError } from './errors.js';
  * transforms the compressed byte stream into an uncompressed tar stream
  * using the web-standard DecompressionStream API.
  *
+ * When an integrity is given, the compressed bytes are hashed as they
+ * flow into the decompressor and the output stream errors with an
+ * INTEGRITY DiffError if they do not match.
+ *
+ * The decompressed bytes are counted, and the output stream errors with a
+ * SIZE DiffError once they pass the unpacked size limit, so a gzip bomb
+ * is stopped after that many bytes rather than expanded in full.
+ *
  * @param {ReadableStream<Uint8Array>} stream - Gzip-compressed byte stream
+ * @param {DecompressOptions} [options] - Decompression options
  * @returns {ReadableStream<Uint8Array>} Decompressed byte stream
- * @throws {DiffError} If the stream is not valid gzip data
+ * @throws {DiffError} If the stream is not valid gzip data or the integrity is invalid
  *
  * @example
  * ```js
@@ -35,8 +54,20 @@ import { DiffError } from './errors.js';
  * const tarStream = decompress(stream);
  * const files = await extractTar(tarStream);
  * ```
+ *
+ * @example
+ * ```js
+ * // Verify the tarball against the registry's dist.integrity
+ * const tarStream = decompress(stream, { integrity: 'sha512-...' });
+ * ```
+ *
+ * @example
+ * ```js
+ * // Tighter bound on the uncompressed tar
+ * const tarStream = decompress(stream, { limits: { unpackedSize: 32 * 1024 * 1024 } });
+ * ```
  */
-export function decompress(stream) {
+export function decompress(stream, options = {}) {
   if (!stream || typeof stream.pipeThrough !== 'function') {
     throw new DiffError(
       'DECOMPRESS',
@@ -44,6 +75,11 @@ export function decompress(stream) {
     );
   }
 
+  // Hash compressed bytes on their way into the decompressor
+  const source = options.integrity
+    ? stream.pipeThrough(createIntegrityStream(options.integrity))
+    : stream;
+
   try {
     // DecompressionStream is available in all target runtimes:
     // - Node.js 22+ (via web streams)
@@ -57,7 +93,11 @@ export function decompress(stream) {
     // @ts-expect-error - TypeScript's DOM typings incorrectly type DecompressionStream
     // as accepting BufferSource, but it works correctly with Uint8Array streams at runtime.
     // See: https://github.com/microsoft/TypeScript/issues/52102
-    return stream.pipeThrough(decompressor);
+    const decompressed = source.pipeThrough(decompressor);
+
+    // Stop gzip bombs at the limit
+    const limit = options.limits?.unpackedSize ?? MAX_UNPACKED_SIZE;
+    return decompressed.pipeThrough(createByteLimitStream(limit, 'Unpacked tarball'));
   } catch (error) {
     // DecompressionStream constructor itself shouldn't throw,
     // but pipeThrough might if the stream is locked or errored
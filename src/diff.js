@@ -10,6 +10,10 @@
 
 import { createTwoFilesPatch } from 'diff';
 import { DiffError } from './errors.js';
+import { shouldPrintPatch } from './binary.js';
+import { detectRenames } from './rename.js';
+import { getBlobHash } from './hash.js';
+import { getFileMode, formatFileMode } from './tar.js';
 
 /**
  * Text decoder for converting Uint8Array to string.
@@ -21,30 +25,102 @@ const decoder = new TextDecoder('utf-8', { fatal: false });
 /**
  * Diff options that affect comparison behavior.
  * @typedef {Object} DiffOptions
- * @property {boolean} [ignoreAllSpace] - Ignore all whitespace changes (--diff-ignore-all-space).
- *   Note: jsdiff treats whitespace as equivalent for matching purposes, but output
- *   still shows actual content. For complete whitespace ignoring, post-processing
- *   or a different algorithm would be needed.
- * @property {boolean} [ignoreSpaceChange] - Ignore changes in whitespace amount (--diff-ignore-space-change).
- *   Note: Currently treated same as ignoreAllSpace due to jsdiff limitations.
- *   jsdiff's ignoreWhitespace collapses runs of whitespace for comparison.
+ * @property {boolean} [ignoreAllSpace] - Ignore all whitespace when comparing lines
+ *   (--diff-ignore-all-space, git's `-w`). Takes precedence over ignoreSpaceChange.
+ * @property {boolean} [ignoreSpaceChange] - Ignore changes in the amount of whitespace
+ *   (--diff-ignore-space-change, git's `-b`): runs of whitespace compare equal to a
+ *   single space and trailing whitespace is ignored.
  * @property {number} [context] - Number of context lines (default: 3)
  * @property {boolean} [text] - Treat binary files as text
  * @property {boolean} [nameOnly] - Only output file names, not diffs
+ * @property {boolean} [nameStatus] - Only output file names with status letters
  * @property {boolean} [noPrefix] - Remove a/ b/ prefixes
  * @property {string} [srcPrefix] - Source prefix (default: 'a/')
  * @property {string} [dstPrefix] - Destination prefix (default: 'b/')
+ * @property {boolean | number} [findRenames] - Detect renames (--find-renames[=N%])
+ * @property {boolean | number} [findCopies] - Detect copies and renames (--find-copies[=N%])
+ * @property {number} [renameLimit] - Most sources or destinations for inexact renames
+ * @property {import('./rename.js').RenamePair[]} [renames] - Renames and copies already
+ *   detected for these trees, used instead of running detection again
  */
 
 /**
  * Result of a single file diff.
  * @typedef {Object} FileDiff
- * @property {string} path - Relative file path
- * @property {'modified' | 'added' | 'deleted' | 'unchanged'} status - Change type
+ * @property {string} path - Relative file path (the destination for renames and copies)
+ * @property {'modified' | 'added' | 'deleted' | 'unchanged' | 'renamed' | 'copied'} status - Change type
  * @property {boolean} isBinary - Whether the file is detected as binary
  * @property {string | null} patch - The unified diff patch, or null if unchanged/binary
+ * @property {string} [oldPath] - Source path, for renames and copies
+ * @property {number} [similarity] - Similarity index in percent, for renames and copies
+ * @property {string} [oldMode] - Old file mode (e.g. '100644'), absent for added files
+ * @property {string} [newMode] - New file mode (e.g. '100755'), absent for deleted files
+ * @property {string} [oldHash] - Old blob object ID, if hashed (see hashFileMaps)
+ * @property {string} [newHash] - New blob object ID, if hashed (see hashFileMaps)
  */
 
+/**
+ * Git metadata of the two sides of a file diff: modes and blob hashes.
+ * @typedef {Object} FileMeta
+ * @property {string} [oldMode] - Old file mode (e.g. '100644')
+ * @property {string} [newMode] - New file mode (e.g. '100755')
+ * @property {string} [oldHash] - Old blob object ID (40 hex characters)
+ * @property {string} [newHash] - New blob object ID (40 hex characters)
+ */
+
+/**
+ * A detected rename or copy.
+ * @typedef {import('./rename.js').RenamePair} RenamePair
+ */
+
+/**
+ * Separator line jsdiff puts before the file headers.
+ * @type {string}
+ */
+const PATCH_SEPARATOR = '===================================================================\n';
+
+/**
+ * Whitespace as git's xdiff sees it (isspace in the C locale).
+ * Unicode spaces such as NBSP are content, not whitespace.
+ * @type {RegExp}
+ */
+const WHITESPACE_RUN = /[ \t\n\v\f\r]+/g;
+
+/**
+ * Trailing whitespace, including the line's own newline.
+ * @type {RegExp}
+ */
+const TRAILING_WHITESPACE = /[ \t\n\v\f\r]+$/;
+
+/**
+ * Build a line comparator implementing git's whitespace options.
+ *
+ * Lines that compare equal are matched by the diff algorithm, so changes
+ * that only touch ignored whitespace become context and hunks made up
+ * entirely of such changes never appear. As in git, context lines are
+ * printed from the new file. The trailing newline counts as whitespace,
+ * so a missing newline at end of file is ignored too.
+ *
+ * @param {DiffOptions} options - Diff options
+ * @returns {((left: string, right: string) => boolean) | undefined} Comparator,
+ *   or undefined for exact comparison
+ */
+function whitespaceComparator(options) {
+  if (options.ignoreAllSpace) {
+    /** @param {string} line */
+    const strip = (line) => line.replace(WHITESPACE_RUN, '');
+    return (left, right) => left === right || strip(left) === strip(right);
+  }
+
+  if (options.ignoreSpaceChange) {
+    /** @param {string} line */
+    const collapse = (line) => line.replace(TRAILING_WHITESPACE, '').replace(WHITESPACE_RUN, ' ');
+    return (left, right) => left === right || collapse(left) === collapse(right);
+  }
+
+  return undefined;
+}
+
 /**
  * Decode Uint8Array to string with graceful error handling.
  *
@@ -93,6 +169,8 @@ export function areIdentical(a, b) {
  *
  * Uses jsdiff's createTwoFilesPatch for standard unified diff output.
  * Optimizes by skipping diff computation for identical files.
+ * Whitespace options are applied through a line comparator, producing
+ * the same hunks as `git diff -w` / `git diff -b`.
  *
  * @param {string} oldPath - Path for the old version (with prefix)
  * @param {string} newPath - Path for the new version (with prefix)
@@ -113,11 +191,7 @@ export function areIdentical(a, b) {
  * ```
  */
 export function computeDiff(oldPath, newPath, oldContent, newContent, options = {}) {
-  const {
-    context = 3,
-    ignoreAllSpace = false,
-    ignoreSpaceChange = false
-  } = options;
+  const { context = 3 } = options;
 
   // Normalize line endings for consistent comparison
   const oldNormalized = normalizeLineEndings(oldContent);
@@ -129,10 +203,10 @@ export function computeDiff(oldPath, newPath, oldContent, newContent, options =
     context
   };
 
-  // Handle whitespace options
-  // jsdiff uses different comparator functions for whitespace handling
-  if (ignoreAllSpace || ignoreSpaceChange) {
-    jsdiffOptions.ignoreWhitespace = true;
+  // Handle whitespace options (-w / -b)
+  const comparator = whitespaceComparator(options);
+  if (comparator) {
+    jsdiffOptions.comparator = comparator;
   }
 
   try {
@@ -146,7 +220,11 @@ export function computeDiff(oldPath, newPath, oldContent, newContent, options =
       jsdiffOptions
     );
 
-    return patch;
+    // Drop jsdiff's separator and empty header tabs, as npm diff does,
+    // so the output is a patch git apply accepts
+    return patch
+      .replace(PATCH_SEPARATOR, '')
+      .replace(/\t\n/g, '\n');
   } catch (error) {
     throw DiffError.wrap('DIFF', error, `Failed to compute diff for ${oldPath}`);
   }
@@ -204,6 +282,13 @@ export function computeTreeDiff(leftTree, rightTree, options = {}) {
   // Sort paths for consistent output (matching npm diff behavior)
   const sortedPaths = [...allPaths].sort();
 
+  // Pair deleted/added paths into renames and copies (if requested)
+  const pairs = options.renames ?? detectRenames(leftTree, rightTree, options);
+  const pairByDestination = new Map(pairs.map((pair) => [pair.to, pair]));
+  const renamedSources = new Set(
+    pairs.filter((pair) => pair.status === 'renamed').map((pair) => pair.from)
+  );
+
   /** @type {FileDiff[]} */
   const results = [];
 
@@ -215,14 +300,39 @@ export function computeTreeDiff(leftTree, rightTree, options = {}) {
     const srcPfx = noPrefix ? '' : srcPrefix;
     const dstPfx = noPrefix ? '' : dstPrefix;
 
+    // Modes recorded at extraction (100644 when unknown)
+    const oldMode = formatFileMode(getFileMode(leftTree, path));
+    const newMode = formatFileMode(getFileMode(rightTree, path));
+
+    // Blob hashes recorded by hashFileMaps(), if it ran
+    const oldHash = getBlobHash(leftTree, path);
+    const newHash = getBlobHash(rightTree, path);
+
     if (left && right) {
+      const isBinary = !shouldPrintPatch(path, options, left, right);
+
       // File exists in both - check for modifications
       if (areIdentical(left, right)) {
+        // Identical content may still have changed mode
         results.push({
           path,
-          status: 'unchanged',
-          isBinary: false,
-          patch: null
+          status: oldMode === newMode ? 'unchanged' : 'modified',
+          isBinary,
+          patch: null,
+          oldMode,
+          newMode
+        });
+      } else if (isBinary) {
+        // Binary files have no patch
+        results.push({
+          path,
+          status: 'modified',
+          isBinary,
+          patch: null,
+          oldMode,
+          newMode,
+          ...(oldHash && { oldHash }),
+          ...(newHash && { newHash })
         });
       } else {
         // Files differ - compute diff
@@ -240,36 +350,60 @@ export function computeTreeDiff(leftTree, rightTree, options = {}) {
         results.push({
           path,
           status: 'modified',
-          isBinary: false,
-          patch: hasChanges(patch) ? patch : null
+          isBinary,
+          patch: hasChanges(patch) ? patch : null,
+          oldMode,
+          newMode,
+          ...(oldHash && { oldHash }),
+          ...(newHash && { newHash })
         });
       }
     } else if (right) {
-      // File only in right - added
-      const newContent = decodeBytes(right);
+      // Renamed or copied here from another path
+      const pair = pairByDestination.get(path);
+      if (pair) {
+        const source = /** @type {Uint8Array} */ (leftTree.get(pair.from));
+        const sourceHash = getBlobHash(leftTree, pair.from);
+        const meta = {
+          oldMode: formatFileMode(getFileMode(leftTree, pair.from)),
+          newMode,
+          ...(sourceHash && { oldHash: sourceHash }),
+          ...(newHash && { newHash })
+        };
+        results.push(computeRenameDiff(pair, source, right, options, meta));
+        continue;
+      }
 
-      const patch = computeDiff(
+      // File only in right - added
+      const isBinary = !shouldPrintPatch(path, options, undefined, right);
+      const patch = isBinary ? null : computeDiff(
         '/dev/null',
         `${dstPfx}${path}`,
         '',
-        newContent,
+        decodeBytes(right),
         options
       );
 
       results.push({
         path,
         status: 'added',
-        isBinary: false,
-        patch
+        isBinary,
+        patch,
+        newMode,
+        ...(newHash && { newHash })
       });
     } else if (left) {
-      // File only in left - deleted
-      const oldContent = decodeBytes(left);
+      // Moved away: reported at its destination
+      if (renamedSources.has(path)) {
+        continue;
+      }
 
-      const patch = computeDiff(
+      // File only in left - deleted
+      const isBinary = !shouldPrintPatch(path, options, left);
+      const patch = isBinary ? null : computeDiff(
         `${srcPfx}${path}`,
         '/dev/null',
-        oldContent,
+        decodeBytes(left),
         '',
         options
       );
@@ -277,8 +411,10 @@ export function computeTreeDiff(leftTree, rightTree, options = {}) {
       results.push({
         path,
         status: 'deleted',
-        isBinary: false,
-        patch
+        isBinary,
+        patch,
+        oldMode,
+        ...(oldHash && { oldHash })
       });
     }
   }
@@ -286,19 +422,73 @@ export function computeTreeDiff(leftTree, rightTree, options = {}) {
   return results;
 }
 
+/**
+ * Compute diff for a renamed or copied file.
+ *
+ * The patch runs from the source path to the destination path and
+ * only contains the lines that changed; exact renames and binary files
+ * have no patch.
+ *
+ * @param {RenamePair} pair - Detected rename or copy
+ * @param {Uint8Array} left - Source content
+ * @param {Uint8Array} right - Destination content
+ * @param {DiffOptions} [options] - Diff options
+ * @param {FileMeta} [meta] - Source and destination modes and hashes
+ * @returns {FileDiff} Diff result keyed by the destination path
+ */
+export function computeRenameDiff(pair, left, right, options = {}, meta = {}) {
+  const {
+    srcPrefix = 'a/',
+    dstPrefix = 'b/',
+    noPrefix = false
+  } = options;
+
+  const srcPfx = noPrefix ? '' : srcPrefix;
+  const dstPfx = noPrefix ? '' : dstPrefix;
+
+  const isBinary = !shouldPrintPatch(pair.to, options, left, right);
+
+  /** @type {string | null} */
+  let patch = null;
+
+  if (!isBinary && !areIdentical(left, right)) {
+    const diffPatch = computeDiff(
+      `${srcPfx}${pair.from}`,
+      `${dstPfx}${pair.to}`,
+      decodeBytes(left),
+      decodeBytes(right),
+      options
+    );
+    patch = hasChanges(diffPatch) ? diffPatch : null;
+  }
+
+  return {
+    path: pair.to,
+    oldPath: pair.from,
+    status: pair.status,
+    similarity: pair.similarity,
+    isBinary,
+    patch,
+    ...meta
+  };
+}
+
 /**
  * Compute diff for a single file.
  *
  * Handles the three cases: modified, added, or deleted.
- * Returns a FileDiff object with the computed patch.
+ * Returns a FileDiff object with the computed patch. A file whose
+ * content is identical but whose mode changed is modified, with no patch,
+ * and so is a binary file (see shouldPrintPatch).
  *
  * @param {string} path - File path
  * @param {Uint8Array | undefined} left - Old content (undefined if added)
  * @param {Uint8Array | undefined} right - New content (undefined if deleted)
  * @param {DiffOptions} [options] - Diff options
+ * @param {FileMeta} [meta] - Old and new modes and hashes, if known
  * @returns {FileDiff} Diff result for this file
  */
-export function computeFileDiff(path, left, right, options = {}) {
+export function computeFileDiff(path, left, right, options = {}, meta = {}) {
   const {
     srcPrefix = 'a/',
     dstPrefix = 'b/',
@@ -307,18 +497,24 @@ export function computeFileDiff(path, left, right, options = {}) {
 
   const srcPfx = noPrefix ? '' : srcPrefix;
   const dstPfx = noPrefix ? '' : dstPrefix;
+  const isBinary = !shouldPrintPatch(path, options, left, right);
 
   if (left && right) {
     // Modified
     if (areIdentical(left, right)) {
       return {
         path,
-        status: 'unchanged',
-        isBinary: false,
-        patch: null
+        status: meta.oldMode === meta.newMode ? 'unchanged' : 'modified',
+        isBinary,
+        patch: null,
+        ...meta
       };
     }
 
+    if (isBinary) {
+      return { path, status: 'modified', isBinary, patch: null, ...meta };
+    }
+
     const oldContent = decodeBytes(left);
     const newContent = decodeBytes(right);
     const patch = computeDiff(
@@ -332,37 +528,38 @@ export function computeFileDiff(path, left, right, options = {}) {
     return {
       path,
       status: 'modified',
-      isBinary: false,
-      patch: hasChanges(patch) ? patch : null
+      isBinary,
+      patch: hasChanges(patch) ? patch : null,
+      ...meta
     };
   }
 
   if (right) {
     // Added
-    const newContent = decodeBytes(right);
-    const patch = computeDiff(
+    const patch = isBinary ? null : computeDiff(
       '/dev/null',
       `${dstPfx}${path}`,
       '',
-      newContent,
+      decodeBytes(right),
       options
     );
 
     return {
       path,
       status: 'added',
-      isBinary: false,
-      patch
+      isBinary,
+      patch,
+      ...(meta.newMode && { newMode: meta.newMode }),
+      ...(meta.newHash && { newHash: meta.newHash })
     };
   }
 
   if (left) {
     // Deleted
-    const oldContent = decodeBytes(left);
-    const patch = computeDiff(
+    const patch = isBinary ? null : computeDiff(
       `${srcPfx}${path}`,
       '/dev/null',
-      oldContent,
+      decodeBytes(left),
       '',
       options
     );
@@ -370,8 +567,10 @@ export function computeFileDiff(path, left, right, options = {}) {
     return {
       path,
       status: 'deleted',
-      isBinary: false,
-      patch
+      isBinary,
+      patch,
+      ...(meta.oldMode && { oldMode: meta.oldMode }),
+      ...(meta.oldHash && { oldHash: meta.oldHash })
     };
   }
 
@@ -9,7 +9,7 @@
 
 /**
  * Error phases map to specific HTTP status codes.
- * @typedef {'FETCH' | 'DECOMPRESS' | 'TAR' | 'DIFF' | 'AUTH' | 'SIZE'} ErrorPhase
+ * @typedef {'FETCH' | 'DECOMPRESS' | 'TAR' | 'DIFF' | 'AUTH' | 'SIZE' | 'RESOLVE' | 'INTEGRITY' | 'POLICY' | 'ABORT' | 'TIMEOUT'} ErrorPhase
  */
 
 /**
@@ -18,11 +18,16 @@
  */
 const HTTP_STATUS_MAP = {
   AUTH: 401,
+  POLICY: 403,
+  RESOLVE: 404,
   SIZE: 413,
   FETCH: 502,
   DECOMPRESS: 422,
   TAR: 422,
-  DIFF: 500
+  INTEGRITY: 422,
+  ABORT: 499,
+  DIFF: 500,
+  TIMEOUT: 504
 };
 
 /**
@@ -112,6 +117,12 @@ export class DiffError extends Error {
    */
   cause;
 
+  /**
+   * Number of attempts made, when a retried request failed.
+   * @type {number | undefined}
+   */
+  attempts;
+
   /**
    * Create a new DiffError.
    *
@@ -162,7 +173,7 @@ export class DiffError extends Error {
    * Convert error to a JSON-serializable object for API responses.
    * Credentials are sanitized from all fields.
    *
-   * @returns {{ error: string, phase: ErrorPhase, status: number, message: string, cause?: string }}
+   * @returns {{ error: string, phase: ErrorPhase, status: number, message: string, cause?: string, attempts?: number }}
    *
    * @example
    * ```js
@@ -176,7 +187,7 @@ export class DiffError extends Error {
    * ```
    */
   toJSON() {
-    /** @type {{ error: string, phase: ErrorPhase, status: number, message: string, cause?: string }} */
+    /** @type {{ error: string, phase: ErrorPhase, status: number, message: string, cause?: string, attempts?: number }} */
     const json = {
       error: 'DiffError',
       phase: this.phase,
@@ -190,6 +201,10 @@ export class DiffError extends Error {
       );
     }
 
+    if (this.attempts !== undefined) {
+      json.attempts = this.attempts;
+    }
+
     return json;
   }
 
@@ -10,19 +10,35 @@
  * - s3: S3/R2-compatible storage with AWS Signature V4
  * - inline: In-memory Uint8Array or base64 string
  * - file: Local filesystem (Node.js, Bun, Deno only)
+ * - directory: Unpacked package directory, packed like `npm pack` (Node.js, Bun, Deno only)
+ *
+ * Further transports can be added with registerTransport().
  *
  * @module fetch
  */
 
 import { AwsClient } from 'aws4fetch';
-import { DiffError, assertDiff } from './errors.js';
+import { DiffError, assertDiff, isDiffError } from './errors.js';
+import { packDirectory } from './pack.js';
+import { checkUrl, matchesHost } from './policy.js';
+import { MAX_TARBALL_SIZE, MAX_UNPACKED_SIZE, createByteLimitStream, formatBytes } from './limits.js';
+import { abortError, throwIfAborted } from './signal.js';
+import { withAttempts, withRetries } from './retry.js';
+import { cacheScope, fetchCached } from './cache.js';
+
+export { MAX_TARBALL_SIZE };
 
 /**
- * Maximum tarball size in bytes.
- * Based on npm-high-impact analysis: 20MB covers ~p98 of packages.
+ * Default maximum number of redirects followed for one fetch (as in the Fetch standard).
  * @type {number}
  */
-export const MAX_TARBALL_SIZE = 20 * 1024 * 1024; // 20MB
+export const MAX_REDIRECTS = 20;
+
+/**
+ * HTTP statuses that redirect to the Location header.
+ * @type {Set<number>}
+ */
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
 
 /**
  * Authentication type for tarball fetch.
@@ -39,15 +55,50 @@ export const MAX_TARBALL_SIZE = 20 * 1024 * 1024; // 20MB
  * @property {string} [sessionToken] - Session token for temporary credentials (STS)
  */
 
+/**
+ * Name of a built-in transport.
+ * @typedef {'url' | 's3' | 'inline' | 'file' | 'directory'} BuiltinTransport
+ */
+
 /**
  * Source configuration for fetching a tarball.
  * @typedef {Object} SourceConfig
- * @property {'url' | 's3' | 'inline' | 'file'} transport - Transport mechanism
- * @property {string} [source] - URL, S3 URI (s3://bucket/key), or file path
+ * @property {BuiltinTransport | (string & {})} transport - Transport mechanism: a built-in
+ *   one, or one added with registerTransport()
+ * @property {string} [source] - URL, S3 URI (s3://bucket/key), file path, or directory path
  * @property {AuthType} [auth] - Authentication type for url transport (default: 'none')
  * @property {string} [credential] - Auth credential (token for bearer, base64 user:pass for basic)
  * @property {S3Config} [s3] - S3 configuration (required for s3 transport)
  * @property {Uint8Array | string} [data] - Tarball data as Uint8Array or base64 string (inline transport)
+ * @property {string} [integrity] - SRI string (`sha512-...`, `sha1-...`) the tarball bytes must match
+ * @property {Record<string, HostCredential>} [hostAuth] - Credentials for the hosts that
+ *   url transport redirects lead to, keyed by hostname (`*.example.com` for subdomains)
+ */
+
+/**
+ * Credentials sent to one host.
+ * @typedef {Object} HostCredential
+ * @property {AuthType} auth - Authentication type
+ * @property {string} [credential] - Auth credential (token for bearer, base64 user:pass for basic)
+ */
+
+/**
+ * Options for fetching a tarball, set by the caller rather than the source.
+ * @typedef {Object} FetchOptions
+ * @property {import('./policy.js').NetworkPolicy} [policy] - Limits on the URLs fetched by
+ *   the url and s3 transports, checked on every redirect hop
+ * @property {number} [maxRedirects] - Redirects followed before failing (default: 20)
+ * @property {Record<string, HostCredential>} [hostAuth] - Credentials for redirect
+ *   targets on other origins (fetchTarball() takes them from the source)
+ * @property {import('./limits.js').ResourceLimits} [limits] - Resource limits; `tarballSize`
+ *   bounds the fetched bytes (default: MAX_TARBALL_SIZE)
+ * @property {AbortSignal} [signal] - Aborts the requests and the response body
+ * @property {import('./retry.js').RetryOptions} [retry] - Retry policy for network errors
+ *   and retryable statuses (default: no retries)
+ * @property {typeof fetch} [fetch] - Sends every request of the url and s3 transports,
+ *   e.g. a service binding or a mock registry (default: global fetch)
+ * @property {import('./cache.js').DiffCache} [cache] - Keeps url and s3 tarballs, by
+ *   integrity or by URL and ETag, so fetching them again needs no download
  */
 
 /**
@@ -55,7 +106,32 @@ export const MAX_TARBALL_SIZE = 20 * 1024 * 1024; // 20MB
  * @typedef {Object} FetchResult
  * @property {ReadableStream<Uint8Array>} stream - The tarball byte stream
  * @property {number | null} size - Content-Length if known, null otherwise
+ * @property {string | null} [etag] - ETag of the response (url and s3 transports)
+ * @property {boolean} [compressed] - False when the stream is an uncompressed tar
+ *   (directory transport, or a registered one serving raw tars), which needs no
+ *   decompress(); gzip otherwise
+ */
+
+/**
+ * Fetches tarballs for a transport added with registerTransport().
+ * @callback TransportHandler
+ * @param {SourceConfig} config - Source configuration naming the transport
+ * @param {FetchOptions} options - Options of the call: network policy, limits, abort
+ *   signal, retry policy and fetch implementation
+ * @returns {FetchResult | Promise<FetchResult>} Stream and size information
+ */
+
+/**
+ * Names of the built-in transports, which cannot be registered.
+ * @type {Set<string>}
  */
+const BUILTIN_TRANSPORTS = new Set(['url', 's3', 'inline', 'file', 'directory']);
+
+/**
+ * Transports added with registerTransport().
+ * @type {Map<string, TransportHandler>}
+ */
+const customTransports = new Map();
 
 /**
  * Apply authentication to request headers.
@@ -102,38 +178,125 @@ export function applyAuth(headers, auth, credential) {
   }
 }
 
+/**
+ * Headers for a request to another origin than the original one.
+ *
+ * The original Authorization header is dropped; the host's own
+ * credentials from `hostAuth` are added, over https only.
+ *
+ * @param {Headers} headers - Original request headers
+ * @param {URL} url - Redirect target
+ * @param {Record<string, HostCredential>} [hostAuth] - Per-host credentials
+ * @returns {Headers} Headers for the redirect target
+ * @throws {DiffError} If the matching credentials are incomplete
+ */
+function crossOriginHeaders(headers, url, hostAuth = {}) {
+  const crossHeaders = new Headers(headers);
+  crossHeaders.delete('Authorization');
+
+  const host = Object.keys(hostAuth).find((pattern) => matchesHost(url.hostname, [pattern]));
+  if (host !== undefined && url.protocol === 'https:') {
+    applyAuth(crossHeaders, hostAuth[host].auth, hostAuth[host].credential);
+  }
+
+  return crossHeaders;
+}
+
+/**
+ * Send a GET request, following redirects one hop at a time.
+ *
+ * Used for tarballs and packuments alike, so every request made for a
+ * diff stays within the network policy.
+ *
+ * Each hop is checked against the network policy, if any. Once a redirect
+ * leaves the original origin, the Authorization header is dropped for
+ * good, requests go out through `options.fetch` instead of `send`, and only
+ * `hostAuth` credentials for the hop's host are attached.
+ *
+ * @param {string | URL} url - URL to fetch
+ * @param {Headers} headers - Request headers (including auth)
+ * @param {FetchOptions} options - Fetch options
+ * @param {(url: string, init: RequestInit) => Promise<Response>} [send] - Sends requests
+ *   to the original origin, e.g. an S3 signer (default: options.fetch)
+ * @returns {Promise<Response>} Final, non-redirect response
+ * @throws {DiffError} POLICY for a URL the policy rejects, FETCH after too many redirects,
+ *   ABORT or TIMEOUT when the signal aborts
+ */
+export async function fetchWithRedirects(url, headers, options, send = options.fetch ?? fetch) {
+  const maxRedirects = options.maxRedirects ?? MAX_REDIRECTS;
+  const { signal, fetch: fetchImpl = fetch } = options;
+  let current = new URL(url);
+  const origin = current.origin;
+  let crossed = false;
+
+  for (let redirects = 0; ; redirects++) {
+    throwIfAborted(signal);
+
+    if (options.policy) {
+      checkUrl(current, options.policy);
+    }
+
+    const response = crossed
+      ? await fetchImpl(current.href, {
+        method: 'GET',
+        headers: crossOriginHeaders(headers, current, options.hostAuth),
+        redirect: 'manual',
+        signal
+      })
+      : await send(current.href, { method: 'GET', headers, redirect: 'manual', signal });
+
+    const location = REDIRECT_STATUSES.has(response.status) && response.headers.get('Location');
+    if (!location) {
+      return response;
+    }
+
+    await response.body?.cancel();
+
+    if (redirects >= maxRedirects) {
+      throw new DiffError('FETCH', `Too many redirects fetching ${url} (limit ${maxRedirects})`);
+    }
+
+    current = new URL(location, current);
+
+    // Credentials only go to the origin they were given for
+    crossed ||= current.origin !== origin;
+  }
+}
+
 /**
  * Fetch a tarball from a URL.
  *
- * Validates Content-Length against MAX_TARBALL_SIZE before streaming.
- * Note: Some servers don't send Content-Length; in that case we cannot
- * pre-validate size and must rely on downstream buffering limits.
+ * Validates Content-Length against the tarball size limit before
+ * streaming, and counts the streamed bytes against it too: servers may
+ * omit Content-Length or send chunked responses, and the stream then
+ * errors with a SIZE DiffError once the limit is passed.
+ *
+ * Redirects are followed manually, up to `maxRedirects` hops, checking
+ * each against the network policy. Credentials are dropped when the origin
+ * changes; `hostAuth` supplies credentials for the hosts redirected to.
+ *
+ * With a `retry` policy, network errors and retryable statuses are retried
+ * with backoff; an error after the last attempt reports how many were made.
  *
  * @param {string | URL} url - URL to fetch
  * @param {Headers} [headers] - Request headers (including auth)
+ * @param {FetchOptions} [options] - Network policy, redirect limit, per-host credentials,
+ *   size limit, abort signal, retry policy and fetch implementation
  * @returns {Promise<FetchResult>} Stream and size information
- * @throws {DiffError} On network errors, HTTP errors, or size violations
+ * @throws {DiffError} On network errors, HTTP errors, policy violations, size violations,
+ *   or when aborted
  *
  * @example
  * ```js
  * const { stream, size } = await fetchUrl('https://registry.npmjs.org/lodash/-/lodash-4.17.21.tgz');
  * ```
  */
-export async function fetchUrl(url, headers = new Headers()) {
-  /** @type {Response} */
-  let response;
-
-  try {
-    response = await fetch(url, {
-      method: 'GET',
-      headers,
-      // Disable automatic redirect following to handle auth-sensitive redirects
-      // Standard: 20 redirects max, but we want explicit control
-      redirect: 'follow'
-    });
-  } catch (error) {
-    throw DiffError.wrap('FETCH', error, `Network error fetching ${url}`);
-  }
+export async function fetchUrl(url, headers = new Headers(), options = {}) {
+  const { response, attempts } = await withRetries(
+    () => fetchWithRedirects(url, headers, options),
+    options,
+    `Network error fetching ${url}`
+  );
 
   // Handle HTTP errors
   if (!response.ok) {
@@ -145,20 +308,22 @@ export async function fetchUrl(url, headers = new Headers()) {
       );
     }
 
-    throw new DiffError(
+    throw withAttempts(new DiffError(
       'FETCH',
       `HTTP ${response.status} ${response.statusText} for ${url}`
-    );
+    ), attempts);
   }
 
   // Check Content-Length if available
+  const limit = options.limits?.tarballSize ?? MAX_TARBALL_SIZE;
   const contentLength = response.headers.get('Content-Length');
   const size = contentLength ? parseInt(contentLength, 10) : null;
 
-  if (size !== null && size > MAX_TARBALL_SIZE) {
+  if (size !== null && size > limit) {
+    await response.body?.cancel();
     throw new DiffError(
       'SIZE',
-      `Tarball size ${formatBytes(size)} exceeds limit of ${formatBytes(MAX_TARBALL_SIZE)}`
+      `Tarball size ${formatBytes(size)} exceeds limit of ${formatBytes(limit)}`
     );
   }
 
@@ -168,8 +333,10 @@ export async function fetchUrl(url, headers = new Headers()) {
   }
 
   return {
-    stream: response.body,
-    size
+    // Content-Length may be absent or wrong: count what arrives
+    stream: response.body.pipeThrough(createByteLimitStream(limit, 'Tarball')),
+    size,
+    etag: response.headers.get('ETag')
   };
 }
 
@@ -177,9 +344,16 @@ export async function fetchUrl(url, headers = new Headers()) {
  * Fetch a tarball using the configured transport and authentication.
  *
  * This is the main entry point for data acquisition. It composes
- * transport and authentication orthogonally.
+ * transport and authentication orthogonally. Transports other than the
+ * built-in ones are dispatched to handlers added with registerTransport().
+ *
+ * The directory transport returns an uncompressed tar, marked with
+ * `compressed: false`, and bounded by the unpacked size limit instead.
  *
  * @param {SourceConfig} config - Source configuration
+ * @param {FetchOptions} [options] - Network policy, redirect limit, abort signal, retry
+ *   policy and fetch implementation for the url and s3 transports, and the tarball size
+ *   limit for all of them
  * @returns {Promise<FetchResult>} Stream and size information
  * @throws {DiffError} On any acquisition failure
  *
@@ -247,9 +421,18 @@ export async function fetchUrl(url, headers = new Headers()) {
  *   transport: 'file',
  *   source: '/path/to/package.tgz'
  * });
+ *
+ * // Directory transport: Unpacked project, packed like `npm pack`
+ * const result = await fetchTarball({
+ *   transport: 'directory',
+ *   source: process.cwd()
+ * });
+ *
+ * // Source from an untrusted client: public hosts only
+ * const result = await fetchTarball(requestBody.left, { policy: {} });
  * ```
  */
-export async function fetchTarball(config) {
+export async function fetchTarball(config, options = {}) {
   assertDiff(
     config && typeof config === 'object',
     'FETCH',
@@ -262,6 +445,10 @@ export async function fetchTarball(config) {
     'Transport type is required'
   );
 
+  throwIfAborted(options.signal);
+
+  const limit = options.limits?.tarballSize ?? MAX_TARBALL_SIZE;
+
   // Build headers with authentication
   const headers = new Headers();
   applyAuth(headers, config.auth || 'none', config.credential);
@@ -274,7 +461,8 @@ export async function fetchTarball(config) {
         'FETCH',
         'URL source is required for url transport'
       );
-      return fetchUrl(config.source, headers);
+      return fetchThroughCache(config, options, limit, () =>
+        fetchUrl(/** @type {string} */ (config.source), headers, { ...options, hostAuth: config.hostAuth }));
 
     case 's3':
       assertDiff(
@@ -287,8 +475,9 @@ export async function fetchTarball(config) {
         'FETCH',
         'S3 configuration is required for s3 transport'
       );
-      // @ts-expect-error - assertDiff ensures config.s3 is defined
-      return fetchS3(config.source, config.s3);
+      return fetchThroughCache(config, options, limit, () =>
+        // @ts-expect-error - assertDiff ensures config.s3 is defined
+        fetchS3(config.source, config.s3, options));
 
     case 'inline':
       assertDiff(
@@ -296,7 +485,7 @@ export async function fetchTarball(config) {
         'FETCH',
         'Inline data is required for inline transport'
       );
-      return fetchInline(config.data);
+      return fetchInline(config.data, limit);
 
     case 'file':
       assertDiff(
@@ -304,22 +493,196 @@ export async function fetchTarball(config) {
         'FETCH',
         'File path is required for file transport'
       );
-      return fetchFile(config.source);
+      return fetchFile(config.source, limit);
 
-    default:
-      throw new DiffError('FETCH', `Unknown transport: ${config.transport}`);
+    case 'directory':
+      assertDiff(
+        typeof config.source === 'string' && config.source.length > 0,
+        'FETCH',
+        'Directory path is required for directory transport'
+      );
+      return fetchDirectory(config.source, options.limits?.unpackedSize ?? MAX_UNPACKED_SIZE);
+
+    default: {
+      const handler = customTransports.get(config.transport);
+      if (!handler) {
+        throw new DiffError('FETCH', `Unknown transport: ${config.transport}`);
+      }
+      return fetchCustom(handler, config, options, limit);
+    }
   }
 }
 
 /**
- * Format bytes as human-readable string.
- * @param {number} bytes - Number of bytes
- * @returns {string} Formatted string (e.g., "20.0 MB")
+ * Fetch a url or s3 tarball through the cache, if there is one.
+ *
+ * S3 tarballs are cached under their HTTPS URL, so buckets on different
+ * endpoints do not share entries.
+ *
+ * @param {SourceConfig} config - Source configuration (url or s3 transport)
+ * @param {FetchOptions} options - Fetch options carrying the cache
+ * @param {number} limit - Maximum tarball size in bytes
+ * @param {() => Promise<FetchResult>} send - Fetches the tarball
+ * @returns {Promise<FetchResult>} Stream and size information
  */
-function formatBytes(bytes) {
-  if (bytes < 1024) return `${bytes} B`;
-  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+async function fetchThroughCache(config, options, limit, send) {
+  const location = options.cache && await cacheLocation(config, options);
+  if (!location) {
+    return send();
+  }
+
+  const cache = /** @type {import('./cache.js').DiffCache} */ (options.cache);
+  return fetchCached(cache, { ...location, integrity: config.integrity }, limit, send);
+}
+
+/**
+ * Find where a source's tarball is cached.
+ *
+ * Only url and s3 tarballs are cached. The URL is checked against the
+ * network policy first, so a cache hit never lets through a source that
+ * fetching would reject. The scope covers every credential the tarball is
+ * fetched with; credentials added by a custom `fetch` are not seen, so do
+ * not share a cache between callers of such a fetch.
+ *
+ * @param {SourceConfig} config - Source configuration
+ * @param {Pick<FetchOptions, 'policy'>} [options] - Network policy
+ * @returns {Promise<{ url: string, scope: string } | undefined>} Tarball URL and cache
+ *   scope, or undefined for sources that are not cached
+ * @throws {DiffError} POLICY for a URL the policy rejects, FETCH for an invalid S3 URI
+ */
+export async function cacheLocation(config, options = {}) {
+  const { transport, source, s3 } = config;
+  if (typeof source !== 'string' || !source || !(transport === 'url' || (transport === 's3' && s3))) {
+    return undefined;
+  }
+
+  const url = s3 && transport === 's3'
+    ? convertS3Url(source, s3.endpoint, s3.region ?? 'us-east-1')
+    : source;
+  if (options.policy) {
+    checkUrl(url, options.policy);
+  }
+
+  const auth = config.auth && config.auth !== 'none' ? [config.auth, config.credential] : [];
+  const keys = transport === 's3' ? [s3?.accessKeyId, s3?.secretAccessKey, s3?.sessionToken] : [];
+  return { url, scope: await cacheScope(url, [...auth, config.hostAuth, ...keys]) };
+}
+
+// =============================================================================
+// Custom Transports
+// =============================================================================
+
+/**
+ * Add a transport that fetchTarball() dispatches to.
+ *
+ * Sources naming the transport pass the same checks as any other: the
+ * configuration must be an object, its auth must be valid, and the tarball
+ * size limit applies to the returned stream, counted as it is read. Errors
+ * from the handler that are not DiffErrors become FETCH errors.
+ *
+ * @param {string} name - Transport name, as in `SourceConfig.transport`
+ * @param {TransportHandler} handler - Fetches the tarball for a source
+ * @returns {void}
+ * @throws {DiffError} With phase FETCH if the name is empty, built in or already
+ *   registered, or the handler is not a function
+ *
+ * @example
+ * ```js
+ * registerTransport('kv', async (config) => {
+ *   const stream = await env.TARBALLS.get(config.source, 'stream');
+ *   if (!stream) {
+ *     throw new DiffError('FETCH', `Tarball not in KV: ${config.source}`);
+ *   }
+ *   return { stream, size: null };
+ * });
+ *
+ * await fetchTarball({ transport: 'kv', source: 'lodash-4.17.21.tgz' });
+ * ```
+ */
+export function registerTransport(name, handler) {
+  assertDiff(
+    typeof name === 'string' && name.length > 0,
+    'FETCH',
+    'Transport name is required'
+  );
+
+  assertDiff(
+    typeof handler === 'function',
+    'FETCH',
+    `Transport handler must be a function: ${name}`
+  );
+
+  assertDiff(
+    !BUILTIN_TRANSPORTS.has(name) && !customTransports.has(name),
+    'FETCH',
+    `Transport already registered: ${name}`
+  );
+
+  customTransports.set(name, handler);
+}
+
+/**
+ * Remove a transport added with registerTransport().
+ *
+ * @param {string} name - Transport name
+ * @returns {boolean} True if the transport was registered
+ */
+export function unregisterTransport(name) {
+  return customTransports.delete(name);
+}
+
+/**
+ * Fetch a tarball through a custom transport handler.
+ *
+ * The handler's `etag` and `compressed` flag are passed on. An uncompressed
+ * tar is never decompressed, so it is held to the unpacked size limit instead
+ * of the tarball size limit.
+ *
+ * @param {TransportHandler} handler - Registered handler
+ * @param {SourceConfig} config - Source configuration
+ * @param {FetchOptions} options - Fetch options, passed to the handler
+ * @param {number} tarballLimit - Maximum tarball size in bytes
+ * @returns {Promise<FetchResult>} The handler's stream, counted against the limit
+ * @throws {DiffError} On handler failures, a missing stream, or size limit exceeded
+ */
+async function fetchCustom(handler, config, options, tarballLimit) {
+  /** @type {FetchResult} */
+  let result;
+  try {
+    result = await handler(config, options);
+  } catch (error) {
+    if (options.signal?.aborted) {
+      throw abortError(options.signal);
+    }
+    throw isDiffError(error) ? error : DiffError.wrap('FETCH', error, `Transport ${config.transport} failed`);
+  }
+
+  assertDiff(
+    Boolean(result) && result.stream instanceof ReadableStream,
+    'FETCH',
+    `Transport ${config.transport} returned no stream`
+  );
+
+  const compressed = result.compressed !== false;
+  const limit = compressed ? tarballLimit : options.limits?.unpackedSize ?? MAX_UNPACKED_SIZE;
+  const label = compressed ? 'Tarball' : 'Unpacked tarball';
+
+  const size = typeof result.size === 'number' ? result.size : null;
+  if (size !== null && size > limit) {
+    await result.stream.cancel();
+    throw new DiffError(
+      'SIZE',
+      `${label} size ${formatBytes(size)} exceeds limit of ${formatBytes(limit)}`
+    );
+  }
+
+  // The handler's size may be absent or wrong: count what arrives
+  return {
+    stream: result.stream.pipeThrough(createByteLimitStream(limit, label)),
+    size,
+    etag: result.etag ?? null,
+    compressed
+  };
 }
 
 // =============================================================================
@@ -354,6 +717,7 @@ function base64ToUint8Array(base64) {
  * Useful for npm publish _attachments or testing.
  *
  * @param {Uint8Array | string} data - Tarball data (Uint8Array or base64 string)
+ * @param {number} [limit] - Maximum tarball size in bytes
  * @returns {FetchResult} Stream and size
  * @throws {DiffError} On invalid data or size limit exceeded
  *
@@ -366,7 +730,7 @@ function base64ToUint8Array(base64) {
  * const result = fetchInline(base64EncodedTarball);
  * ```
  */
-function fetchInline(data) {
+function fetchInline(data, limit = MAX_TARBALL_SIZE) {
   assertDiff(
     data !== undefined && data !== null,
     'FETCH',
@@ -389,10 +753,10 @@ function fetchInline(data) {
   }
 
   // Check size limit
-  if (bytes.length > MAX_TARBALL_SIZE) {
+  if (bytes.length > limit) {
     throw new DiffError(
       'SIZE',
-      `Inline data size ${formatBytes(bytes.length)} exceeds limit of ${formatBytes(MAX_TARBALL_SIZE)}`
+      `Inline data size ${formatBytes(bytes.length)} exceeds limit of ${formatBytes(limit)}`
     );
   }
 
@@ -482,8 +846,10 @@ function convertS3Url(source, endpoint, region = 'us-east-1') {
  *
  * @param {string} source - S3 URI (s3://bucket/key) or HTTPS URL
  * @param {S3Config} s3Config - S3 credentials and configuration
+ * @param {FetchOptions} [options] - Network policy, checked against the endpoint URL, redirect
+ *   limit, size limit, abort signal, retry policy and fetch implementation
  * @returns {Promise<FetchResult>} Stream and size
- * @throws {DiffError} On auth failure, network error, or size limit exceeded
+ * @throws {DiffError} On auth failure, network error, policy violation, or size limit exceeded
  *
  * @example
  * ```js
@@ -503,7 +869,7 @@ function convertS3Url(source, endpoint, region = 'us-east-1') {
  * });
  * ```
  */
-async function fetchS3(source, s3Config) {
+async function fetchS3(source, s3Config, options = {}) {
   assertDiff(
     s3Config && typeof s3Config === 'object',
     'FETCH',
@@ -533,7 +899,8 @@ async function fetchS3(source, s3Config) {
   // Convert s3:// to https:// if needed
   const url = convertS3Url(source, endpoint, region);
 
-  // Create AWS client for signing
+  // Create AWS client for signing only: requests go out through options.fetch,
+  // and retries follow options.retry
   const client = new AwsClient({
     accessKeyId,
     secretAccessKey,
@@ -541,15 +908,15 @@ async function fetchS3(source, s3Config) {
     region,
     service: 's3'
   });
-
-  // Sign and send request
-  /** @type {Response} */
-  let response;
-  try {
-    response = await client.fetch(url);
-  } catch (error) {
-    throw DiffError.wrap('FETCH', error, `S3 request failed for ${source}`);
-  }
+  const { fetch: fetchImpl = fetch } = options;
+
+  // Sign and send request; redirects elsewhere are not signed
+  const { response, attempts } = await withRetries(
+    () => fetchWithRedirects(url, new Headers(), options, async (href, init) =>
+      fetchImpl(await client.sign(href, init))),
+    options,
+    `S3 request failed for ${source}`
+  );
 
   // Handle HTTP errors
   if (!response.ok) {
@@ -567,20 +934,22 @@ async function fetchS3(source, s3Config) {
       );
     }
 
-    throw new DiffError(
+    throw withAttempts(new DiffError(
       'FETCH',
       `S3 HTTP ${response.status} ${response.statusText} for ${source}`
-    );
+    ), attempts);
   }
 
   // Check Content-Length if available
+  const limit = options.limits?.tarballSize ?? MAX_TARBALL_SIZE;
   const contentLength = response.headers.get('Content-Length');
   const size = contentLength ? parseInt(contentLength, 10) : null;
 
-  if (size !== null && size > MAX_TARBALL_SIZE) {
+  if (size !== null && size > limit) {
+    await response.body?.cancel();
     throw new DiffError(
       'SIZE',
-      `S3 object size ${formatBytes(size)} exceeds limit of ${formatBytes(MAX_TARBALL_SIZE)}`
+      `S3 object size ${formatBytes(size)} exceeds limit of ${formatBytes(limit)}`
     );
   }
 
@@ -589,7 +958,12 @@ async function fetchS3(source, s3Config) {
     throw new DiffError('FETCH', 'S3 response has no body');
   }
 
-  return { stream: response.body, size };
+  // Content-Length may be absent or wrong: count what arrives
+  return {
+    stream: response.body.pipeThrough(createByteLimitStream(limit, 'S3 object')),
+    size,
+    etag: response.headers.get('ETag')
+  };
 }
 
 // =============================================================================
@@ -603,6 +977,7 @@ async function fetchS3(source, s3Config) {
  * Uses dynamic imports to avoid breaking edge runtimes.
  *
  * @param {string} source - Absolute or relative file path
+ * @param {number} [limit] - Maximum tarball size in bytes
  * @returns {Promise<FetchResult>} Stream and size
  * @throws {DiffError} On file not found, permission denied, or unsupported runtime
  *
@@ -612,7 +987,7 @@ async function fetchS3(source, s3Config) {
  * const result = await fetchFile('./local-package.tgz');
  * ```
  */
-async function fetchFile(source) {
+async function fetchFile(source, limit = MAX_TARBALL_SIZE) {
   assertDiff(
     typeof source === 'string' && source.length > 0,
     'FETCH',
@@ -666,10 +1041,10 @@ async function fetchFile(source) {
   }
 
   // Check size limit
-  if (stats.size > MAX_TARBALL_SIZE) {
+  if (stats.size > limit) {
     throw new DiffError(
       'SIZE',
-      `File size ${formatBytes(stats.size)} exceeds limit of ${formatBytes(MAX_TARBALL_SIZE)}`
+      `File size ${formatBytes(stats.size)} exceeds limit of ${formatBytes(limit)}`
     );
   }
 
@@ -682,3 +1057,86 @@ async function fetchFile(source) {
 
   return { stream: webStream, size: stats.size };
 }
+
+// =============================================================================
+// Directory Transport
+// =============================================================================
+
+/**
+ * Pack a local package directory into a tarball stream.
+ *
+ * Selects files the way `npm pack` does (see pack.js) and packs them under
+ * `package/`, so the directory flows through the same untar pipeline as a
+ * published tarball. The tar is not gzipped, since it would only be
+ * gunzipped again: the result is marked `compressed: false`.
+ *
+ * Only available on Node.js, Bun, and Deno (with --allow-read).
+ *
+ * @param {string} source - Absolute or relative directory path
+ * @param {number} [limit] - Maximum uncompressed tar size in bytes
+ * @returns {Promise<FetchResult>} Uncompressed tar stream and its size
+ * @throws {DiffError} On missing directory, missing package.json, or unsupported runtime
+ *
+ * @example
+ * ```js
+ * const result = await fetchDirectory('.');
+ * ```
+ */
+async function fetchDirectory(source, limit = MAX_UNPACKED_SIZE) {
+  assertDiff(
+    typeof source === 'string' && source.length > 0,
+    'FETCH',
+    'Directory path is required for directory transport'
+  );
+
+  /** @type {any} */
+  let fsp;
+  try {
+    fsp = await import('node:fs/promises');
+  } catch (importError) {
+    throw new DiffError(
+      'FETCH',
+      'Directory transport requires Node.js, Bun, or Deno with --allow-read. ' +
+      'This runtime does not support filesystem access.',
+      importError instanceof Error ? importError : undefined
+    );
+  }
+
+  /** @type {any} */
+  let stats;
+  try {
+    stats = await fsp.stat(source);
+  } catch (statError) {
+    const err = /** @type {any} */ (statError);
+    if (err.code === 'ENOENT') {
+      throw new DiffError('FETCH', `Directory not found: ${source}`);
+    }
+    if (err.code === 'EACCES') {
+      throw new DiffError('FETCH', `Permission denied: ${source}`);
+    }
+    throw DiffError.wrap('FETCH', statError, `Cannot access directory: ${source}`);
+  }
+
+  if (!stats.isDirectory()) {
+    throw new DiffError('FETCH', `Path is not a directory: ${source}`);
+  }
+
+  // Bounded while reading, then again with the tar headers added
+  const tar = await packDirectory(source, { limit });
+  if (tar.length > limit) {
+    throw new DiffError(
+      'SIZE',
+      `Packed directory size ${formatBytes(tar.length)} exceeds limit of ${formatBytes(limit)}`
+    );
+  }
+
+  /** @type {ReadableStream<Uint8Array>} */
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(tar);
+      controller.close();
+    }
+  });
+
+  return { stream, size: tar.length, compressed: false };
+}
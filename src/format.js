@@ -6,7 +6,11 @@
  *
  * Output format follows git unified diff conventions:
  * - `diff --git a/file b/file` header
- * - `new file mode` / `deleted file mode` markers
+ * - `new file mode` / `deleted file mode` markers with the file's real mode
+ * - `old mode` / `new mode` lines when permissions change
+ * - `similarity index`, `rename from`/`rename to`, `copy from`/`copy to` headers
+ * - `index` lines naming the git blobs of both sides (see hashFileMaps)
+ * - `GIT binary patch` sections for binary files (see prepareBinaryPatches)
  * - `--- a/file` and `+++ b/file` lines
  * - Hunk headers with line ranges
  *
@@ -14,12 +18,22 @@
  */
 
 import { shouldPrintPatch } from './binary.js';
-import { computeFileDiff, decodeBytes, hasChanges } from './diff.js';
+import { getBinaryPatch } from './binpatch.js';
+import { computeFileDiff, computeRenameDiff, decodeBytes, hasChanges } from './diff.js';
+import { abbreviateHash, getBlobHash } from './hash.js';
+import { createFileRecord, formatJson } from './json.js';
+import { createOutputCounter } from './limits.js';
+import { detectRenames } from './rename.js';
+import { throwIfAborted } from './signal.js';
+import { countChanges, formatStat, formatNumstat, formatShortstat } from './stat.js';
+import { getFileMode, formatFileMode, DEFAULT_FILE_MODE } from './tar.js';
 
 /**
  * Formatting options for diff output.
  * @typedef {Object} FormatOptions
  * @property {boolean} [nameOnly] - Only show file names, not content (--diff-name-only)
+ * @property {boolean} [nameStatus] - Only show file names and change status
+ *   (--diff-name-status). nameOnly takes precedence.
  * @property {boolean} [text] - Treat all files as text (--diff-text)
  * @property {boolean} [noPrefix] - Remove a/ b/ prefixes (--diff-no-prefix)
  * @property {string} [srcPrefix] - Source prefix (default: 'a/')
@@ -27,8 +41,58 @@ import { computeFileDiff, decodeBytes, hasChanges } from './diff.js';
  * @property {number} [context] - Number of context lines (default: 3)
  * @property {boolean} [ignoreAllSpace] - Ignore all whitespace changes
  * @property {boolean} [ignoreSpaceChange] - Ignore changes in whitespace amount
+ * @property {boolean | number} [findRenames] - Detect renames (--find-renames[=N%])
+ * @property {boolean | number} [findCopies] - Detect copies and renames (--find-copies[=N%])
+ * @property {number} [renameLimit] - Most sources or destinations for inexact renames
+ * @property {import('./rename.js').RenamePair[]} [renames] - Renames and copies already
+ *   detected for these trees, used instead of running detection again
+ * @property {boolean} [fullIndex] - Show full 40-character object IDs in index lines (--full-index)
+ * @property {boolean} [binary] - Emit git binary patches for binary files (--binary).
+ *   Implies fullIndex, which `git apply` requires for them.
+ * @property {OutputFormat} [format] - Output format (default: 'patch'; --json, --stat,
+ *   --numstat, --shortstat). nameOnly and nameStatus take precedence.
+ * @property {number} [statWidth] - Total width of 'stat' output (--stat=N, default: 80)
+ * @property {import('./limits.js').ResourceLimits} [limits] - Resource limits;
+ *   `outputSize` bounds the UTF-8 bytes of output
+ * @property {AbortSignal} [signal] - Checked between files; stops formatting once aborted
  */
 
+/**
+ * Output format of a complete diff.
+ * @typedef {'patch' | 'json' | 'stat' | 'numstat' | 'shortstat'} OutputFormat
+ */
+
+/**
+ * A detected rename or copy.
+ * @typedef {import('./rename.js').RenamePair} RenamePair
+ */
+
+/**
+ * A changed file, as emitted in JSON output.
+ * @typedef {import('./json.js').FileRecord} FileRecord
+ */
+
+/**
+ * Inputs for building a file record.
+ * @typedef {import('./json.js').FileRecordInit} FileRecordInit
+ */
+
+/**
+ * Line counts of one changed file.
+ * @typedef {import('./stat.js').FileStat} FileStat
+ */
+
+/**
+ * Git modes and blob hashes of the two sides of a file diff.
+ * @typedef {import('./diff.js').FileMeta} FileMeta
+ */
+
+/**
+ * Mode shown for files without mode metadata.
+ * @type {string}
+ */
+const DEFAULT_MODE = formatFileMode(DEFAULT_FILE_MODE);
+
 /**
  * Result of formatting a complete diff.
  * @typedef {Object} FormatResult
@@ -36,27 +100,108 @@ import { computeFileDiff, decodeBytes, hasChanges } from './diff.js';
  * @property {number} filesChanged - Number of files with changes
  * @property {number} filesAdded - Number of files added
  * @property {number} filesDeleted - Number of files deleted
+ * @property {number} filesRenamed - Number of files renamed
+ * @property {number} filesCopied - Number of files copied
+ * @property {number} insertions - Total added lines (not counted in name-only modes)
+ * @property {number} deletions - Total removed lines (not counted in name-only modes)
+ * @property {RenamePair[]} renames - Detected renames and copies
+ * @property {FileRecord[]} [files] - Per-file records, in JSON format only
  */
 
+/**
+ * Build the mode lines and index line of a file header.
+ *
+ * New and deleted files name their mode. A changed mode gets
+ * `old mode`/`new mode` lines; otherwise the mode trails the index line.
+ * The index line names both blobs, with the null ID for a missing side
+ * or a side that was never hashed.
+ *
+ * @param {'modified' | 'added' | 'deleted' | 'renamed' | 'copied'} status - Change type
+ * @param {FileMeta} meta - Old and new modes and hashes
+ * @param {FormatOptions} [options] - Format options
+ * @returns {{ modeLines: string[], indexLine: string }} Header lines
+ */
+function modeHeader(status, meta, options = {}) {
+  const { oldMode = DEFAULT_MODE, newMode = DEFAULT_MODE } = meta;
+  const fullIndex = Boolean(options.fullIndex || options.binary);
+
+  const oldId = abbreviateHash(status === 'added' ? undefined : meta.oldHash, fullIndex);
+  const newId = abbreviateHash(status === 'deleted' ? undefined : meta.newHash, fullIndex);
+  const index = `index ${oldId}..${newId}`;
+
+  switch (status) {
+    case 'added':
+      return { modeLines: [`new file mode ${newMode}`], indexLine: index };
+
+    case 'deleted':
+      return { modeLines: [`deleted file mode ${oldMode}`], indexLine: index };
+
+    default:
+      if (oldMode !== newMode) {
+        return {
+          modeLines: [`old mode ${oldMode}`, `new mode ${newMode}`],
+          indexLine: index
+        };
+      }
+      return { modeLines: [], indexLine: `${index} ${newMode}` };
+  }
+}
+
+/**
+ * Format a mode-only change.
+ *
+ * When only permissions changed, git shows just the mode lines.
+ *
+ * @param {string} path - File path
+ * @param {FileMeta} meta - Old and new modes
+ * @param {FormatOptions} [options] - Format options
+ * @returns {string} Formatted header
+ *
+ * @example
+ * ```
+ * diff --git a/bin/cli.js b/bin/cli.js
+ * old mode 100644
+ * new mode 100755
+ * ```
+ */
+export function formatModeChange(path, meta, options = {}) {
+  const {
+    srcPrefix = 'a/',
+    dstPrefix = 'b/',
+    noPrefix = false
+  } = options;
+
+  const srcPfx = noPrefix ? '' : srcPrefix;
+  const dstPfx = noPrefix ? '' : dstPrefix;
+
+  const lines = [`diff --git ${srcPfx}${path} ${dstPfx}${path}`];
+  lines.push(...modeHeader('modified', meta).modeLines);
+
+  return lines.join('\n') + '\n';
+}
+
 /**
  * Format a binary file diff header.
  *
  * Binary files show only the header without content diff.
- * Matches git/npm diff behavior for binary files.
+ * Matches git/npm diff behavior for binary files. With a binary patch
+ * (--binary), the patch replaces the `Binary files ... differ` line.
  *
  * @param {string} path - File path
  * @param {'modified' | 'added' | 'deleted'} status - Change type
  * @param {FormatOptions} [options] - Format options
+ * @param {FileMeta} [meta] - Old and new modes (default: 100644) and hashes
+ * @param {string} [binaryPatch] - `GIT binary patch` section (see formatBinaryPatch)
  * @returns {string} Formatted binary file header
  *
  * @example
  * ```
  * diff --git a/image.png b/image.png
- * index 0000000..0000000 100644
+ * index 5f3c2a1..8e0b7d4 100644
  * Binary files a/image.png and b/image.png differ
  * ```
  */
-export function formatBinaryHeader(path, status, options = {}) {
+export function formatBinaryHeader(path, status, options = {}, meta = {}, binaryPatch) {
   const {
     srcPrefix = 'a/',
     dstPrefix = 'b/',
@@ -71,22 +216,24 @@ export function formatBinaryHeader(path, status, options = {}) {
   // Git-style header
   lines.push(`diff --git ${srcPfx}${path} ${dstPfx}${path}`);
 
+  const { modeLines, indexLine } = modeHeader(status, meta, options);
+  lines.push(...modeLines, indexLine);
+
+  if (binaryPatch) {
+    return lines.join('\n') + '\n' + binaryPatch;
+  }
+
   switch (status) {
     case 'added':
-      lines.push('new file mode 100644');
-      lines.push('index 0000000..0000000');
       lines.push(`Binary files /dev/null and ${dstPfx}${path} differ`);
       break;
 
     case 'deleted':
-      lines.push('deleted file mode 100644');
-      lines.push('index 0000000..0000000');
       lines.push(`Binary files ${srcPfx}${path} and /dev/null differ`);
       break;
 
     case 'modified':
     default:
-      lines.push('index 0000000..0000000 100644');
       lines.push(`Binary files ${srcPfx}${path} and ${dstPfx}${path} differ`);
       break;
   }
@@ -105,9 +252,10 @@ export function formatBinaryHeader(path, status, options = {}) {
  * @param {string} patch - Raw patch from jsdiff
  * @param {'modified' | 'added' | 'deleted'} status - Change type
  * @param {FormatOptions} [options] - Format options
+ * @param {FileMeta} [meta] - Old and new modes (default: 100644) and hashes
  * @returns {string} Formatted diff output
  */
-export function formatTextDiff(path, patch, status, options = {}) {
+export function formatTextDiff(path, patch, status, options = {}, meta = {}) {
   const {
     srcPrefix = 'a/',
     dstPrefix = 'b/',
@@ -123,20 +271,9 @@ export function formatTextDiff(path, patch, status, options = {}) {
   lines.push(`diff --git ${srcPfx}${path} ${dstPfx}${path}`);
 
   // File mode and index lines based on status
-  switch (status) {
-    case 'added':
-      lines.push('new file mode 100644');
-      lines.push('index 0000000..0000000');
-      break;
-    case 'deleted':
-      lines.push('deleted file mode 100644');
-      lines.push('index 0000000..0000000');
-      break;
-    default:
-      // Modified files include file mode in index line
-      lines.push('index 0000000..0000000 100644');
-      break;
-  }
+  // (unchanged modes trail the index line of modified files)
+  const { modeLines, indexLine } = modeHeader(status, meta, options);
+  lines.push(...modeLines, indexLine);
 
   // The patch from jsdiff already includes --- and +++ lines
   // We just need to append it
@@ -145,6 +282,83 @@ export function formatTextDiff(path, patch, status, options = {}) {
   return lines.join('\n') + '\n';
 }
 
+/**
+ * Format a renamed or copied file diff.
+ *
+ * Exact renames show only the similarity and rename headers. Otherwise
+ * the index line follows, then either the patch of changed lines or,
+ * for binary files, the binary patch or marker.
+ *
+ * @param {RenamePair} pair - Detected rename or copy
+ * @param {string | null} patch - Raw patch from jsdiff (the `GIT binary patch`
+ *   section for binary files, if any), or null for exact renames
+ * @param {boolean} isBinary - Whether the file is binary
+ * @param {FormatOptions} [options] - Format options
+ * @param {FileMeta} [meta] - Source and destination modes (default: 100644) and hashes
+ * @returns {string} Formatted diff output
+ *
+ * @example
+ * ```
+ * diff --git a/lib/index.js b/dist/index.js
+ * similarity index 100%
+ * rename from lib/index.js
+ * rename to dist/index.js
+ * ```
+ */
+export function formatRenameDiff(pair, patch, isBinary, options = {}, meta = {}) {
+  const {
+    srcPrefix = 'a/',
+    dstPrefix = 'b/',
+    noPrefix = false
+  } = options;
+
+  const srcPfx = noPrefix ? '' : srcPrefix;
+  const dstPfx = noPrefix ? '' : dstPrefix;
+  const verb = pair.status === 'copied' ? 'copy' : 'rename';
+  const { modeLines, indexLine } = modeHeader(pair.status, meta, options);
+
+  const lines = [];
+
+  // Git-style header
+  lines.push(`diff --git ${srcPfx}${pair.from} ${dstPfx}${pair.to}`);
+  lines.push(...modeLines);
+  lines.push(`similarity index ${pair.similarity}%`);
+  lines.push(`${verb} from ${pair.from}`);
+  lines.push(`${verb} to ${pair.to}`);
+
+  if (isBinary && pair.similarity < 100) {
+    lines.push(indexLine);
+    if (patch) {
+      return lines.join('\n') + '\n' + patch;
+    }
+    lines.push(`Binary files ${srcPfx}${pair.from} and ${dstPfx}${pair.to} differ`);
+  } else if (patch && hasChanges(patch)) {
+    lines.push(indexLine);
+    lines.push(patch.trim());
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Count the changes of a file for diffstat output.
+ *
+ * @param {FileRecordInit} init - File details
+ * @returns {FileStat} Line counts (0 for binary files) and sizes
+ */
+function fileStat(init) {
+  const { path, oldPath, binary = false, left, right, patch } = init;
+
+  return {
+    path,
+    ...(oldPath !== undefined && { oldPath }),
+    ...(binary ? { insertions: 0, deletions: 0 } : countChanges(patch)),
+    binary,
+    oldSize: left?.length ?? 0,
+    newSize: right?.length ?? 0
+  };
+}
+
 /**
  * Format output for name-only mode.
  *
@@ -161,6 +375,55 @@ export function formatNameOnly(paths) {
   return paths.join('\n') + '\n';
 }
 
+/**
+ * A changed file's entry in name-status output.
+ * @typedef {Object} NameStatusEntry
+ * @property {string} path - File path (the destination for renames and copies)
+ * @property {'modified' | 'added' | 'deleted' | 'renamed' | 'copied'} status - Change type
+ * @property {string} [oldPath] - Source path, for renames and copies
+ * @property {number} [similarity] - Similarity index in percent, for renames and copies
+ */
+
+/**
+ * Status letters of git's --name-status output.
+ * @type {Record<NameStatusEntry['status'], string>}
+ */
+const STATUS_LETTERS = {
+  added: 'A',
+  deleted: 'D',
+  modified: 'M',
+  renamed: 'R',
+  copied: 'C'
+};
+
+/**
+ * Format output for name-status mode.
+ *
+ * Lists each changed file with git's status letter, tab-separated.
+ * Renames and copies carry their similarity and both paths.
+ * Matches --diff-name-status (git's --name-status) behavior.
+ *
+ * @param {NameStatusEntry[]} entries - Changed files
+ * @returns {string} Newline-separated status lines
+ *
+ * @example
+ * ```
+ * M	index.js
+ * A	lib/new.js
+ * R085	lib/old.js	lib/moved.js
+ * ```
+ */
+export function formatNameStatus(entries) {
+  return entries
+    .map(({ path, status, oldPath, similarity }) => {
+      const letter = STATUS_LETTERS[status];
+      return oldPath === undefined
+        ? `${letter}\t${path}\n`
+        : `${letter}${String(similarity ?? 0).padStart(3, '0')}\t${oldPath}\t${path}\n`;
+    })
+    .join('');
+}
+
 /**
  * Format a complete diff between two file trees.
  *
@@ -186,7 +449,10 @@ export function formatNameOnly(paths) {
  * ```
  */
 export function formatDiff(leftTree, rightTree, options = {}) {
-  const { nameOnly = false, text = false } = options;
+  const { nameOnly = false, nameStatus = false, text = false, format = 'patch' } = options;
+
+  // Name-only modes skip computing patches
+  const namesOnly = nameOnly || nameStatus;
 
   // Collect all unique paths
   const allPaths = new Set([...leftTree.keys(), ...rightTree.keys()]);
@@ -194,19 +460,99 @@ export function formatDiff(leftTree, rightTree, options = {}) {
   // Sort paths for consistent output
   const sortedPaths = [...allPaths].sort();
 
+  // Pair deleted/added paths into renames and copies (if requested)
+  const renames = options.renames ?? detectRenames(leftTree, rightTree, options);
+  const pairByDestination = new Map(renames.map((pair) => [pair.to, pair]));
+  const renamedSources = new Set(
+    renames.filter((pair) => pair.status === 'renamed').map((pair) => pair.from)
+  );
+
   /** @type {string[]} */
   const outputParts = [];
 
+  // Patches are counted as they are formatted, other formats once built
+  const countOutput = createOutputCounter(options.limits?.outputSize);
+
+  /** @type {FileRecordInit[]} */
+  const changes = [];
+
+  /**
+   * Queue a file's output: patch text now, other formats at the end.
+   * @param {() => string} formatText - Produces the unified diff text
+   * @param {FileRecordInit} init - File details for JSON and diffstat output
+   */
+  const emit = (formatText, init) => {
+    changes.push(init);
+    if (format === 'patch') {
+      const text = formatText();
+      countOutput(outputParts.length > 0 ? `\n${text}` : text);
+      outputParts.push(text);
+    }
+  };
+
   /** @type {string[]} */
   const changedPaths = [];
 
+  /** @type {NameStatusEntry[]} */
+  const nameStatuses = [];
+
   let filesAdded = 0;
   let filesDeleted = 0;
+  let filesRenamed = 0;
+  let filesCopied = 0;
 
   for (const path of sortedPaths) {
+    // Stop between files once aborted or past the deadline
+    throwIfAborted(options.signal);
+
     const left = leftTree.get(path);
     const right = rightTree.get(path);
 
+    // Renamed or copied here from another path
+    const pair = !left && right ? pairByDestination.get(path) : undefined;
+    if (pair && right) {
+      if (pair.status === 'renamed') {
+        filesRenamed++;
+      } else {
+        filesCopied++;
+      }
+
+      changedPaths.push(path);
+      nameStatuses.push({ path, status: pair.status, oldPath: pair.from, similarity: pair.similarity });
+
+      if (namesOnly) {
+        continue;
+      }
+
+      const source = /** @type {Uint8Array} */ (leftTree.get(pair.from));
+      const { isBinary, patch } = computeRenameDiff(pair, source, right, options);
+      const binaryPatch = isBinary && options.binary ? getBinaryPatch(source, right) ?? null : null;
+      const meta = {
+        oldMode: formatFileMode(getFileMode(leftTree, pair.from)),
+        newMode: formatFileMode(getFileMode(rightTree, path)),
+        oldHash: getBlobHash(leftTree, pair.from),
+        newHash: getBlobHash(rightTree, path)
+      };
+
+      emit(() => formatRenameDiff(pair, binaryPatch ?? patch, isBinary, options, meta), {
+        path,
+        oldPath: pair.from,
+        status: pair.status,
+        binary: isBinary,
+        similarity: pair.similarity,
+        left: source,
+        right,
+        patch,
+        meta
+      });
+      continue;
+    }
+
+    // Moved away: reported at its destination
+    if (left && !right && renamedSources.has(path)) {
+      continue;
+    }
+
     // Determine change status
     /** @type {'modified' | 'added' | 'deleted' | 'unchanged'} */
     let status;
@@ -223,21 +569,33 @@ export function formatDiff(leftTree, rightTree, options = {}) {
       continue; // Should never happen
     }
 
-    // Check if binary
-    const isBinary = !shouldPrintPatch(path, { text });
+    // Modes recorded at extraction (100644 when unknown), hashes if computed
+    /** @type {FileMeta} */
+    const meta = {
+      ...(left && {
+        oldMode: formatFileMode(getFileMode(leftTree, path)),
+        oldHash: getBlobHash(leftTree, path)
+      }),
+      ...(right && {
+        newMode: formatFileMode(getFileMode(rightTree, path)),
+        newHash: getBlobHash(rightTree, path)
+      })
+    };
+    const modeChanged = status === 'modified' && meta.oldMode !== meta.newMode;
 
     // For modified files, check if they're actually different
+    let identical = false;
     if (status === 'modified' && left && right) {
       // Quick check: same length and content?
       if (left.length === right.length) {
-        let identical = true;
+        identical = true;
         for (let i = 0; i < left.length; i++) {
           if (left[i] !== right[i]) {
             identical = false;
             break;
           }
         }
-        if (identical) {
+        if (identical && !modeChanged) {
           continue; // Skip unchanged files
         }
       }
@@ -245,50 +603,98 @@ export function formatDiff(leftTree, rightTree, options = {}) {
 
     // Track changed path
     changedPaths.push(path);
+    nameStatuses.push({ path, status });
 
-    // Name-only mode: just collect paths
-    if (nameOnly) {
+    // Name-only modes: just collect paths
+    if (namesOnly) {
       continue;
     }
 
-    // Binary files: header only
-    if (isBinary) {
-      outputParts.push(formatBinaryHeader(path, status, options));
+    /** @type {FileRecordInit} */
+    const init = { path, status, left, right, meta };
+
+    // Mode-only changes: mode lines only
+    if (identical) {
+      emit(() => formatModeChange(path, meta, options), init);
+      continue;
+    }
+
+    // Binary files: header only, judged by sniffing both sides
+    if (!shouldPrintPatch(path, { text }, left, right)) {
+      const binaryPatch = options.binary ? getBinaryPatch(left, right) : undefined;
+      emit(() => formatBinaryHeader(path, status, options, meta, binaryPatch), { ...init, binary: true });
       continue;
     }
 
     // Text files: compute and format diff
-    const fileDiff = computeFileDiff(path, left, right, options);
+    const fileDiff = computeFileDiff(path, left, right, options, meta);
+    const { patch } = fileDiff;
 
-    if (fileDiff.patch && hasChanges(fileDiff.patch)) {
-      outputParts.push(formatTextDiff(path, fileDiff.patch, status, options));
+    if (patch && hasChanges(patch)) {
+      emit(() => formatTextDiff(path, patch, status, options, meta), { ...init, patch });
     } else if (status === 'added' || status === 'deleted') {
       // For empty added/deleted files, still show header
-      const emptyPatch = computeFileDiff(
+      const { patch: empty } = computeFileDiff(
         path,
         status === 'deleted' ? left : undefined,
         status === 'added' ? right : undefined,
         options
       );
-      if (emptyPatch.patch) {
-        outputParts.push(formatTextDiff(path, emptyPatch.patch, status, options));
+      if (empty) {
+        emit(() => formatTextDiff(path, empty, status, options, meta), { ...init, patch: empty });
       }
+    } else if (modeChanged) {
+      // Only ignored (whitespace) changes left besides the mode
+      emit(() => formatModeChange(path, meta, options), init);
     }
   }
 
+  // Line counts (binary files count as none)
+  const stats = changes.map(fileStat);
+  let insertions = 0;
+  let deletions = 0;
+  for (const stat of stats) {
+    insertions += stat.insertions;
+    deletions += stat.deletions;
+  }
+
   // Build final output
+  /** @type {FileRecord[] | undefined} */
+  let files;
   let output;
+
   if (nameOnly) {
     output = formatNameOnly(changedPaths);
+  } else if (nameStatus) {
+    output = formatNameStatus(nameStatuses);
+  } else if (format === 'json') {
+    files = changes.map(createFileRecord);
+    output = formatJson(files);
+  } else if (format === 'stat') {
+    output = formatStat(stats, { width: options.statWidth });
+  } else if (format === 'numstat') {
+    output = formatNumstat(stats);
+  } else if (format === 'shortstat') {
+    output = formatShortstat(stats);
   } else {
     output = outputParts.join('\n');
   }
 
+  if (namesOnly || format !== 'patch') {
+    countOutput(output);
+  }
+
   return {
     output,
     filesChanged: changedPaths.length,
     filesAdded,
-    filesDeleted
+    filesDeleted,
+    filesRenamed,
+    filesCopied,
+    insertions,
+    deletions,
+    renames,
+    ...(files && { files })
   };
 }
 
@@ -301,10 +707,13 @@ export function formatDiff(leftTree, rightTree, options = {}) {
  * @param {Uint8Array | undefined} left - Old content (undefined if added)
  * @param {Uint8Array | undefined} right - New content (undefined if deleted)
  * @param {FormatOptions} [options] - Format options
+ * @param {FileMeta} [meta] - Old and new modes (default: 100644) and hashes
  * @returns {string | null} Formatted diff, or null if unchanged
  */
-export function formatFileDiff(path, left, right, options = {}) {
+export function formatFileDiff(path, left, right, options = {}, meta = {}) {
   const { text = false } = options;
+  const { oldMode = DEFAULT_MODE, newMode = DEFAULT_MODE } = meta;
+  const modeChanged = Boolean(left && right) && oldMode !== newMode;
 
   // Determine status
   /** @type {'modified' | 'added' | 'deleted'} */
@@ -321,7 +730,7 @@ export function formatFileDiff(path, left, right, options = {}) {
         }
       }
       if (identical) {
-        return null;
+        return modeChanged ? formatModeChange(path, meta, options) : null;
       }
     }
     status = 'modified';
@@ -334,22 +743,23 @@ export function formatFileDiff(path, left, right, options = {}) {
   }
 
   // Binary check
-  const isBinary = !shouldPrintPatch(path, { text });
+  const isBinary = !shouldPrintPatch(path, { text }, left, right);
 
   if (isBinary) {
-    return formatBinaryHeader(path, status, options);
+    const binaryPatch = options.binary ? getBinaryPatch(left, right) : undefined;
+    return formatBinaryHeader(path, status, options, meta, binaryPatch);
   }
 
   // Compute diff
-  const fileDiff = computeFileDiff(path, left, right, options);
+  const fileDiff = computeFileDiff(path, left, right, options, meta);
 
   if (!fileDiff.patch || !hasChanges(fileDiff.patch)) {
     // For added/deleted, we should still have a patch
     if (status === 'added' || status === 'deleted') {
-      return formatTextDiff(path, fileDiff.patch || '', status, options);
+      return formatTextDiff(path, fileDiff.patch || '', status, options, meta);
     }
-    return null;
+    return modeChanged ? formatModeChange(path, meta, options) : null;
   }
 
-  return formatTextDiff(path, fileDiff.patch, status, options);
+  return formatTextDiff(path, fileDiff.patch, status, options, meta);
 }
@@ -0,0 +1,269 @@
+/**
+ * Glob pattern matching for npm-diff-worker.
+ *
+ * A small, dependency-free glob matcher covering the syntax used by
+ * `.npmignore`/`.gitignore`, `package.json` `files`, and git pathspecs:
+ *
+ * - `*` matches any run of characters except `/`
+ * - `**` matches across directories when it forms a whole path segment
+ * - `?` matches a single character except `/`
+ * - `[abc]`, `[a-z]`, `[!abc]` character classes
+ * - `\` escapes the next character
+ *
+ * Patterns come from request bodies and query strings, so they are never
+ * turned into regular expressions: paths are matched segment by segment
+ * with a wildcard matcher whose work grows with pattern length times path
+ * length, however many stars a pattern has.
+ *
+ * @module glob
+ */
+
+/**
+ * One element of a path segment pattern.
+ * @typedef {{ type: 'char', char: string }
+ *   | { type: 'any' }
+ *   | { type: 'star' }
+ *   | { type: 'class', negated: boolean, ranges: [string, string][] }} GlobToken
+ */
+
+/**
+ * A path segment pattern, or GLOBSTAR for a whole `**` segment.
+ * @typedef {GlobToken[] | typeof GLOBSTAR} GlobSegment
+ */
+
+/**
+ * Matching options.
+ * @typedef {Object} GlobOptions
+ * @property {boolean} [nocase=false] - Match case-insensitively
+ * @property {boolean} [matchBase=false] - Also match below any directories,
+ *   as if the pattern started with `**\/`
+ * @property {boolean} [matchBelow=false] - Also match everything below a
+ *   matching path, as if the pattern ended with `/**`
+ */
+
+/**
+ * A compiled glob.
+ * @typedef {Object} GlobMatcher
+ * @property {(path: string) => boolean} test - Whether a `/`-separated path matches
+ */
+
+/**
+ * Marks a `**` segment, which matches zero or more path segments.
+ * @type {unique symbol}
+ */
+const GLOBSTAR = Symbol('globstar');
+
+/**
+ * Segment pattern matching any single path segment.
+ * @type {GlobToken[]}
+ */
+const ANY_SEGMENT = [{ type: 'star' }];
+
+/**
+ * Match items against a pattern with star elements, git's wildmatch way.
+ *
+ * Non-star elements match exactly one item. On a mismatch only the most
+ * recent star takes one more item, which is enough to find a match when
+ * there is one, so the work is at most items × pattern elements.
+ *
+ * @template P, I
+ * @param {P[]} pattern - Pattern elements
+ * @param {ArrayLike<I>} items - Items to match
+ * @param {(element: P) => boolean} isStar - Whether an element matches any run of items
+ * @param {(element: P, item: I) => boolean} matchOne - Whether an element matches an item
+ * @returns {boolean} True if the pattern matches all items
+ */
+function matchWildcards(pattern, items, isStar, matchOne) {
+  let p = 0;
+  let i = 0;
+  let starP = -1;
+  let starI = 0;
+
+  while (i < items.length) {
+    if (p < pattern.length && isStar(pattern[p])) {
+      starP = p++;
+      starI = i;
+    } else if (p < pattern.length && matchOne(pattern[p], items[i])) {
+      p++;
+      i++;
+    } else if (starP !== -1) {
+      p = starP + 1;
+      i = ++starI;
+    } else {
+      return false;
+    }
+  }
+
+  while (p < pattern.length && isStar(pattern[p])) {
+    p++;
+  }
+  return p === pattern.length;
+}
+
+/**
+ * Check whether a character class contains a character.
+ *
+ * @param {[string, string][]} ranges - Inclusive character ranges
+ * @param {string} char - Character to check
+ * @returns {boolean} True if a range contains it
+ */
+function inRanges(ranges, char) {
+  return ranges.some(([low, high]) => char >= low && char <= high);
+}
+
+/**
+ * Match one character against a non-star token.
+ *
+ * @param {GlobToken} token - Pattern token
+ * @param {string} char - Path character
+ * @param {boolean} nocase - Match case-insensitively
+ * @returns {boolean} True if the token matches
+ */
+function matchChar(token, char, nocase) {
+  switch (token.type) {
+    case 'any':
+      return true;
+    case 'char':
+      return nocase ? token.char.toLowerCase() === char.toLowerCase() : token.char === char;
+    case 'class': {
+      const found = inRanges(token.ranges, char) || (nocase &&
+        (inRanges(token.ranges, char.toLowerCase()) || inRanges(token.ranges, char.toUpperCase())));
+      return found !== token.negated;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Parse the body of a character class into ranges.
+ *
+ * @param {string} body - Class body, without brackets or negation
+ * @returns {[string, string][]} Inclusive ranges
+ */
+function parseClass(body) {
+  /** @type {[string, string][]} */
+  const ranges = [];
+
+  for (let i = 0; i < body.length; i++) {
+    if (body[i + 1] === '-' && i + 2 < body.length) {
+      ranges.push([body[i], body[i + 2]]);
+      i += 2;
+    } else {
+      ranges.push([body[i], body[i]]);
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Parse a glob pattern into path segment patterns.
+ *
+ * @param {string} glob - Glob pattern
+ * @returns {GlobSegment[]} Segment patterns
+ */
+function parseGlob(glob) {
+  /** @type {GlobSegment[]} */
+  const segments = [];
+  /** @type {GlobToken[]} */
+  let tokens = [];
+  let segmentStart = 0;
+
+  /** @param {number} end - Index just past the segment */
+  const endSegment = (end) => {
+    segments.push(glob.slice(segmentStart, end) === '**' ? GLOBSTAR : tokens);
+    tokens = [];
+    segmentStart = end + 1;
+  };
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '/') {
+      endSegment(i);
+    } else if (char === '*') {
+      // "**" inside a segment behaves like "*"
+      if (tokens.at(-1)?.type !== 'star') {
+        tokens.push({ type: 'star' });
+      }
+    } else if (char === '?') {
+      tokens.push({ type: 'any' });
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const close = glob.indexOf(']', i + 2);
+      let body = glob.slice(i + 1, close);
+      const negated = body.startsWith('!') || body.startsWith('^');
+      if (negated) {
+        body = body.slice(1);
+      }
+
+      tokens.push({ type: 'class', negated, ranges: parseClass(body) });
+      i = close;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      tokens.push({ type: 'char', char: glob[i + 1] });
+      i += 1;
+    } else {
+      tokens.push({ type: 'char', char });
+    }
+  }
+  endSegment(glob.length);
+
+  // A trailing "**" after other segments means everything below, not the
+  // directory itself
+  if (segments.length > 1 && segments.at(-1) === GLOBSTAR) {
+    segments.splice(-1, 1, ANY_SEGMENT, GLOBSTAR);
+  }
+
+  return segments;
+}
+
+/**
+ * Compile a glob pattern into a matcher for whole paths.
+ *
+ * @param {string} glob - Glob pattern
+ * @param {GlobOptions} [options] - Matching options
+ * @returns {GlobMatcher} Matcher for `/`-separated paths
+ *
+ * @example
+ * ```js
+ * compileGlob('lib/**\/*.js').test('lib/a/b.js')              // true
+ * compileGlob('*.md').test('docs/README.md')                 // false
+ * compileGlob('*.md', { matchBase: true }).test('docs/README.md') // true
+ * ```
+ */
+export function compileGlob(glob, options = {}) {
+  const { nocase = false, matchBase = false, matchBelow = false } = options;
+
+  const segments = parseGlob(glob);
+  if (matchBase) {
+    segments.unshift(GLOBSTAR);
+  }
+  if (matchBelow) {
+    segments.push(GLOBSTAR);
+  }
+
+  /** @param {GlobToken} token */
+  const isStarToken = (token) => token.type === 'star';
+  /** @param {GlobToken} token @param {string} char */
+  const matchToken = (token, char) => matchChar(token, char, nocase);
+
+  /** @param {GlobSegment} segment */
+  const isGlobstar = (segment) => segment === GLOBSTAR;
+  /** @param {GlobSegment} segment @param {string} part */
+  const matchSegment = (segment, part) =>
+    segment !== GLOBSTAR && matchWildcards(segment, part, isStarToken, matchToken);
+
+  return {
+    test: (path) => matchWildcards(segments, path.split('/'), isGlobstar, matchSegment)
+  };
+}
+
+/**
+ * Check whether a string contains glob magic characters.
+ *
+ * @param {string} pattern - Pattern to check
+ * @returns {boolean} True if the pattern contains `*`, `?` or `[`
+ */
+export function hasMagic(pattern) {
+  return /[*?[]/.test(pattern);
+}
@@ -0,0 +1,559 @@
+/**
+ * HTTP handler for npm-diff-worker.
+ *
+ * createHandler() returns a `(Request) => Promise<Response>` function that
+ * plugs into Cloudflare Workers, Deno.serve() and Bun.serve(). It accepts
+ * two request forms:
+ *
+ * - `GET /diff/lodash@4.17.20...4.17.21?context=5&include=lib` - the right
+ *   side may be a bare version, range or tag of the left package
+ * - `POST /diff` with a JSON body `{ left, right, options }`
+ *
+ * The Accept header picks text/plain (the patch), application/json
+ * (diffWithStats() stats and file records, without the output text) or
+ * text/html output.
+ *
+ * Requests are untrusted: sources must be registry package specs unless
+ * more transports are allowed, the registry is fixed by the handler, only
+ * known diff options with the right types are passed on, and every URL is
+ * fetched under a network policy that blocks private addresses. Pathspecs
+ * are capped in number, length and wildcards, and inexact rename detection
+ * in the files it compares (`defaults.renameLimit`, 100 unless set), so no
+ * request can spend unbounded CPU. Diffs are cancelled when the request's
+ * signal aborts, as when the client disconnects; set `defaults.timeout` to
+ * bound them in time as well.
+ *
+ * @module handler
+ */
+
+import { diff, diffWithStats, diffStream } from './index.js';
+import { DiffError, isDiffError } from './errors.js';
+import { isUrlSpec, parseSpec } from './resolve.js';
+
+/**
+ * Diff options.
+ * @typedef {import('./index.js').DiffOptions} DiffOptions
+ */
+
+/**
+ * Package source configuration or spec.
+ * @typedef {import('./index.js').PackageSource} PackageSource
+ */
+
+/**
+ * Tarball transport mechanism.
+ * @typedef {import('./fetch.js').SourceConfig['transport']} Transport
+ */
+
+/**
+ * Handler configuration.
+ * @typedef {Object} HandlerOptions
+ * @property {string} [basePath] - Path of the diff route (default: '/diff')
+ * @property {string} [registry] - Registry used to resolve package specs
+ * @property {DiffOptions} [defaults] - Diff options applied before each request's options
+ * @property {Transport[]} [transports] - Transports that POST bodies may use in
+ *   SourceConfig objects, including registered ones; 'url' also allows tarball URL
+ *   specs (default: none, package specs only)
+ * @property {NetworkPolicy} [policy] - Limits on the URLs fetched for url and s3
+ *   sources, including registry tarball URLs (default: `{}`, public addresses only)
+ */
+
+/**
+ * Limits on the URLs fetched by the url and s3 transports.
+ * @typedef {import('./policy.js').NetworkPolicy} NetworkPolicy
+ */
+
+/**
+ * A parsed diff request.
+ * @typedef {Object} DiffRequest
+ * @property {PackageSource} left - Left (old) package source
+ * @property {PackageSource} right - Right (new) package source
+ * @property {DiffOptions} options - Diff options from the request
+ */
+
+/**
+ * Kind of value a request option takes.
+ * @typedef {'boolean' | 'number' | 'boolean|number' | 'string' | 'strings' | 'format'} OptionKind
+ */
+
+/**
+ * Diff options a request may set, and their kinds.
+ * @type {Record<string, OptionKind>}
+ */
+const REQUEST_OPTIONS = {
+  nameOnly: 'boolean',
+  nameStatus: 'boolean',
+  ignoreAllSpace: 'boolean',
+  ignoreSpaceChange: 'boolean',
+  context: 'number',
+  noPrefix: 'boolean',
+  srcPrefix: 'string',
+  dstPrefix: 'string',
+  text: 'boolean',
+  findRenames: 'boolean|number',
+  findCopies: 'boolean|number',
+  fullIndex: 'boolean',
+  binary: 'boolean',
+  format: 'format',
+  statWidth: 'number',
+  include: 'strings',
+  exclude: 'strings'
+};
+
+/**
+ * Most pathspecs a request may give in `include` or `exclude`.
+ * @type {number}
+ */
+const MAX_PATHSPECS = 32;
+
+/**
+ * Longest pathspec a request may give.
+ * @type {number}
+ */
+const MAX_PATHSPEC_LENGTH = 256;
+
+/**
+ * Most wildcards (`*`, `?`, `[`) in one pathspec from a request.
+ * @type {number}
+ */
+const MAX_PATHSPEC_WILDCARDS = 16;
+
+/**
+ * Rename limit for requests unless `defaults.renameLimit` says otherwise.
+ * Inexact detection scores every deleted file against every added one,
+ * so this bounds the work to 100 × 100 comparisons.
+ * @type {number}
+ */
+const HANDLER_RENAME_LIMIT = 100;
+
+/**
+ * Output formats a request may ask for.
+ * @type {string[]}
+ */
+const FORMATS = ['patch', 'json', 'stat', 'numstat', 'shortstat'];
+
+/**
+ * Response media types, in order of preference.
+ * @type {string[]}
+ */
+const MEDIA_TYPES = ['text/plain', 'application/json', 'text/html'];
+
+/**
+ * Separator between the two sides of a GET diff path.
+ * @type {string}
+ */
+const RANGE_SEPARATOR = '...';
+
+/**
+ * A malformed or unacceptable request.
+ *
+ * Rendered like DiffError.toResponse(), with a 4xx status.
+ */
+class RequestError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Human-readable error message
+   * @param {Record<string, string>} [headers] - Extra response headers
+   */
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.headers = headers;
+  }
+
+  /**
+   * @returns {Response} HTTP Response with JSON body
+   */
+  toResponse() {
+    const body = { error: this.name, status: this.status, message: this.message };
+    return new Response(JSON.stringify(body), {
+      status: this.status,
+      headers: { 'Content-Type': 'application/json; charset=utf-8', ...this.headers }
+    });
+  }
+}
+
+/**
+ * Pick the response media type from an Accept header.
+ *
+ * Each type gets the quality of its most specific matching range;
+ * ties go to the earlier entry of MEDIA_TYPES.
+ *
+ * @param {string | null} accept - Accept header value
+ * @returns {string | undefined} Media type, or undefined if none is acceptable
+ */
+function negotiateMediaType(accept) {
+  if (!accept || !accept.trim()) {
+    return MEDIA_TYPES[0];
+  }
+
+  const ranges = accept.split(',').map((part) => {
+    const [range, ...params] = part.split(';').map((s) => s.trim().toLowerCase());
+    const q = params.find((param) => param.startsWith('q='));
+    return { range, q: q ? Number(q.slice(2)) : 1 };
+  });
+
+  let best;
+  let bestQuality = 0;
+
+  for (const type of MEDIA_TYPES) {
+    let quality = 0;
+    let specificity = -1;
+
+    for (const { range, q } of ranges) {
+      const rank = range === type ? 2
+        : range === `${type.split('/')[0]}/*` ? 1
+        : range === '*/*' ? 0
+        : -1;
+      if (rank > specificity) {
+        specificity = rank;
+        quality = Number.isFinite(q) ? q : 0;
+      }
+    }
+
+    if (quality > bestQuality) {
+      best = type;
+      bestQuality = quality;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Convert a query parameter to the kind an option takes.
+ *
+ * A bare `?nameOnly` counts as true.
+ *
+ * @param {OptionKind} kind - Option kind
+ * @param {string[]} values - Every value of the parameter
+ * @returns {unknown} Converted value, checked later by checkOption()
+ */
+function fromQuery(kind, values) {
+  if (kind === 'strings') {
+    return values;
+  }
+
+  const value = values[values.length - 1];
+  const flag = { '': true, true: true, 1: true, false: false, 0: false }[value];
+
+  if (kind === 'boolean') {
+    return flag ?? value;
+  }
+  if (kind === 'number' || (kind === 'boolean|number' && flag === undefined)) {
+    return value.trim() && Number.isFinite(Number(value)) ? Number(value) : value;
+  }
+  if (kind === 'boolean|number') {
+    return flag;
+  }
+  return value;
+}
+
+/**
+ * Check the value of a request option.
+ *
+ * @param {string} name - Option name
+ * @param {unknown} value - Option value
+ * @returns {unknown} The value
+ * @throws {RequestError} If the option is unknown or the value has the wrong type
+ */
+function checkOption(name, value) {
+  const kind = Object.hasOwn(REQUEST_OPTIONS, name) ? REQUEST_OPTIONS[name] : undefined;
+  if (!kind) {
+    throw new RequestError(400, `Unknown option: ${name}`);
+  }
+
+  const isCount = typeof value === 'number' && Number.isInteger(value) && value >= 0;
+  const valid = {
+    boolean: typeof value === 'boolean',
+    number: isCount,
+    'boolean|number': typeof value === 'boolean' || isCount,
+    string: typeof value === 'string',
+    strings: Array.isArray(value) && value.every((item) => typeof item === 'string'),
+    format: FORMATS.includes(/** @type {string} */ (value))
+  }[kind];
+
+  if (!valid) {
+    throw new RequestError(400, `Invalid value for option ${name}: ${JSON.stringify(value)}`);
+  }
+
+  if (kind === 'strings') {
+    checkPathspecs(name, /** @type {string[]} */ (value));
+  }
+
+  return value;
+}
+
+/**
+ * Check that request pathspecs stay within the handler's caps.
+ *
+ * @param {string} name - Option name
+ * @param {string[]} patterns - Pathspecs
+ * @throws {RequestError} If there are too many, or one is too long or too wild
+ */
+function checkPathspecs(name, patterns) {
+  if (patterns.length > MAX_PATHSPECS) {
+    throw new RequestError(400, `Too many pathspecs in ${name}: at most ${MAX_PATHSPECS}`);
+  }
+
+  for (const pattern of patterns) {
+    if (pattern.length > MAX_PATHSPEC_LENGTH) {
+      throw new RequestError(400, `Pathspec in ${name} longer than ${MAX_PATHSPEC_LENGTH} characters`);
+    }
+    if ((pattern.match(/[*?[]/g) ?? []).length > MAX_PATHSPEC_WILDCARDS) {
+      throw new RequestError(400, `Pathspec in ${name} has more than ${MAX_PATHSPEC_WILDCARDS} wildcards`);
+    }
+  }
+}
+
+/**
+ * Check a package source named by a request.
+ *
+ * @param {unknown} source - Source from the request
+ * @param {'left' | 'right'} side - Which side, for messages
+ * @param {Transport[]} transports - Allowed SourceConfig transports
+ * @returns {PackageSource} The source
+ * @throws {RequestError} If the source is missing, malformed or not allowed
+ */
+function checkSource(source, side, transports) {
+  if (typeof source === 'string') {
+    if (isUrlSpec(source)) {
+      if (!transports.includes('url')) {
+        throw new RequestError(400, `Tarball URLs are not accepted: ${side}`);
+      }
+      return source;
+    }
+
+    try {
+      parseSpec(source);
+    } catch (error) {
+      throw new RequestError(400, /** @type {Error} */ (error).message);
+    }
+    return source;
+  }
+
+  if (source && typeof source === 'object' && !Array.isArray(source)) {
+    const { transport } = /** @type {{ transport?: unknown }} */ (source);
+    if (!transports.includes(/** @type {Transport} */ (transport))) {
+      throw new RequestError(400, `Transport is not accepted: ${String(transport)}`);
+    }
+    return /** @type {PackageSource} */ (source);
+  }
+
+  throw new RequestError(400, `Missing ${side} package spec`);
+}
+
+/**
+ * Parse a GET request: `<basePath>/<left>...<right>?<options>`.
+ *
+ * @param {URL} url - Request URL
+ * @param {string} prefix - Base path with a trailing slash
+ * @param {Transport[]} transports - Allowed transports
+ * @returns {DiffRequest} Parsed request
+ * @throws {RequestError} If the path or options are malformed
+ */
+function parseQuery(url, prefix, transports) {
+  let range;
+  try {
+    range = decodeURIComponent(url.pathname.slice(prefix.length));
+  } catch {
+    throw new RequestError(400, 'Malformed diff path');
+  }
+
+  const parts = range.split(RANGE_SEPARATOR);
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    throw new RequestError(400, `Expected ${prefix}<left>${RANGE_SEPARATOR}<right>`);
+  }
+
+  const left = checkSource(parts[0], 'left', transports);
+
+  // A bare version, range or tag names the left package
+  let right = parts[1];
+  if (!right.includes('@') && !isUrlSpec(right) && !isUrlSpec(/** @type {string} */ (left))) {
+    right = `${parseSpec(/** @type {string} */ (left)).name}@${right}`;
+  }
+
+  /** @type {Record<string, unknown>} */
+  const options = {};
+  for (const name of new Set(url.searchParams.keys())) {
+    const kind = Object.hasOwn(REQUEST_OPTIONS, name) ? REQUEST_OPTIONS[name] : 'string';
+    options[name] = checkOption(name, fromQuery(kind, url.searchParams.getAll(name)));
+  }
+
+  return { left, right: checkSource(right, 'right', transports), options };
+}
+
+/**
+ * Parse a POST request with a JSON body `{ left, right, options }`.
+ *
+ * @param {Request} request - HTTP request
+ * @param {Transport[]} transports - Allowed transports
+ * @returns {Promise<DiffRequest>} Parsed request
+ * @throws {RequestError} If the body or options are malformed
+ */
+async function parseBody(request, transports) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    throw new RequestError(400, 'Request body must be JSON');
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new RequestError(400, 'Request body must be a JSON object');
+  }
+
+  const given = body.options ?? {};
+  if (typeof given !== 'object' || Array.isArray(given)) {
+    throw new RequestError(400, 'Request options must be a JSON object');
+  }
+
+  /** @type {Record<string, unknown>} */
+  const options = {};
+  for (const [name, value] of Object.entries(given)) {
+    options[name] = checkOption(name, value);
+  }
+
+  return {
+    left: checkSource(body.left, 'left', transports),
+    right: checkSource(body.right, 'right', transports),
+    options
+  };
+}
+
+/**
+ * Escape text for HTML.
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Name a package source for an HTML title.
+ *
+ * @param {PackageSource} source - Package source
+ * @returns {string} Spec, or transport name
+ */
+function sourceLabel(source) {
+  return typeof source === 'string' ? source : source.transport;
+}
+
+/**
+ * Compute the diff in the negotiated media type.
+ *
+ * Patches and names are streamed as text; JSON and HTML are built whole.
+ *
+ * @param {string} type - Media type
+ * @param {DiffRequest} request - Parsed request
+ * @returns {Promise<Response>} Diff response
+ */
+async function respond(type, { left, right, options }) {
+  const headers = { 'Content-Type': `${type}; charset=utf-8`, Vary: 'Accept' };
+
+  if (type === 'application/json') {
+    // The JSON body always carries file records, whatever output the query asked for
+    const { output, ...result } = await diffWithStats(left, right, {
+      ...options,
+      format: 'json',
+      nameOnly: false,
+      nameStatus: false
+    });
+    return new Response(JSON.stringify(result), { headers });
+  }
+
+  if (type === 'text/html') {
+    const title = escapeHtml(`${sourceLabel(left)}${RANGE_SEPARATOR}${sourceLabel(right)}`);
+    const output = await diff(left, right, options);
+    const html = '<!doctype html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+      `<title>${title}</title>\n</head>\n<body>\n<pre>${escapeHtml(output)}</pre>\n</body>\n</html>\n`;
+    return new Response(html, { headers });
+  }
+
+  const streamable = (options.format ?? 'patch') === 'patch' || options.nameOnly || options.nameStatus;
+  if (!streamable) {
+    return new Response(await diff(left, right, options), { headers });
+  }
+
+  const { readable } = await diffStream(left, right, options);
+  return new Response(readable.pipeThrough(new TextEncoderStream()), { headers });
+}
+
+/**
+ * Create an HTTP handler that serves package diffs.
+ *
+ * GET `<basePath>/<left>...<right>` takes diff options as query
+ * parameters (`?nameOnly&context=5&include=lib&include=bin`); POST
+ * `<basePath>` takes `{ left, right, options }` as JSON. Responses are
+ * text/plain, application/json or text/html depending on the Accept header.
+ * Malformed requests get 4xx JSON errors and diff failures go through
+ * DiffError.toResponse().
+ *
+ * @param {HandlerOptions} [options] - Handler configuration
+ * @returns {(request: Request) => Promise<Response>} Request handler
+ *
+ * @example
+ * ```js
+ * // Cloudflare Worker
+ * export default { fetch: createHandler() };
+ * ```
+ *
+ * @example
+ * ```js
+ * // Deno or Bun, with renames detected unless a request says otherwise
+ * Deno.serve(createHandler({ defaults: { findRenames: true } }));
+ * Bun.serve({ fetch: createHandler() });
+ * ```
+ */
+export function createHandler(options = {}) {
+  const basePath = (options.basePath ?? '/diff').replace(/\/+$/, '');
+  const prefix = `${basePath}/`;
+  const transports = options.transports ?? [];
+  const { registry } = options;
+  const policy = options.policy ?? {};
+
+  return async function handleRequest(request) {
+    try {
+      const url = new URL(request.url);
+
+      if (url.pathname !== basePath && !url.pathname.startsWith(prefix)) {
+        throw new RequestError(404, `Not found: ${url.pathname}`);
+      }
+
+      /** @type {DiffRequest} */
+      let parsed;
+      if (request.method === 'GET') {
+        parsed = parseQuery(url, prefix, transports);
+      } else if (request.method === 'POST') {
+        parsed = await parseBody(request, transports);
+      } else {
+        throw new RequestError(405, `Method not allowed: ${request.method}`, { Allow: 'GET, POST' });
+      }
+
+      const type = negotiateMediaType(request.headers.get('Accept'));
+      if (!type) {
+        throw new RequestError(406, `Acceptable types: ${MEDIA_TYPES.join(', ')}`);
+      }
+
+      parsed.options = {
+        renameLimit: HANDLER_RENAME_LIMIT,
+        ...options.defaults,
+        ...parsed.options,
+        ...(registry && { registry }),
+        policy,
+        // Stop working for clients that went away
+        signal: request.signal
+      };
+
+      return await respond(type, parsed);
+    } catch (error) {
+      if (error instanceof RequestError || isDiffError(error)) {
+        return error.toResponse();
+      }
+      return new DiffError('DIFF', 'Internal error').toResponse();
+    }
+  };
+}
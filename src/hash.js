@@ -0,0 +1,159 @@
+/**
+ * Git object hashing for npm-diff-worker.
+ *
+ * Computes git blob object IDs - SHA-1 over `blob <size>\0<content>` -
+ * so `index` lines name the same objects git would. Patches then work
+ * with `git apply --3way` and can be correlated with a checkout.
+ *
+ * Hashing uses Web Crypto, which is asynchronous, while formatting is
+ * synchronous. Hashes are therefore computed up front with hashFileMaps()
+ * and recorded beside each file map, like file modes; formatters look
+ * them up with getBlobHash() and fall back to the null ID.
+ *
+ * @module hash
+ */
+
+import { areIdentical } from './diff.js';
+
+/**
+ * Object ID of "no file", used for the missing side of adds and deletes.
+ * @type {string}
+ */
+export const NULL_OID = '0'.repeat(40);
+
+/**
+ * Length of abbreviated object IDs in index lines (git's default).
+ * @type {number}
+ */
+export const ABBREV_LENGTH = 7;
+
+/**
+ * Encoder for the blob header.
+ * @type {TextEncoder}
+ */
+const encoder = new TextEncoder();
+
+/**
+ * Blob hashes recorded per file map.
+ * @type {WeakMap<Map<string, Uint8Array>, Map<string, string>>}
+ */
+const blobHashes = new WeakMap();
+
+/**
+ * Compute the git blob object ID of some content.
+ *
+ * @param {Uint8Array} content - File content
+ * @returns {Promise<string>} 40-character hex SHA-1
+ *
+ * @example
+ * ```js
+ * await hashBlob(new Uint8Array()) // 'e69de29bb2d1d6434b8b29ae775ad8c2e48c5391'
+ * ```
+ */
+export async function hashBlob(content) {
+  const header = encoder.encode(`blob ${content.length}\0`);
+  const object = new Uint8Array(header.length + content.length);
+  object.set(header);
+  object.set(content, header.length);
+
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-1', object));
+
+  let hex = '';
+  for (const byte of digest) {
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * Record the blob hash of a file in a file map.
+ *
+ * @param {Map<string, Uint8Array>} files - File map
+ * @param {string} path - File path
+ * @param {string} oid - 40-character hex object ID
+ */
+export function setBlobHash(files, path, oid) {
+  let hashes = blobHashes.get(files);
+  if (!hashes) {
+    hashes = new Map();
+    blobHashes.set(files, hashes);
+  }
+  hashes.set(path, oid);
+}
+
+/**
+ * Get the recorded blob hash of a file in a file map.
+ *
+ * @param {Map<string, Uint8Array>} files - File map
+ * @param {string} path - File path
+ * @returns {string | undefined} Object ID, or undefined if not hashed
+ */
+export function getBlobHash(files, path) {
+  return blobHashes.get(files)?.get(path);
+}
+
+/**
+ * Hash every file that differs between two file maps.
+ *
+ * Files with identical content on both sides never get an index line,
+ * so they are skipped. Call this before formatting to get real object
+ * IDs in the output.
+ *
+ * @param {Map<string, Uint8Array>} leftTree - Old file tree
+ * @param {Map<string, Uint8Array>} rightTree - New file tree
+ * @returns {Promise<void>}
+ *
+ * @example
+ * ```js
+ * await hashFileMaps(leftFiles, rightFiles);
+ * const { output } = formatDiff(leftFiles, rightFiles);
+ * // index 3b18e51..b0b3a0c 100644
+ * ```
+ */
+export async function hashFileMaps(leftTree, rightTree) {
+  /** @type {Promise<void>[]} */
+  const pending = [];
+
+  /**
+   * @param {Map<string, Uint8Array>} files
+   * @param {string} path
+   * @param {Uint8Array} content
+   */
+  const record = (files, path, content) => {
+    if (getBlobHash(files, path) === undefined) {
+      pending.push(hashBlob(content).then((oid) => setBlobHash(files, path, oid)));
+    }
+  };
+
+  for (const [path, left] of leftTree) {
+    const right = rightTree.get(path);
+    if (right && areIdentical(left, right)) {
+      continue;
+    }
+
+    record(leftTree, path, left);
+    if (right) {
+      record(rightTree, path, right);
+    }
+  }
+
+  for (const [path, right] of rightTree) {
+    if (!leftTree.has(path)) {
+      record(rightTree, path, right);
+    }
+  }
+
+  await Promise.all(pending);
+}
+
+/**
+ * Shorten an object ID for an index line.
+ *
+ * @param {string | undefined} oid - Object ID, or undefined for the null ID
+ * @param {boolean} [full=false] - Keep all 40 characters (--full-index)
+ * @returns {string} Abbreviated or full object ID
+ */
+export function abbreviateHash(oid, full = false) {
+  const id = oid ?? NULL_OID;
+  return full ? id : id.slice(0, ABBREV_LENGTH);
+}
@@ -26,23 +26,71 @@
  * ```
  */
 
-import { fetchTarball, MAX_TARBALL_SIZE } from './fetch.js';
+import { fetchTarball, cacheLocation, registerTransport, unregisterTransport } from './fetch.js';
+import {
+  MAX_TARBALL_SIZE,
+  MAX_UNPACKED_SIZE,
+  MAX_FILE_SIZE,
+  createByteLimitStream,
+  checkLimits
+} from './limits.js';
 import { decompress } from './decompress.js';
-import { extractTarball } from './tar.js';
+import { extractTarball, extractTarballWithOptions, getFileMode, setFileMode } from './tar.js';
 import { formatDiff } from './format.js';
+import { hashBlob, hashFileMaps, getBlobHash } from './hash.js';
+import { encodeBase85, formatBinaryPatch, prepareBinaryPatches } from './binpatch.js';
+import { parseHunks } from './json.js';
+import { streamTreeDiff, assertStreamable } from './stream.js';
+import { compilePathspec, createPathFilter } from './pathspec.js';
+import { createHandler } from './handler.js';
+import { checkUrl, isPrivateAddress } from './policy.js';
+import { createSignal, throwIfAborted } from './signal.js';
+import { DEFAULT_RETRY_STATUSES, parseRetryAfter } from './retry.js';
+import {
+  createMemoryCache,
+  createFsCache,
+  createWebCache,
+  filesCacheKey,
+  getCachedFiles,
+  putCachedFiles
+} from './cache.js';
 import { DiffError, isDiffError, assertDiff, sanitizeCredentials } from './errors.js';
-import { isBinaryPath, shouldPrintPatch, getBinaryExtensions } from './binary.js';
+import {
+  isBinaryPath,
+  isBinaryContent,
+  isBinaryFile,
+  shouldPrintPatch,
+  getBinaryExtensions
+} from './binary.js';
 import { computeDiff, computeTreeDiff, computeFileDiff, decodeBytes } from './diff.js';
+import { detectRenames, estimateSimilarity, similarityIndex } from './rename.js';
+import { parseSpec, resolveSpec, specToSource, DEFAULT_REGISTRY } from './resolve.js';
+import { parseNpmrc, loadNpmrc, pickRegistry, getCredentials } from './npmrc.js';
+import { parseIntegrity, verifyIntegrity, shasumToIntegrity, createIntegrityStream } from './integrity.js';
+import { listPackFiles, readManifest } from './pack.js';
 
 /**
  * Source configuration for fetching a tarball.
  * @typedef {import('./fetch.js').SourceConfig} SourceConfig
  */
 
+/**
+ * Fetches tarballs for a transport added with registerTransport().
+ * @typedef {import('./fetch.js').TransportHandler} TransportHandler
+ */
+
+/**
+ * A package source: either a SourceConfig or an npm package spec string
+ * (e.g. `lodash@^4.17.0`, `react@next`) resolved through the registry.
+ * @typedef {SourceConfig | string} PackageSource
+ */
+
 /**
  * Diff options for controlling comparison and output.
  * @typedef {Object} DiffOptions
  * @property {boolean} [nameOnly] - Only output file names (--diff-name-only)
+ * @property {boolean} [nameStatus] - Only output file names with git status letters
+ *   (A, D, M, R###, C###), tab-separated (--diff-name-status)
  * @property {boolean} [ignoreAllSpace] - Ignore all whitespace changes (--diff-ignore-all-space)
  * @property {boolean} [ignoreSpaceChange] - Ignore changes in whitespace amount (--diff-ignore-space-change)
  * @property {number} [context] - Number of context lines (--diff-unified, default: 3)
@@ -50,6 +98,90 @@ import { computeDiff, computeTreeDiff, computeFileDiff, decodeBytes } from './di
  * @property {string} [srcPrefix] - Source prefix (--diff-src-prefix, default: 'a/')
  * @property {string} [dstPrefix] - Destination prefix (--diff-dst-prefix, default: 'b/')
  * @property {boolean} [text] - Treat all files as text (--diff-text)
+ * @property {string} [registry] - Registry used to resolve package spec strings (--registry)
+ * @property {Npmrc} [npmrc] - npmrc settings for resolving spec strings: scoped registries
+ *   and per-registry credentials, as read by loadNpmrc() or parseNpmrc()
+ * @property {boolean | number} [findRenames] - Detect renames, optionally with a minimum
+ *   similarity in percent (--find-renames[=N%], default: 50)
+ * @property {boolean | number} [findCopies] - Detect copies from modified and deleted
+ *   files as well as renames (--find-copies[=N%])
+ * @property {number} [renameLimit] - Above this many deleted or added files, only
+ *   exact renames are found (default: 1000, as git's diff.renameLimit)
+ * @property {boolean} [fullIndex] - Show full 40-character blob hashes in index lines
+ *   instead of 7-character abbreviations (--full-index)
+ * @property {boolean} [binary] - Emit `GIT binary patch` sections for binary files
+ *   instead of `Binary files ... differ`, so `git apply` can reproduce them (--binary).
+ *   Implies fullIndex.
+ * @property {'patch' | 'json' | 'stat' | 'numstat' | 'shortstat'} [format] - Output format.
+ *   'json' (--json) outputs an array of file records with parsed hunks instead of
+ *   unified diff text; 'stat', 'numstat' and 'shortstat' output git diffstats
+ *   (--stat, --numstat, --shortstat).
+ * @property {number} [statWidth] - Total width of 'stat' output (--stat=N, default: 80)
+ * @property {string[]} [include] - Only diff files matching these pathspecs (positional
+ *   paths in the CLI). Files are filtered during extraction and never buffered.
+ * @property {string[]} [exclude] - Skip files matching these pathspecs (`:!path` in the CLI)
+ * @property {NetworkPolicy} [policy] - Limits on the hosts, schemes and ports the registry
+ *   and the url and s3 transports may fetch from; private addresses are blocked unless allowed
+ * @property {number} [maxRedirects] - Redirects followed per packument or tarball fetch
+ *   (default: 20)
+ * @property {ResourceLimits} [limits] - Per-call limits on tarball, unpacked and file sizes,
+ *   file count, path length and output size (--max-tarball-size, --max-unpacked-size, ...)
+ * @property {AbortSignal} [signal] - Cancels the call: forwarded to every fetch, cancels
+ *   tar streams and is checked between files. Fails with an ABORT DiffError.
+ * @property {number} [timeout] - Milliseconds the call may take before it fails with a
+ *   TIMEOUT DiffError (--timeout)
+ * @property {RetryOptions} [retry] - Retry policy for registry, url and s3 requests;
+ *   without one, nothing is retried (--retries)
+ * @property {typeof fetch} [fetch] - Sends every registry, url and s3 request instead of
+ *   the global fetch, e.g. a service binding, an undici dispatcher or a mock registry
+ * @property {DiffCache} [cache] - Keeps fetched tarballs and extracted file maps, so
+ *   diffing the same versions again skips fetching and extraction (--cache)
+ */
+
+/**
+ * Limits on the URLs fetched by the url and s3 transports.
+ * @typedef {import('./policy.js').NetworkPolicy} NetworkPolicy
+ */
+
+/**
+ * Limits on a tarball, its contents and the diff output.
+ * @typedef {import('./limits.js').ResourceLimits} ResourceLimits
+ */
+
+/**
+ * When and how often to retry a request.
+ * @typedef {import('./retry.js').RetryOptions} RetryOptions
+ */
+
+/**
+ * Storage for tarballs and extracted file maps.
+ * @typedef {import('./cache.js').DiffCache} DiffCache
+ */
+
+/**
+ * Parsed npmrc settings.
+ * @typedef {import('./npmrc.js').Npmrc} Npmrc
+ */
+
+/**
+ * A changed file, as emitted in JSON output.
+ * @typedef {import('./json.js').FileRecord} FileRecord
+ */
+
+/**
+ * A detected rename or copy.
+ * @typedef {import('./rename.js').RenamePair} RenamePair
+ */
+
+/**
+ * Per-file diff output: FileDiff records when iterated, formatted text
+ * through `readable`.
+ * @typedef {import('./stream.js').DiffStream} DiffStream
+ */
+
+/**
+ * Configuration of createHandler().
+ * @typedef {import('./handler.js').HandlerOptions} HandlerOptions
  */
 
 /**
@@ -59,30 +191,151 @@ import { computeDiff, computeTreeDiff, computeFileDiff, decodeBytes } from './di
  * @property {number} filesChanged - Number of files with changes
  * @property {number} filesAdded - Number of files added
  * @property {number} filesDeleted - Number of files deleted
+ * @property {number} filesRenamed - Number of files renamed
+ * @property {number} filesCopied - Number of files copied
+ * @property {number} insertions - Total added lines (not counted with nameOnly/nameStatus)
+ * @property {number} deletions - Total removed lines (not counted with nameOnly/nameStatus)
+ * @property {RenamePair[]} renames - Detected renames and copies
+ * @property {FileRecord[]} [files] - Per-file records, when format is 'json'
  */
 
 /**
- * Acquire and extract a tarball from a source configuration.
+ * Acquire and extract a tarball from a package source.
  *
- * Composes the Fetch -> Decompress -> Untar pipeline.
+ * Composes the Resolve -> Fetch -> Decompress -> Untar pipeline.
  *
- * @param {SourceConfig} config - Source configuration
+ * @param {PackageSource} source - Source configuration or package spec
+ * @param {DiffOptions} [options] - Options carrying the registry and npmrc settings, path
+ *   filters, network policy, resource limits, abort signal, retry policy, fetch
+ *   implementation and cache
  * @returns {Promise<Map<string, Uint8Array>>} Extracted file tree
  * @throws {DiffError} On any pipeline failure
  */
-async function acquireFiles(config) {
-  // Fetch tarball
-  const { stream } = await fetchTarball(config);
+async function acquireFiles(source, options = {}) {
+  const limits = checkLimits(options.limits);
+  const { signal, retry, fetch, cache } = options;
+
+  // Resolve package specs to tarball URLs
+  const config = typeof source === 'string'
+    ? await specToSource(source, {
+      registry: options.registry,
+      npmrc: options.npmrc,
+      policy: options.policy,
+      maxRedirects: options.maxRedirects,
+      signal,
+      retry,
+      fetch
+    })
+    : source;
 
-  // Decompress gzip
-  const tarStream = decompress(stream);
+  // Tarballs with a known integrity may have been extracted before, by a
+  // call that fetched them from the same place with the same credentials
+  const location = cache && config.integrity ? await cacheLocation(config, options) : undefined;
+  const filesKey = location
+    ? filesCacheKey(/** @type {string} */ (config.integrity), location.scope, {
+      include: options.include,
+      exclude: options.exclude,
+      limits
+    })
+    : undefined;
+  const cached = filesKey && await getCachedFiles(/** @type {DiffCache} */ (cache), filesKey);
+  if (cached) {
+    return cached;
+  }
 
-  // Extract tar to file map
-  const files = await extractTarball(tarStream);
+  // Fetch tarball, within the network policy and tarball size limit
+  const { stream, compressed } = await fetchTarball(config, {
+    policy: options.policy,
+    maxRedirects: options.maxRedirects,
+    limits,
+    signal,
+    retry,
+    fetch,
+    cache
+  });
+
+  // Decompress gzip, verifying integrity of the compressed bytes; packed
+  // directories and raw tars from registered transports arrive as plain
+  // tar, verified as they are
+  const tarStream = compressed !== false
+    ? decompress(stream, { integrity: config.integrity, limits })
+    : config.integrity
+      ? stream.pipeThrough(createIntegrityStream(config.integrity))
+      : stream;
+
+  // Extract tar to file map, skipping filtered-out files
+  const filter = createPathFilter(options);
+  const files = filter
+    ? await extractTarballWithOptions(tarStream, { filter, limits, signal })
+    : await extractTarball(tarStream, { limits, signal });
+
+  if (filesKey) {
+    await putCachedFiles(/** @type {DiffCache} */ (cache), filesKey, files);
+  }
 
   return files;
 }
 
+/**
+ * Combine the signal and timeout options into the one signal a call uses.
+ *
+ * The timeout starts now, so it covers the whole call.
+ *
+ * @template {DiffOptions} T
+ * @param {T} options - Call options
+ * @returns {T} Options whose signal also aborts at the timeout
+ * @throws {DiffError} If the timeout is invalid or the signal already aborted
+ */
+function withSignal(options) {
+  const signal = createSignal(options);
+  throwIfAborted(signal);
+  return { ...options, signal };
+}
+
+/**
+ * Compute what formatting needs beyond the file trees.
+ *
+ * Detects renames and copies, hashes changed blobs for the index lines
+ * and, with the binary option, deflates binary patches. Name-only modes
+ * need only the renames.
+ *
+ * @param {Map<string, Uint8Array>} leftFiles - Old file tree
+ * @param {Map<string, Uint8Array>} rightFiles - New file tree
+ * @param {DiffOptions} options - Diff options
+ * @returns {Promise<DiffOptions & { renames: RenamePair[] }>} Options for formatDiff,
+ *   carrying the detected renames
+ */
+async function prepareFiles(leftFiles, rightFiles, options) {
+  // Detection scans every source against every destination, so run it once
+  const prepared = { ...options, renames: detectRenames(leftFiles, rightFiles, options) };
+
+  if (options.nameOnly || options.nameStatus) {
+    return prepared;
+  }
+
+  await hashFileMaps(leftFiles, rightFiles);
+  throwIfAborted(options.signal);
+
+  if (options.binary && (options.format ?? 'patch') === 'patch') {
+    await prepareBinaryPatches(leftFiles, rightFiles, prepared);
+  }
+
+  return prepared;
+}
+
+/**
+ * Check whether a value is a usable package source.
+ *
+ * @param {unknown} source - Value to check
+ * @returns {boolean} True for SourceConfig objects and non-empty spec strings
+ */
+function isPackageSource(source) {
+  if (typeof source === 'string') {
+    return source.length > 0;
+  }
+  return Boolean(source) && typeof source === 'object';
+}
+
 /**
  * Compute a unified diff between two npm package tarballs.
  *
@@ -90,8 +343,8 @@ async function acquireFiles(config) {
  * tarballs, extracts them to in-memory file trees, computes the diff,
  * and returns formatted output.
  *
- * @param {SourceConfig} left - Left (old) package source configuration
- * @param {SourceConfig} right - Right (new) package source configuration
+ * @param {PackageSource} left - Left (old) package source configuration or spec
+ * @param {PackageSource} right - Right (new) package source configuration or spec
  * @param {DiffOptions} [options] - Diff options
  * @returns {Promise<string>} Unified diff output
  * @throws {DiffError} On any operation failure
@@ -107,6 +360,12 @@ async function acquireFiles(config) {
  *
  * @example
  * ```js
+ * // Compare package specs resolved through the registry (like npm diff)
+ * const patch = await diff('lodash@^4.17.0', 'lodash@latest');
+ * ```
+ *
+ * @example
+ * ```js
  * // Compare with authentication
  * const patch = await diff(
  *   {
@@ -131,28 +390,43 @@ async function acquireFiles(config) {
  * const changedFiles = await diff(left, right, { nameOnly: true });
  * // Returns: "lib/index.js\npackage.json\n"
  * ```
+ *
+ * @example
+ * ```js
+ * // Only the lib/ directory, without source maps
+ * const patch = await diff('pkg@1.0.0', 'pkg@2.0.0', {
+ *   include: ['lib'],
+ *   exclude: ['**\/*.map']
+ * });
+ * ```
  */
 export async function diff(left, right, options = {}) {
   assertDiff(
-    left && typeof left === 'object',
+    isPackageSource(left),
     'FETCH',
     'Left source configuration is required'
   );
 
   assertDiff(
-    right && typeof right === 'object',
+    isPackageSource(right),
     'FETCH',
     'Right source configuration is required'
   );
 
+  // One signal for the whole call, aborting at the timeout
+  const callOptions = withSignal(options);
+
   // Fetch and extract both tarballs in parallel
   const [leftFiles, rightFiles] = await Promise.all([
-    acquireFiles(left),
-    acquireFiles(right)
+    acquireFiles(left, callOptions),
+    acquireFiles(right, callOptions)
   ]);
 
+  // Detect renames, hash changed blobs and deflate binary patches
+  const formatOptions = await prepareFiles(leftFiles, rightFiles, callOptions);
+
   // Compute and format diff
-  const result = formatDiff(leftFiles, rightFiles, options);
+  const result = formatDiff(leftFiles, rightFiles, formatOptions);
 
   return result.output;
 }
@@ -162,8 +436,8 @@ export async function diff(left, right, options = {}) {
  *
  * Like diff(), but returns additional information about the changes.
  *
- * @param {SourceConfig} left - Left (old) package source configuration
- * @param {SourceConfig} right - Right (new) package source configuration
+ * @param {PackageSource} left - Left (old) package source configuration or spec
+ * @param {PackageSource} right - Right (new) package source configuration or spec
  * @param {DiffOptions} [options] - Diff options
  * @returns {Promise<DiffResult>} Diff output with statistics
  * @throws {DiffError} On any operation failure
@@ -174,30 +448,128 @@ export async function diff(left, right, options = {}) {
  * console.log(`${result.filesChanged} files changed`);
  * console.log(`${result.filesAdded} files added`);
  * console.log(`${result.filesDeleted} files deleted`);
+ * console.log(`${result.insertions} insertions, ${result.deletions} deletions`);
  * console.log(result.output);
  * ```
+ *
+ * @example
+ * ```js
+ * // Allow a 60MB package, but no more than 5,000 files
+ * const result = await diffWithStats(left, right, {
+ *   limits: { tarballSize: 60 * 1024 * 1024, fileCount: 5000 }
+ * });
+ * ```
+ *
+ * @example
+ * ```js
+ * // Report moved files
+ * const { renames } = await diffWithStats(left, right, { findRenames: true });
+ * for (const { from, to, similarity } of renames) {
+ *   console.log(`${from} => ${to} (${similarity}%)`);
+ * }
+ * ```
+ *
+ * @example
+ * ```js
+ * // Render hunks without parsing patch text
+ * const { files } = await diffWithStats(left, right, { format: 'json' });
+ * for (const file of files ?? []) {
+ *   console.log(file.status, file.path, file.hunks.length);
+ * }
+ * ```
  */
 export async function diffWithStats(left, right, options = {}) {
   assertDiff(
-    left && typeof left === 'object',
+    isPackageSource(left),
     'FETCH',
     'Left source configuration is required'
   );
 
   assertDiff(
-    right && typeof right === 'object',
+    isPackageSource(right),
     'FETCH',
     'Right source configuration is required'
   );
 
+  // One signal for the whole call, aborting at the timeout
+  const callOptions = withSignal(options);
+
   // Fetch and extract both tarballs in parallel
   const [leftFiles, rightFiles] = await Promise.all([
-    acquireFiles(left),
-    acquireFiles(right)
+    acquireFiles(left, callOptions),
+    acquireFiles(right, callOptions)
   ]);
 
+  // Detect renames, hash changed blobs and deflate binary patches
+  const formatOptions = await prepareFiles(leftFiles, rightFiles, callOptions);
+
   // Compute and format diff
-  return formatDiff(leftFiles, rightFiles, options);
+  return formatDiff(leftFiles, rightFiles, formatOptions);
+}
+
+/**
+ * Stream a diff file by file.
+ *
+ * Fetches and extracts both tarballs like diff(), then returns without
+ * formatting anything: files are hashed, diffed and formatted as the
+ * result is consumed, so output starts right away and finished patches
+ * are not kept in memory. Fetch errors still reject the returned promise,
+ * before any output.
+ *
+ * The result is an async iterable of FileDiff records, and its `readable`
+ * is a stream of the text diff() would return. The json and stat formats
+ * need every file at once and are not supported.
+ *
+ * @param {PackageSource} left - Left (old) package source configuration or spec
+ * @param {PackageSource} right - Right (new) package source configuration or spec
+ * @param {DiffOptions} [options] - Diff options
+ * @returns {Promise<DiffStream>} Per-file diff output
+ * @throws {DiffError} On fetch and extraction failures, or a non-patch format
+ *
+ * @example
+ * ```js
+ * // Pipe patches into a Response as they are produced
+ * const { readable } = await diffStream('lodash@4.17.20', 'lodash@4.17.21');
+ * return new Response(readable.pipeThrough(new TextEncoderStream()), {
+ *   headers: { 'Content-Type': 'text/x-diff; charset=utf-8' }
+ * });
+ * ```
+ *
+ * @example
+ * ```js
+ * // Inspect files one at a time
+ * for await (const file of await diffStream(left, right)) {
+ *   console.log(file.status, file.path, file.isBinary);
+ * }
+ * ```
+ */
+export async function diffStream(left, right, options = {}) {
+  assertDiff(
+    isPackageSource(left),
+    'FETCH',
+    'Left source configuration is required'
+  );
+
+  assertDiff(
+    isPackageSource(right),
+    'FETCH',
+    'Right source configuration is required'
+  );
+
+  // Fail before fetching if the format needs every file at once
+  assertStreamable(options);
+
+  // One signal for the call, including reading the stream
+  const callOptions = withSignal(options);
+
+  // Fetch and extract both tarballs in parallel
+  const [leftFiles, rightFiles] = await Promise.all([
+    acquireFiles(left, callOptions),
+    acquireFiles(right, callOptions)
+  ]);
+
+  // Hashes and binary patches are computed per file while streaming
+  return streamTreeDiff(leftFiles, rightFiles, callOptions);
 }
 
 /**
@@ -205,7 +577,11 @@ export async function diffWithStats(left, right, options = {}) {
  *
  * Useful for inspecting package contents without computing a diff.
  *
- * @param {SourceConfig} config - Source configuration
+ * @param {PackageSource} config - Source configuration or package spec
+ * @param {Pick<DiffOptions, 'registry' | 'npmrc' | 'include' | 'exclude' | 'policy' | 'maxRedirects' | 'limits' | 'signal' | 'timeout' | 'retry' | 'fetch' | 'cache'>} [options] - Registry
+ *   and npmrc settings used to resolve package specs, pathspecs limiting which files are extracted, the
+ *   network policy, the redirect limit, resource limits, the abort signal and timeout,
+ *   the retry policy, the fetch implementation and the cache
  * @returns {Promise<Map<string, Uint8Array>>} Extracted file tree
  * @throws {DiffError} On any operation failure
  *
@@ -221,8 +597,8 @@ export async function diffWithStats(left, right, options = {}) {
  * }
  * ```
  */
-export async function extractPackage(config) {
-  return acquireFiles(config);
+export async function extractPackage(config, options = {}) {
+  return acquireFiles(config, withSignal(options));
 }
 
 // Re-export error handling utilities
@@ -236,6 +612,8 @@ export {
 // Re-export binary detection utilities
 export {
   isBinaryPath,
+  isBinaryContent,
+  isBinaryFile,
   shouldPrintPatch,
   getBinaryExtensions
 };
@@ -248,5 +626,110 @@ export {
   decodeBytes
 };
 
-// Re-export size limit constant
-export { MAX_TARBALL_SIZE };
+// Re-export file mode utilities
+export {
+  getFileMode,
+  setFileMode
+};
+
+// Re-export git object hashing utilities
+export {
+  hashBlob,
+  hashFileMaps,
+  getBlobHash
+};
+
+// Re-export binary patch utilities
+export {
+  encodeBase85,
+  formatBinaryPatch,
+  prepareBinaryPatches
+};
+
+// Re-export streaming utilities
+export { streamTreeDiff };
+
+// Re-export HTTP handler
+export { createHandler };
+
+// Re-export transport registry
+export {
+  registerTransport,
+  unregisterTransport
+};
+
+// Re-export cache adapters
+export {
+  createMemoryCache,
+  createFsCache,
+  createWebCache
+};
+
+// Re-export network policy utilities
+export {
+  checkUrl,
+  isPrivateAddress
+};
+
+// Re-export cancellation utilities
+export { createSignal };
+
+// Re-export retry utilities
+export {
+  parseRetryAfter,
+  DEFAULT_RETRY_STATUSES
+};
+
+// Re-export JSON output utilities
+export { parseHunks };
+
+// Re-export pathspec utilities
+export {
+  compilePathspec,
+  createPathFilter
+};
+
+// Re-export rename detection utilities
+export {
+  detectRenames,
+  estimateSimilarity,
+  similarityIndex
+};
+
+// Re-export spec resolution utilities
+export {
+  parseSpec,
+  resolveSpec,
+  specToSource,
+  DEFAULT_REGISTRY
+};
+
+// Re-export npmrc utilities
+export {
+  parseNpmrc,
+  loadNpmrc,
+  pickRegistry,
+  getCredentials
+};
+
+// Re-export integrity utilities
+export {
+  parseIntegrity,
+  verifyIntegrity,
+  shasumToIntegrity
+};
+
+// Re-export local packing utilities
+export {
+  listPackFiles,
+  readManifest
+};
+
+// Re-export resource limit utilities
+export {
+  MAX_TARBALL_SIZE,
+  MAX_UNPACKED_SIZE,
+  MAX_FILE_SIZE,
+  createByteLimitStream,
+  checkLimits
+};
@@ -0,0 +1,196 @@
+/**
+ * Tarball integrity verification for npm-diff-worker.
+ *
+ * Checks that the bytes we diff are the bytes the registry vouched for,
+ * using Subresource Integrity strings (`sha512-...`, `sha1-...`) as published
+ * in a packument's `dist.integrity`, or a legacy hex `dist.shasum`.
+ *
+ * Hashing uses Web Crypto (`crypto.subtle.digest`), available in all target
+ * runtimes. Web Crypto has no incremental digest API, so the verifier
+ * retains the compressed bytes as they stream through and hashes them once
+ * the source ends. Compressed tarballs are bounded by MAX_TARBALL_SIZE.
+ *
+ * @module integrity
+ */
+
+import { DiffError } from './errors.js';
+
+/**
+ * Supported SRI algorithms mapped to Web Crypto names, strongest first.
+ * @type {Map<string, string>}
+ */
+const ALGORITHMS = new Map([
+  ['sha512', 'SHA-512'],
+  ['sha384', 'SHA-384'],
+  ['sha256', 'SHA-256'],
+  ['sha1', 'SHA-1']
+]);
+
+/**
+ * A single hash from an SRI string.
+ * @typedef {Object} IntegrityHash
+ * @property {string} algorithm - SRI algorithm name (e.g. 'sha512')
+ * @property {string} digest - Base64-encoded digest
+ */
+
+/**
+ * Parse an SRI string into its supported hashes, strongest algorithm first.
+ *
+ * Unknown algorithms are ignored, as the SRI spec requires. Options
+ * (`?foo`) after a digest are stripped.
+ *
+ * @param {string} integrity - SRI string, possibly with several space-separated hashes
+ * @returns {IntegrityHash[]} Supported hashes, strongest first
+ * @throws {DiffError} If the string contains no supported hash
+ *
+ * @example
+ * ```js
+ * parseIntegrity('sha1-deadbeef sha512-abc123==')
+ * // [{ algorithm: 'sha512', digest: 'abc123==' }, { algorithm: 'sha1', digest: 'deadbeef' }]
+ * ```
+ */
+export function parseIntegrity(integrity) {
+  if (typeof integrity !== 'string') {
+    throw new DiffError('INTEGRITY', 'Integrity must be an SRI string');
+  }
+
+  /** @type {IntegrityHash[]} */
+  const hashes = [];
+
+  for (const token of integrity.trim().split(/\s+/)) {
+    const dash = token.indexOf('-');
+    if (dash === -1) {
+      continue;
+    }
+
+    const algorithm = token.slice(0, dash).toLowerCase();
+    const digest = token.slice(dash + 1).split('?')[0];
+
+    if (ALGORITHMS.has(algorithm) && digest) {
+      hashes.push({ algorithm, digest });
+    }
+  }
+
+  if (hashes.length === 0) {
+    throw new DiffError('INTEGRITY', `Invalid or unsupported integrity: ${integrity}`);
+  }
+
+  const order = [...ALGORITHMS.keys()];
+  return hashes.sort((a, b) => order.indexOf(a.algorithm) - order.indexOf(b.algorithm));
+}
+
+/**
+ * Convert a legacy hex `dist.shasum` to an SRI string.
+ *
+ * @param {string} shasum - Hex-encoded SHA-1 digest
+ * @returns {string} SRI string (`sha1-<base64>`)
+ *
+ * @example
+ * ```js
+ * shasumToIntegrity('da39a3ee5e6b4b0d3255bfef95601890afd80709')
+ * // → 'sha1-2jmj7l5rSw0yVb/vlWAYkK/YBwk='
+ * ```
+ */
+export function shasumToIntegrity(shasum) {
+  const bytes = new Uint8Array(shasum.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(shasum.slice(i * 2, i * 2 + 2), 16);
+  }
+  return `sha1-${bytesToBase64(bytes)}`;
+}
+
+/**
+ * Encode bytes as base64.
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Verify bytes against an SRI string.
+ *
+ * Only the strongest algorithm present is checked; the bytes match if
+ * any digest for that algorithm matches (matching ssri semantics).
+ *
+ * @param {Uint8Array} bytes - Bytes to verify
+ * @param {string} integrity - Expected SRI string
+ * @returns {Promise<void>}
+ * @throws {DiffError} With phase INTEGRITY on mismatch or invalid SRI
+ *
+ * @example
+ * ```js
+ * await verifyIntegrity(tarballBytes, 'sha512-...');
+ * ```
+ */
+export async function verifyIntegrity(bytes, integrity) {
+  const hashes = parseIntegrity(integrity);
+  const { algorithm } = hashes[0];
+
+  const digest = await crypto.subtle.digest(
+    /** @type {string} */ (ALGORITHMS.get(algorithm)),
+    // Uint8Array<ArrayBufferLike> is a valid BufferSource at runtime
+    /** @type {BufferSource} */ (bytes)
+  );
+  const actual = bytesToBase64(new Uint8Array(digest));
+
+  const matches = hashes.some((hash) => hash.algorithm === algorithm && hash.digest === actual);
+
+  if (!matches) {
+    throw new DiffError(
+      'INTEGRITY',
+      `Integrity check failed: expected ${hashes[0].algorithm}-${hashes[0].digest}, got ${algorithm}-${actual}`
+    );
+  }
+}
+
+/**
+ * Create a pass-through TransformStream that verifies integrity.
+ *
+ * Chunks are forwarded unchanged. When the source ends, the retained bytes
+ * are hashed and the stream errors with an INTEGRITY DiffError on mismatch,
+ * so downstream consumers (decompress, untar) fail instead of producing a
+ * diff of unverified content.
+ *
+ * @param {string} integrity - Expected SRI string
+ * @returns {TransformStream<Uint8Array, Uint8Array>} Verifying transform stream
+ * @throws {DiffError} Immediately if the SRI string is invalid
+ *
+ * @example
+ * ```js
+ * const verified = stream.pipeThrough(createIntegrityStream('sha512-...'));
+ * ```
+ */
+export function createIntegrityStream(integrity) {
+  // Validate eagerly so bad input fails before any bytes flow
+  parseIntegrity(integrity);
+
+  /** @type {Uint8Array[]} */
+  const chunks = [];
+  let totalLength = 0;
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      chunks.push(chunk);
+      totalLength += chunk.length;
+      controller.enqueue(chunk);
+    },
+    async flush() {
+      const bytes = new Uint8Array(totalLength);
+      let offset = 0;
+      for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+      }
+      chunks.length = 0;
+
+      await verifyIntegrity(bytes, integrity);
+    }
+  });
+}
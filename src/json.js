@@ -0,0 +1,205 @@
+/**
+ * Structured JSON output for npm-diff-worker.
+ *
+ * Turns each file of a diff into a plain record - path, status, modes,
+ * sizes, blob hashes and parsed hunks - so consumers can render diffs
+ * without re-parsing unified diff text.
+ *
+ * Hunk ranges keep the values of the `@@` header, so an empty side
+ * starts at line 0 as in git.
+ *
+ * @module json
+ */
+
+/**
+ * Git metadata of the two sides of a file diff.
+ * @typedef {import('./diff.js').FileMeta} FileMeta
+ */
+
+/**
+ * A line of a hunk.
+ * @typedef {Object} DiffLine
+ * @property {'context' | 'add' | 'delete'} type - Line type
+ * @property {string} content - Line text, without the diff marker or newline
+ * @property {number} [oldLine] - Line number in the old file (context and delete lines)
+ * @property {number} [newLine] - Line number in the new file (context and add lines)
+ * @property {boolean} [noNewlineAtEnd] - The line ends its file without a newline
+ */
+
+/**
+ * A parsed hunk.
+ * @typedef {Object} DiffHunk
+ * @property {number} oldStart - First old line (0 if the old range is empty)
+ * @property {number} oldLines - Number of old lines
+ * @property {number} newStart - First new line (0 if the new range is empty)
+ * @property {number} newLines - Number of new lines
+ * @property {DiffLine[]} lines - Lines of the hunk
+ */
+
+/**
+ * A changed file, as emitted in JSON output.
+ * @typedef {Object} FileRecord
+ * @property {string} path - File path (the destination for renames and copies)
+ * @property {string} [oldPath] - Source path, for renames and copies
+ * @property {'modified' | 'added' | 'deleted' | 'renamed' | 'copied'} status - Change type
+ * @property {boolean} binary - Whether the file was treated as binary (no hunks)
+ * @property {number} [similarity] - Similarity index in percent, for renames and copies
+ * @property {string} [oldMode] - Old file mode (e.g. '100644'), absent for added files
+ * @property {string} [newMode] - New file mode, absent for deleted files
+ * @property {number} [oldSize] - Old size in bytes, absent for added files
+ * @property {number} [newSize] - New size in bytes, absent for deleted files
+ * @property {string} [oldHash] - Old blob object ID, if hashed
+ * @property {string} [newHash] - New blob object ID, if hashed
+ * @property {number} insertions - Added lines (0 for binary files)
+ * @property {number} deletions - Removed lines (0 for binary files)
+ * @property {DiffHunk[]} hunks - Parsed hunks (empty for binary and mode-only changes)
+ */
+
+/**
+ * Inputs for building a file record.
+ * @typedef {Object} FileRecordInit
+ * @property {string} path - File path
+ * @property {string} [oldPath] - Source path, for renames and copies
+ * @property {FileRecord['status']} status - Change type
+ * @property {boolean} [binary] - Whether the file is binary
+ * @property {number} [similarity] - Similarity index, for renames and copies
+ * @property {Uint8Array} [left] - Old content
+ * @property {Uint8Array} [right] - New content
+ * @property {string | null} [patch] - Unified diff patch
+ * @property {FileMeta} [meta] - Modes and hashes
+ */
+
+/**
+ * Hunk header, with optional counts as git allows.
+ * @type {RegExp}
+ */
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Parse the hunks of a unified diff patch.
+ *
+ * @param {string | null | undefined} patch - Patch text for a single file
+ * @returns {DiffHunk[]} Parsed hunks
+ *
+ * @example
+ * ```js
+ * const { patch } = computeFileDiff('x', encode('a\n'), encode('b\n'));
+ * parseHunks(patch);
+ * // [{ oldStart: 1, oldLines: 1, newStart: 1, newLines: 1, lines: [
+ * //   { type: 'delete', content: 'a', oldLine: 1 },
+ * //   { type: 'add', content: 'b', newLine: 1 }
+ * // ] }]
+ * ```
+ */
+export function parseHunks(patch) {
+  /** @type {DiffHunk[]} */
+  const hunks = [];
+
+  if (!patch) {
+    return hunks;
+  }
+
+  /** @type {DiffHunk | null} */
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of patch.split('\n')) {
+    const header = HUNK_HEADER.exec(line);
+    if (header) {
+      hunk = {
+        oldStart: Number(header[1]),
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        lines: []
+      };
+      hunks.push(hunk);
+      oldLine = hunk.oldStart;
+      newLine = hunk.newStart;
+      continue;
+    }
+
+    if (!hunk) {
+      continue; // File headers
+    }
+
+    switch (line[0]) {
+      case ' ':
+        hunk.lines.push({ type: 'context', content: line.slice(1), oldLine: oldLine++, newLine: newLine++ });
+        break;
+
+      case '-':
+        hunk.lines.push({ type: 'delete', content: line.slice(1), oldLine: oldLine++ });
+        break;
+
+      case '+':
+        hunk.lines.push({ type: 'add', content: line.slice(1), newLine: newLine++ });
+        break;
+
+      case '\\': {
+        // "\ No newline at end of file" marks the line before it
+        const last = hunk.lines[hunk.lines.length - 1];
+        if (last) {
+          last.noNewlineAtEnd = true;
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Build the JSON record of a changed file.
+ *
+ * @param {FileRecordInit} init - File details
+ * @returns {FileRecord} File record
+ */
+export function createFileRecord(init) {
+  const { path, oldPath, status, binary = false, similarity, left, right, patch, meta = {} } = init;
+  const hunks = binary ? [] : parseHunks(patch);
+
+  let insertions = 0;
+  let deletions = 0;
+  for (const hunk of hunks) {
+    for (const line of hunk.lines) {
+      if (line.type === 'add') {
+        insertions++;
+      } else if (line.type === 'delete') {
+        deletions++;
+      }
+    }
+  }
+
+  return {
+    path,
+    ...(oldPath !== undefined && { oldPath }),
+    status,
+    binary,
+    ...(similarity !== undefined && { similarity }),
+    ...(left && meta.oldMode && { oldMode: meta.oldMode }),
+    ...(right && meta.newMode && { newMode: meta.newMode }),
+    ...(left && { oldSize: left.length }),
+    ...(right && { newSize: right.length }),
+    ...(left && meta.oldHash && { oldHash: meta.oldHash }),
+    ...(right && meta.newHash && { newHash: meta.newHash }),
+    insertions,
+    deletions,
+    hunks
+  };
+}
+
+/**
+ * Serialize file records as JSON output.
+ *
+ * @param {FileRecord[]} records - File records
+ * @returns {string} Pretty-printed JSON array with a trailing newline
+ */
+export function formatJson(records) {
+  return JSON.stringify(records, null, 2) + '\n';
+}
@@ -0,0 +1,326 @@
+/**
+ * npmrc support for npm-diff-worker.
+ *
+ * Reads registry configuration the way npm does, so specs resolve against
+ * the same registries and with the same credentials as `npm diff`:
+ *
+ * - `@scope:registry=URL` picks the registry for a scope's packages
+ * - `//host/path/:_authToken=TOKEN` authenticates requests below that URL
+ *   with a bearer token; `_auth` (base64 `user:pass`) and
+ *   `username` + `_password` (base64 password) use basic auth instead
+ * - `${VAR}` in keys and values is replaced from the environment;
+ *   `${VAR?}` becomes empty when VAR is unset, `\${VAR}` stays as written
+ *
+ * Parsing and lookups work on any runtime. loadNpmrc() reads the project,
+ * user and global npmrc files, and is only available on Node.js, Bun, and
+ * Deno (with --allow-read and --allow-env).
+ *
+ * @module npmrc
+ */
+
+import { DiffError } from './errors.js';
+
+/**
+ * Parsed npmrc settings, keyed as written (`registry`, `@scope:registry`,
+ * `//host/:_authToken`, ...).
+ * @typedef {Record<string, string>} Npmrc
+ */
+
+/**
+ * Where loadNpmrc() looks for npmrc files.
+ * @typedef {Object} LoadNpmrcOptions
+ * @property {string} [cwd] - Directory the project npmrc is looked up from (default: process.cwd())
+ * @property {Record<string, string | undefined>} [env] - Environment for `${VAR}` and
+ *   file locations (default: process.env)
+ */
+
+/**
+ * Credentials for a request, as taken by SourceConfig and ResolveOptions.
+ * @typedef {Object} NpmrcCredentials
+ * @property {import('./fetch.js').AuthType} auth - Authentication type
+ * @property {string} credential - Token for bearer, base64 user:pass for basic
+ */
+
+/**
+ * `${VAR}` references, with any backslashes escaping them.
+ * @type {RegExp}
+ */
+const ENV_REFERENCE = /(\\*)\$\{([^${}?]+)(\?)?\}/g;
+
+/**
+ * Replace `${VAR}` references the way npm does.
+ *
+ * Unset variables are left as written, unless marked optional with `?`.
+ * An odd number of backslashes escapes the reference; pairs of
+ * backslashes stand for one.
+ *
+ * @param {string} text - Key or value from an npmrc file
+ * @param {Record<string, string | undefined>} env - Environment variables
+ * @returns {string} Text with references replaced
+ */
+function replaceEnv(text, env) {
+  return text.replace(ENV_REFERENCE, (match, escapes, name, optional) => {
+    if (escapes.length % 2) {
+      return match.slice((escapes.length + 1) / 2);
+    }
+    const value = env[name] ?? (optional ? '' : `\${${name}}`);
+    return escapes.slice(escapes.length / 2) + value;
+  });
+}
+
+/**
+ * Parse the contents of an npmrc file.
+ *
+ * Follows the ini format npm reads: `key=value` lines, `#` and `;`
+ * comments, and optionally quoted values. Section headers are ignored.
+ *
+ * @param {string} text - File contents
+ * @param {Record<string, string | undefined>} [env] - Environment for `${VAR}` references
+ * @returns {Npmrc} Settings in file order, later keys winning
+ *
+ * @example
+ * ```js
+ * parseNpmrc('@myorg:registry=https://npm.example.com/\n' +
+ *   '//npm.example.com/:_authToken=${NPM_TOKEN}', { NPM_TOKEN: 'npm_abc' })
+ * // {
+ * //   '@myorg:registry': 'https://npm.example.com/',
+ * //   '//npm.example.com/:_authToken': 'npm_abc'
+ * // }
+ * ```
+ */
+export function parseNpmrc(text, env = {}) {
+  /** @type {Npmrc} */
+  const npmrc = {};
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';') || line.startsWith('[')) {
+      continue;
+    }
+
+    const eq = line.indexOf('=');
+    const key = replaceEnv((eq === -1 ? line : line.slice(0, eq)).trim(), env);
+    let value = eq === -1 ? 'true' : line.slice(eq + 1).trim();
+
+    if (value.length > 1 && (value[0] === '"' || value[0] === "'") && value.at(-1) === value[0]) {
+      value = value.slice(1, -1);
+    }
+
+    if (key) {
+      npmrc[key] = replaceEnv(value, env);
+    }
+  }
+
+  return npmrc;
+}
+
+/**
+ * Pick the registry for a package.
+ *
+ * As in npm, a registry configured for the package's scope wins, then
+ * the registry given explicitly, then the npmrc `registry`.
+ *
+ * @param {string} name - Package name
+ * @param {Npmrc} npmrc - npmrc settings
+ * @param {string} [registry] - Registry given explicitly, e.g. on the command line
+ * @returns {string | undefined} Registry URL, if any is configured
+ *
+ * @example
+ * ```js
+ * pickRegistry('@myorg/pkg', { '@myorg:registry': 'https://npm.example.com/' })
+ * // → 'https://npm.example.com/'
+ * ```
+ */
+export function pickRegistry(name, npmrc, registry = undefined) {
+  const scope = name.startsWith('@') ? name.slice(0, name.indexOf('/')) : '';
+  return (scope && npmrc[`${scope}:registry`]) || registry || npmrc.registry || undefined;
+}
+
+/**
+ * Decode base64 to text, as UTF-8.
+ *
+ * @param {string} base64 - Base64 text
+ * @returns {string} Decoded text
+ */
+function decodeBase64(base64) {
+  return new TextDecoder().decode(Uint8Array.from(atob(base64), (c) => c.charCodeAt(0)));
+}
+
+/**
+ * Encode text, as UTF-8, in base64.
+ *
+ * @param {string} text - Text to encode
+ * @returns {string} Base64 text
+ */
+function encodeBase64(text) {
+  return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+}
+
+/**
+ * Credentials configured for one npmrc key prefix (`//host/path/`).
+ *
+ * @param {Npmrc} npmrc - npmrc settings
+ * @param {string} prefix - Key prefix
+ * @returns {NpmrcCredentials | undefined} Credentials, if any are configured
+ */
+function credentialsAt(npmrc, prefix) {
+  const token = npmrc[`${prefix}:_authToken`];
+  if (token) {
+    return { auth: 'bearer', credential: token };
+  }
+
+  const username = npmrc[`${prefix}:username`];
+  const password = npmrc[`${prefix}:_password`];
+  if (username && password) {
+    try {
+      return { auth: 'basic', credential: encodeBase64(`${username}:${decodeBase64(password)}`) };
+    } catch (error) {
+      throw DiffError.wrap('AUTH', error, `Invalid ${prefix}:_password, expected base64`);
+    }
+  }
+
+  const auth = npmrc[`${prefix}:_auth`];
+  if (auth) {
+    return { auth: 'basic', credential: auth };
+  }
+
+  return undefined;
+}
+
+/**
+ * Find the npmrc credentials for a request URL.
+ *
+ * Like npm-registry-fetch, keys are matched on host and path without the
+ * protocol ("nerf darts"), from the full URL up to the bare host, so
+ * `//npm.example.com/:_authToken` covers every package and tarball on
+ * that registry. `_authToken` wins over `username` + `_password`, which
+ * wins over `_auth`.
+ *
+ * @param {string} url - Packument or tarball URL
+ * @param {Npmrc} npmrc - npmrc settings
+ * @returns {NpmrcCredentials | undefined} Credentials, if any are configured
+ * @throws {DiffError} With phase AUTH if `_password` is not valid base64
+ *
+ * @example
+ * ```js
+ * getCredentials('https://npm.example.com/@myorg%2fpkg', {
+ *   '//npm.example.com/:_authToken': 'npm_abc'
+ * })
+ * // → { auth: 'bearer', credential: 'npm_abc' }
+ * ```
+ */
+export function getCredentials(url, npmrc) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return undefined;
+  }
+
+  // Walk up by dropping either the last segment or the trailing slash,
+  // so both `//host/path/:_authToken` and `//host/path:_authToken` match
+  let prefix = `//${parsed.host}${parsed.pathname}`;
+  while (prefix.length > '//'.length) {
+    const credentials = credentialsAt(npmrc, prefix);
+    if (credentials) {
+      return credentials;
+    }
+    prefix = prefix.replace(/([^/]+|\/)$/, '');
+  }
+
+  return undefined;
+}
+
+/**
+ * Load the npmrc files npm would read, merged in npm's order of precedence:
+ * the project `.npmrc` over the user `~/.npmrc` over the global
+ * `$PREFIX/etc/npmrc`.
+ *
+ * The project npmrc is the one next to the nearest package.json (or
+ * node_modules) above `cwd`. The user and global files can be moved with
+ * `npm_config_userconfig` and `npm_config_globalconfig`, as in npm.
+ * Missing files are skipped.
+ *
+ * @param {LoadNpmrcOptions} [options] - Working directory and environment
+ * @returns {Promise<Npmrc>} Merged settings
+ * @throws {DiffError} With phase RESOLVE if the runtime has no filesystem
+ *   access or a file cannot be read
+ *
+ * @example
+ * ```js
+ * const npmrc = await loadNpmrc();
+ * const config = await specToSource('@myorg/pkg@1.0.0', { npmrc });
+ * ```
+ */
+export async function loadNpmrc(options = {}) {
+  /** @type {typeof import('node:fs/promises')} */
+  let fsp;
+  /** @type {typeof import('node:path')} */
+  let nodePath;
+  /** @type {typeof import('node:os')} */
+  let os;
+  try {
+    fsp = await import('node:fs/promises');
+    nodePath = await import('node:path');
+    os = await import('node:os');
+  } catch (importError) {
+    throw new DiffError(
+      'RESOLVE',
+      'Loading npmrc files requires Node.js, Bun, or Deno with --allow-read. ' +
+      'This runtime does not support filesystem access.',
+      importError instanceof Error ? importError : undefined
+    );
+  }
+
+  const { cwd = process.cwd(), env = process.env } = options;
+
+  /**
+   * @param {string} file - Path to read
+   * @returns {Promise<string>} Contents, or '' if the file does not exist
+   */
+  const read = async (file) => {
+    try {
+      return await fsp.readFile(file, 'utf8');
+    } catch (error) {
+      const code = /** @type {any} */ (error).code;
+      if (code === 'ENOENT' || code === 'ENOTDIR') {
+        return '';
+      }
+      throw DiffError.wrap('RESOLVE', error, `Cannot read ${file}`);
+    }
+  };
+
+  /**
+   * @param {string} path - Path to check
+   * @returns {Promise<boolean>} Whether it exists
+   */
+  const exists = (path) => fsp.access(path).then(() => true, () => false);
+
+  let project = nodePath.resolve(cwd);
+  for (let dir = project; ; dir = nodePath.dirname(dir)) {
+    if (await exists(nodePath.join(dir, 'package.json')) || await exists(nodePath.join(dir, 'node_modules'))) {
+      project = dir;
+      break;
+    }
+    if (nodePath.dirname(dir) === dir) {
+      break;
+    }
+  }
+
+  const prefix = env.npm_config_prefix || env.PREFIX || (process.platform === 'win32'
+    ? nodePath.dirname(process.execPath)
+    : nodePath.dirname(nodePath.dirname(process.execPath)));
+
+  const files = [
+    env.npm_config_globalconfig || nodePath.join(prefix, 'etc', 'npmrc'),
+    env.npm_config_userconfig || nodePath.join(os.homedir(), '.npmrc'),
+    nodePath.join(project, '.npmrc')
+  ];
+
+  /** @type {Npmrc} */
+  const npmrc = {};
+  for (const file of new Set(files)) {
+    Object.assign(npmrc, parseNpmrc(await read(file), env));
+  }
+  return npmrc;
+}
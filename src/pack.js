@@ -0,0 +1,529 @@
+/**
+ * Local package packing for npm-diff-worker.
+ *
+ * Emulates `npm pack` file selection (npm-packlist) so an unpacked project
+ * directory can be diffed against a published tarball, the way `npm diff`
+ * compares the current working directory against the registry.
+ *
+ * Selection rules, in order of precedence:
+ * 1. Always excluded: VCS directories, node_modules, editor/OS litter,
+ *    `.npmrc`, `npm-debug.log`, root lockfiles (`package-lock.json`,
+ *    `yarn.lock`, `pnpm-lock.yaml`), ...
+ * 2. Always included: `package.json`, root README/LICENSE/LICENCE/COPYING,
+ *    the `main` file and every `bin` file
+ * 3. `package.json` `files` allowlist, when present
+ * 4. `.npmignore` in each directory, falling back to `.gitignore`
+ *    (the root ignore file does not apply when `files` is present)
+ *
+ * Only available on Node.js, Bun, and Deno (with --allow-read).
+ *
+ * @module pack
+ */
+
+import { packTar } from 'modern-tar';
+import { DiffError } from './errors.js';
+import { compileGlob } from './glob.js';
+import { formatBytes } from './limits.js';
+
+/**
+ * Files read at once while packing, well below common open-file limits.
+ * @type {number}
+ */
+const READ_CONCURRENCY = 16;
+
+/**
+ * Directory names that are never packed.
+ * @type {Set<string>}
+ */
+const EXCLUDED_DIRS = new Set(['.git', 'CVS', '.svn', '.hg', 'node_modules']);
+
+/**
+ * File name patterns that are never packed, at any depth.
+ * @type {RegExp[]}
+ */
+const EXCLUDED_FILES = [
+  /^\..*\.swp$/,
+  /^\.DS_Store$/,
+  /^\._/,
+  /^npm-debug\.log$/,
+  /^\.npmrc$/,
+  /\.orig$/,
+  /^\.npmignore$/,
+  /^\.gitignore$/
+];
+
+/**
+ * Paths relative to the package root that are never packed, anchored at
+ * the root as in npm-packlist (`/.lock-wscript`, `/build/config.gypi`, ...).
+ * @type {RegExp[]}
+ */
+const EXCLUDED_ROOT_FILES = [
+  /^package-lock\.json$/,
+  /^yarn\.lock$/,
+  /^pnpm-lock\.yaml$/,
+  /^\.lock-wscript$/,
+  /^\.wafpickle-[^/]*$/,
+  /^build\/config\.gypi$/
+];
+
+/**
+ * Root-level directories that are never packed.
+ * @type {Set<string>}
+ */
+const EXCLUDED_ROOT_DIRS = new Set(['archived-packages']);
+
+/**
+ * Root-level files that are always packed, regardless of `files` or ignore rules.
+ * @type {RegExp}
+ */
+const ALWAYS_INCLUDED_ROOT = /^(?:package\.json|(?:readme|license|licence|copying)(?:\..*)?)$/i;
+
+/**
+ * A compiled ignore or `files` rule.
+ * @typedef {Object} PackRule
+ * @property {import('./glob.js').GlobMatcher} matcher - Matches paths relative to the rule's base directory
+ * @property {boolean} negate - Whether the rule re-includes (`!pattern`)
+ * @property {boolean} dirOnly - Whether the rule only matches directories (`pattern/`)
+ */
+
+/**
+ * Ignore rules scoped to the directory that declared them.
+ * @typedef {Object} IgnoreScope
+ * @property {string} base - Directory containing the ignore file, relative to the package root
+ * @property {PackRule[]} rules - Compiled rules
+ */
+
+/**
+ * A file selected for packing.
+ * @typedef {Object} PackedFile
+ * @property {string} path - Path relative to the package root, `/`-separated
+ * @property {Uint8Array} content - File contents
+ * @property {number} mode - Normalized file mode (0o644 or 0o755)
+ */
+
+/**
+ * Parse `.npmignore` / `.gitignore` contents into rules.
+ *
+ * Follows gitignore semantics: patterns without a slash match at any depth,
+ * patterns with a slash are anchored to the ignore file's directory, a
+ * trailing slash matches only directories, and `!` re-includes.
+ *
+ * @param {string} text - Ignore file contents
+ * @returns {PackRule[]} Compiled rules, in file order
+ *
+ * @example
+ * ```js
+ * const rules = parseIgnoreRules('*.log\n/test/\n!keep.log');
+ * ```
+ */
+export function parseIgnoreRules(text) {
+  /** @type {PackRule[]} */
+  const rules = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    // Trailing spaces are ignored unless escaped
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const negate = line.startsWith('!');
+    if (negate) {
+      line = line.slice(1);
+    }
+
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) {
+      line = line.replace(/\/+$/, '');
+    }
+
+    const anchored = line.includes('/');
+    line = line.replace(/^\/+/, '');
+
+    if (!line) {
+      continue;
+    }
+
+    rules.push({
+      matcher: compileGlob(line, { matchBase: !anchored }),
+      negate,
+      dirOnly
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Compile `package.json` `files` entries into rules.
+ *
+ * Each entry matches the named path and everything beneath it, so both
+ * `lib` and `lib/` include the whole directory.
+ *
+ * @param {string[]} files - `files` field entries
+ * @returns {PackRule[]} Compiled rules
+ */
+function parseFilesRules(files) {
+  /** @type {PackRule[]} */
+  const rules = [];
+
+  for (const entry of files) {
+    if (typeof entry !== 'string') {
+      continue;
+    }
+
+    let pattern = entry.trim();
+    const negate = pattern.startsWith('!');
+    if (negate) {
+      pattern = pattern.slice(1);
+    }
+
+    pattern = pattern.replace(/^(?:\.\/|\/)+/, '').replace(/\/+$/, '');
+
+    if (!pattern) {
+      continue;
+    }
+
+    rules.push({
+      matcher: compileGlob(pattern, { matchBelow: true }),
+      negate,
+      dirOnly: false
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Apply rules in order; the last matching rule decides.
+ *
+ * @param {PackRule[]} rules - Rules to apply
+ * @param {string} path - Path relative to the rules' base directory
+ * @param {boolean} isDir - Whether the path is a directory
+ * @param {boolean} initial - Result when no rule matches
+ * @returns {boolean} Whether the last matching rule was a positive match
+ */
+function applyRules(rules, path, isDir, initial) {
+  let matched = initial;
+
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) {
+      continue;
+    }
+    if (rule.matcher.test(path)) {
+      matched = !rule.negate;
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * Check whether a path is ignored by the ignore files above it.
+ *
+ * @param {IgnoreScope[]} scopes - Ignore scopes from the root down
+ * @param {string} path - Path relative to the package root
+ * @param {boolean} isDir - Whether the path is a directory
+ * @returns {boolean} True if ignored
+ */
+function isIgnored(scopes, path, isDir) {
+  let ignored = false;
+
+  for (const { base, rules } of scopes) {
+    const relative = base ? path.slice(base.length + 1) : path;
+    ignored = applyRules(rules, relative, isDir, ignored);
+  }
+
+  return ignored;
+}
+
+/**
+ * Normalize a manifest path (`main`, `bin`) to a package-relative path.
+ *
+ * @param {unknown} path - Path from package.json
+ * @returns {string | null} Normalized path, or null if not a string
+ */
+function normalizeManifestPath(path) {
+  if (typeof path !== 'string' || !path) {
+    return null;
+  }
+  return path.replace(/\\/g, '/').replace(/^(?:\.\/|\/)+/, '');
+}
+
+/**
+ * Load Node.js filesystem modules, failing clearly on edge runtimes.
+ *
+ * @returns {Promise<{ fsp: any, nodePath: any }>} fs/promises and path modules
+ * @throws {DiffError} If the runtime has no filesystem access
+ */
+async function loadFs() {
+  try {
+    return {
+      fsp: await import('node:fs/promises'),
+      nodePath: await import('node:path')
+    };
+  } catch (importError) {
+    throw new DiffError(
+      'FETCH',
+      'Directory transport requires Node.js, Bun, or Deno with --allow-read. ' +
+      'This runtime does not support filesystem access.',
+      importError instanceof Error ? importError : undefined
+    );
+  }
+}
+
+/**
+ * Read and parse a directory's package.json.
+ *
+ * @param {string} dir - Package directory
+ * @returns {Promise<Record<string, any>>} Parsed manifest
+ * @throws {DiffError} If package.json is missing or invalid
+ */
+export async function readManifest(dir) {
+  const { fsp, nodePath } = await loadFs();
+  const manifestPath = nodePath.join(dir, 'package.json');
+
+  /** @type {string} */
+  let text;
+  try {
+    text = await fsp.readFile(manifestPath, 'utf8');
+  } catch (error) {
+    const err = /** @type {any} */ (error);
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+      throw new DiffError('FETCH', `No package.json found in ${dir}`);
+    }
+    throw DiffError.wrap('FETCH', error, `Cannot read ${manifestPath}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw DiffError.wrap('FETCH', error, `Invalid package.json in ${dir}`);
+  }
+}
+
+/**
+ * List the files `npm pack` would include from a package directory.
+ *
+ * @param {string} dir - Package directory
+ * @returns {Promise<string[]>} Sorted package-relative paths
+ * @throws {DiffError} If the directory or its package.json cannot be read
+ *
+ * @example
+ * ```js
+ * const paths = await listPackFiles('.');
+ * // ['README.md', 'lib/index.js', 'package.json']
+ * ```
+ */
+export async function listPackFiles(dir) {
+  const { fsp, nodePath } = await loadFs();
+  const manifest = await readManifest(dir);
+
+  const filesRules = Array.isArray(manifest.files) ? parseFilesRules(manifest.files) : null;
+
+  /** @type {Set<string>} */
+  const alwaysIncluded = new Set();
+  const main = normalizeManifestPath(manifest.main);
+  if (main) {
+    alwaysIncluded.add(main);
+  }
+  const bins = typeof manifest.bin === 'string'
+    ? [manifest.bin]
+    : Object.values(manifest.bin || {});
+  for (const bin of bins) {
+    const binPath = normalizeManifestPath(bin);
+    if (binPath) {
+      alwaysIncluded.add(binPath);
+    }
+  }
+
+  /** @type {string[]} */
+  const results = [];
+
+  /**
+   * @param {string} relDir - Directory relative to the package root
+   * @param {IgnoreScope[]} scopes - Ignore scopes from the root down
+   */
+  async function walk(relDir, scopes) {
+    const absDir = relDir ? nodePath.join(dir, ...relDir.split('/')) : dir;
+
+    /** @type {any[]} */
+    let entries;
+    try {
+      entries = await fsp.readdir(absDir, { withFileTypes: true });
+    } catch (error) {
+      throw DiffError.wrap('FETCH', error, `Cannot read directory: ${absDir}`);
+    }
+
+    const names = new Set(entries.map((entry) => entry.name));
+
+    // The root ignore file does not override `files`
+    const ignoreFile = names.has('.npmignore') ? '.npmignore'
+      : names.has('.gitignore') ? '.gitignore'
+        : null;
+
+    let dirScopes = scopes;
+    if (ignoreFile && !(relDir === '' && filesRules)) {
+      const text = await fsp.readFile(nodePath.join(absDir, ignoreFile), 'utf8');
+      dirScopes = [...scopes, { base: relDir, rules: parseIgnoreRules(text) }];
+    }
+
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const entry of entries) {
+      const path = relDir ? `${relDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (
+          EXCLUDED_DIRS.has(entry.name) ||
+          (relDir === '' && EXCLUDED_ROOT_DIRS.has(entry.name)) ||
+          isIgnored(dirScopes, path, true)
+        ) {
+          continue;
+        }
+        await walk(path, dirScopes);
+        continue;
+      }
+
+      // Symlinks, sockets, etc. are not packed
+      if (!entry.isFile()) {
+        continue;
+      }
+
+      if (
+        EXCLUDED_FILES.some((pattern) => pattern.test(entry.name)) ||
+        EXCLUDED_ROOT_FILES.some((pattern) => pattern.test(path))
+      ) {
+        continue;
+      }
+
+      if (
+        alwaysIncluded.has(path) ||
+        (relDir === '' && ALWAYS_INCLUDED_ROOT.test(entry.name))
+      ) {
+        results.push(path);
+        continue;
+      }
+
+      if (isIgnored(dirScopes, path, false)) {
+        continue;
+      }
+
+      if (filesRules && !applyRules(filesRules, path, false, false)) {
+        continue;
+      }
+
+      results.push(path);
+    }
+  }
+
+  await walk('', []);
+
+  return results.sort();
+}
+
+/**
+ * Options for reading and packing a directory.
+ * @typedef {Object} PackOptions
+ * @property {number} [limit] - Maximum total size of the packed files in bytes
+ */
+
+/**
+ * Read the files `npm pack` would include from a package directory.
+ *
+ * Modes are normalized the way npm does: executables become 0o755,
+ * everything else 0o644. Files are read READ_CONCURRENCY at a time, and
+ * their sizes are added up as they are stat'ed, so a directory over the
+ * limit fails before all of it is in memory.
+ *
+ * @param {string} dir - Package directory
+ * @param {PackOptions} [options] - Size limit
+ * @returns {Promise<PackedFile[]>} Packed files, sorted by path
+ * @throws {DiffError} If the directory cannot be read, or with phase SIZE
+ *   if its files exceed the limit
+ */
+export async function readPackFiles(dir, options = {}) {
+  const { fsp, nodePath } = await loadFs();
+  const paths = await listPackFiles(dir);
+  const { limit = Infinity } = options;
+
+  /** @type {PackedFile[]} */
+  const files = new Array(paths.length);
+  let total = 0;
+  let next = 0;
+
+  const readNext = async () => {
+    while (next < paths.length) {
+      const index = next++;
+      const path = paths[index];
+      const absPath = nodePath.join(dir, ...path.split('/'));
+
+      let stats;
+      let content;
+      try {
+        stats = await fsp.stat(absPath);
+        total += stats.size;
+        if (total <= limit) {
+          content = await fsp.readFile(absPath);
+        }
+      } catch (error) {
+        next = paths.length;
+        throw DiffError.wrap('FETCH', error, `Cannot read file: ${absPath}`);
+      }
+
+      // Over the limit: stop every reader
+      if (!content) {
+        next = paths.length;
+        throw new DiffError(
+          'SIZE',
+          `Packed directory size exceeds limit of ${formatBytes(limit)}: ${dir}`
+        );
+      }
+
+      files[index] = {
+        path,
+        content: new Uint8Array(content.buffer, content.byteOffset, content.byteLength),
+        mode: stats.mode & 0o111 ? 0o755 : 0o644
+      };
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(READ_CONCURRENCY, paths.length) }, readNext));
+  return files;
+}
+
+/**
+ * Pack a local package directory into an uncompressed tar archive.
+ *
+ * Entries are rooted at `package/`, exactly like a registry tarball,
+ * so the result flows through the normal decompress/untar pipeline.
+ *
+ * @param {string} dir - Package directory
+ * @param {PackOptions} [options] - Size limit
+ * @returns {Promise<Uint8Array>} Tar archive bytes
+ * @throws {DiffError} If the directory cannot be read or packed, or its files
+ *   exceed the limit
+ *
+ * @example
+ * ```js
+ * const tar = await packDirectory('.');
+ * ```
+ */
+export async function packDirectory(dir, options = {}) {
+  const files = await readPackFiles(dir, options);
+
+  try {
+    return await packTar(files.map(({ path, content, mode }) => ({
+      header: {
+        name: `package/${path}`,
+        type: 'file',
+        size: content.length,
+        mode
+      },
+      body: content
+    })));
+  } catch (error) {
+    throw DiffError.wrap('FETCH', error, `Failed to pack directory: ${dir}`);
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Pathspec filtering for npm-diff-worker.
+ *
+ * Limits a diff to some files, like the positional paths of `npm diff`.
+ * Filters run during tar extraction, so excluded files are never
+ * buffered. Patterns are globs (see glob.js) relative to the package root:
+ *
+ * - `lib/index.js` matches that file; `lib` or `lib/` matches everything below
+ * - `lib/*.js` matches files directly in lib/
+ * - `*.md` (a leading `*`, no slash) matches basenames at any depth
+ * - `**\/test/**` matches across directories
+ *
+ * A leading `./` or `package/` is ignored, as in npm. `\` escapes the
+ * next character, as in glob.js, so paths always use `/`.
+ *
+ * @module pathspec
+ */
+
+import { compileGlob } from './glob.js';
+
+/**
+ * Include/exclude options.
+ * @typedef {Object} PathFilterOptions
+ * @property {string[]} [include] - Only diff files matching any of these pathspecs
+ * @property {string[]} [exclude] - Skip files matching any of these pathspecs
+ */
+
+/**
+ * Compile a pathspec into a matcher over file paths.
+ *
+ * @param {string} pattern - Pathspec
+ * @returns {import('./glob.js').GlobMatcher} Matcher for included paths
+ *
+ * @example
+ * ```js
+ * compilePathspec('lib').test('lib/a/b.js')      // true
+ * compilePathspec('*.md').test('docs/README.md') // true
+ * compilePathspec('lib/*.js').test('lib/a/b.js') // false
+ * ```
+ */
+export function compilePathspec(pattern) {
+  const normalized = pattern
+    .replace(/^(?:\.\/)+/, '')
+    .replace(/^package\//, '')
+    .replace(/^\/+/, '')
+    .replace(/\/+$/, '');
+
+  // Everything, e.g. "." or "./"
+  if (!normalized || normalized === '.') {
+    return { test: () => true };
+  }
+
+  // npm's matchBase: "*.js" matches at any depth
+  if (normalized.startsWith('*') && !normalized.includes('/')) {
+    return compileGlob(normalized, { matchBase: true });
+  }
+
+  // The path itself, or anything below it
+  return compileGlob(normalized, { matchBelow: true });
+}
+
+/**
+ * Build an extraction filter from include/exclude pathspecs.
+ *
+ * @param {PathFilterOptions} [options] - Include/exclude pathspecs
+ * @returns {((path: string) => boolean) | undefined} Filter, or undefined if
+ *   every path is wanted
+ *
+ * @example
+ * ```js
+ * const filter = createPathFilter({ include: ['lib'], exclude: ['**\/*.map'] });
+ * filter('lib/index.js')     // true
+ * filter('lib/index.js.map') // false
+ * filter('README.md')        // false
+ * ```
+ */
+export function createPathFilter(options = {}) {
+  const include = (options.include ?? []).map(compilePathspec);
+  const exclude = (options.exclude ?? []).map(compilePathspec);
+
+  if (include.length === 0 && exclude.length === 0) {
+    return undefined;
+  }
+
+  return (path) =>
+    (include.length === 0 || include.some((re) => re.test(path))) &&
+    !exclude.some((re) => re.test(path));
+}
@@ -0,0 +1,250 @@
+/**
+ * Network policy for npm-diff-worker.
+ *
+ * A service that accepts SourceConfig objects from its clients would
+ * otherwise fetch any URL it is handed, including cloud metadata endpoints
+ * (`http://169.254.169.254/`) and internal hosts. A policy limits the url
+ * and s3 transports to allowed schemes, ports and hosts, and blocks
+ * loopback, private and link-local addresses. It is checked on every
+ * redirect hop.
+ *
+ * Edge runtimes cannot resolve DNS, so only IP literals and `localhost`
+ * are recognized as private. Hostnames that resolve to private addresses
+ * are only stopped by `allowHosts`.
+ *
+ * @module policy
+ */
+
+import { DiffError } from './errors.js';
+
+/**
+ * Limits on the URLs fetched by the url and s3 transports.
+ * @typedef {Object} NetworkPolicy
+ * @property {string[]} [allowHosts] - Only fetch from these hosts; `*.example.com`
+ *   matches subdomains (default: any host)
+ * @property {string[]} [denyHosts] - Never fetch from these hosts, same syntax
+ * @property {string[]} [schemes] - Allowed URL schemes (default: ['https', 'http'])
+ * @property {number[]} [ports] - Allowed ports, defaults included (default: any port)
+ * @property {boolean} [allowPrivate] - Allow loopback, private, link-local and other
+ *   non-public IP literals and localhost (default: false)
+ */
+
+/**
+ * Schemes allowed when a policy does not list any.
+ * @type {string[]}
+ */
+const DEFAULT_SCHEMES = ['https', 'http'];
+
+/**
+ * Default port of each scheme.
+ * @type {Record<string, number>}
+ */
+const DEFAULT_PORTS = { http: 80, https: 443 };
+
+/**
+ * Non-public IPv4 ranges as [network, prefix length].
+ * @type {Array<[string, number]>}
+ */
+const PRIVATE_IPV4 = [
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local, cloud metadata
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved, broadcast
+];
+
+/**
+ * Parse a dotted-quad IPv4 address.
+ *
+ * @param {string} host - Hostname
+ * @returns {number | undefined} Address as an unsigned 32-bit integer
+ */
+function parseIPv4(host) {
+  const match = host.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (!match) {
+    return undefined;
+  }
+
+  const octets = match.slice(1).map(Number);
+  if (octets.some((octet) => octet > 255)) {
+    return undefined;
+  }
+
+  return octets.reduce((address, octet) => address * 256 + octet, 0);
+}
+
+/**
+ * Parse a hex-group IPv6 address, as URL serializes them.
+ *
+ * @param {string} host - Hostname, with or without brackets
+ * @returns {number[] | undefined} Eight 16-bit groups
+ */
+function parseIPv6(host) {
+  const text = host.replace(/^\[(.*)\]$/, '$1');
+  if (!text.includes(':') || !/^[\da-f:]+$/i.test(text)) {
+    return undefined;
+  }
+
+  const [head, tail, extra] = text.split('::');
+  if (extra !== undefined) {
+    return undefined;
+  }
+
+  const parse = (/** @type {string} */ part) =>
+    part ? part.split(':').map((group) => parseInt(group, 16)) : [];
+  const front = parse(head);
+  const back = parse(tail);
+
+  const missing = 8 - front.length - back.length;
+  if (tail === undefined ? missing !== 0 : missing < 1) {
+    return undefined;
+  }
+
+  const groups = [...front, ...Array(tail === undefined ? 0 : missing).fill(0), ...back];
+  return groups.every((group) => group >= 0 && group <= 0xffff) ? groups : undefined;
+}
+
+/**
+ * Check whether an IPv4 address is in a non-public range.
+ *
+ * @param {number} address - Address as an unsigned 32-bit integer
+ * @returns {boolean} True if private
+ */
+function isPrivateIPv4(address) {
+  return PRIVATE_IPV4.some(([network, bits]) => {
+    const size = 2 ** (32 - bits);
+    const start = /** @type {number} */ (parseIPv4(network));
+    return address >= start && address < start + size;
+  });
+}
+
+/**
+ * Check whether an IPv6 address is in a non-public range.
+ *
+ * IPv4-mapped and NAT64 addresses are judged by their IPv4 part.
+ *
+ * @param {number[]} groups - Eight 16-bit groups
+ * @returns {boolean} True if private
+ */
+function isPrivateIPv6(groups) {
+  const [first] = groups;
+  const embedded = groups[6] * 0x10000 + groups[7];
+  const zeros = (/** @type {number} */ count) => groups.slice(0, count).every((group) => group === 0);
+
+  // ::ffff:a.b.c.d (mapped) and 64:ff9b::a.b.c.d (NAT64)
+  if ((zeros(5) && groups[5] === 0xffff) ||
+      (first === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every((g) => g === 0))) {
+    return isPrivateIPv4(embedded);
+  }
+
+  return zeros(6) || // Unspecified, loopback, IPv4-compatible
+    (first & 0xfe00) === 0xfc00 || // Unique local
+    (first & 0xffc0) === 0xfe80 || // Link-local
+    (first & 0xffc0) === 0xfec0 || // Site-local
+    (first & 0xff00) === 0xff00; // Multicast
+}
+
+/**
+ * Check whether a hostname names a loopback, private, link-local or
+ * otherwise non-public address.
+ *
+ * Recognizes IP literals and `localhost`; other names are not resolved.
+ *
+ * @param {string} hostname - Hostname, as in `URL.hostname`
+ * @returns {boolean} True if the host is not public
+ *
+ * @example
+ * ```js
+ * isPrivateAddress('169.254.169.254') // true
+ * isPrivateAddress('[::ffff:7f00:1]') // true (127.0.0.1)
+ * isPrivateAddress('registry.npmjs.org') // false
+ * ```
+ */
+export function isPrivateAddress(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return true;
+  }
+
+  const ipv4 = parseIPv4(host);
+  if (ipv4 !== undefined) {
+    return isPrivateIPv4(ipv4);
+  }
+
+  const ipv6 = parseIPv6(host);
+  return ipv6 !== undefined && isPrivateIPv6(ipv6);
+}
+
+/**
+ * Match a hostname against host patterns.
+ *
+ * @param {string} host - Hostname
+ * @param {string[]} patterns - Hostnames, or `*.domain` for any subdomain
+ * @returns {boolean} True if any pattern matches
+ */
+export function matchesHost(host, patterns) {
+  const hostname = host.toLowerCase().replace(/\.$/, '');
+  return patterns.some((pattern) => {
+    const normalized = pattern.toLowerCase().replace(/\.$/, '');
+    return normalized.startsWith('*.')
+      ? hostname.endsWith(normalized.slice(1))
+      : hostname === normalized;
+  });
+}
+
+/**
+ * Check a URL against a network policy.
+ *
+ * @param {string | URL} url - URL about to be fetched
+ * @param {NetworkPolicy} [policy] - Network policy
+ * @returns {URL} The parsed URL
+ * @throws {DiffError} With phase POLICY if the URL is not allowed
+ *
+ * @example
+ * ```js
+ * checkUrl('https://registry.npmjs.org/lodash', { allowHosts: ['registry.npmjs.org'] });
+ * checkUrl('http://169.254.169.254/latest/meta-data/', {});
+ * // throws DiffError: Private address not allowed: 169.254.169.254
+ * ```
+ */
+export function checkUrl(url, policy = {}) {
+  /** @type {URL} */
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw DiffError.wrap('POLICY', error, 'Invalid URL');
+  }
+
+  const scheme = parsed.protocol.slice(0, -1);
+  const schemes = (policy.schemes ?? DEFAULT_SCHEMES).map((s) => s.toLowerCase().replace(/:$/, ''));
+  if (!schemes.includes(scheme)) {
+    throw new DiffError('POLICY', `Scheme not allowed: ${scheme}`);
+  }
+
+  const port = parsed.port ? Number(parsed.port) : DEFAULT_PORTS[scheme];
+  if (policy.ports && !policy.ports.includes(port)) {
+    throw new DiffError('POLICY', `Port not allowed: ${port}`);
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/\.$/, '');
+  if (policy.denyHosts && matchesHost(host, policy.denyHosts)) {
+    throw new DiffError('POLICY', `Host not allowed: ${host}`);
+  }
+  if (policy.allowHosts && !matchesHost(host, policy.allowHosts)) {
+    throw new DiffError('POLICY', `Host not allowed: ${host}`);
+  }
+
+  if (!policy.allowPrivate && isPrivateAddress(host)) {
+    throw new DiffError('POLICY', `Private address not allowed: ${host}`);
+  }
+
+  return parsed;
+}
@@ -0,0 +1,448 @@
+/**
+ * Rename and copy detection for npm-diff-worker.
+ *
+ * Pairs deleted (and, for copies, modified) paths with added paths by
+ * content similarity, following git's diffcore-rename:
+ *
+ * 1. Exact matches first: identical content pairs regardless of threshold,
+ *    preferring unused sources and sources with the same basename.
+ * 2. Inexact matches next: every remaining destination is scored against
+ *    every source with git's span-hash similarity estimate, and the best
+ *    scores win, each source being renamed at most once. Each file is
+ *    hashed once, as git caches its `cnt_data`.
+ * 3. With copy detection, destinations still unpaired may reuse sources.
+ *
+ * A deleted source's last pairing (in output order) is the rename; any
+ * earlier pairings from it, and all pairings from sources that still
+ * exist, are copies. This matches `git diff -M` / `git diff -C`.
+ *
+ * @module rename
+ */
+
+import { areIdentical } from './diff.js';
+import { throwIfAborted } from './signal.js';
+
+/**
+ * Fixed-point scale for similarity scores, as in git.
+ * @type {number}
+ */
+export const MAX_SCORE = 60000;
+
+/**
+ * Default minimum similarity, in percent (git's `-M` without a value).
+ * @type {number}
+ */
+export const DEFAULT_RENAME_SCORE = 50;
+
+/**
+ * Maximum number of sources or destinations for inexact detection.
+ * Above this, only exact renames are found (git's diff.renameLimit).
+ * @type {number}
+ */
+export const RENAME_LIMIT = 1000;
+
+/**
+ * Modulus for span hashes (git's HASHBASE).
+ * @type {number}
+ */
+const HASHBASE = 107927;
+
+/**
+ * Number of bytes git inspects when sniffing binary content.
+ * @type {number}
+ */
+const BINARY_SNIFF_SIZE = 8000;
+
+/**
+ * Rename/copy detection options.
+ * @typedef {Object} RenameOptions
+ * @property {boolean | number} [findRenames] - Detect renames (--find-renames[=N%]).
+ *   A number sets the minimum similarity in percent (default: 50).
+ * @property {boolean | number} [findCopies] - Detect copies as well as renames
+ *   (--find-copies[=N%]). Modified files become candidate sources.
+ * @property {number} [renameLimit] - Most sources or destinations scored for inexact
+ *   renames (git's diff.renameLimit, default: RENAME_LIMIT)
+ * @property {AbortSignal} [signal] - Checked before scoring each destination
+ */
+
+/**
+ * A detected rename or copy.
+ * @typedef {Object} RenamePair
+ * @property {string} from - Source path in the left tree
+ * @property {string} to - Destination path in the right tree
+ * @property {'renamed' | 'copied'} status - Whether the source was moved or copied
+ * @property {number} similarity - Similarity index in percent (0-100)
+ */
+
+/**
+ * A scored source/destination candidate.
+ * @typedef {Object} Candidate
+ * @property {number} src - Index into the source list
+ * @property {number} dst - Index into the destination list
+ * @property {number} score - Similarity score (0 to MAX_SCORE)
+ * @property {number} nameScore - 1 if basenames match, else 0
+ */
+
+/**
+ * Byte counts per span hash, sorted by hash so two files compare in one
+ * merge pass (git's spanhash_top).
+ * @typedef {Object} SpanCounts
+ * @property {Uint32Array} hashes - Span hashes, ascending
+ * @property {Float64Array} counts - Bytes in spans with each hash
+ */
+
+/**
+ * Check whether rename detection is enabled.
+ *
+ * @param {RenameOptions} [options] - Rename options
+ * @returns {boolean} True if renames or copies should be detected
+ */
+export function wantsRenames(options = {}) {
+  return Boolean(options.findRenames || options.findCopies);
+}
+
+/**
+ * Convert a similarity percentage into a score.
+ *
+ * @param {RenameOptions} options - Rename options
+ * @returns {number} Minimum score (0 to MAX_SCORE)
+ */
+function minimumScore(options) {
+  const value = typeof options.findCopies === 'number'
+    ? options.findCopies
+    : options.findRenames;
+
+  const percent = typeof value === 'number' ? value : DEFAULT_RENAME_SCORE;
+  return Math.round(Math.min(Math.max(percent, 0), 100) * MAX_SCORE / 100);
+}
+
+/**
+ * Convert a score into git's similarity index percentage.
+ *
+ * @param {number} score - Similarity score (0 to MAX_SCORE)
+ * @returns {number} Similarity in percent, rounded down
+ */
+export function similarityIndex(score) {
+  return Math.floor(score * 100 / MAX_SCORE);
+}
+
+/**
+ * Get the last path component.
+ *
+ * @param {string} path - File path
+ * @returns {string} Basename
+ */
+function basename(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+/**
+ * Check for a NUL byte in the leading bytes, git's binary heuristic.
+ *
+ * @param {Uint8Array} bytes - File content
+ * @returns {boolean} True if the content looks binary
+ */
+function looksBinary(bytes) {
+  const end = Math.min(bytes.length, BINARY_SNIFF_SIZE);
+  for (let i = 0; i < end; i++) {
+    if (bytes[i] === 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Split content into spans and count bytes per span hash.
+ *
+ * Spans end at a newline or after 64 bytes. For text, the CR of a CRLF
+ * pair is skipped so line-ending changes don't hurt similarity.
+ * Port of git's hash_chars() in diffcore-delta.c.
+ *
+ * @param {Uint8Array} bytes - File content
+ * @returns {SpanCounts} Byte counts per span hash
+ */
+function hashSpans(bytes) {
+  /** @type {Map<number, number>} */
+  const spans = new Map();
+  const isText = !looksBinary(bytes);
+
+  let accum1 = 0;
+  let accum2 = 0;
+  let n = 0;
+
+  /** @param {number} count */
+  const add = (count) => {
+    const hash = ((accum1 + Math.imul(accum2, 0x61)) >>> 0) % HASHBASE;
+    spans.set(hash, (spans.get(hash) ?? 0) + count);
+  };
+
+  for (let i = 0; i < bytes.length; i++) {
+    const c = bytes[i];
+
+    if (isText && c === 0x0d && bytes[i + 1] === 0x0a) {
+      continue;
+    }
+
+    const old1 = accum1;
+    accum1 = ((accum1 << 7) ^ (accum2 >>> 25)) >>> 0;
+    accum2 = ((accum2 << 7) ^ (old1 >>> 25)) >>> 0;
+    accum1 = (accum1 + c) >>> 0;
+
+    if (++n < 64 && c !== 0x0a) {
+      continue;
+    }
+
+    add(n);
+    n = 0;
+    accum1 = 0;
+    accum2 = 0;
+  }
+
+  if (n > 0) {
+    add(n);
+  }
+
+  const hashes = Uint32Array.from(spans.keys()).sort();
+  return { hashes, counts: Float64Array.from(hashes, (hash) => /** @type {number} */ (spans.get(hash))) };
+}
+
+/**
+ * Estimate how similar two file contents are.
+ *
+ * The score is the number of source bytes that survive into the
+ * destination, scaled by the larger file's size. Port of git's
+ * estimate_similarity() in diffcore-rename.c.
+ *
+ * @param {Uint8Array} src - Source content
+ * @param {Uint8Array} dst - Destination content
+ * @param {number} [minimum=0] - Skip the estimate when sizes alone rule this score out
+ * @returns {number} Similarity score (0 to MAX_SCORE)
+ *
+ * @example
+ * ```js
+ * similarityIndex(estimateSimilarity(oldBytes, newBytes)) // 85
+ * ```
+ */
+export function estimateSimilarity(src, dst, minimum = 0) {
+  return scoreSimilarity(src, dst, minimum, hashSpans);
+}
+
+/**
+ * Score two file contents with span maps from the given function.
+ *
+ * @param {Uint8Array} src - Source content
+ * @param {Uint8Array} dst - Destination content
+ * @param {number} minimum - Skip the estimate when sizes alone rule this score out
+ * @param {(bytes: Uint8Array) => SpanCounts} spansOf - Span counts of a file
+ * @returns {number} Similarity score (0 to MAX_SCORE)
+ */
+function scoreSimilarity(src, dst, minimum, spansOf) {
+  const maxSize = Math.max(src.length, dst.length);
+  const baseSize = Math.min(src.length, dst.length);
+
+  if (maxSize === 0) {
+    return MAX_SCORE;
+  }
+
+  // Too different in size to reach the minimum score
+  if (maxSize * (MAX_SCORE - minimum) < (maxSize - baseSize) * MAX_SCORE) {
+    return 0;
+  }
+
+  const srcSpans = spansOf(src);
+  const dstSpans = spansOf(dst);
+
+  let copied = 0;
+  let s = 0;
+  let d = 0;
+  while (s < srcSpans.hashes.length && d < dstSpans.hashes.length) {
+    const srcHash = srcSpans.hashes[s];
+    const dstHash = dstSpans.hashes[d];
+    if (srcHash < dstHash) {
+      s++;
+    } else if (srcHash > dstHash) {
+      d++;
+    } else {
+      copied += Math.min(srcSpans.counts[s++], dstSpans.counts[d++]);
+    }
+  }
+
+  return Math.floor(copied * MAX_SCORE / maxSize);
+}
+
+/**
+ * Detect renames and copies between two file trees.
+ *
+ * @param {Map<string, Uint8Array>} leftTree - Old file tree
+ * @param {Map<string, Uint8Array>} rightTree - New file tree
+ * @param {RenameOptions} [options] - Rename options
+ * @returns {RenamePair[]} Detected pairs, sorted by destination path
+ * @throws {DiffError} With phase ABORT or TIMEOUT once the signal aborts
+ *
+ * @example
+ * ```js
+ * const pairs = detectRenames(leftFiles, rightFiles, { findRenames: true });
+ * // [{ from: 'lib/index.js', to: 'dist/index.js', status: 'renamed', similarity: 100 }]
+ * ```
+ */
+export function detectRenames(leftTree, rightTree, options = {}) {
+  if (!wantsRenames(options)) {
+    return [];
+  }
+
+  const findCopies = Boolean(options.findCopies);
+  const minimum = minimumScore(options);
+
+  // Sources: deleted paths, plus modified paths when finding copies
+  /** @type {string[]} */
+  const sources = [];
+  for (const [path, content] of leftTree) {
+    const right = rightTree.get(path);
+    if (!right || (findCopies && !areIdentical(content, right))) {
+      sources.push(path);
+    }
+  }
+  sources.sort();
+
+  /** @type {string[]} */
+  const destinations = [...rightTree.keys()].filter((path) => !leftTree.has(path)).sort();
+
+  if (sources.length === 0 || destinations.length === 0) {
+    return [];
+  }
+
+  /** @type {number[]} */
+  const used = new Array(sources.length).fill(0);
+
+  /** @type {Map<number, { src: number, score: number }>} */
+  const matched = new Map();
+
+  // Exact matches, bucketed by size
+  /** @type {Map<number, number[]>} */
+  const bySize = new Map();
+  sources.forEach((path, index) => {
+    const size = /** @type {Uint8Array} */ (leftTree.get(path)).length;
+    const bucket = bySize.get(size);
+    if (bucket) {
+      bucket.push(index);
+    } else {
+      bySize.set(size, [index]);
+    }
+  });
+
+  destinations.forEach((path, dst) => {
+    const content = /** @type {Uint8Array} */ (rightTree.get(path));
+    let best = -1;
+    let bestScore = -1;
+
+    for (const src of bySize.get(content.length) ?? []) {
+      if (used[src] && !findCopies) {
+        continue;
+      }
+
+      if (!areIdentical(/** @type {Uint8Array} */ (leftTree.get(sources[src])), content)) {
+        continue;
+      }
+
+      const score = (used[src] ? 0 : 1) + (basename(sources[src]) === basename(path) ? 1 : 0);
+      if (score > bestScore) {
+        best = src;
+        bestScore = score;
+        if (score === 2) {
+          break;
+        }
+      }
+    }
+
+    if (best !== -1) {
+      used[best]++;
+      matched.set(dst, { src: best, score: MAX_SCORE });
+    }
+  });
+
+  // Inexact matches for whatever is left
+  const limit = options.renameLimit ?? RENAME_LIMIT;
+  if (sources.length <= limit && destinations.length <= limit) {
+    /** @type {Candidate[]} */
+    const candidates = [];
+
+    // Span counts by content, computed the first time a file is scored
+    /** @type {Map<Uint8Array, SpanCounts>} */
+    const spanCounts = new Map();
+    /** @param {Uint8Array} bytes */
+    const spansOf = (bytes) => {
+      let spans = spanCounts.get(bytes);
+      if (!spans) {
+        spans = hashSpans(bytes);
+        spanCounts.set(bytes, spans);
+      }
+      return spans;
+    };
+
+    destinations.forEach((path, dst) => {
+      if (matched.has(dst)) {
+        return;
+      }
+
+      // Scoring is synchronous and quadratic, so stop between destinations
+      throwIfAborted(options.signal);
+
+      const content = /** @type {Uint8Array} */ (rightTree.get(path));
+
+      sources.forEach((srcPath, src) => {
+        if (used[src] && !findCopies) {
+          return;
+        }
+
+        const score = scoreSimilarity(/** @type {Uint8Array} */ (leftTree.get(srcPath)), content, minimum, spansOf);
+        if (score >= minimum) {
+          candidates.push({
+            src,
+            dst,
+            score,
+            nameScore: basename(srcPath) === basename(path) ? 1 : 0
+          });
+        }
+      });
+    });
+
+    candidates.sort((a, b) =>
+      b.score - a.score || b.nameScore - a.nameScore || a.dst - b.dst || a.src - b.src
+    );
+
+    // Renames first, then copies from sources that are already taken
+    for (const allowReuse of findCopies ? [false, true] : [false]) {
+      for (const candidate of candidates) {
+        if (matched.has(candidate.dst) || (used[candidate.src] && !allowReuse)) {
+          continue;
+        }
+        used[candidate.src]++;
+        matched.set(candidate.dst, { src: candidate.src, score: candidate.score });
+      }
+    }
+  }
+
+  /** @type {RenamePair[]} */
+  const pairs = [...matched.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([dst, { src, score }]) => ({
+      from: sources[src],
+      to: destinations[dst],
+      status: /** @type {'renamed' | 'copied'} */ ('copied'),
+      similarity: similarityIndex(score)
+    }));
+
+  // The last pairing from a deleted source is the rename
+  /** @type {Set<string>} */
+  const renamed = new Set();
+  for (let i = pairs.length - 1; i >= 0; i--) {
+    const { from } = pairs[i];
+    if (!rightTree.has(from) && !renamed.has(from)) {
+      renamed.add(from);
+      pairs[i].status = 'renamed';
+    }
+  }
+
+  return pairs;
+}
@@ -0,0 +1,473 @@
+/**
+ * Package spec resolution for npm-diff-worker.
+ *
+ * Turns npm package specs (`lodash@^4.17.0`, `react@next`, `alias@npm:foo@1`)
+ * into concrete tarball locations by fetching the registry packument and
+ * picking a version the same way `npm diff` does via npm-pick-manifest:
+ *
+ * 1. Dist-tags resolve directly (`latest`, `next`, `beta`, ...)
+ * 2. Exact versions must exist in the packument
+ * 3. Ranges prefer the `latest` dist-tag when it satisfies the range,
+ *    otherwise the highest satisfying non-deprecated version
+ *
+ * @module resolve
+ */
+
+import semver from 'semver';
+import { DiffError, assertDiff } from './errors.js';
+import { applyAuth, fetchWithRedirects } from './fetch.js';
+import { shasumToIntegrity } from './integrity.js';
+import { getCredentials, pickRegistry } from './npmrc.js';
+import { abortError } from './signal.js';
+import { withAttempts, withRetries } from './retry.js';
+
+/**
+ * Default npm registry used when none is configured.
+ * @type {string}
+ */
+export const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+
+/**
+ * Accept header for abbreviated ("corgi") packuments.
+ * Much smaller than full packuments and contains everything needed to pick a version.
+ * @type {string}
+ */
+const CORGI_ACCEPT = 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8, */*';
+
+/**
+ * Parsed package spec.
+ * @typedef {Object} ParsedSpec
+ * @property {string} raw - The original spec string
+ * @property {string} name - Registry package name (the real name for aliases)
+ * @property {'version' | 'range' | 'tag'} type - Kind of version selector
+ * @property {string} fetchSpec - The version, range, or dist-tag to resolve
+ */
+
+/**
+ * Options for resolving a package spec.
+ * @typedef {Object} ResolveOptions
+ * @property {string} [registry] - Registry base URL (default: https://registry.npmjs.org/)
+ * @property {import('./fetch.js').AuthType} [auth] - Authentication type for `registry`, sent
+ *   only to requests on its origin; `'none'` sends no credentials at all
+ * @property {string} [credential] - Auth credential (token for bearer, base64 user:pass for basic)
+ * @property {string} [defaultTag='latest'] - Dist-tag used for bare names and preferred for ranges
+ * @property {AbortSignal} [signal] - Aborts the packument request
+ * @property {import('./retry.js').RetryOptions} [retry] - Retry policy for the packument
+ *   request (default: no retries)
+ * @property {typeof fetch} [fetch] - Sends the packument request (default: global fetch)
+ * @property {import('./policy.js').NetworkPolicy} [policy] - Limits on the registry URL and
+ *   every redirect hop of the packument request
+ * @property {number} [maxRedirects] - Redirects followed for the packument (default: 20)
+ * @property {import('./npmrc.js').Npmrc} [npmrc] - npmrc settings: scoped registries, and
+ *   credentials for registries and tarballs that `auth` does not cover
+ */
+
+/**
+ * Result of resolving a package spec against the registry.
+ * @typedef {Object} ResolvedSpec
+ * @property {string} name - Registry package name
+ * @property {string} version - Resolved exact version
+ * @property {string} tarball - Tarball URL from `dist.tarball`
+ * @property {string | undefined} integrity - SRI string from `dist.integrity`, if published
+ * @property {string | undefined} shasum - Hex SHA-1 from `dist.shasum`, if published
+ */
+
+/**
+ * Registry packument (abbreviated or full).
+ * @typedef {Object} Packument
+ * @property {string} [name] - Package name
+ * @property {Record<string, string>} [dist-tags] - Dist-tag to version map
+ * @property {Record<string, PackumentVersion>} [versions] - Version manifests
+ */
+
+/**
+ * A single version entry inside a packument.
+ * @typedef {Object} PackumentVersion
+ * @property {string} version - Exact version
+ * @property {string} [deprecated] - Deprecation message, if deprecated
+ * @property {{ tarball: string, integrity?: string, shasum?: string }} dist - Distribution metadata
+ */
+
+/**
+ * Valid npm package name, optionally scoped.
+ * Loosely mirrors validate-npm-package-name: no spaces, no leading dot/underscore.
+ * @type {RegExp}
+ */
+const PACKAGE_NAME = /^(?:@[a-z0-9-*~][a-z0-9-*._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/i;
+
+/**
+ * Check whether a spec is a tarball URL rather than a registry spec.
+ *
+ * @param {string} spec - Package spec or URL
+ * @returns {boolean} True if the spec is an http(s) URL
+ */
+export function isUrlSpec(spec) {
+  return spec.startsWith('http://') || spec.startsWith('https://');
+}
+
+/**
+ * Parse an npm package spec into name and version selector.
+ *
+ * Supports `name`, `name@version`, `name@range`, `name@tag`, scoped names,
+ * and npm aliases (`npm:name@range` or `alias@npm:name@range`).
+ *
+ * @param {string} spec - Package spec
+ * @returns {ParsedSpec} Parsed spec
+ * @throws {DiffError} If the spec is not a valid registry spec
+ *
+ * @example
+ * ```js
+ * parseSpec('lodash@^4.17.0')
+ * // { raw: 'lodash@^4.17.0', name: 'lodash', type: 'range', fetchSpec: '^4.17.0' }
+ *
+ * parseSpec('@babel/core@next')
+ * // { raw: '@babel/core@next', name: '@babel/core', type: 'tag', fetchSpec: 'next' }
+ *
+ * parseSpec('my-lodash@npm:lodash@4.17.21')
+ * // { raw: 'my-lodash@npm:lodash@4.17.21', name: 'lodash', type: 'version', fetchSpec: '4.17.21' }
+ * ```
+ */
+export function parseSpec(spec) {
+  assertDiff(
+    typeof spec === 'string' && spec.trim().length > 0,
+    'RESOLVE',
+    'Package spec is required'
+  );
+
+  const raw = spec;
+  let rest = spec.trim();
+
+  // Bare alias: npm:name@range
+  if (rest.startsWith('npm:')) {
+    rest = rest.slice('npm:'.length);
+  }
+
+  let { name, selector } = splitNameAndSelector(rest);
+
+  // Named alias: alias@npm:name@range
+  if (selector.startsWith('npm:')) {
+    ({ name, selector } = splitNameAndSelector(selector.slice('npm:'.length)));
+  }
+
+  assertDiff(
+    PACKAGE_NAME.test(name),
+    'RESOLVE',
+    `Invalid package name in spec: ${raw}`
+  );
+
+  const fetchSpec = selector.trim() || '*';
+
+  /** @type {ParsedSpec['type']} */
+  let type;
+  if (semver.valid(fetchSpec, true)) {
+    type = 'version';
+  } else if (semver.validRange(fetchSpec, true)) {
+    type = 'range';
+  } else {
+    assertDiff(
+      !/[\s/%]/.test(fetchSpec) && encodeURIComponent(fetchSpec) === fetchSpec,
+      'RESOLVE',
+      `Invalid version, range, or dist-tag in spec: ${raw}`
+    );
+    type = 'tag';
+  }
+
+  return { raw, name, type, fetchSpec };
+}
+
+/**
+ * Split `name@selector` on the version separator, respecting scopes.
+ *
+ * @param {string} spec - Spec without any `npm:` prefix
+ * @returns {{ name: string, selector: string }} Name and raw selector
+ */
+function splitNameAndSelector(spec) {
+  // Skip the leading @ of a scoped name when looking for the separator
+  const atIndex = spec.indexOf('@', spec.startsWith('@') ? 1 : 0);
+
+  if (atIndex === -1) {
+    return { name: spec, selector: '' };
+  }
+
+  return {
+    name: spec.slice(0, atIndex),
+    selector: spec.slice(atIndex + 1)
+  };
+}
+
+/**
+ * Build the packument URL for a package on a registry.
+ *
+ * Scoped names keep their `@` but have the `/` percent-encoded,
+ * matching npm-registry-fetch.
+ *
+ * @param {string} name - Package name
+ * @param {string} [registry] - Registry base URL
+ * @returns {string} Packument URL
+ *
+ * @example
+ * ```js
+ * packumentUrl('@babel/core')
+ * // → 'https://registry.npmjs.org/@babel%2Fcore'
+ * ```
+ */
+export function packumentUrl(name, registry = DEFAULT_REGISTRY) {
+  const base = registry.endsWith('/') ? registry : `${registry}/`;
+  const escaped = name.startsWith('@')
+    ? `@${encodeURIComponent(name.slice(1))}`
+    : encodeURIComponent(name);
+  return `${base}${escaped}`;
+}
+
+/**
+ * Check whether two URLs share an origin.
+ *
+ * @param {string} a - URL
+ * @param {string} b - URL
+ * @returns {boolean} True if both parse and have the same origin
+ */
+function sameOrigin(a, b) {
+  try {
+    return new URL(a).origin === new URL(b).origin;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Pick the credentials for a packument or tarball request.
+ *
+ * Like npm-registry-fetch, credentials belong to a registry: an explicit
+ * `auth`/`credential` is only sent to the origin of the `registry` it was
+ * given with (or the default registry), never to a scope registry or a
+ * tarball host elsewhere. Any other URL gets the npmrc credentials
+ * configured for it, matched by getCredentials().
+ *
+ * @param {string} url - Request URL
+ * @param {ResolveOptions} options - Registry, auth and npmrc options
+ * @returns {import('./npmrc.js').NpmrcCredentials | undefined} Credentials, if any apply
+ */
+function credentialsFor(url, options) {
+  if (options.auth === 'none') {
+    return undefined;
+  }
+
+  if (options.auth && sameOrigin(url, options.registry ?? DEFAULT_REGISTRY)) {
+    return { auth: options.auth, credential: /** @type {string} */ (options.credential) };
+  }
+
+  return options.npmrc ? getCredentials(url, options.npmrc) : undefined;
+}
+
+/**
+ * Fetch the abbreviated packument for a package.
+ *
+ * With `npmrc`, the package's scope may pick another registry. Credentials
+ * are picked for the packument URL by origin: `auth` on the `registry`
+ * origin, npmrc credentials elsewhere. Redirects are followed one hop at a
+ * time, each checked against `policy`.
+ *
+ * @param {string} name - Package name
+ * @param {ResolveOptions} [options] - Registry, auth, network policy, redirect limit,
+ *   abort signal, retry policy and fetch implementation
+ * @returns {Promise<Packument>} Parsed packument
+ * @throws {DiffError} On network errors, auth failures, policy violations, unknown
+ *   packages, or when aborted
+ */
+export async function fetchPackument(name, options = {}) {
+  const { npmrc } = options;
+  const url = packumentUrl(name, npmrc ? pickRegistry(name, npmrc, options.registry) : options.registry);
+  const { auth, credential } = credentialsFor(url, options) ?? {};
+
+  const headers = new Headers({ Accept: CORGI_ACCEPT });
+  applyAuth(headers, auth || 'none', credential);
+
+  const { response, attempts } = await withRetries(
+    () => fetchWithRedirects(url, headers, options),
+    options,
+    `Network error fetching packument for ${name}`
+  );
+
+  if (!response.ok) {
+    if (response.status === 401 || response.status === 403) {
+      throw new DiffError(
+        'AUTH',
+        `Authentication failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    if (response.status === 404) {
+      throw new DiffError('RESOLVE', `Package not found in registry: ${name}`);
+    }
+
+    throw withAttempts(new DiffError(
+      'FETCH',
+      `HTTP ${response.status} ${response.statusText} for ${url}`
+    ), attempts);
+  }
+
+  try {
+    return /** @type {Packument} */ (await response.json());
+  } catch (error) {
+    if (options.signal?.aborted) {
+      throw abortError(options.signal);
+    }
+    throw DiffError.wrap('FETCH', error, `Invalid packument for ${name}`);
+  }
+}
+
+/**
+ * Pick a version from a packument for a parsed spec.
+ *
+ * Follows npm-pick-manifest: tags resolve through `dist-tags`, exact versions
+ * must exist, and ranges prefer the default tag when it satisfies the range
+ * before falling back to the highest satisfying version. Deprecated versions
+ * are only chosen when nothing else satisfies the range.
+ *
+ * @param {Packument} packument - Registry packument
+ * @param {ParsedSpec} parsed - Parsed spec
+ * @param {{ defaultTag?: string }} [options] - Picking options
+ * @returns {PackumentVersion} The chosen version entry
+ * @throws {DiffError} If no version matches
+ *
+ * @example
+ * ```js
+ * const manifest = pickVersion(packument, parseSpec('lodash@^4.17.0'));
+ * console.log(manifest.version); // '4.17.21'
+ * ```
+ */
+export function pickVersion(packument, parsed, options = {}) {
+  const { defaultTag = 'latest' } = options;
+  const versions = packument.versions || {};
+  const distTags = packument['dist-tags'] || {};
+  const { name, type, fetchSpec } = parsed;
+
+  if (type === 'tag') {
+    const tagged = distTags[fetchSpec];
+    assertDiff(
+      typeof tagged === 'string' && Boolean(versions[tagged]),
+      'RESOLVE',
+      `No dist-tag '${fetchSpec}' found for ${name}`
+    );
+    return versions[tagged];
+  }
+
+  if (type === 'version') {
+    const exact = versions[fetchSpec] || versions[semver.clean(fetchSpec, true) || ''];
+    assertDiff(
+      Boolean(exact),
+      'RESOLVE',
+      `No matching version found for ${name}@${fetchSpec}`
+    );
+    return exact;
+  }
+
+  // Range: prefer the default tag if it satisfies
+  const tagged = distTags[defaultTag];
+  if (
+    tagged &&
+    versions[tagged] &&
+    !versions[tagged].deprecated &&
+    (fetchSpec === '*' || semver.satisfies(tagged, fetchSpec, { loose: true }))
+  ) {
+    return versions[tagged];
+  }
+
+  const candidates = Object.keys(versions).filter((v) => semver.valid(v, true));
+  const active = candidates.filter((v) => !versions[v].deprecated);
+
+  const picked =
+    semver.maxSatisfying(active, fetchSpec, { loose: true }) ||
+    semver.maxSatisfying(candidates, fetchSpec, { loose: true });
+
+  assertDiff(
+    picked !== null,
+    'RESOLVE',
+    `No matching version found for ${name}@${fetchSpec}`
+  );
+
+  return versions[picked];
+}
+
+/**
+ * Resolve a package spec to its tarball URL and integrity.
+ *
+ * @param {string} spec - Package spec (e.g. `lodash@^4.17.0`, `react@next`, `npm:foo@1`)
+ * @param {ResolveOptions} [options] - Registry and auth options
+ * @returns {Promise<ResolvedSpec>} Resolved tarball location and metadata
+ * @throws {DiffError} On invalid specs, registry errors, or no matching version
+ *
+ * @example
+ * ```js
+ * const { tarball, integrity } = await resolveSpec('lodash@^4.17.0');
+ * const { stream } = await fetchTarball({ transport: 'url', source: tarball });
+ * ```
+ */
+export async function resolveSpec(spec, options = {}) {
+  const parsed = parseSpec(spec);
+  const packument = await fetchPackument(parsed.name, options);
+  const manifest = pickVersion(packument, parsed, options);
+
+  assertDiff(
+    Boolean(manifest.dist && typeof manifest.dist.tarball === 'string'),
+    'RESOLVE',
+    `No tarball published for ${parsed.name}@${manifest.version}`
+  );
+
+  return {
+    name: parsed.name,
+    version: manifest.version,
+    tarball: manifest.dist.tarball,
+    integrity: manifest.dist.integrity,
+    shasum: manifest.dist.shasum
+  };
+}
+
+/**
+ * Resolve a package spec (or tarball URL) into a SourceConfig for fetchTarball.
+ *
+ * URLs pass through unchanged. Resolved specs carry the packument's
+ * `dist.integrity` (or legacy `dist.shasum`) so the tarball is verified
+ * before extraction. Registry auth is carried over to a tarball on the
+ * registry's origin, since registries serve tarballs under the same
+ * credentials; a tarball elsewhere gets the `npmrc` credentials configured
+ * for its URL, if any. Tarball URLs passed as the spec get `auth` as is.
+ *
+ * @param {string} spec - Package spec or tarball URL
+ * @param {ResolveOptions} [options] - Registry and auth options
+ * @returns {Promise<import('./fetch.js').SourceConfig>} Source configuration
+ * @throws {DiffError} On any resolution failure
+ *
+ * @example
+ * ```js
+ * const config = await specToSource('lodash@latest');
+ * // {
+ * //   transport: 'url',
+ * //   source: 'https://registry.npmjs.org/lodash/-/lodash-4.17.21.tgz',
+ * //   integrity: 'sha512-v2kDEe57lecTulaDIuNTPy3Ry4gLGJ6Z1O3vE1krgXZNrsQ+LFTGHVxVjcXPs17LhbZVGedAJv8XZ1tvj5FvSg=='
+ * // }
+ * ```
+ */
+export async function specToSource(spec, options = {}) {
+  /** @type {import('./fetch.js').SourceConfig} */
+  const config = { transport: 'url', source: spec };
+
+  if (!isUrlSpec(spec)) {
+    const resolved = await resolveSpec(spec, options);
+    config.source = resolved.tarball;
+
+    if (resolved.integrity) {
+      config.integrity = resolved.integrity;
+    } else if (resolved.shasum) {
+      config.integrity = shasumToIntegrity(resolved.shasum);
+    }
+  }
+
+  // A tarball URL given directly is the one the credentials were given for
+  const direct = isUrlSpec(spec) && options.auth && options.auth !== 'none';
+  Object.assign(config, direct
+    ? { auth: options.auth, credential: options.credential }
+    : credentialsFor(/** @type {string} */ (config.source), options));
+
+  return config;
+}
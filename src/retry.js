@@ -0,0 +1,200 @@
+/**
+ * Retries for npm-diff-worker.
+ *
+ * Registries and object stores fail transiently: a 502 from a load
+ * balancer, a 503 during a deploy, a reset connection. With a retry
+ * policy, the url and s3 transports (and packument lookups) try again
+ * after an exponentially growing, jittered delay, or after the delay a
+ * `Retry-After` header asks for.
+ *
+ * Only the request is retried. Once a response is handed on, errors while
+ * streaming its body fail the diff as before.
+ *
+ * @module retry
+ */
+
+import { DiffError, isDiffError } from './errors.js';
+import { abortError, throwIfAborted } from './signal.js';
+
+/**
+ * When and how often to retry a request.
+ * @typedef {Object} RetryOptions
+ * @property {number} [retries] - Retries after the first attempt (default: 2)
+ * @property {number} [minDelay] - Delay before the first retry in milliseconds (default: 250)
+ * @property {number} [maxDelay] - Longest delay in milliseconds; a longer `Retry-After`
+ *   is not waited for (default: 30000)
+ * @property {number} [factor] - Growth of the delay per retry (default: 2)
+ * @property {boolean} [jitter] - Randomize delays between zero and the computed delay,
+ *   so clients do not retry in lockstep (default: true)
+ * @property {number[]} [statuses] - Response statuses that are retried
+ *   (default: DEFAULT_RETRY_STATUSES)
+ */
+
+/**
+ * Response statuses retried by default: timeouts, rate limits and server errors.
+ * @type {number[]}
+ */
+export const DEFAULT_RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Retry policy defaults.
+ * @type {Required<Omit<RetryOptions, 'statuses'>>}
+ */
+const DEFAULTS = {
+  retries: 2,
+  minDelay: 250,
+  maxDelay: 30_000,
+  factor: 2,
+  jitter: true
+};
+
+/**
+ * Parse a Retry-After header.
+ *
+ * @param {string | null} value - Header value: delay in seconds or an HTTP date
+ * @param {number} [now] - Current time, as from Date.now()
+ * @returns {number | undefined} Delay in milliseconds, if the header is valid
+ *
+ * @example
+ * ```js
+ * parseRetryAfter('120') // 120000
+ * parseRetryAfter('Wed, 21 Oct 2026 07:28:00 GMT') // ms until then, at least 0
+ * ```
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return undefined;
+  }
+
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return Number(trimmed) * 1000;
+  }
+
+  // HTTP dates name the day and month; Date.parse() would take '-5' as a year
+  const date = /[a-z]/i.test(trimmed) ? Date.parse(trimmed) : NaN;
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Compute the delay before a retry.
+ *
+ * A Retry-After header on the response wins over the backoff. A delay
+ * longer than `maxDelay` means the request is not retried.
+ *
+ * @param {number} attempt - Attempts made so far (1 before the first retry)
+ * @param {RetryOptions} [options] - Retry policy
+ * @param {Response} [response] - Response being retried, if any
+ * @returns {number | undefined} Delay in milliseconds, or undefined to give up
+ */
+export function retryDelay(attempt, options = {}, response = undefined) {
+  const { minDelay, maxDelay, factor, jitter } = { ...DEFAULTS, ...options };
+
+  const retryAfter = parseRetryAfter(response?.headers.get('Retry-After') ?? null);
+  if (retryAfter !== undefined) {
+    return retryAfter <= maxDelay ? retryAfter : undefined;
+  }
+
+  const backoff = Math.min(minDelay * factor ** (attempt - 1), maxDelay);
+  return jitter ? Math.random() * backoff : backoff;
+}
+
+/**
+ * Record the number of attempts on an error that ended a retried request.
+ *
+ * @param {DiffError} error - Error to annotate
+ * @param {number} attempts - Attempts made
+ * @returns {DiffError} The same error
+ */
+export function withAttempts(error, attempts) {
+  if (attempts > 1) {
+    error.attempts = attempts;
+    error.message = `${error.message} (${attempts} attempts)`;
+  }
+  return error;
+}
+
+/**
+ * Wait, unless the signal aborts first.
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ * @throws {DiffError} With phase ABORT or TIMEOUT if the signal aborts
+ */
+function sleep(ms, signal) {
+  throwIfAborted(signal);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(/** @type {AbortSignal} */ (signal)));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Send a request, retrying network errors and retryable statuses.
+ *
+ * Without a retry policy the request is sent once. DiffErrors from the
+ * request (policy violations, too many redirects) are never retried;
+ * other errors are network failures, and are wrapped in a FETCH
+ * DiffError once retries run out. Errors and exhausted responses carry
+ * the number of attempts for withAttempts().
+ *
+ * @param {() => Promise<Response>} request - Sends the request
+ * @param {{ retry?: RetryOptions, signal?: AbortSignal }} options - Retry policy and abort signal
+ * @param {string} context - Message prefix for network errors
+ * @returns {Promise<{ response: Response, attempts: number }>} Final response and attempts made
+ * @throws {DiffError} FETCH for network errors, ABORT or TIMEOUT when the signal aborts
+ *
+ * @example
+ * ```js
+ * const { response, attempts } = await withRetries(
+ *   () => fetch(url, { signal }),
+ *   { retry: { retries: 3 }, signal },
+ *   `Network error fetching ${url}`
+ * );
+ * ```
+ */
+export async function withRetries(request, options, context) {
+  const { retry, signal } = options;
+  const retries = retry ? retry.retries ?? DEFAULTS.retries : 0;
+  const statuses = retry?.statuses ?? DEFAULT_RETRY_STATUSES;
+
+  for (let attempt = 1; ; attempt++) {
+    /** @type {Response | undefined} */
+    let response;
+    try {
+      response = await request();
+    } catch (error) {
+      if (signal?.aborted) {
+        throw abortError(signal);
+      }
+      if (isDiffError(error)) {
+        throw withAttempts(error, attempt);
+      }
+      if (attempt > retries) {
+        throw withAttempts(DiffError.wrap('FETCH', error, context), attempt);
+      }
+    }
+
+    if (response && (attempt > retries || !statuses.includes(response.status))) {
+      return { response, attempts: attempt };
+    }
+
+    const delay = retryDelay(attempt, retry, response);
+    if (response && delay === undefined) {
+      // Asked to come back later than we are willing to wait
+      return { response, attempts: attempt };
+    }
+
+    await response?.body?.cancel();
+    await sleep(delay ?? 0, signal);
+  }
+}
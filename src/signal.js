@@ -0,0 +1,137 @@
+/**
+ * Cancellation for npm-diff-worker.
+ *
+ * A diff can be abandoned halfway: the client disconnects, or the work
+ * takes longer than the caller will wait. The `signal` option is an
+ * AbortSignal that is forwarded to every fetch, cancels tar body streams,
+ * and is checked between files while diffing; the `timeout` option adds
+ * a deadline to it.
+ *
+ * Formatting a diff is synchronous, so timers cannot fire while it runs.
+ * Deadlines are therefore also compared against the clock whenever the
+ * signal is checked, and stop a long diff between two files.
+ *
+ * An aborted operation fails with a DiffError: TIMEOUT when the deadline
+ * (or any `AbortSignal.timeout()`) passed, ABORT otherwise.
+ *
+ * @module signal
+ */
+
+import { DiffError, assertDiff, isDiffError } from './errors.js';
+
+/**
+ * Options controlling cancellation.
+ * @typedef {Object} SignalOptions
+ * @property {AbortSignal} [signal] - Aborts the operation when aborted
+ * @property {number} [timeout] - Milliseconds before the operation times out
+ */
+
+/**
+ * Deadline of a signal made by createSignal().
+ * @typedef {Object} Deadline
+ * @property {number} at - Time the deadline passes, as from Date.now()
+ * @property {number} timeout - Timeout in milliseconds, for error messages
+ * @property {AbortController} controller - Aborts the signal when the clock passes `at`
+ */
+
+/**
+ * Deadlines of the signals created with a timeout.
+ * @type {WeakMap<AbortSignal, Deadline>}
+ */
+const deadlines = new WeakMap();
+
+/**
+ * Create the signal for an operation from its options.
+ *
+ * Without a timeout the caller's signal is returned as is. With one, the
+ * result aborts when the caller's signal does or when the timeout passes.
+ *
+ * @param {SignalOptions} [options] - Signal and timeout
+ * @returns {AbortSignal | undefined} Signal for the operation, if any
+ * @throws {DiffError} With phase TIMEOUT if the timeout is not a non-negative number
+ *
+ * @example
+ * ```js
+ * const signal = createSignal({ signal: request.signal, timeout: 10_000 });
+ * const response = await fetch(url, { signal });
+ * ```
+ */
+export function createSignal(options = {}) {
+  const { signal, timeout } = options;
+  if (timeout === undefined) {
+    return signal;
+  }
+
+  assertDiff(
+    typeof timeout === 'number' && timeout >= 0,
+    'TIMEOUT',
+    'Timeout must be a non-negative number of milliseconds'
+  );
+
+  const controller = new AbortController();
+  const signals = [controller.signal, AbortSignal.timeout(timeout)];
+  if (signal) {
+    signals.push(signal);
+  }
+
+  const combined = AbortSignal.any(signals);
+  deadlines.set(combined, { at: Date.now() + timeout, timeout, controller });
+  return combined;
+}
+
+/**
+ * Create the DiffError for an aborted signal.
+ *
+ * DiffError reasons are returned unchanged.
+ *
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {DiffError} TIMEOUT for timeouts, ABORT otherwise
+ */
+export function abortError(signal) {
+  const { reason } = signal;
+  if (isDiffError(reason)) {
+    return reason;
+  }
+
+  const cause = reason instanceof Error ? reason : undefined;
+  if (cause?.name === 'TimeoutError') {
+    const deadline = deadlines.get(signal);
+    return new DiffError(
+      'TIMEOUT',
+      deadline ? `Timed out after ${deadline.timeout}ms` : 'Timed out',
+      cause
+    );
+  }
+
+  return new DiffError('ABORT', 'Aborted', cause);
+}
+
+/**
+ * Throw if a signal is aborted or its deadline has passed.
+ *
+ * @param {AbortSignal} [signal] - Signal to check
+ * @returns {void}
+ * @throws {DiffError} With phase TIMEOUT or ABORT
+ *
+ * @example
+ * ```js
+ * for (const path of paths) {
+ *   throwIfAborted(options.signal);
+ *   // ...
+ * }
+ * ```
+ */
+export function throwIfAborted(signal) {
+  if (!signal) {
+    return;
+  }
+
+  const deadline = deadlines.get(signal);
+  if (deadline && !signal.aborted && Date.now() >= deadline.at) {
+    deadline.controller.abort(new DOMException('The operation timed out.', 'TimeoutError'));
+  }
+
+  if (signal.aborted) {
+    throw abortError(signal);
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * Diffstat output for npm-diff-worker.
+ *
+ * Renders git-compatible `--stat`, `--numstat` and `--shortstat` output
+ * from per-file insertion and deletion counts. The `--stat` layout is a
+ * port of git's show_stats(): names and the +/- graph share the width,
+ * long names are cut from the left, and binary files show their sizes.
+ *
+ * @module stat
+ */
+
+/**
+ * Default total width of `--stat` output (git's width off a terminal).
+ * @type {number}
+ */
+export const DEFAULT_STAT_WIDTH = 80;
+
+/**
+ * Line counts of one changed file.
+ * @typedef {Object} FileStat
+ * @property {string} path - File path (the destination for renames and copies)
+ * @property {string} [oldPath] - Source path, for renames and copies
+ * @property {number} insertions - Added lines
+ * @property {number} deletions - Removed lines
+ * @property {boolean} binary - Whether the file is binary (counts are 0)
+ * @property {number} oldSize - Old size in bytes (0 if added)
+ * @property {number} newSize - New size in bytes (0 if deleted)
+ */
+
+/**
+ * Diffstat rendering options.
+ * @typedef {Object} StatOptions
+ * @property {number} [width] - Total width of `--stat` lines (default: 80)
+ */
+
+/**
+ * Count added and removed lines in a unified diff patch.
+ *
+ * @param {string | null | undefined} patch - Patch text for a single file
+ * @returns {{ insertions: number, deletions: number }} Line counts
+ */
+export function countChanges(patch) {
+  let insertions = 0;
+  let deletions = 0;
+
+  if (!patch) {
+    return { insertions, deletions };
+  }
+
+  // Skip the ---/+++ file headers before the first hunk
+  const start = patch.startsWith('@@') ? 0 : patch.indexOf('\n@@');
+  if (start === -1) {
+    return { insertions, deletions };
+  }
+
+  for (const line of patch.slice(start).split('\n')) {
+    if (line[0] === '+') {
+      insertions++;
+    } else if (line[0] === '-') {
+      deletions++;
+    }
+  }
+
+  return { insertions, deletions };
+}
+
+/**
+ * Name a file for diffstat output.
+ *
+ * Renames and copies factor out the common directory prefix and suffix,
+ * as in `lib/{old.js => new.js}`. Port of git's pprint_rename().
+ *
+ * @param {string} path - File path
+ * @param {string} [oldPath] - Source path, for renames and copies
+ * @returns {string} Display name
+ */
+export function statName(path, oldPath) {
+  if (oldPath === undefined || oldPath === path) {
+    return path;
+  }
+
+  const a = oldPath;
+  const b = path;
+
+  // Common prefix, up to and including the last shared slash
+  let prefix = 0;
+  for (let i = 0; i < a.length && i < b.length && a[i] === b[i]; i++) {
+    if (a[i] === '/') {
+      prefix = i + 1;
+    }
+  }
+
+  // Common suffix, from a shared slash; it may reuse the prefix's slash
+  let suffix = 0;
+  const floor = prefix ? prefix - 1 : 0;
+  for (let i = a.length, j = b.length; i >= floor && j >= floor && a[i] === b[j]; i--, j--) {
+    if (a[i] === '/') {
+      suffix = a.length - i;
+    }
+  }
+
+  const oldMiddle = a.slice(prefix, Math.max(prefix, a.length - suffix));
+  const newMiddle = b.slice(prefix, Math.max(prefix, b.length - suffix));
+
+  if (prefix + suffix === 0) {
+    return `${oldMiddle} => ${newMiddle}`;
+  }
+
+  return `${a.slice(0, prefix)}{${oldMiddle} => ${newMiddle}}${a.slice(a.length - suffix)}`;
+}
+
+/**
+ * Number of decimal digits in a count.
+ *
+ * @param {number} n - Non-negative integer
+ * @returns {number} Digit count
+ */
+function decimalWidth(n) {
+  return String(n).length;
+}
+
+/**
+ * Scale a change count onto the graph, keeping at least one column.
+ * Port of git's scale_linear().
+ *
+ * @param {number} it - Count to scale
+ * @param {number} width - Graph width
+ * @param {number} maxChange - Largest change count
+ * @returns {number} Graph columns
+ */
+function scaleLinear(it, width, maxChange) {
+  if (!it) {
+    return 0;
+  }
+  return 1 + Math.floor(it * (width - 1) / maxChange);
+}
+
+/**
+ * Format the diffstat summary line.
+ *
+ * @param {number} files - Number of changed files
+ * @param {number} insertions - Total added lines
+ * @param {number} deletions - Total removed lines
+ * @returns {string} Summary line, e.g. ` 2 files changed, 3 insertions(+)`
+ */
+export function formatStatSummary(files, insertions, deletions) {
+  let line = ` ${files} ${files === 1 ? 'file' : 'files'} changed`;
+
+  if (insertions || !deletions) {
+    line += `, ${insertions} ${insertions === 1 ? 'insertion' : 'insertions'}(+)`;
+  }
+  if (deletions || !insertions) {
+    line += `, ${deletions} ${deletions === 1 ? 'deletion' : 'deletions'}(-)`;
+  }
+
+  return line + '\n';
+}
+
+/**
+ * Format `--stat` output: one line per file and a summary.
+ *
+ * @param {FileStat[]} stats - Per-file counts
+ * @param {StatOptions} [options] - Rendering options
+ * @returns {string} Diffstat, or '' if nothing changed
+ *
+ * @example
+ * ```
+ *  lib/index.js |  12 +++++++-----
+ *  logo.png     | Bin 1024 -> 2048 bytes
+ *  2 files changed, 7 insertions(+), 5 deletions(-)
+ * ```
+ */
+export function formatStat(stats, options = {}) {
+  if (stats.length === 0) {
+    return '';
+  }
+
+  const names = stats.map((stat) => statName(stat.path, stat.oldPath));
+
+  // Longest name, largest change and widest "Bin X -> Y bytes"
+  let maxLen = 0;
+  let maxChange = 0;
+  let binWidth = 0;
+  let numberWidth = 0;
+
+  stats.forEach((stat, i) => {
+    maxLen = Math.max(maxLen, names[i].length);
+
+    if (stat.binary) {
+      binWidth = Math.max(binWidth, 14 + decimalWidth(stat.newSize) + decimalWidth(stat.oldSize));
+      numberWidth = 3; // Counts align with "Bin"
+      return;
+    }
+
+    maxChange = Math.max(maxChange, stat.insertions + stat.deletions);
+  });
+
+  numberWidth = Math.max(numberWidth, decimalWidth(maxChange));
+
+  // Guarantee room for a 6-column graph and a 10-column name
+  const width = Math.max(options.width ?? DEFAULT_STAT_WIDTH, 16 + 6 + numberWidth);
+
+  // Wanted sizes first, then shrink to fit: the graph gets at most 3/8
+  let graphWidth = maxChange + 4 > binWidth ? maxChange : binWidth - 4;
+  let nameWidth = maxLen;
+
+  if (nameWidth + numberWidth + 6 + graphWidth > width) {
+    const graphLimit = Math.floor(width * 3 / 8) - numberWidth - 6;
+    if (graphWidth > graphLimit) {
+      graphWidth = Math.max(graphLimit, 6);
+    }
+
+    if (nameWidth > width - numberWidth - 6 - graphWidth) {
+      nameWidth = width - numberWidth - 6 - graphWidth;
+    } else {
+      graphWidth = width - numberWidth - 6 - nameWidth;
+    }
+  }
+
+  let output = '';
+  let insertions = 0;
+  let deletions = 0;
+
+  stats.forEach((stat, i) => {
+    // Cut long names from the left, at a directory boundary if possible
+    let name = names[i];
+    let prefix = '';
+    let len = nameWidth;
+
+    if (nameWidth < name.length) {
+      prefix = '...';
+      len = Math.max(len - 3, 0);
+      name = name.slice(name.length - len);
+
+      const slash = name.indexOf('/');
+      if (slash !== -1) {
+        name = name.slice(slash);
+      }
+    }
+
+    const label = ` ${prefix}${name}${' '.repeat(Math.max(len - name.length, 0))} | `;
+
+    if (stat.binary) {
+      output += label + 'Bin'.padStart(numberWidth);
+      if (stat.oldSize || stat.newSize) {
+        output += ` ${stat.oldSize} -> ${stat.newSize} bytes`;
+      }
+      output += '\n';
+      return;
+    }
+
+    const total = stat.insertions + stat.deletions;
+    let add = stat.insertions;
+    let del = stat.deletions;
+
+    if (graphWidth <= maxChange) {
+      let scaled = scaleLinear(total, graphWidth, maxChange);
+      if (scaled < 2 && add && del) {
+        scaled = 2;
+      }
+      if (add < del) {
+        add = scaleLinear(add, graphWidth, maxChange);
+        del = scaled - add;
+      } else {
+        del = scaleLinear(del, graphWidth, maxChange);
+        add = scaled - del;
+      }
+    }
+
+    output += label + String(total).padStart(numberWidth) + (total ? ' ' : '');
+    output += '+'.repeat(add) + '-'.repeat(del) + '\n';
+
+    insertions += stat.insertions;
+    deletions += stat.deletions;
+  });
+
+  return output + formatStatSummary(stats.length, insertions, deletions);
+}
+
+/**
+ * Format `--numstat` output: tab-separated counts and name per file.
+ *
+ * Binary files show `-` for both counts.
+ *
+ * @param {FileStat[]} stats - Per-file counts
+ * @returns {string} Numstat lines
+ *
+ * @example
+ * ```
+ * 7	5	lib/index.js
+ * -	-	logo.png
+ * ```
+ */
+export function formatNumstat(stats) {
+  return stats
+    .map((stat) => {
+      const name = statName(stat.path, stat.oldPath);
+      return stat.binary
+        ? `-\t-\t${name}\n`
+        : `${stat.insertions}\t${stat.deletions}\t${name}\n`;
+    })
+    .join('');
+}
+
+/**
+ * Format `--shortstat` output: the summary line only.
+ *
+ * @param {FileStat[]} stats - Per-file counts
+ * @returns {string} Summary line, or '' if nothing changed
+ */
+export function formatShortstat(stats) {
+  if (stats.length === 0) {
+    return '';
+  }
+
+  let insertions = 0;
+  let deletions = 0;
+  for (const stat of stats) {
+    insertions += stat.insertions;
+    deletions += stat.deletions;
+  }
+
+  return formatStatSummary(stats.length, insertions, deletions);
+}
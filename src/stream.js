@@ -0,0 +1,319 @@
+/**
+ * Streaming diff output for npm-diff-worker.
+ *
+ * formatDiff() builds the whole output before returning it. A diff
+ * stream instead walks the changed files one at a time: each file's
+ * blobs are hashed (and its binary patch deflated) just before it is
+ * formatted, and nothing is kept once it has been handed out. Edge
+ * handlers can pipe the text straight into a Response:
+ *
+ * ```js
+ * const stream = streamTreeDiff(leftFiles, rightFiles);
+ * return new Response(stream.readable.pipeThrough(new TextEncoderStream()));
+ * ```
+ *
+ * A stream is also an async iterable of FileDiff records. Every
+ * iteration, and the readable, walks the file trees afresh, so they can
+ * be consumed independently.
+ *
+ * @module stream
+ */
+
+import { isBinaryFile } from './binary.js';
+import { formatBinaryPatch, getBinaryPatch, setBinaryPatch } from './binpatch.js';
+import { areIdentical, computeFileDiff, computeRenameDiff } from './diff.js';
+import { assertDiff } from './errors.js';
+import { formatFileDiff, formatNameStatus, formatRenameDiff } from './format.js';
+import { getBlobHash, hashBlob, setBlobHash } from './hash.js';
+import { createOutputCounter } from './limits.js';
+import { detectRenames } from './rename.js';
+import { throwIfAborted } from './signal.js';
+import { getFileMode, formatFileMode } from './tar.js';
+
+/**
+ * Formatting options for diff output.
+ * @typedef {import('./format.js').FormatOptions} FormatOptions
+ */
+
+/**
+ * Result of a single file diff.
+ * @typedef {import('./diff.js').FileDiff} FileDiff
+ */
+
+/**
+ * Git modes and blob hashes of the two sides of a file diff.
+ * @typedef {import('./diff.js').FileMeta} FileMeta
+ */
+
+/**
+ * A detected rename or copy.
+ * @typedef {import('./rename.js').RenamePair} RenamePair
+ */
+
+/**
+ * A changed file, ready to be diffed.
+ * @typedef {Object} Change
+ * @property {string} path - File path (the destination for renames and copies)
+ * @property {Uint8Array | undefined} left - Old content (the source for renames and copies)
+ * @property {Uint8Array | undefined} right - New content
+ * @property {FileMeta} meta - Modes and hashes
+ * @property {RenamePair} [pair] - Rename or copy, if detected
+ */
+
+/**
+ * Per-file diff output: FileDiff records when iterated, formatted text
+ * through `readable`.
+ * @typedef {AsyncIterable<FileDiff> & { readable: ReadableStream<string> }} DiffStream
+ */
+
+/**
+ * Hash one side of a change, reusing a recorded hash.
+ *
+ * @param {Map<string, Uint8Array>} tree - File tree
+ * @param {string} path - File path
+ * @returns {Promise<string | undefined>} Object ID, or undefined if absent
+ */
+async function hashPath(tree, path) {
+  const content = tree.get(path);
+  if (!content) {
+    return undefined;
+  }
+
+  let oid = getBlobHash(tree, path);
+  if (oid === undefined) {
+    oid = await hashBlob(content);
+    setBlobHash(tree, path, oid);
+  }
+  return oid;
+}
+
+/**
+ * Walk the changed files of two trees in path order.
+ *
+ * Unchanged files are skipped and renamed sources are reported at their
+ * destination, as in formatDiff(). Each change is hashed, and its binary
+ * patch prepared if requested, before it is yielded.
+ *
+ * @param {Map<string, Uint8Array>} leftTree - Old file tree
+ * @param {Map<string, Uint8Array>} rightTree - New file tree
+ * @param {FormatOptions} options - Format options
+ * @returns {AsyncGenerator<Change>} Changes
+ */
+async function* walkChanges(leftTree, rightTree, options) {
+  const namesOnly = options.nameOnly || options.nameStatus;
+  const sortedPaths = [...new Set([...leftTree.keys(), ...rightTree.keys()])].sort();
+
+  const renames = options.renames ?? detectRenames(leftTree, rightTree, options);
+  const pairByDestination = new Map(renames.map((pair) => [pair.to, pair]));
+  const renamedSources = new Set(
+    renames.filter((pair) => pair.status === 'renamed').map((pair) => pair.from)
+  );
+
+  for (const path of sortedPaths) {
+    throwIfAborted(options.signal);
+
+    const pair = leftTree.has(path) ? undefined : pairByDestination.get(path);
+    const fromPath = pair ? pair.from : path;
+    const left = leftTree.get(fromPath);
+    const right = rightTree.get(path);
+
+    // Moved away: reported at its destination
+    if (left && !right && renamedSources.has(path)) {
+      continue;
+    }
+
+    const oldMode = left && formatFileMode(getFileMode(leftTree, fromPath));
+    const newMode = right && formatFileMode(getFileMode(rightTree, path));
+    const identical = Boolean(left && right) && areIdentical(
+      /** @type {Uint8Array} */ (left),
+      /** @type {Uint8Array} */ (right)
+    );
+
+    if (!pair && identical && oldMode === newMode) {
+      continue;
+    }
+
+    /** @type {FileMeta} */
+    const meta = {
+      ...(oldMode && { oldMode }),
+      ...(newMode && { newMode })
+    };
+
+    if (!namesOnly) {
+      const [oldHash, newHash] = await Promise.all([
+        hashPath(leftTree, fromPath),
+        hashPath(rightTree, path)
+      ]);
+      Object.assign(meta, oldHash && { oldHash }, newHash && { newHash });
+
+      const wantsBinaryPatch = options.binary && !options.text && !identical &&
+        getBinaryPatch(left, right) === undefined && isBinaryFile(path, left, right);
+      if (wantsBinaryPatch) {
+        setBinaryPatch(left, right, await formatBinaryPatch(left, right));
+      }
+    }
+
+    yield { path, left, right, meta, ...(pair && { pair }) };
+  }
+}
+
+/**
+ * Compute the FileDiff of a change.
+ *
+ * @param {Change} change - Changed file
+ * @param {FormatOptions} options - Format options
+ * @returns {FileDiff} Diff result
+ */
+function diffChange(change, options) {
+  const { path, left, right, meta, pair } = change;
+
+  if (pair) {
+    return computeRenameDiff(
+      pair,
+      /** @type {Uint8Array} */ (left),
+      /** @type {Uint8Array} */ (right),
+      options,
+      meta
+    );
+  }
+
+  return computeFileDiff(path, left, right, options, meta);
+}
+
+/**
+ * Format the output text of a change.
+ *
+ * @param {Change} change - Changed file
+ * @param {FormatOptions} options - Format options
+ * @returns {string | null} Formatted text, or null if only ignored changes remain
+ */
+function formatChange(change, options) {
+  const { path, left, right, meta, pair } = change;
+
+  if (options.nameOnly) {
+    return `${path}\n`;
+  }
+
+  if (options.nameStatus) {
+    const status = pair ? pair.status : !left ? 'added' : !right ? 'deleted' : 'modified';
+    return formatNameStatus([{
+      path,
+      status,
+      ...(pair && { oldPath: pair.from, similarity: pair.similarity })
+    }]);
+  }
+
+  if (pair) {
+    const { isBinary, patch } = diffChange(change, options);
+    const binaryPatch = isBinary && options.binary ? getBinaryPatch(left, right) ?? null : null;
+    return formatRenameDiff(pair, binaryPatch ?? patch, isBinary, options, meta);
+  }
+
+  return formatFileDiff(path, left, right, options, meta);
+}
+
+/**
+ * Check that options ask for output that can be streamed.
+ *
+ * Names and patches are produced file by file; JSON and diffstats
+ * need every file at once.
+ *
+ * @param {FormatOptions} options - Format options
+ * @throws {DiffError} If a whole-diff format (json, stat, ...) is requested
+ */
+export function assertStreamable(options) {
+  assertDiff(
+    (options.format ?? 'patch') === 'patch' || Boolean(options.nameOnly || options.nameStatus),
+    'DIFF',
+    `Output format '${options.format}' cannot be streamed`
+  );
+}
+
+/**
+ * Stream the diff of two file trees, one file at a time.
+ *
+ * Iterating the result yields a FileDiff per changed file; files whose
+ * only changes are ignored (e.g. whitespace under ignoreAllSpace) are
+ * skipped. `readable` carries the same text as formatDiff()'s output:
+ * unified diff patches, or names with nameOnly/nameStatus. It errors
+ * with a SIZE DiffError once it passes the output size limit.
+ *
+ * @param {Map<string, Uint8Array>} leftTree - Old file tree
+ * @param {Map<string, Uint8Array>} rightTree - New file tree
+ * @param {FormatOptions} [options] - Format options; the format option must be 'patch'
+ * @returns {DiffStream} Per-file diff output
+ * @throws {DiffError} If a whole-diff format (json, stat, ...) is requested
+ *
+ * @example
+ * ```js
+ * for await (const file of streamTreeDiff(leftFiles, rightFiles)) {
+ *   console.log(file.status, file.path);
+ * }
+ * ```
+ */
+export function streamTreeDiff(leftTree, rightTree, options = {}) {
+  assertStreamable(options);
+
+  // Both consumers walk the trees, but detection scans every source
+  // against every destination, so run it once on the first walk
+  /** @type {FormatOptions | undefined} */
+  let walkOptions;
+  const walk = () => {
+    walkOptions ??= { ...options, renames: options.renames ?? detectRenames(leftTree, rightTree, options) };
+    return walkChanges(leftTree, rightTree, walkOptions);
+  };
+
+  /** @type {AsyncIterable<FileDiff>} */
+  const files = {
+    async *[Symbol.asyncIterator]() {
+      for await (const change of walk()) {
+        const file = diffChange(change, options);
+
+        // Ignored changes only, as when whitespace is ignored
+        const ignored = file.status === 'unchanged' || (
+          file.status === 'modified' && !file.isBinary && file.patch === null &&
+          file.oldMode === file.newMode
+        );
+        if (!ignored) {
+          yield file;
+        }
+      }
+    }
+  };
+
+  /** @type {AsyncGenerator<Change> | undefined} */
+  let changes;
+  let first = true;
+  const countOutput = createOutputCounter(options.limits?.outputSize);
+
+  const readable = new ReadableStream({
+    async pull(controller) {
+      changes ??= walk();
+
+      // Skip changes without output until there is text to send
+      for (;;) {
+        const { value: change, done } = await changes.next();
+        if (done) {
+          controller.close();
+          return;
+        }
+
+        const text = formatChange(change, options);
+        if (text !== null) {
+          // Patches are separated by blank lines, names are not
+          const separator = first || options.nameOnly || options.nameStatus ? '' : '\n';
+          first = false;
+          countOutput(separator + text);
+          controller.enqueue(separator + text);
+          return;
+        }
+      }
+    },
+
+    async cancel() {
+      await changes?.return(undefined);
+    }
+  }, { highWaterMark: 0 });
+
+  return Object.assign(files, { readable });
+}
@@ -15,6 +15,8 @@
 
 import { createTarDecoder } from 'modern-tar';
 import { DiffError } from './errors.js';
+import { MAX_FILE_SIZE, formatBytes } from './limits.js';
+import { abortError, throwIfAborted } from './signal.js';
 
 /**
  * Entry types that represent files with content.
@@ -36,11 +38,75 @@ const SYMLINK_TYPES = new Set(['symlink', 'link']);
  */
 const PACKAGE_PREFIX = /^package\//;
 
+/**
+ * Mode assumed for files without mode metadata.
+ * @type {number}
+ */
+export const DEFAULT_FILE_MODE = 0o644;
+
 /**
  * Result of tarball extraction - a map of file paths to their contents.
+ * File modes are tracked alongside; see getFileMode().
  * @typedef {Map<string, Uint8Array>} FileMap
  */
 
+/**
+ * File modes recorded during extraction, keyed by file map.
+ * Kept beside the map so FileMap stays a plain Map<string, Uint8Array>.
+ * @type {WeakMap<FileMap, Map<string, number>>}
+ */
+const fileModes = new WeakMap();
+
+/**
+ * Record the mode of a file in a file map.
+ *
+ * Extraction does this for every file; use it when building file maps
+ * by hand to diff modes.
+ *
+ * @param {FileMap} files - File map
+ * @param {string} path - File path
+ * @param {number} mode - File mode (permission bits)
+ */
+export function setFileMode(files, path, mode) {
+  let modes = fileModes.get(files);
+  if (!modes) {
+    modes = new Map();
+    fileModes.set(files, modes);
+  }
+  modes.set(path, mode & 0o7777);
+}
+
+/**
+ * Get the mode of a file in a file map.
+ *
+ * @param {FileMap} files - File map
+ * @param {string} path - File path
+ * @returns {number} File mode, or DEFAULT_FILE_MODE if none was recorded
+ *
+ * @example
+ * ```js
+ * const files = await extractTarball(tarStream);
+ * getFileMode(files, 'bin/cli.js') // 0o755
+ * ```
+ */
+export function getFileMode(files, path) {
+  return fileModes.get(files)?.get(path) ?? DEFAULT_FILE_MODE;
+}
+
+/**
+ * Format a file mode the way diff headers show it.
+ *
+ * Git only records two modes for regular files: like its canon_mode(),
+ * any owner-execute bit makes `100755` and everything else `100644`, so
+ * packages published under different umasks show no mode changes.
+ *
+ * @param {number} mode - File mode (permission bits)
+ * @returns {string} '100755' or '100644'
+ */
+export function formatFileMode(mode) {
+  return mode & 0o100 ? '100755' : '100644';
+}
+
 /**
  * Tar entry header from modern-tar.
  * @typedef {Object} TarHeader
@@ -59,13 +125,105 @@ const PACKAGE_PREFIX = /^package\//;
  * @property {ReadableStream<Uint8Array>} body - Entry content stream
  */
 
+/**
+ * Options for extraction.
+ * @typedef {Object} ExtractOptions
+ * @property {import('./limits.js').ResourceLimits} [limits] - Resource limits; `fileSize`
+ *   bounds each extracted file (default: MAX_FILE_SIZE), `fileCount` the number of
+ *   files and `pathLength` every entry path
+ * @property {AbortSignal} [signal] - Stops extraction, cancelling the tar stream
+ */
+
+/**
+ * Limits applied to each tar entry.
+ * @typedef {Object} EntryLimits
+ * @property {number} fileSize - Maximum file size in bytes
+ * @property {number} fileCount - Maximum number of extracted files
+ * @property {number} pathLength - Maximum entry path length
+ */
+
+/**
+ * Fill in the entry limits that are not set.
+ *
+ * @param {import('./limits.js').ResourceLimits} [limits] - Resource limits
+ * @returns {EntryLimits} Limits with defaults
+ */
+function entryLimits(limits = {}) {
+  return {
+    fileSize: limits.fileSize ?? MAX_FILE_SIZE,
+    fileCount: limits.fileCount ?? Infinity,
+    pathLength: limits.pathLength ?? Infinity
+  };
+}
+
+/**
+ * Check a tar entry's path against the path length limit.
+ *
+ * @param {TarEntry} entry - Tar entry
+ * @param {EntryLimits} limits - Entry limits
+ * @returns {Promise<void>}
+ * @throws {DiffError} With phase SIZE if the path is too long
+ */
+async function assertPathLength({ header, body }, limits) {
+  if (header.name.length > limits.pathLength) {
+    await body.cancel();
+    throw new DiffError(
+      'SIZE',
+      `Path length ${header.name.length} exceeds limit of ${limits.pathLength}: ${header.name.slice(0, 100)}`
+    );
+  }
+}
+
+/**
+ * Check a file entry against the file size and count limits before it is read.
+ *
+ * @param {TarEntry} entry - Tar entry
+ * @param {number} count - File entries extracted so far, repeated paths included
+ * @param {EntryLimits} limits - Entry limits
+ * @returns {Promise<void>}
+ * @throws {DiffError} With phase SIZE if the file is too large or one too many
+ */
+async function assertFileLimits({ header, body }, count, limits) {
+  if (count >= limits.fileCount) {
+    await body.cancel();
+    throw new DiffError('SIZE', `File count exceeds limit of ${limits.fileCount}`);
+  }
+
+  if (header.size > limits.fileSize) {
+    await body.cancel();
+    throw new DiffError(
+      'SIZE',
+      `File size ${formatBytes(header.size)} exceeds limit of ${formatBytes(limits.fileSize)}: ${header.name}`
+    );
+  }
+}
+
+/**
+ * Check the signal before reading a tar entry, cancelling its body if aborted.
+ *
+ * @param {TarEntry} entry - Tar entry
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ * @throws {DiffError} With phase ABORT or TIMEOUT
+ */
+async function assertNotAborted({ body }, signal) {
+  try {
+    throwIfAborted(signal);
+  } catch (error) {
+    await body.cancel();
+    throw error;
+  }
+}
+
 /**
  * Collect all bytes from a ReadableStream into a single Uint8Array.
  *
  * @param {ReadableStream<Uint8Array>} stream - Stream to collect
+ * @param {number} [limit] - Maximum number of bytes; more is a SIZE error
+ * @param {AbortSignal} [signal] - Cancels the stream when aborted
  * @returns {Promise<Uint8Array>} All bytes from the stream
  */
-async function streamToBytes(stream) {
+async function streamToBytes(stream, limit = Infinity, signal = undefined) {
   const reader = stream.getReader();
   /** @type {Uint8Array[]} */
   const chunks = [];
@@ -77,7 +235,15 @@ async function streamToBytes(stream) {
       if (done) break;
       chunks.push(value);
       totalLength += value.length;
+      if (totalLength > limit) {
+        throw new DiffError('SIZE', `File exceeds limit of ${formatBytes(limit)}`);
+      }
+      throwIfAborted(signal);
     }
+  } catch (error) {
+    // An errored stream rejects cancel() with its own error
+    await reader.cancel().catch(() => {});
+    throw error;
   } finally {
     reader.releaseLock();
   }
@@ -106,10 +272,17 @@ async function streamToBytes(stream) {
  *
  * Strips the `package/` prefix that npm tarballs always include.
  * Errors on symlinks since npm strips them on publish.
+ * File modes from the tar headers are recorded for getFileMode().
+ * Files larger than the file size limit, more files than the file count
+ * limit, or paths longer than the path length limit fail with a SIZE
+ * DiffError. The signal is checked before every entry and while reading
+ * it; once aborted, the tar stream is cancelled.
  *
  * @param {ReadableStream<Uint8Array>} stream - Uncompressed tar byte stream
+ * @param {ExtractOptions} [options] - Resource limits and abort signal
  * @returns {Promise<FileMap>} Map of file paths to Uint8Array contents
- * @throws {DiffError} If a symlink is encountered or tar is malformed
+ * @throws {DiffError} If a symlink is encountered, a limit is exceeded, tar is malformed,
+ *   or the signal aborts
  *
  * @example
  * ```js
@@ -135,7 +308,10 @@ async function streamToBytes(stream) {
  * // package/README.md    -> README.md
  * ```
  */
-export async function extractTarball(stream) {
+export async function extractTarball(stream, options = {}) {
+  const limits = entryLimits(options.limits);
+  const { signal } = options;
+
   if (!stream || typeof stream.pipeThrough !== 'function') {
     throw new DiffError(
       'TAR',
@@ -145,6 +321,8 @@ export async function extractTarball(stream) {
 
   /** @type {FileMap} */
   const files = new Map();
+  // Entries read, counting repeated paths each time
+  let extracted = 0;
 
   try {
     // Create tar decoder transform stream
@@ -158,6 +336,12 @@ export async function extractTarball(stream) {
     for await (const entry of entryStream) {
       const { header, body } = /** @type {TarEntry} */ (entry);
 
+      // Stop between entries once aborted
+      await assertNotAborted({ header, body }, signal);
+
+      // Bound path lengths before using them
+      await assertPathLength({ header, body }, limits);
+
       // Check for symlinks - error since npm strips these
       if (SYMLINK_TYPES.has(header.type)) {
         // Cancel the body stream before throwing
@@ -184,11 +368,13 @@ export async function extractTarball(stream) {
         continue;
       }
 
-      // Read file content
-      const content = await streamToBytes(body);
+      // Read file content, within the size and count limits
+      await assertFileLimits({ header, body }, extracted++, limits);
+      const content = await streamToBytes(body, limits.fileSize, signal);
 
-      // Store in map
+      // Store in map, keeping the mode
       files.set(path, content);
+      setFileMode(files, path, header.mode ?? DEFAULT_FILE_MODE);
     }
   } catch (error) {
     // If it's already a DiffError, re-throw
@@ -196,6 +382,11 @@ export async function extractTarball(stream) {
       throw error;
     }
 
+    // The source stream errors with the signal's reason when aborted
+    if (signal?.aborted) {
+      throw abortError(signal);
+    }
+
     // Wrap tar parsing errors
     throw DiffError.wrap('TAR', error, 'Failed to parse tarball');
   }
@@ -213,8 +404,12 @@ export async function extractTarball(stream) {
  * @param {Object} [options] - Extraction options
  * @param {boolean} [options.stripPackagePrefix=true] - Strip `package/` prefix
  * @param {(path: string, header: TarHeader) => boolean} [options.filter] - Filter function
+ * @param {import('./limits.js').ResourceLimits} [options.limits] - Resource limits on
+ *   file size, file count and path length; filtered-out files are not counted
+ * @param {AbortSignal} [options.signal] - Stops extraction, cancelling the tar stream
  * @returns {Promise<FileMap>} Map of file paths to Uint8Array contents
- * @throws {DiffError} If a symlink is encountered or tar is malformed
+ * @throws {DiffError} If a symlink is encountered, a limit is exceeded, tar is malformed,
+ *   or the signal aborts
  *
  * @example
  * ```js
@@ -227,8 +422,10 @@ export async function extractTarball(stream) {
 export async function extractTarballWithOptions(stream, options = {}) {
   const {
     stripPackagePrefix = true,
-    filter
+    filter,
+    signal
   } = options;
+  const limits = entryLimits(options.limits);
 
   if (!stream || typeof stream.pipeThrough !== 'function') {
     throw new DiffError(
@@ -239,6 +436,8 @@ export async function extractTarballWithOptions(stream, options = {}) {
 
   /** @type {FileMap} */
   const files = new Map();
+  // Entries read, counting repeated paths each time
+  let extracted = 0;
 
   try {
     const decoder = createTarDecoder();
@@ -248,6 +447,12 @@ export async function extractTarballWithOptions(stream, options = {}) {
     for await (const entry of entryStream) {
       const { header, body } = /** @type {TarEntry} */ (entry);
 
+      // Stop between entries once aborted
+      await assertNotAborted({ header, body }, signal);
+
+      // Bound path lengths before using them
+      await assertPathLength({ header, body }, limits);
+
       // Check for symlinks
       if (SYMLINK_TYPES.has(header.type)) {
         await body.cancel();
@@ -281,14 +486,19 @@ export async function extractTarballWithOptions(stream, options = {}) {
         continue;
       }
 
-      // Read and store
-      const content = await streamToBytes(body);
+      // Read within the size and count limits, and store, keeping the mode
+      await assertFileLimits({ header, body }, extracted++, limits);
+      const content = await streamToBytes(body, limits.fileSize, signal);
       files.set(path, content);
+      setFileMode(files, path, header.mode ?? DEFAULT_FILE_MODE);
     }
   } catch (error) {
     if (error instanceof DiffError) {
       throw error;
     }
+    if (signal?.aborted) {
+      throw abortError(signal);
+    }
     throw DiffError.wrap('TAR', error, 'Failed to parse tarball');
   }
 
@@ -2,6 +2,8 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import {
   isBinaryPath,
+  isBinaryContent,
+  isBinaryFile,
   shouldPrintPatch,
   getBinaryExtensions,
   isBinaryExtension
@@ -196,6 +198,18 @@ describe('shouldPrintPatch', () => {
     });
   });
 
+  describe('with content', () => {
+    it('sniffs content instead of trusting the extension', () => {
+      const text = new TextEncoder().encode('plain text\n');
+      assert.strictEqual(shouldPrintPatch('data.bin', {}, text, text), true);
+      assert.strictEqual(shouldPrintPatch('tool', {}, new Uint8Array([0x7f, 0x45, 0x4c, 0x46])), false);
+    });
+
+    it('prints binary content with text option', () => {
+      assert.strictEqual(shouldPrintPatch('tool', { text: true }, new Uint8Array([0])), true);
+    });
+  });
+
   describe('with text option', () => {
     it('forces true for binary files when text is true', () => {
       assert.strictEqual(shouldPrintPatch('image.png', { text: true }), true);
@@ -229,6 +243,88 @@ describe('shouldPrintPatch', () => {
   });
 });
 
+describe('isBinaryContent', () => {
+  const encoder = new TextEncoder();
+
+  it('treats text as text', () => {
+    assert.strictEqual(isBinaryContent(encoder.encode('const x = 1;\n')), false);
+    assert.strictEqual(isBinaryContent(encoder.encode('héllo wörld – ✓ 🎉\n')), false);
+    assert.strictEqual(isBinaryContent(encoder.encode('\x1b[31mred\x1b[0m\r\n\t\f')), false);
+    assert.strictEqual(isBinaryContent(new Uint8Array()), false);
+  });
+
+  it('detects NUL bytes, including UTF-16 text', () => {
+    assert.strictEqual(isBinaryContent(new Uint8Array([0x61, 0x00, 0x62])), true);
+    // "hi" in UTF-16LE with a BOM
+    assert.strictEqual(isBinaryContent(new Uint8Array([0xff, 0xfe, 0x68, 0x00, 0x69, 0x00])), true);
+  });
+
+  it('only sniffs the first 8000 bytes for NUL', () => {
+    const content = new Uint8Array(9000).fill(0x61);
+    content[8500] = 0;
+    assert.strictEqual(isBinaryContent(content), false);
+    content[7999] = 0;
+    assert.strictEqual(isBinaryContent(content), true);
+  });
+
+  it('detects magic numbers', () => {
+    assert.strictEqual(isBinaryContent(new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), true);
+    assert.strictEqual(isBinaryContent(encoder.encode('%PDF-1.7\n')), true);
+    assert.strictEqual(isBinaryContent(encoder.encode('GIF89a')), true);
+    assert.strictEqual(isBinaryContent(new Uint8Array([0x7f, 0x45, 0x4c, 0x46])), true);
+    assert.strictEqual(isBinaryContent(new Uint8Array([0x1f, 0x8b, 0x08])), true);
+  });
+
+  it('tolerates a few invalid UTF-8 bytes', () => {
+    // One Latin-1 "é" in a line of ASCII
+    const content = encoder.encode('caf_ au lait, and more plain text\n');
+    content[3] = 0xe9;
+    assert.strictEqual(isBinaryContent(content), false);
+    assert.strictEqual(isBinaryContent(content, { strict: true }), true);
+  });
+
+  it('detects mostly invalid UTF-8 and control characters', () => {
+    assert.strictEqual(isBinaryContent(new Uint8Array([0xe9, 0x74, 0xe9])), true);
+    assert.strictEqual(isBinaryContent(new Uint8Array([0x01, 0x02, 0x03, 0x04])), true);
+    assert.strictEqual(isBinaryContent(new Uint8Array([0xc0, 0xaf])), true); // overlong
+    assert.strictEqual(isBinaryContent(new Uint8Array([0xed, 0xa0, 0x80])), true); // surrogate
+  });
+
+  it('ignores a multi-byte sequence cut off by the sniff length', () => {
+    const content = new Uint8Array(8001).fill(0x61);
+    content[7999] = 0xc3;
+    content[8000] = 0xa9;
+    assert.strictEqual(isBinaryContent(content, { strict: true }), false);
+  });
+});
+
+describe('isBinaryFile', () => {
+  const encoder = new TextEncoder();
+
+  it('judges by extension without content', () => {
+    assert.strictEqual(isBinaryFile('image.png'), true);
+    assert.strictEqual(isBinaryFile('index.js'), false);
+    assert.strictEqual(isBinaryFile('image.png', undefined, new Uint8Array()), true);
+  });
+
+  it('diffs text content with a binary extension', () => {
+    assert.strictEqual(isBinaryFile('fixture.dat', encoder.encode('a,b\n')), false);
+  });
+
+  it('detects binary content without a binary extension', () => {
+    assert.strictEqual(isBinaryFile('bin/tool', new Uint8Array([0x7f, 0x45, 0x4c, 0x46])), true);
+    assert.strictEqual(isBinaryFile('notes.txt', new Uint8Array([0xff, 0xfe, 0x68, 0x00])), true);
+  });
+
+  it('is binary if either side is', () => {
+    const text = encoder.encode('text\n');
+    const binary = new Uint8Array([0x00, 0x01]);
+    assert.strictEqual(isBinaryFile('data', text, binary), true);
+    assert.strictEqual(isBinaryFile('data', binary, text), true);
+    assert.strictEqual(isBinaryFile('data', undefined, text), false);
+  });
+});
+
 describe('getBinaryExtensions', () => {
   it('returns an array', () => {
     const extensions = getBinaryExtensions();
@@ -0,0 +1,279 @@
+/**
+ * Tests for src/binpatch.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { inflateSync } from 'node:zlib';
+import {
+  encodeBase85,
+  createDelta,
+  formatBinaryPatch,
+  prepareBinaryPatches,
+  getBinaryPatch,
+  setBinaryPatch
+} from '../src/binpatch.js';
+
+const BASE85_ALPHABET =
+  '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz!#$%&()*+-;<=>?@^_`{|}~';
+
+/**
+ * Decode the base85 lines of a binary patch hunk.
+ * @param {string[]} lines - Encoded lines
+ * @returns {Uint8Array} Deflated bytes
+ */
+function decodeLines(lines) {
+  /** @type {number[]} */
+  const bytes = [];
+  for (const line of lines) {
+    const code = line.charCodeAt(0);
+    const length = code <= 90 ? code - 64 : code - 96 + 26;
+    /** @type {number[]} */
+    const decoded = [];
+    for (let i = 1; i < line.length; i += 5) {
+      let acc = 0;
+      for (const ch of line.slice(i, i + 5)) {
+        acc = acc * 85 + BASE85_ALPHABET.indexOf(ch);
+      }
+      decoded.push(acc >>> 24, (acc >>> 16) & 0xff, (acc >>> 8) & 0xff, acc & 0xff);
+    }
+    bytes.push(...decoded.slice(0, length));
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Apply a git delta, as git's patch_delta() does.
+ * @param {Uint8Array} source - Base content
+ * @param {Uint8Array} delta - Delta
+ * @returns {Uint8Array} Rebuilt content
+ */
+function applyDelta(source, delta) {
+  let pos = 0;
+  const readSize = () => {
+    let size = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = delta[pos++];
+      size += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return size;
+  };
+
+  assert.strictEqual(readSize(), source.length);
+  const targetSize = readSize();
+  /** @type {number[]} */
+  const out = [];
+
+  while (pos < delta.length) {
+    const cmd = delta[pos++];
+    if (cmd & 0x80) {
+      let offset = 0;
+      let size = 0;
+      for (let i = 0; i < 4; i++) {
+        if (cmd & (1 << i)) offset |= delta[pos++] << (8 * i);
+      }
+      for (let i = 0; i < 3; i++) {
+        if (cmd & (0x10 << i)) size |= delta[pos++] << (8 * i);
+      }
+      out.push(...source.subarray(offset >>> 0, (offset >>> 0) + (size || 0x10000)));
+    } else {
+      assert.ok(cmd > 0, 'reserved delta opcode');
+      out.push(...delta.subarray(pos, pos + cmd));
+      pos += cmd;
+    }
+  }
+
+  assert.strictEqual(out.length, targetSize);
+  return new Uint8Array(out);
+}
+
+/**
+ * Split a binary patch section into its hunks.
+ * @param {string} section - Output of formatBinaryPatch
+ * @returns {{ kind: string, size: number, data: Uint8Array }[]} Inflated hunks
+ */
+function parseSection(section) {
+  const [first, ...rest] = section.split('\n');
+  assert.strictEqual(first, 'GIT binary patch');
+  assert.ok(section.endsWith('\n\n'));
+
+  return rest.join('\n').trim().split('\n\n').map((hunk) => {
+    const [header, ...lines] = hunk.split('\n');
+    const [kind, size] = header.split(' ');
+    return { kind, size: Number(size), data: new Uint8Array(inflateSync(decodeLines(lines))) };
+  });
+}
+
+/**
+ * Deterministic pseudo-random bytes.
+ * @param {number} length - Number of bytes
+ * @param {number} seed - Seed
+ * @returns {Uint8Array} Bytes
+ */
+function noise(length, seed) {
+  const bytes = new Uint8Array(length);
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    bytes[i] = state >>> 24;
+  }
+  return bytes;
+}
+
+describe('binpatch module', () => {
+  describe('encodeBase85', () => {
+    it('encodes like git', () => {
+      assert.strictEqual(encodeBase85(new Uint8Array([0, 0, 0, 0])), '00000');
+      // The deflated empty blob of git's "literal 0" hunks
+      assert.strictEqual(
+        encodeBase85(new Uint8Array([0x78, 0x01, 0x03, 0x00, 0x00, 0x00, 0x00, 0x01])),
+        'cmV?d00001'
+      );
+    });
+
+    it('pads the last group', () => {
+      assert.strictEqual(encodeBase85(new Uint8Array([0xff])), encodeBase85(new Uint8Array([0xff, 0, 0, 0])));
+      assert.strictEqual(encodeBase85(new Uint8Array([0xff, 0xff, 0xff, 0xff])), '|NsC0');
+    });
+  });
+
+  describe('createDelta', () => {
+    it('rebuilds the target', () => {
+      const source = noise(100000, 1);
+      const target = new Uint8Array([
+        ...source.subarray(0, 30000),
+        ...noise(500, 2),
+        ...source.subarray(30010, 90000),
+        ...source.subarray(0, 100)
+      ]);
+
+      const delta = createDelta(source, target);
+
+      assert.deepStrictEqual(applyDelta(source, delta), target);
+      assert.ok(delta.length < 1000, `delta of ${delta.length} bytes`);
+    });
+
+    it('handles short and unrelated content', () => {
+      for (const [source, target] of [
+        [new Uint8Array([1, 2, 3]), new Uint8Array([4, 5])],
+        [noise(300, 3), noise(200, 4)],
+        [noise(40, 5), new Uint8Array(0)]
+      ]) {
+        assert.deepStrictEqual(applyDelta(source, createDelta(source, target)), target);
+      }
+    });
+  });
+
+  describe('formatBinaryPatch', () => {
+    it('emits a literal and an empty reverse hunk for added files', async () => {
+      const content = new Uint8Array([0, 1, 2, 3]);
+      const section = await formatBinaryPatch(undefined, content);
+      const [forward, reverse] = parseSection(section);
+
+      assert.strictEqual(forward.kind, 'literal');
+      assert.strictEqual(forward.size, 4);
+      assert.deepStrictEqual(forward.data, content);
+      assert.deepStrictEqual(reverse, { kind: 'literal', size: 0, data: new Uint8Array(0) });
+    });
+
+    it('uses deltas for small changes to large files', async () => {
+      const left = noise(20000, 6);
+      const right = new Uint8Array(left);
+      right[10000] ^= 0xff;
+
+      const [forward, reverse] = parseSection(await formatBinaryPatch(left, right));
+
+      assert.strictEqual(forward.kind, 'delta');
+      assert.strictEqual(forward.size, forward.data.length);
+      assert.deepStrictEqual(applyDelta(left, forward.data), right);
+      assert.strictEqual(reverse.kind, 'delta');
+      assert.deepStrictEqual(applyDelta(right, reverse.data), left);
+    });
+
+    it('splits data into lines of at most 52 bytes', async () => {
+      const section = await formatBinaryPatch(undefined, noise(1000, 7));
+      const lines = section.split('\n\n')[0].split('\n').slice(2);
+
+      assert.ok(lines.length > 1);
+      assert.ok(lines.slice(0, -1).every((line) => line[0] === 'z' && line.length === 66));
+      assert.ok(lines[lines.length - 1].length <= 66);
+    });
+  });
+
+  describe('prepareBinaryPatches', () => {
+    it('records patches for changed binary files only', async () => {
+      const binary = new Uint8Array([0, 1]);
+      const left = new Map([
+        ['a.bin', binary],
+        ['same.bin', new Uint8Array([0, 9])],
+        ['gone.bin', new Uint8Array([0, 7])],
+        ['a.txt', new TextEncoder().encode('a\n')]
+      ]);
+      const right = new Map([
+        ['a.bin', new Uint8Array([0, 2])],
+        ['same.bin', /** @type {Uint8Array} */ (left.get('same.bin'))],
+        ['a.txt', new TextEncoder().encode('b\n')]
+      ]);
+
+      await prepareBinaryPatches(left, right);
+
+      assert.ok(getBinaryPatch(binary, right.get('a.bin'))?.startsWith('GIT binary patch\n'));
+      assert.ok(getBinaryPatch(left.get('gone.bin'), undefined));
+      assert.strictEqual(getBinaryPatch(left.get('same.bin'), right.get('same.bin')), undefined);
+      assert.strictEqual(getBinaryPatch(left.get('a.txt'), right.get('a.txt')), undefined);
+    });
+
+    it('records patches for changed binary renames', async () => {
+      const source = noise(2000, 8);
+      source[0] = 0;
+      const destination = new Uint8Array(source);
+      destination[1000] ^= 1;
+
+      await prepareBinaryPatches(
+        new Map([['old.bin', source]]),
+        new Map([['new.bin', destination]]),
+        { findRenames: true }
+      );
+
+      assert.ok(getBinaryPatch(source, destination));
+      assert.strictEqual(getBinaryPatch(source, undefined), undefined);
+    });
+
+    it('uses renames already detected instead of detecting again', async () => {
+      const source = new Uint8Array([0, 1, 2, 3]);
+      const destination = new Uint8Array([0, 1, 2, 4]);
+
+      await prepareBinaryPatches(
+        new Map([['old.bin', source]]),
+        new Map([['new.bin', destination]]),
+        { renames: [{ from: 'old.bin', to: 'new.bin', status: 'renamed', similarity: 75 }] }
+      );
+
+      assert.ok(getBinaryPatch(source, destination));
+      assert.strictEqual(getBinaryPatch(source, undefined), undefined);
+      assert.strictEqual(getBinaryPatch(undefined, destination), undefined);
+    });
+
+    it('skips everything with the text option', async () => {
+      const left = new Uint8Array([0, 1]);
+      const right = new Uint8Array([0, 2]);
+
+      await prepareBinaryPatches(new Map([['a.bin', left]]), new Map([['a.bin', right]]), { text: true });
+
+      assert.strictEqual(getBinaryPatch(left, right), undefined);
+    });
+
+    it('keeps patches already recorded', async () => {
+      const left = new Uint8Array([0, 1]);
+      const right = new Uint8Array([0, 2]);
+      setBinaryPatch(left, right, 'GIT binary patch\ncustom\n\n');
+
+      await prepareBinaryPatches(new Map([['a.bin', left]]), new Map([['a.bin', right]]));
+
+      assert.strictEqual(getBinaryPatch(left, right), 'GIT binary patch\ncustom\n\n');
+    });
+  });
+});
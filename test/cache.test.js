@@ -0,0 +1,335 @@
+/**
+ * Tests for src/cache.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createHash } from 'node:crypto';
+import { mkdtemp, readFile, readdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  createMemoryCache,
+  createFsCache,
+  createWebCache,
+  cacheScope,
+  fetchCached,
+  filesCacheKey,
+  serializeFiles,
+  deserializeFiles,
+  getCachedFiles,
+  putCachedFiles
+} from '../src/cache.js';
+import { getFileMode, setFileMode } from '../src/tar.js';
+import { isDiffError } from '../src/errors.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * SRI string of some bytes.
+ * @param {Uint8Array} bytes - Bytes to hash
+ * @returns {string} sha512 integrity
+ */
+function integrityOf(bytes) {
+  return `sha512-${createHash('sha512').update(bytes).digest('base64')}`;
+}
+
+/**
+ * A FetchResult streaming some bytes, tracking whether it was cancelled.
+ * @param {Uint8Array} bytes - Tarball bytes
+ * @param {string | null} [etag] - ETag of the response
+ * @returns {{ result: import('../src/fetch.js').FetchResult, cancelled: () => boolean }}
+ */
+function fetched(bytes, etag = null) {
+  let cancelled = false;
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes);
+      controller.close();
+    },
+    cancel() {
+      cancelled = true;
+    }
+  });
+  return { result: { stream, size: bytes.length, etag }, cancelled: () => cancelled };
+}
+
+/**
+ * Read a stream to the end.
+ * @param {ReadableStream<Uint8Array>} stream - Stream to read
+ * @returns {Promise<Uint8Array>} All bytes
+ */
+async function read(stream) {
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+describe('cache module', () => {
+  describe('serializeFiles and deserializeFiles', () => {
+    it('should round-trip contents and modes', () => {
+      /** @type {Map<string, Uint8Array>} */
+      const files = new Map([
+        ['package.json', encoder.encode('{"name":"pkg"}')],
+        ['bin/cli.js', encoder.encode('#!/usr/bin/env node\n')],
+        ['empty.txt', new Uint8Array()]
+      ]);
+      setFileMode(files, 'bin/cli.js', 0o755);
+
+      const restored = deserializeFiles(serializeFiles(files));
+
+      assert.deepStrictEqual([...restored.keys()], ['package.json', 'bin/cli.js', 'empty.txt']);
+      assert.deepStrictEqual(restored.get('bin/cli.js'), files.get('bin/cli.js'));
+      assert.strictEqual(restored.get('empty.txt')?.length, 0);
+      assert.strictEqual(getFileMode(restored, 'bin/cli.js'), 0o755);
+      assert.strictEqual(getFileMode(restored, 'package.json'), 0o644);
+    });
+
+    it('should reject data that is not a file map', () => {
+      const truncated = serializeFiles(new Map([['a.js', encoder.encode('abc')]])).slice(0, -1);
+
+      for (const data of [encoder.encode('no newline'), encoder.encode('{"x":1}\n'), truncated]) {
+        assert.throws(() => deserializeFiles(data), (err) => isDiffError(err) && err.phase === 'TAR');
+      }
+    });
+  });
+
+  describe('filesCacheKey', () => {
+    it('should key plain extractions by integrity and scope', () => {
+      assert.strictEqual(filesCacheKey('sha512-abc', 'https://a.example'), 'difftar:files:sha512-abc https://a.example');
+      assert.strictEqual(
+        filesCacheKey('sha512-abc', 'https://a.example', { include: [], limits: {} }),
+        'difftar:files:sha512-abc https://a.example'
+      );
+    });
+
+    it('should include pathspecs and extraction limits', () => {
+      assert.strictEqual(
+        filesCacheKey('sha512-abc', 'https://a.example', {
+          include: ['lib'],
+          exclude: ['*.map'],
+          limits: { fileCount: 10, outputSize: 5 }
+        }),
+        'difftar:files:sha512-abc https://a.example {"include":["lib"],"exclude":["*.map"],"fileCount":10}'
+      );
+    });
+  });
+
+  describe('cacheScope', () => {
+    it('should scope anonymous fetches to the origin', async () => {
+      assert.strictEqual(await cacheScope('https://registry.npmjs.org/a/-/a-1.0.0.tgz', []), 'https://registry.npmjs.org');
+      assert.strictEqual(await cacheScope('https://registry.npmjs.org/a', [undefined]), 'https://registry.npmjs.org');
+    });
+
+    it('should hash credentials into the scope', async () => {
+      const url = 'https://npm.example.com/a/-/a-1.0.0.tgz';
+      const scope = await cacheScope(url, ['bearer', 'npm_abc']);
+
+      assert.match(scope, /^https:\/\/npm\.example\.com [0-9a-f]{64}$/);
+      assert.ok(!scope.includes('npm_abc'));
+      assert.strictEqual(await cacheScope(url, ['bearer', 'npm_abc']), scope);
+      assert.notStrictEqual(await cacheScope(url, ['bearer', 'npm_xyz']), scope);
+    });
+  });
+
+  describe('createMemoryCache', () => {
+    it('should evict the least recently used entries', async () => {
+      const cache = createMemoryCache({ maxSize: 10 });
+      await cache.put('a', { data: new Uint8Array(4) });
+      await cache.put('b', { data: new Uint8Array(4) });
+      await cache.get('a');
+      await cache.put('c', { data: new Uint8Array(4) });
+
+      assert.ok(await cache.get('a'));
+      assert.strictEqual(await cache.get('b'), undefined);
+      assert.ok(await cache.get('c'));
+    });
+
+    it('should replace entries and skip ones larger than the cache', async () => {
+      const cache = createMemoryCache({ maxSize: 10 });
+      await cache.put('a', { data: new Uint8Array(8) });
+      await cache.put('a', { data: new Uint8Array(2), etag: '"v2"' });
+      await cache.put('b', { data: new Uint8Array(8) });
+      await cache.put('huge', { data: new Uint8Array(11) });
+
+      assert.strictEqual((await cache.get('a'))?.etag, '"v2"');
+      assert.ok(await cache.get('b'));
+      assert.strictEqual(await cache.get('huge'), undefined);
+    });
+  });
+
+  describe('createFsCache', () => {
+    /** @type {string} */
+    let dir;
+
+    before(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'difftar-cache-'));
+    });
+
+    after(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should store entries in the cacache layout', async () => {
+      const cache = createFsCache(dir);
+      const data = encoder.encode('tarball bytes');
+      await cache.put('difftar:tarball:https://example.com/a.tgz "abc"', { data, etag: '"abc"' });
+
+      const digest = createHash('sha512').update(data).digest('hex');
+      const content = join(dir, 'content-v2', 'sha512', digest.slice(0, 2), digest.slice(2, 4), digest.slice(4));
+      assert.deepStrictEqual(new Uint8Array(await readFile(content)), data);
+
+      const keyHash = createHash('sha256').update('difftar:tarball:https://example.com/a.tgz "abc"').digest('hex');
+      const bucket = await readFile(join(dir, 'index-v5', keyHash.slice(0, 2), keyHash.slice(2, 4), keyHash.slice(4)), 'utf8');
+      const [, line] = bucket.split('\n');
+      const [checksum, json] = line.split('\t');
+      assert.strictEqual(checksum, createHash('sha1').update(json).digest('hex'));
+      assert.deepStrictEqual(
+        { ...JSON.parse(json), time: 0 },
+        { key: 'difftar:tarball:https://example.com/a.tgz "abc"', integrity: integrityOf(data), time: 0, size: data.length, metadata: { etag: '"abc"' } }
+      );
+
+      assert.deepStrictEqual(await readdir(join(dir, 'tmp')), []);
+    });
+
+    it('should read back the newest entry for a key', async () => {
+      const cache = createFsCache(dir);
+      await cache.put('key', { data: encoder.encode('old') });
+      await cache.put('key', { data: encoder.encode('new'), etag: '"2"' });
+
+      const entry = await cache.get('key');
+      assert.deepStrictEqual(new Uint8Array(/** @type {Uint8Array} */ (entry?.data)), encoder.encode('new'));
+      assert.strictEqual(entry?.etag, '"2"');
+      assert.strictEqual(await cache.get('missing'), undefined);
+    });
+
+    it('should verify content when reading it', async () => {
+      const cache = createFsCache(dir);
+      const data = encoder.encode('to be corrupted');
+      await cache.put('corrupt', { data });
+
+      const digest = createHash('sha512').update(data).digest('hex');
+      await writeFile(join(dir, 'content-v2', 'sha512', digest.slice(0, 2), digest.slice(2, 4), digest.slice(4)), 'garbage');
+
+      await assert.rejects(cache.get('corrupt'), (err) => isDiffError(err) && err.phase === 'INTEGRITY');
+      assert.strictEqual(await getCachedFiles(cache, 'corrupt'), undefined);
+    });
+
+    it('should require a path', () => {
+      assert.throws(() => createFsCache(''), (err) => isDiffError(err) && err.message === 'Cache path is required');
+    });
+  });
+
+  describe('createWebCache', () => {
+    it('should store entries as immutable responses', async () => {
+      /** @type {Map<string, Response>} */
+      const responses = new Map();
+      const store = /** @type {Cache} */ (/** @type {unknown} */ ({
+        async match(/** @type {Request} */ request) {
+          return responses.get(request.url)?.clone();
+        },
+        async put(/** @type {Request} */ request, /** @type {Response} */ response) {
+          responses.set(request.url, response);
+        }
+      }));
+
+      const cache = createWebCache(store);
+      await cache.put('difftar:tarball:sha512-abc', { data: encoder.encode('bytes'), etag: '"e"' });
+
+      const [[url, response]] = responses;
+      assert.strictEqual(url, 'https://difftar.cache/difftar%3Atarball%3Asha512-abc');
+      assert.match(/** @type {string} */ (response.headers.get('Cache-Control')), /immutable/);
+
+      const entry = await cache.get('difftar:tarball:sha512-abc');
+      assert.deepStrictEqual(entry, { data: encoder.encode('bytes'), etag: '"e"' });
+      assert.strictEqual(await cache.get('other'), undefined);
+    });
+  });
+
+  describe('fetchCached', () => {
+    const tarball = encoder.encode('pretend this is gzip');
+    const url = 'https://registry.example.com/pkg/-/pkg-1.0.0.tgz';
+    const scope = 'https://registry.example.com';
+
+    it('should cache tarballs by integrity and reuse them without a request', async () => {
+      const cache = createMemoryCache();
+      const integrity = integrityOf(tarball);
+      let sends = 0;
+      const send = async () => {
+        sends++;
+        return fetched(tarball).result;
+      };
+
+      const first = await fetchCached(cache, { url, scope, integrity }, 1024, send);
+      assert.deepStrictEqual(await read(first.stream), tarball);
+
+      const second = await fetchCached(cache, { url, scope, integrity }, 1024, send);
+      assert.deepStrictEqual(await read(second.stream), tarball);
+      assert.strictEqual(second.size, tarball.length);
+      assert.strictEqual(sends, 1);
+
+      const other = await fetchCached(cache, { url, scope: `${scope} 0123`, integrity }, 1024, send);
+      await read(other.stream);
+      assert.strictEqual(sends, 2);
+    });
+
+    it('should not cache bytes that fail the integrity check', async () => {
+      const cache = createMemoryCache();
+      const integrity = integrityOf(encoder.encode('something else'));
+
+      const { stream } = await fetchCached(cache, { url, scope, integrity }, 1024, async () => fetched(tarball).result);
+      await read(stream);
+
+      assert.strictEqual(await cache.get(`difftar:tarball:${integrity} ${scope}`), undefined);
+    });
+
+    it('should reuse tarballs with a known strong ETag', async () => {
+      const cache = createMemoryCache();
+
+      const first = await fetchCached(cache, { url, scope }, 1024, async () => fetched(tarball, '"v1"').result);
+      await read(first.stream);
+      assert.ok(await cache.get(`difftar:tarball:${url} "v1"`));
+
+      const again = fetched(encoder.encode('the server sent the same thing'), '"v1"');
+      const second = await fetchCached(cache, { url, scope }, 1024, async () => again.result);
+
+      assert.deepStrictEqual(await read(second.stream), tarball);
+      assert.strictEqual(again.cancelled(), true);
+    });
+
+    it('should not cache without a strong ETag', async () => {
+      /** @type {string[]} */
+      const puts = [];
+      const cache = { get: async () => undefined, put: async (/** @type {string} */ key) => { puts.push(key); } };
+
+      for (const etag of [null, 'W/"weak"']) {
+        const { stream } = await fetchCached(cache, { url, scope }, 1024, async () => fetched(tarball, etag).result);
+        await read(stream);
+      }
+
+      assert.deepStrictEqual(puts, []);
+    });
+
+    it('should enforce the size limit on cached tarballs', async () => {
+      const cache = createMemoryCache();
+      const integrity = integrityOf(tarball);
+      await cache.put(`difftar:tarball:${integrity} ${scope}`, { data: tarball });
+
+      await assert.rejects(
+        fetchCached(cache, { url, scope, integrity }, 4, async () => fetched(tarball).result),
+        (err) => isDiffError(err) && err.phase === 'SIZE' && err.message.startsWith('Cached tarball size')
+      );
+    });
+
+    it('should treat cache failures as misses', async () => {
+      const failing = {
+        get: async () => { throw new Error('cache down'); },
+        put: async () => { throw new Error('cache down'); }
+      };
+
+      const { stream } = await fetchCached(failing, { url, scope, integrity: integrityOf(tarball) }, 1024, async () => fetched(tarball).result);
+      assert.deepStrictEqual(await read(stream), tarball);
+
+      await putCachedFiles(failing, 'key', new Map());
+      assert.strictEqual(await getCachedFiles(failing, 'key'), undefined);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import { gzipSync } from 'node:zlib';
+import { createHash } from 'node:crypto';
 import {
   decompress,
   decompressWithErrorHandling
@@ -164,6 +165,44 @@ describe('decompress', () => {
       }
     );
   });
+  it('verifies integrity of the compressed bytes', async () => {
+    const original = new TextEncoder().encode('Hello, World!');
+    const compressed = new Uint8Array(gzipSync(original));
+    const integrity = `sha512-${createHash('sha512').update(compressed).digest('base64')}`;
+
+    const result = await collectStream(decompress(streamFromBytes(compressed), { integrity }));
+
+    assert.deepStrictEqual(result, original);
+  });
+
+  it('errors with INTEGRITY phase when compressed bytes do not match', async () => {
+    const compressed = new Uint8Array(gzipSync(new TextEncoder().encode('Hello, World!')));
+    const integrity = `sha512-${createHash('sha512').update('something else').digest('base64')}`;
+
+    await assert.rejects(
+      collectStream(decompress(streamFromBytes(compressed), { integrity })),
+      (err) => isDiffError(err) && err.phase === 'INTEGRITY'
+    );
+  });
+  it('errors with SIZE phase when the unpacked bytes exceed the limit', async () => {
+    // 4MB of zeros compresses to a few KB
+    const compressed = new Uint8Array(gzipSync(new Uint8Array(4 * 1024 * 1024)));
+    assert.ok(compressed.length < 16 * 1024);
+
+    await assert.rejects(
+      collectStream(decompress(streamFromBytes(compressed), { limits: { unpackedSize: 1024 * 1024 } })),
+      (err) => isDiffError(err) && err.phase === 'SIZE' && /Unpacked tarball exceeds limit of 1\.0 MB/.test(err.message)
+    );
+  });
+
+  it('allows unpacked bytes up to the limit', async () => {
+    const original = new Uint8Array(64 * 1024).fill(7);
+    const compressed = new Uint8Array(gzipSync(original));
+
+    const result = await collectStream(decompress(streamFromBytes(compressed), { limits: { unpackedSize: original.length } }));
+
+    assert.deepStrictEqual(result, original);
+  });
 });
 
 describe('decompressWithErrorHandling', () => {
@@ -13,6 +13,7 @@ import {
   computeTreeDiff,
   computeFileDiff
 } from '../src/diff.js';
+import { setFileMode } from '../src/tar.js';
 
 describe('diff module', () => {
   describe('decodeBytes', () => {
@@ -151,42 +152,60 @@ describe('diff module', () => {
       assert.ok(patchContext3.length >= patchContext1.length);
     });
 
-    it('should pass ignoreAllSpace option to jsdiff', () => {
-      // jsdiff's ignoreWhitespace affects matching algorithm but output still shows actual content
-      // This test verifies the option is passed through and doesn't break functionality
+    it('should still detect content changes with ignoreAllSpace', () => {
       const content1 = 'const x = 1;';
       const content2 = 'const x = 2;';
 
-      // With ignoreAllSpace, non-whitespace changes should still be detected
       const patch = computeDiff('a/f', 'b/f', content1, content2, { ignoreAllSpace: true });
       assert.strictEqual(hasChanges(patch), true);
       assert.ok(patch.includes('-const x = 1;'));
       assert.ok(patch.includes('+const x = 2;'));
     });
 
-    it('should pass ignoreSpaceChange option to jsdiff', () => {
-      // jsdiff's ignoreWhitespace affects matching algorithm but output still shows actual content
-      // This test verifies the option is passed through and doesn't break functionality
+    it('should still detect content changes with ignoreSpaceChange', () => {
       const content1 = 'const x = 1;';
       const content2 = 'const x = 2;';
 
-      // With ignoreSpaceChange, non-whitespace changes should still be detected
       const patch = computeDiff('a/f', 'b/f', content1, content2, { ignoreSpaceChange: true });
       assert.strictEqual(hasChanges(patch), true);
       assert.ok(patch.includes('-const x = 1;'));
       assert.ok(patch.includes('+const x = 2;'));
     });
 
-    it('should handle whitespace-only line changes with ignoreAllSpace', () => {
-      // Note: jsdiff still shows whitespace changes in output even with ignoreWhitespace
-      // The option affects matching algorithm, not output filtering
+    it('should drop whitespace-only changes with ignoreAllSpace', () => {
       const content1 = 'line1\nline2\nline3';
-      const content2 = 'line1\n  line2  \nline3';
+      const content2 = 'line1\n  line 2  \nline3\n';
 
       const patch = computeDiff('a/f', 'b/f', content1, content2, { ignoreAllSpace: true });
-      // The patch still shows the change even with ignoreAllSpace
-      // This is a known jsdiff limitation documented in our DiffOptions typedef
-      assert.ok(typeof patch === 'string');
+      assert.strictEqual(hasChanges(patch), false);
+    });
+
+    it('should distinguish ignoreSpaceChange from ignoreAllSpace', () => {
+      const content1 = 'a\nb  c\n  d\ne\n';
+      const content2 = 'a\nb c\nd\ne \n';
+
+      // -b: amount of whitespace and trailing whitespace are ignored,
+      // but adding or removing whitespace entirely is not
+      const patchB = computeDiff('a/f', 'b/f', content1, content2, { ignoreSpaceChange: true });
+      assert.ok(patchB.endsWith('@@ -1,4 +1,4 @@\n a\n b c\n-  d\n+d\n e \n'));
+
+      // -w: no differences at all
+      const patchW = computeDiff('a/f', 'b/f', content1, content2, { ignoreAllSpace: true });
+      assert.strictEqual(hasChanges(patchW), false);
+    });
+
+    it('should match git hunks when ignoring whitespace', () => {
+      const content1 = 'a\nb  c\n  d\ne\nf\ng\nh\ni\nj\nk\nl\n';
+      const content2 = 'a\nb c\nd\ne\nf\ng\nh\ni\nj\nk\nL\n';
+
+      // Output of `git diff --no-index -w`: the whitespace-only hunk disappears
+      const patch = computeDiff('a/f', 'b/f', content1, content2, { ignoreAllSpace: true });
+      assert.ok(patch.endsWith('--- a/f\n+++ b/f\n@@ -8,4 +8,4 @@\n i\n j\n k\n-l\n+L\n'));
+    });
+
+    it('should not treat non-ASCII spaces as whitespace', () => {
+      const patch = computeDiff('a/f', 'b/f', 'a b\n', 'a\u00a0b\n', { ignoreAllSpace: true });
+      assert.strictEqual(hasChanges(patch), true);
     });
   });
 
@@ -312,9 +331,102 @@ describe('diff module', () => {
       assert.ok(diffs[0].patch.includes('--- old/file.js'));
       assert.ok(diffs[0].patch.includes('+++ new/file.js'));
     });
+
+    it('should report renames at the destination path', () => {
+      const content = 'line1\nline2\nline3\nline4\nline5\nline6\n';
+      const left = new Map([
+        ['lib/index.js', new TextEncoder().encode(content)]
+      ]);
+      const right = new Map([
+        ['dist/index.js', new TextEncoder().encode(content.replace('line6', 'LINE6'))]
+      ]);
+
+      const diffs = computeTreeDiff(left, right, { findRenames: true });
+
+      assert.strictEqual(diffs.length, 1);
+      assert.strictEqual(diffs[0].path, 'dist/index.js');
+      assert.strictEqual(diffs[0].oldPath, 'lib/index.js');
+      assert.strictEqual(diffs[0].status, 'renamed');
+      assert.strictEqual(diffs[0].similarity, 83);
+      assert.ok(diffs[0].patch?.includes('--- a/lib/index.js'));
+      assert.ok(diffs[0].patch?.includes('+++ b/dist/index.js'));
+      assert.ok(diffs[0].patch?.includes('-line6\n+LINE6'));
+      assert.ok(!diffs[0].patch?.includes('-line1'));
+    });
+
+    it('should report mode-only changes as modified', () => {
+      const content = new TextEncoder().encode('#!/usr/bin/env node');
+      const left = new Map([['cli.js', content]]);
+      const right = new Map([['cli.js', content]]);
+      setFileMode(right, 'cli.js', 0o755);
+
+      const [result] = computeTreeDiff(left, right);
+
+      assert.strictEqual(result.status, 'modified');
+      assert.strictEqual(result.patch, null);
+      assert.strictEqual(result.oldMode, '100644');
+      assert.strictEqual(result.newMode, '100755');
+    });
+
+    it('should use renames already detected instead of detecting again', () => {
+      const content = new TextEncoder().encode('content');
+      const diffs = computeTreeDiff(
+        new Map([['a.js', content]]),
+        new Map([['b.js', content]]),
+        { findRenames: true, renames: [] }
+      );
+
+      assert.deepStrictEqual(diffs.map((d) => d.status), ['deleted', 'added']);
+    });
+
+    it('should not detect renames by default', () => {
+      const content = new TextEncoder().encode('content');
+      const diffs = computeTreeDiff(new Map([['a.js', content]]), new Map([['b.js', content]]));
+
+      assert.deepStrictEqual(diffs.map((d) => d.status), ['deleted', 'added']);
+    });
+
+    it('should flag binary files by content and skip their patches', () => {
+      const elf = new Uint8Array([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x01, 0x00]);
+      const left = new Map([
+        ['bin/tool', elf],
+        ['fixture.dat', new TextEncoder().encode('a,b\n')]
+      ]);
+      const right = new Map([
+        ['bin/tool', new Uint8Array([...elf, 0x01])],
+        ['fixture.dat', new TextEncoder().encode('a,c\n')]
+      ]);
+
+      const results = computeTreeDiff(left, right);
+      const tool = results.find((r) => r.path === 'bin/tool');
+      const fixture = results.find((r) => r.path === 'fixture.dat');
+
+      assert.strictEqual(tool?.isBinary, true);
+      assert.strictEqual(tool?.patch, null);
+      assert.strictEqual(fixture?.isBinary, false);
+      assert.ok(fixture?.patch?.includes('+a,c'));
+    });
+
+    it('should diff binary files as text with text option', () => {
+      const left = new Map([['data', new Uint8Array([0x61, 0x00, 0x0a])]]);
+      const right = new Map([['data', new Uint8Array([0x62, 0x00, 0x0a])]]);
+
+      const [result] = computeTreeDiff(left, right, { text: true });
+
+      assert.strictEqual(result.isBinary, false);
+      assert.ok(result.patch);
+    });
   });
 
   describe('computeFileDiff', () => {
+    it('should flag binary added files', () => {
+      const diff = computeFileDiff('logo.png', undefined, new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+
+      assert.strictEqual(diff.status, 'added');
+      assert.strictEqual(diff.isBinary, true);
+      assert.strictEqual(diff.patch, null);
+    });
+
     it('should compute diff for modified file', () => {
       const left = new TextEncoder().encode('old');
       const right = new TextEncoder().encode('new');
@@ -21,11 +21,16 @@ describe('DiffError', () => {
   it('maps phases to correct HTTP status codes', () => {
     const mappings = [
       ['AUTH', 401],
+      ['POLICY', 403],
+      ['RESOLVE', 404],
       ['SIZE', 413],
       ['FETCH', 502],
       ['DECOMPRESS', 422],
       ['TAR', 422],
-      ['DIFF', 500]
+      ['INTEGRITY', 422],
+      ['ABORT', 499],
+      ['DIFF', 500],
+      ['TIMEOUT', 504]
     ];
 
     for (const [phase, expectedStatus] of mappings) {
@@ -67,6 +72,14 @@ describe('DiffError', () => {
     });
   });
 
+  it('includes attempts in JSON when retries were made', () => {
+    const err = new DiffError('FETCH', 'HTTP 503 (3 attempts)');
+    err.attempts = 3;
+
+    assert.strictEqual(err.toJSON().attempts, 3);
+    assert.strictEqual('attempts' in new DiffError('FETCH', 'HTTP 503').toJSON(), false);
+  });
+
   it('generates Response with correct status and body', async () => {
     const err = new DiffError('AUTH', 'Invalid token');
     const response = err.toResponse();
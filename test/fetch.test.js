@@ -4,9 +4,13 @@ import {
   applyAuth,
   fetchUrl,
   fetchTarball,
-  MAX_TARBALL_SIZE
+  registerTransport,
+  unregisterTransport,
+  MAX_TARBALL_SIZE,
+  MAX_REDIRECTS
 } from '../src/fetch.js';
 import { DiffError, isDiffError } from '../src/errors.js';
+import { createMemoryCache } from '../src/cache.js';
 
 describe('MAX_TARBALL_SIZE', () => {
   it('is 20MB', () => {
@@ -282,6 +286,785 @@ describe('fetchUrl', () => {
   });
 });
 
+describe('fetchUrl redirects and network policy', () => {
+  /** @type {typeof globalThis.fetch} */
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  /**
+   * Serve redirects from a table, recording each request.
+   * @param {Record<string, string>} redirects - URL to Location
+   * @returns {Request[]} Requests, filled in as they are made
+   */
+  function serveRedirects(redirects) {
+    /** @type {Request[]} */
+    const requests = [];
+    globalThis.fetch = mock.fn(async (url, init) => {
+      const request = new Request(url, init);
+      requests.push(request);
+      const location = redirects[request.url];
+      return location
+        ? new Response(null, { status: 302, headers: { Location: location } })
+        : new Response(new Uint8Array([1, 2, 3]), { status: 200 });
+    });
+    return requests;
+  }
+
+  it('follows redirects manually', async () => {
+    const requests = serveRedirects({
+      'https://registry.example.com/pkg.tgz': '/-/pkg.tgz',
+      'https://registry.example.com/-/pkg.tgz': 'https://registry.example.com/final.tgz'
+    });
+
+    const result = await fetchUrl('https://registry.example.com/pkg.tgz');
+
+    assert.ok(result.stream instanceof ReadableStream);
+    assert.deepStrictEqual(requests.map((request) => request.url), [
+      'https://registry.example.com/pkg.tgz',
+      'https://registry.example.com/-/pkg.tgz',
+      'https://registry.example.com/final.tgz'
+    ]);
+    assert.ok(requests.every((request) => request.redirect === 'manual'));
+  });
+
+  it('drops credentials when a redirect changes origin', async () => {
+    const requests = serveRedirects({
+      'https://registry.example.com/pkg.tgz': 'https://registry.example.com/moved.tgz',
+      'https://registry.example.com/moved.tgz': 'https://cdn.example.net/pkg.tgz'
+    });
+
+    const headers = new Headers({ Authorization: 'Bearer secret', 'X-Custom': 'value' });
+    await fetchUrl('https://registry.example.com/pkg.tgz', headers);
+
+    assert.deepStrictEqual(
+      requests.map((request) => request.headers.get('Authorization')),
+      ['Bearer secret', 'Bearer secret', null]
+    );
+    assert.strictEqual(requests[2].headers.get('X-Custom'), 'value');
+    assert.strictEqual(headers.get('Authorization'), 'Bearer secret');
+  });
+
+  it('throws FETCH error after too many redirects', async () => {
+    const requests = serveRedirects({
+      'https://example.com/a': 'https://example.com/b',
+      'https://example.com/b': 'https://example.com/a'
+    });
+
+    await assert.rejects(
+      fetchUrl('https://example.com/a'),
+      (err) => isDiffError(err) && err.phase === 'FETCH' && err.message.includes('Too many redirects')
+    );
+    assert.strictEqual(requests.length, MAX_REDIRECTS + 1);
+  });
+
+  it('does not restore credentials when a redirect returns to the origin', async () => {
+    const requests = serveRedirects({
+      'https://registry.example.com/pkg.tgz': 'https://cdn.example.net/pkg.tgz',
+      'https://cdn.example.net/pkg.tgz': 'https://registry.example.com/final.tgz'
+    });
+
+    await fetchUrl('https://registry.example.com/pkg.tgz', new Headers({ Authorization: 'Bearer secret' }));
+
+    assert.deepStrictEqual(
+      requests.map((request) => request.headers.get('Authorization')),
+      ['Bearer secret', null, null]
+    );
+  });
+
+  it('attaches per-host credentials to redirect targets', async () => {
+    const requests = serveRedirects({
+      'https://registry.example.com/pkg.tgz': 'https://bucket.cdn.example.net/pkg.tgz'
+    });
+
+    await fetchTarball({
+      transport: 'url',
+      source: 'https://registry.example.com/pkg.tgz',
+      auth: 'bearer',
+      credential: 'registry-token',
+      hostAuth: {
+        'other.example.org': { auth: 'bearer', credential: 'wrong' },
+        '*.cdn.example.net': { auth: 'basic', credential: btoa('user:pass') }
+      }
+    });
+
+    assert.deepStrictEqual(
+      requests.map((request) => request.headers.get('Authorization')),
+      ['Bearer registry-token', `Basic ${btoa('user:pass')}`]
+    );
+  });
+
+  it('does not send per-host credentials over http', async () => {
+    const requests = serveRedirects({
+      'https://registry.example.com/pkg.tgz': 'http://cdn.example.net/pkg.tgz'
+    });
+
+    await fetchTarball({
+      transport: 'url',
+      source: 'https://registry.example.com/pkg.tgz',
+      hostAuth: { 'cdn.example.net': { auth: 'bearer', credential: 'cdn-token' } }
+    });
+
+    assert.strictEqual(requests[1].headers.get('Authorization'), null);
+  });
+
+  it('honors maxRedirects', async () => {
+    const redirects = {
+      'https://example.com/a': 'https://example.com/b',
+      'https://example.com/b': 'https://example.com/c'
+    };
+
+    serveRedirects(redirects);
+    const result = await fetchUrl('https://example.com/a', new Headers(), { maxRedirects: 2 });
+    assert.ok(result.stream instanceof ReadableStream);
+
+    const requests = serveRedirects(redirects);
+    await assert.rejects(
+      fetchUrl('https://example.com/a', new Headers(), { maxRedirects: 1 }),
+      (err) => isDiffError(err) && err.phase === 'FETCH' && err.message.includes('limit 1')
+    );
+    assert.strictEqual(requests.length, 2);
+
+    serveRedirects(redirects);
+    await assert.rejects(
+      fetchTarball({ transport: 'url', source: 'https://example.com/a' }, { maxRedirects: 0 }),
+      (err) => isDiffError(err) && err.message.includes('Too many redirects')
+    );
+  });
+
+  it('throws POLICY error before fetching a blocked URL', async () => {
+    const requests = serveRedirects({});
+
+    await assert.rejects(
+      fetchUrl('http://169.254.169.254/latest/meta-data/', new Headers(), { policy: {} }),
+      (err) => isDiffError(err) && err.phase === 'POLICY' && err.status === 403
+    );
+    assert.strictEqual(requests.length, 0);
+  });
+
+  it('checks every redirect hop against the policy', async () => {
+    const requests = serveRedirects({
+      'https://registry.example.com/pkg.tgz': 'http://127.0.0.1:8080/admin'
+    });
+
+    await assert.rejects(
+      fetchUrl('https://registry.example.com/pkg.tgz', new Headers(), { policy: {} }),
+      (err) => isDiffError(err) && err.phase === 'POLICY' && err.message.includes('127.0.0.1')
+    );
+    assert.strictEqual(requests.length, 1);
+  });
+
+  it('applies the policy to url and s3 sources in fetchTarball', async () => {
+    const requests = serveRedirects({});
+    const policy = { allowHosts: ['registry.example.com'] };
+
+    await assert.rejects(
+      fetchTarball({ transport: 'url', source: 'https://other.example.com/pkg.tgz' }, { policy }),
+      (err) => isDiffError(err) && err.phase === 'POLICY'
+    );
+    await assert.rejects(
+      fetchTarball({
+        transport: 's3',
+        source: 's3://bucket/pkg.tgz',
+        s3: { accessKeyId: 'AKIA', secretAccessKey: 'secret' }
+      }, { policy }),
+      (err) => isDiffError(err) && err.phase === 'POLICY' && err.message.includes('bucket.s3.us-east-1.amazonaws.com')
+    );
+    assert.strictEqual(requests.length, 0);
+
+    await fetchTarball({ transport: 'url', source: 'https://registry.example.com/pkg.tgz' }, { policy });
+    assert.strictEqual(requests.length, 1);
+  });
+
+  it('does not sign S3 requests redirected to another origin', async () => {
+    const requests = serveRedirects({
+      'https://bucket.s3.us-east-1.amazonaws.com/pkg.tgz': 'https://elsewhere.example.com/pkg.tgz'
+    });
+
+    await fetchTarball({
+      transport: 's3',
+      source: 's3://bucket/pkg.tgz',
+      s3: { accessKeyId: 'AKIA', secretAccessKey: 'secret' }
+    });
+
+    assert.strictEqual(requests.length, 2);
+    assert.ok(requests[0].headers.get('Authorization')?.startsWith('AWS4-HMAC-SHA256'));
+    assert.strictEqual(requests[1].headers.get('Authorization'), null);
+  });
+});
+
+describe('fetchUrl cancellation', () => {
+  /** @type {typeof globalThis.fetch} */
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  /**
+   * Serve requests that only end when their signal aborts.
+   * @returns {AbortSignal[]} Signals, filled in as requests are made
+   */
+  function serveHanging() {
+    /** @type {AbortSignal[]} */
+    const signals = [];
+    globalThis.fetch = mock.fn((url, init) => new Promise((resolve, reject) => {
+      const signal = /** @type {AbortSignal} */ (init?.signal);
+      signals.push(signal);
+      // Like an open socket, keep the event loop alive until aborted
+      const socket = setTimeout(() => {}, 60_000);
+      signal.addEventListener('abort', () => {
+        clearTimeout(socket);
+        reject(signal.reason);
+      });
+    }));
+    return signals;
+  }
+
+  it('forwards the signal to fetch and fails with ABORT', async () => {
+    const signals = serveHanging();
+    const controller = new AbortController();
+
+    const pending = fetchUrl('https://registry.npmjs.org/pkg/-/pkg-1.0.0.tgz', new Headers(), {
+      signal: controller.signal
+    });
+    controller.abort();
+
+    await assert.rejects(pending, (err) => isDiffError(err) && err.phase === 'ABORT' && err.status === 499);
+    assert.strictEqual(signals[0], controller.signal);
+  });
+
+  it('fails with TIMEOUT when a timeout signal fires', async () => {
+    serveHanging();
+
+    await assert.rejects(
+      fetchTarball(
+        { transport: 'url', source: 'https://registry.npmjs.org/pkg/-/pkg-1.0.0.tgz' },
+        { signal: AbortSignal.timeout(10) }
+      ),
+      (err) => isDiffError(err) && err.phase === 'TIMEOUT' && err.status === 504
+    );
+  });
+
+  it('does not fetch with an aborted signal', async () => {
+    const signals = serveHanging();
+
+    await assert.rejects(
+      fetchTarball(
+        { transport: 'url', source: 'https://registry.npmjs.org/pkg/-/pkg-1.0.0.tgz' },
+        { signal: AbortSignal.abort() }
+      ),
+      (err) => isDiffError(err) && err.phase === 'ABORT'
+    );
+    assert.strictEqual(signals.length, 0);
+  });
+});
+
+describe('fetchUrl retries', () => {
+  /** @type {typeof globalThis.fetch} */
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const url = 'https://registry.npmjs.org/pkg/-/pkg-1.0.0.tgz';
+  const retry = { retries: 2, minDelay: 1, jitter: false };
+
+  /**
+   * Serve one response (or network error) per request, repeating the last.
+   * @param {Array<() => Response>} replies - Reply for each attempt
+   * @returns {{ calls: number }} Number of requests made so far
+   */
+  function serveSequence(replies) {
+    const counter = { calls: 0 };
+    globalThis.fetch = mock.fn(async () => {
+      const reply = replies[Math.min(counter.calls, replies.length - 1)];
+      counter.calls++;
+      return reply();
+    });
+    return counter;
+  }
+
+  const unavailable = () => new Response('busy', { status: 503, statusText: 'Service Unavailable' });
+  const ok = () => new Response(new Uint8Array([1, 2, 3]));
+
+  it('does not retry without a retry policy', async () => {
+    const counter = serveSequence([unavailable, ok]);
+
+    await assert.rejects(
+      fetchUrl(url),
+      (err) => isDiffError(err) && err.phase === 'FETCH' && err.attempts === undefined &&
+        err.message === `HTTP 503 Service Unavailable for ${url}`
+    );
+    assert.strictEqual(counter.calls, 1);
+  });
+
+  it('retries retryable statuses until a request succeeds', async () => {
+    const counter = serveSequence([unavailable, unavailable, ok]);
+
+    const { stream } = await fetchUrl(url, new Headers(), { retry });
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    assert.deepStrictEqual([...bytes], [1, 2, 3]);
+    assert.strictEqual(counter.calls, 3);
+  });
+
+  it('reports the attempts once retries are exhausted', async () => {
+    const counter = serveSequence([unavailable]);
+
+    await assert.rejects(
+      fetchUrl(url, new Headers(), { retry }),
+      (err) => isDiffError(err) && err.phase === 'FETCH' && err.attempts === 3 &&
+        err.message === `HTTP 503 Service Unavailable for ${url} (3 attempts)` &&
+        err.toJSON().attempts === 3
+    );
+    assert.strictEqual(counter.calls, 3);
+  });
+
+  it('retries network errors', async () => {
+    const counter = serveSequence([
+      () => { throw new TypeError('fetch failed'); },
+      ok
+    ]);
+
+    await fetchUrl(url, new Headers(), { retry });
+    assert.strictEqual(counter.calls, 2);
+  });
+
+  it('reports the attempts when network errors persist', async () => {
+    serveSequence([() => { throw new TypeError('fetch failed'); }]);
+
+    await assert.rejects(
+      fetchUrl(url, new Headers(), { retry: { ...retry, retries: 1 } }),
+      (err) => isDiffError(err) && err.phase === 'FETCH' && err.attempts === 2 &&
+        err.message === `Network error fetching ${url}: fetch failed (2 attempts)`
+    );
+  });
+
+  it('does not retry other statuses or policy violations', async () => {
+    let counter = serveSequence([() => new Response(null, { status: 404, statusText: 'Not Found' })]);
+    await assert.rejects(fetchUrl(url, new Headers(), { retry }), (err) => isDiffError(err) && err.attempts === undefined);
+    assert.strictEqual(counter.calls, 1);
+
+    counter = serveSequence([ok]);
+    await assert.rejects(
+      fetchUrl('http://169.254.169.254/latest/meta-data/', new Headers(), { retry, policy: {} }),
+      (err) => isDiffError(err) && err.phase === 'POLICY' && err.attempts === undefined
+    );
+    assert.strictEqual(counter.calls, 0);
+  });
+
+  it('honors only the configured statuses', async () => {
+    const counter = serveSequence([unavailable, ok]);
+
+    await assert.rejects(fetchUrl(url, new Headers(), { retry: { ...retry, statuses: [429] } }));
+    assert.strictEqual(counter.calls, 1);
+  });
+
+  it('waits as long as Retry-After asks', async () => {
+    const limited = () => new Response(null, { status: 429, headers: { 'Retry-After': '1' } });
+    const counter = serveSequence([limited, ok]);
+
+    const started = Date.now();
+    await fetchUrl(url, new Headers(), { retry });
+
+    assert.strictEqual(counter.calls, 2);
+    assert.ok(Date.now() - started >= 990);
+  });
+
+  it('gives up when Retry-After exceeds maxDelay', async () => {
+    const limited = () => new Response(null, { status: 429, statusText: 'Too Many Requests', headers: { 'Retry-After': '3600' } });
+    const counter = serveSequence([limited, ok]);
+
+    await assert.rejects(
+      fetchUrl(url, new Headers(), { retry }),
+      (err) => isDiffError(err) && err.message === `HTTP 429 Too Many Requests for ${url}`
+    );
+    assert.strictEqual(counter.calls, 1);
+  });
+
+  it('stops waiting when the signal aborts', async () => {
+    const counter = serveSequence([unavailable, ok]);
+    const controller = new AbortController();
+
+    const pending = fetchUrl(url, new Headers(), {
+      retry: { ...retry, minDelay: 60_000 },
+      signal: controller.signal
+    });
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(pending, (err) => isDiffError(err) && err.phase === 'ABORT');
+    assert.strictEqual(counter.calls, 1);
+  });
+
+  it('retries S3 requests under the same policy', async () => {
+    const counter = serveSequence([unavailable]);
+
+    await assert.rejects(
+      fetchTarball(
+        {
+          transport: 's3',
+          source: 's3://bucket/pkg.tgz',
+          s3: { accessKeyId: 'AKIA', secretAccessKey: 'secret' }
+        },
+        { retry: { ...retry, retries: 1 } }
+      ),
+      (err) => isDiffError(err) && err.attempts === 2 &&
+        err.message === 'S3 HTTP 503 Service Unavailable for s3://bucket/pkg.tgz (2 attempts)'
+    );
+    assert.strictEqual(counter.calls, 2);
+  });
+});
+
+describe('fetchTarball with a custom fetch', () => {
+  /** @type {typeof globalThis.fetch} */
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = mock.fn(async () => {
+      throw new Error('global fetch must not be called');
+    });
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('sends url requests and redirects through the fetch option', async () => {
+    /** @type {Request[]} */
+    const requests = [];
+    const custom = mock.fn(async (/** @type {RequestInfo | URL} */ input, /** @type {RequestInit} */ init) => {
+      const request = new Request(input, init);
+      requests.push(request);
+      return request.url.startsWith('https://registry.example.com/')
+        ? new Response(null, { status: 302, headers: { Location: 'https://cdn.example.com/pkg.tgz' } })
+        : new Response(new Uint8Array([1, 2, 3]));
+    });
+
+    const { stream } = await fetchTarball(
+      { transport: 'url', source: 'https://registry.example.com/pkg.tgz', auth: 'bearer', credential: 'npm_abc' },
+      { fetch: custom }
+    );
+    await new Response(stream).arrayBuffer();
+
+    assert.deepStrictEqual(requests.map((r) => r.url), [
+      'https://registry.example.com/pkg.tgz',
+      'https://cdn.example.com/pkg.tgz'
+    ]);
+    assert.strictEqual(requests[0].headers.get('Authorization'), 'Bearer npm_abc');
+    assert.strictEqual(requests[1].headers.get('Authorization'), null);
+  });
+
+  it('sends signed S3 requests through the fetch option', async () => {
+    /** @type {Request[]} */
+    const requests = [];
+    const custom = mock.fn(async (/** @type {RequestInfo | URL} */ input, /** @type {RequestInit} */ init) => {
+      requests.push(new Request(input, init));
+      return new Response(new Uint8Array([1, 2, 3]));
+    });
+
+    await fetchTarball(
+      {
+        transport: 's3',
+        source: 's3://bucket/pkg.tgz',
+        s3: { accessKeyId: 'AKIA', secretAccessKey: 'secret' }
+      },
+      { fetch: custom }
+    );
+
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].url, 'https://bucket.s3.us-east-1.amazonaws.com/pkg.tgz');
+    assert.ok(requests[0].headers.get('Authorization')?.startsWith('AWS4-HMAC-SHA256'));
+  });
+
+  it('retries through the fetch option', async () => {
+    const custom = mock.fn(async () => custom.mock.callCount() === 0
+      ? new Response(null, { status: 503 })
+      : new Response(new Uint8Array([1])));
+
+    await fetchUrl('https://registry.example.com/pkg.tgz', new Headers(), {
+      fetch: custom,
+      retry: { minDelay: 1 }
+    });
+
+    assert.strictEqual(custom.mock.callCount(), 2);
+  });
+});
+
+describe('fetchTarball with a cache', () => {
+  /**
+   * A fetch serving the same tarball with an ETag, recording requested URLs.
+   * @param {string[]} urls - Receives the requested URLs
+   * @returns {typeof fetch} Fetch function
+   */
+  function etagFetch(urls) {
+    return async (input, init) => {
+      urls.push(new Request(input, init).url);
+      return new Response(new Uint8Array([1, 2, 3]), { headers: { ETag: '"abc"' } });
+    };
+  }
+
+  it('returns the ETag of url responses', async () => {
+    const { etag } = await fetchUrl('https://registry.example.com/pkg.tgz', new Headers(), {
+      fetch: etagFetch([])
+    });
+
+    assert.strictEqual(etag, '"abc"');
+  });
+
+  it('caches url and s3 tarballs by URL and ETag', async () => {
+    /** @type {string[]} */
+    const urls = [];
+    const cache = createMemoryCache();
+    const options = { fetch: etagFetch(urls), cache };
+    const s3 = { accessKeyId: 'AKIA', secretAccessKey: 'secret' };
+
+    for (let i = 0; i < 2; i++) {
+      for (const config of [
+        { transport: 'url', source: 'https://registry.example.com/pkg.tgz' },
+        { transport: 's3', source: 's3://bucket/pkg.tgz', s3 }
+      ]) {
+        const { stream } = await fetchTarball(/** @type {any} */ (config), options);
+        await new Response(stream).arrayBuffer();
+      }
+    }
+
+    assert.ok(await cache.get('difftar:tarball:https://registry.example.com/pkg.tgz "abc"'));
+    assert.ok(await cache.get('difftar:tarball:https://bucket.s3.us-east-1.amazonaws.com/pkg.tgz "abc"'));
+    assert.strictEqual(urls.length, 4);
+  });
+
+  it('skips the request for tarballs cached by integrity', async () => {
+    /** @type {string[]} */
+    const urls = [];
+    const cache = createMemoryCache();
+    await cache.put('difftar:tarball:sha512-cached https://registry.example.com', { data: new Uint8Array([4, 5, 6]) });
+
+    const { stream, size } = await fetchTarball(
+      { transport: 'url', source: 'https://registry.example.com/pkg.tgz', integrity: 'sha512-cached' },
+      { fetch: etagFetch(urls), cache }
+    );
+
+    assert.deepStrictEqual(new Uint8Array(await new Response(stream).arrayBuffer()), new Uint8Array([4, 5, 6]));
+    assert.strictEqual(size, 3);
+    assert.deepStrictEqual(urls, []);
+  });
+
+  it('only serves tarballs cached by integrity to callers with the same credentials', async () => {
+    /** @type {string[]} */
+    const urls = [];
+    const cache = createMemoryCache();
+    const source = 'https://npm.example.com/private/-/private-1.0.0.tgz';
+    /** @param {import('../src/fetch.js').SourceConfig} config */
+    const read = async (config) => {
+      const { stream } = await fetchTarball(config, { fetch: etagFetch(urls), cache });
+      await new Response(stream).arrayBuffer();
+    };
+
+    // Integrity of the bytes etagFetch serves
+    const integrity = 'sha512-J4ZMxSGalRp6blK4yN3faYHQmNoWWNliWMhwssiN+8tRhBrqFyoouvpqeXMRZVhGdwZgRclZ7Q+ZKWiNBN78KQ==';
+    await read({ transport: 'url', source, integrity, auth: 'bearer', credential: 'npm_owner' });
+    await read({ transport: 'url', source, integrity, auth: 'bearer', credential: 'npm_owner' });
+    assert.strictEqual(urls.length, 1);
+
+    await read({ transport: 'url', source, integrity });
+    await read({ transport: 'url', source: 'https://other.example.com/private.tgz', integrity });
+    assert.strictEqual(urls.length, 3);
+  });
+
+  it('checks the network policy before using a cached tarball', async () => {
+    const cache = createMemoryCache();
+    await cache.put('difftar:tarball:sha512-cached http://10.0.0.5', { data: new Uint8Array([4, 5, 6]) });
+
+    await assert.rejects(
+      fetchTarball(
+        { transport: 'url', source: 'http://10.0.0.5/pkg.tgz', integrity: 'sha512-cached' },
+        { fetch: etagFetch([]), cache, policy: {} }
+      ),
+      (err) => isDiffError(err) && err.phase === 'POLICY'
+    );
+  });
+});
+
+describe('registerTransport', () => {
+  afterEach(() => {
+    unregisterTransport('memory');
+  });
+
+  /**
+   * Stream bytes as one chunk.
+   * @param {Uint8Array} bytes - Bytes to stream
+   * @returns {ReadableStream<Uint8Array>} Stream of the bytes
+   */
+  function streamOf(bytes) {
+    return new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes);
+        controller.close();
+      }
+    });
+  }
+
+  it('dispatches sources naming the transport to the handler', async () => {
+    const handler = mock.fn(async (/** @type {any} */ config) => ({
+      stream: streamOf(new TextEncoder().encode(config.source)),
+      size: null
+    }));
+    registerTransport('memory', handler);
+
+    const controller = new AbortController();
+    const { stream, size } = await fetchTarball(
+      { transport: 'memory', source: 'pkg-1.0.0.tgz' },
+      { signal: controller.signal }
+    );
+
+    assert.strictEqual(await new Response(stream).text(), 'pkg-1.0.0.tgz');
+    assert.strictEqual(size, null);
+    assert.strictEqual(handler.mock.callCount(), 1);
+    assert.strictEqual(handler.mock.calls[0].arguments[1].signal, controller.signal);
+  });
+
+  it('rejects invalid, built-in and duplicate registrations', () => {
+    const handler = async () => ({ stream: streamOf(new Uint8Array()), size: 0 });
+    registerTransport('memory', handler);
+
+    for (const [name, fn, message] of [
+      ['', handler, 'Transport name is required'],
+      ['memory', handler, 'Transport already registered: memory'],
+      ['url', handler, 'Transport already registered: url'],
+      ['other', 'not a function', 'Transport handler must be a function: other']
+    ]) {
+      assert.throws(
+        () => registerTransport(/** @type {any} */ (name), /** @type {any} */ (fn)),
+        (err) => isDiffError(err) && err.phase === 'FETCH' && err.message === message
+      );
+    }
+  });
+
+  it('forgets unregistered transports', async () => {
+    registerTransport('memory', async () => ({ stream: streamOf(new Uint8Array()), size: 0 }));
+
+    assert.strictEqual(unregisterTransport('memory'), true);
+    assert.strictEqual(unregisterTransport('memory'), false);
+    assert.strictEqual(unregisterTransport('url'), false);
+    await assert.rejects(
+      fetchTarball({ transport: 'memory', source: 'pkg.tgz' }),
+      (err) => isDiffError(err) && err.message === 'Unknown transport: memory'
+    );
+  });
+
+  it('checks the source configuration before calling the handler', async () => {
+    const handler = mock.fn(async () => ({ stream: streamOf(new Uint8Array()), size: 0 }));
+    registerTransport('memory', handler);
+
+    await assert.rejects(
+      fetchTarball({ transport: 'memory', source: 'pkg.tgz', auth: 'bearer' }),
+      (err) => isDiffError(err) && err.phase === 'AUTH'
+    );
+    assert.strictEqual(handler.mock.callCount(), 0);
+  });
+
+  it('wraps handler errors in FETCH errors', async () => {
+    registerTransport('memory', async () => {
+      throw new Error('store unavailable');
+    });
+    await assert.rejects(
+      fetchTarball({ transport: 'memory', source: 'pkg.tgz' }),
+      (err) => isDiffError(err) && err.phase === 'FETCH' &&
+        err.message === 'Transport memory failed: store unavailable'
+    );
+
+    unregisterTransport('memory');
+    registerTransport('memory', async () => {
+      throw new DiffError('RESOLVE', 'Not in store: pkg.tgz');
+    });
+    await assert.rejects(
+      fetchTarball({ transport: 'memory', source: 'pkg.tgz' }),
+      (err) => isDiffError(err) && err.phase === 'RESOLVE'
+    );
+  });
+
+  it('rejects results without a stream', async () => {
+    registerTransport('memory', async () => /** @type {any} */ ({ size: 0 }));
+
+    await assert.rejects(
+      fetchTarball({ transport: 'memory', source: 'pkg.tgz' }),
+      (err) => isDiffError(err) && err.message === 'Transport memory returned no stream'
+    );
+  });
+
+  it('applies the tarball size limit to the handler result', async () => {
+    const bytes = new Uint8Array(64);
+    registerTransport('memory', async (config) => ({
+      stream: streamOf(bytes),
+      size: config.source === 'sized.tgz' ? bytes.length : null
+    }));
+
+    await assert.rejects(
+      fetchTarball({ transport: 'memory', source: 'sized.tgz' }, { limits: { tarballSize: 32 } }),
+      (err) => isDiffError(err) && err.phase === 'SIZE' && err.message.startsWith('Tarball size 64 B')
+    );
+
+    const { stream } = await fetchTarball(
+      { transport: 'memory', source: 'unsized.tgz' },
+      { limits: { tarballSize: 32 } }
+    );
+    await assert.rejects(
+      new Response(stream).arrayBuffer(),
+      (err) => isDiffError(err) && err.phase === 'SIZE' && err.message === 'Tarball exceeds limit of 32 B'
+    );
+  });
+
+  it('passes compressed and etag through from the handler', async () => {
+    const bytes = new Uint8Array(64);
+    registerTransport('memory', async () => ({
+      stream: streamOf(bytes),
+      size: null,
+      compressed: false,
+      etag: '"v1"'
+    }));
+
+    const result = await fetchTarball({ transport: 'memory', source: 'pkg.tar' });
+    assert.strictEqual(result.compressed, false);
+    assert.strictEqual(result.etag, '"v1"');
+    assert.strictEqual((await new Response(result.stream).arrayBuffer()).byteLength, 64);
+
+    const limited = await fetchTarball(
+      { transport: 'memory', source: 'pkg.tar' },
+      { limits: { tarballSize: 16, unpackedSize: 32 } }
+    );
+    await assert.rejects(
+      new Response(limited.stream).arrayBuffer(),
+      (err) => isDiffError(err) && err.phase === 'SIZE' &&
+        err.message === 'Unpacked tarball exceeds limit of 32 B'
+    );
+  });
+
+  it('reports handler results as compressed by default', async () => {
+    registerTransport('memory', async () => ({ stream: streamOf(new Uint8Array()), size: 0 }));
+
+    const result = await fetchTarball({ transport: 'memory', source: 'pkg.tgz' });
+    assert.strictEqual(result.compressed, true);
+    assert.strictEqual(result.etag, null);
+  });
+});
+
 describe('fetchTarball', () => {
   /** @type {typeof globalThis.fetch} */
   let originalFetch;
@@ -542,6 +1325,99 @@ describe('Integration: fetchTarball with SIZE validation', () => {
 
     assert.strictEqual(result.size, MAX_TARBALL_SIZE);
   });
+  /**
+   * Create a body that streams `count` chunks of `size` bytes.
+   * @param {number} count - Number of chunks
+   * @param {number} size - Bytes per chunk
+   * @returns {ReadableStream<Uint8Array>}
+   */
+  function chunkedBody(count, size) {
+    let sent = 0;
+    return new ReadableStream({
+      pull(controller) {
+        if (sent++ < count) {
+          controller.enqueue(new Uint8Array(size));
+        } else {
+          controller.close();
+        }
+      }
+    });
+  }
+
+  /**
+   * Read a stream to the end.
+   * @param {ReadableStream<Uint8Array>} stream
+   */
+  async function drain(stream) {
+    for await (const _ of stream) {
+      // discard
+    }
+  }
+
+  it('counts streamed bytes when Content-Length is missing', async () => {
+    globalThis.fetch = mock.fn(async () => new Response(chunkedBody(8, 1024), { status: 200 }));
+
+    const result = await fetchTarball(
+      { transport: 'url', source: 'https://registry.npmjs.org/chunked/-/chunked-1.0.0.tgz' },
+      { limits: { tarballSize: 4096 } }
+    );
+
+    assert.strictEqual(result.size, null);
+    await assert.rejects(
+      drain(result.stream),
+      (err) => isDiffError(err) && err.phase === 'SIZE' && /Tarball exceeds limit of 4\.0 KB/.test(err.message)
+    );
+  });
+
+  it('counts streamed bytes when Content-Length understates the body', async () => {
+    globalThis.fetch = mock.fn(async () => new Response(chunkedBody(8, 1024), {
+      status: 200,
+      headers: { 'Content-Length': '10' }
+    }));
+
+    const result = await fetchUrl('https://registry.npmjs.org/liar/-/liar-1.0.0.tgz', new Headers(), {
+      limits: { tarballSize: 4096 }
+    });
+
+    await assert.rejects(drain(result.stream), (err) => isDiffError(err) && err.phase === 'SIZE');
+  });
+
+  it('applies a configured tarball limit to Content-Length', async () => {
+    globalThis.fetch = mock.fn(async () => new Response(chunkedBody(1, 1), {
+      status: 200,
+      headers: { 'Content-Length': '2048' }
+    }));
+
+    await assert.rejects(
+      fetchTarball(
+        { transport: 'url', source: 'https://registry.npmjs.org/small/-/small-1.0.0.tgz' },
+        { limits: { tarballSize: 1024 } }
+      ),
+      (err) => isDiffError(err) && err.phase === 'SIZE' && /2\.0 KB exceeds limit of 1\.0 KB/.test(err.message)
+    );
+  });
+
+  it('passes bodies within the limit through unchanged', async () => {
+    globalThis.fetch = mock.fn(async () => new Response(chunkedBody(4, 1024), { status: 200 }));
+
+    const result = await fetchTarball(
+      { transport: 'url', source: 'https://registry.npmjs.org/ok/-/ok-1.0.0.tgz' },
+      { limits: { tarballSize: 4096 } }
+    );
+    const bytes = new Uint8Array(await new Response(result.stream).arrayBuffer());
+
+    assert.strictEqual(bytes.length, 4096);
+  });
+
+  it('applies a configured tarball limit to inline data', async () => {
+    await assert.rejects(
+      fetchTarball(
+        { transport: 'inline', data: new Uint8Array(2048) },
+        { limits: { tarballSize: 1024 } }
+      ),
+      (err) => isDiffError(err) && err.phase === 'SIZE'
+    );
+  });
 });
 
 describe('fetchTarball inline transport edge cases', () => {
@@ -735,3 +1611,73 @@ describe('fetchTarball file transport edge cases', () => {
     );
   });
 });
+
+describe('fetchTarball directory transport', () => {
+  it('throws FETCH error for missing directory path', async () => {
+    await assert.rejects(
+      fetchTarball({
+        transport: 'directory'
+      }),
+      (err) => {
+        return isDiffError(err) &&
+          err.phase === 'FETCH' &&
+          err.message.includes('Directory path is required');
+      }
+    );
+  });
+
+  it('throws FETCH error for non-existent directory', async () => {
+    await assert.rejects(
+      fetchTarball({
+        transport: 'directory',
+        source: '/nonexistent/path/to/package'
+      }),
+      (err) => {
+        return isDiffError(err) &&
+          err.phase === 'FETCH' &&
+          err.message.includes('Directory not found');
+      }
+    );
+  });
+
+  it('throws FETCH error when source is a file', async () => {
+    await assert.rejects(
+      fetchTarball({
+        transport: 'directory',
+        source: new URL('../package.json', import.meta.url).pathname
+      }),
+      (err) => {
+        return isDiffError(err) &&
+          err.phase === 'FETCH' &&
+          err.message.includes('not a directory');
+      }
+    );
+  });
+
+  it('returns an uncompressed tar stream of the packed directory', async () => {
+    const result = await fetchTarball({
+      transport: 'directory',
+      source: new URL('..', import.meta.url).pathname
+    });
+
+    assert.ok(result.stream instanceof ReadableStream);
+    assert.strictEqual(result.compressed, false);
+
+    const tar = new Uint8Array(await new Response(result.stream).arrayBuffer());
+    assert.strictEqual(result.size, tar.length);
+
+    // First entry name and the ustar magic of its header
+    assert.ok(new TextDecoder().decode(tar.subarray(0, 8)).startsWith('package/'));
+    assert.strictEqual(new TextDecoder().decode(tar.subarray(257, 262)), 'ustar');
+  });
+
+  it('bounds the packed directory by the unpacked size limit', async () => {
+    await assert.rejects(
+      fetchTarball(
+        { transport: 'directory', source: new URL('..', import.meta.url).pathname },
+        { limits: { tarballSize: 1, unpackedSize: 1024 } }
+      ),
+      (err) => isDiffError(err) && err.phase === 'SIZE' && err.message.startsWith('Packed directory size')
+    );
+  });
+});
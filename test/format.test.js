@@ -8,9 +8,15 @@ import {
   formatBinaryHeader,
   formatTextDiff,
   formatNameOnly,
+  formatNameStatus,
   formatDiff,
-  formatFileDiff
+  formatFileDiff,
+  formatRenameDiff,
+  formatModeChange
 } from '../src/format.js';
+import { setFileMode } from '../src/tar.js';
+import { hashFileMaps } from '../src/hash.js';
+import { prepareBinaryPatches } from '../src/binpatch.js';
 
 describe('format module', () => {
   describe('formatBinaryHeader', () => {
@@ -53,6 +59,17 @@ describe('format module', () => {
       assert.ok(header.includes('diff --git old/image.png new/image.png'));
       assert.ok(header.includes('Binary files old/image.png and new/image.png differ'));
     });
+
+    it('should replace the marker with a binary patch', () => {
+      const patch = 'GIT binary patch\nliteral 0\nHc$@<O00001\n\nliteral 0\nHc$@<O00001\n\n';
+      const header = formatBinaryHeader('image.png', 'modified', { binary: true }, {}, patch);
+
+      assert.strictEqual(header, [
+        'diff --git a/image.png b/image.png',
+        `index ${'0'.repeat(40)}..${'0'.repeat(40)} 100644`,
+        ''
+      ].join('\n') + patch);
+    });
   });
 
   describe('formatTextDiff', () => {
@@ -112,6 +129,31 @@ describe('format module', () => {
     });
   });
 
+  describe('formatNameStatus', () => {
+    it('should format git status letters and paths', () => {
+      const result = formatNameStatus([
+        { path: 'a.js', status: 'added' },
+        { path: 'b.js', status: 'deleted' },
+        { path: 'c.js', status: 'modified' },
+        { path: 'lib/new.js', status: 'renamed', oldPath: 'lib/old.js', similarity: 98 },
+        { path: 'd.js', status: 'copied', oldPath: 'c.js', similarity: 100 }
+      ]);
+
+      assert.strictEqual(result, [
+        'A\ta.js',
+        'D\tb.js',
+        'M\tc.js',
+        'R098\tlib/old.js\tlib/new.js',
+        'C100\tc.js\td.js',
+        ''
+      ].join('\n'));
+    });
+
+    it('should return empty string for no changes', () => {
+      assert.strictEqual(formatNameStatus([]), '');
+    });
+  });
+
   describe('formatDiff', () => {
     it('should format complete diff between trees', () => {
       const left = new Map([
@@ -156,6 +198,22 @@ describe('format module', () => {
       assert.ok(!result.output.includes('@@ ')); // No hunk headers
     });
 
+    it('should detect binary files by content', () => {
+      const left = new Map([
+        ['bin/tool', new Uint8Array([0x7f, 0x45, 0x4c, 0x46, 0x01])],
+        ['fixture.dat', new TextEncoder().encode('old\n')]
+      ]);
+      const right = new Map([
+        ['bin/tool', new Uint8Array([0x7f, 0x45, 0x4c, 0x46, 0x02])],
+        ['fixture.dat', new TextEncoder().encode('new\n')]
+      ]);
+
+      const result = formatDiff(left, right);
+
+      assert.ok(result.output.includes('Binary files a/bin/tool and b/bin/tool differ'));
+      assert.ok(result.output.includes('-old\n+new\n'));
+    });
+
     it('should respect nameOnly option', () => {
       const left = new Map([
         ['file1.js', new TextEncoder().encode('old1')],
@@ -205,6 +263,428 @@ describe('format module', () => {
     });
   });
 
+  describe('file modes', () => {
+    const encoder = new TextEncoder();
+
+    it('should format mode-only changes', () => {
+      assert.strictEqual(
+        formatModeChange('bin/cli.js', { oldMode: '100644', newMode: '100755' }),
+        'diff --git a/bin/cli.js b/bin/cli.js\nold mode 100644\nnew mode 100755\n'
+      );
+    });
+
+    it('should emit real modes for added and deleted files', () => {
+      const added = formatTextDiff('run.sh', '--- /dev/null\n+++ b/run.sh', 'added', {}, { newMode: '100755' });
+      const deleted = formatBinaryHeader('a.png', 'deleted', {}, { oldMode: '100755' });
+
+      assert.ok(added.includes('new file mode 100755\nindex 0000000..0000000\n'));
+      assert.ok(deleted.includes('deleted file mode 100755\nindex 0000000..0000000\n'));
+    });
+
+    it('should ignore permission bits git does not record', () => {
+      const content = encoder.encode('same\n');
+      const left = new Map([['a.js', content], ['bin.js', content]]);
+      const right = new Map([['a.js', content], ['bin.js', content]]);
+      setFileMode(left, 'a.js', 0o644);
+      setFileMode(right, 'a.js', 0o664);
+      setFileMode(left, 'bin.js', 0o755);
+      setFileMode(right, 'bin.js', 0o775);
+
+      const result = formatDiff(left, right);
+
+      assert.strictEqual(result.output, '');
+      assert.strictEqual(result.filesChanged, 0);
+    });
+
+    it('should drop the mode from the index line when it changes', () => {
+      const output = formatTextDiff('a.js', '@@ -1 +1 @@', 'modified', {}, {
+        oldMode: '100644',
+        newMode: '100755'
+      });
+
+      assert.ok(output.includes('old mode 100644\nnew mode 100755\nindex 0000000..0000000\n'));
+    });
+
+    it('should diff modes between trees and count mode-only changes', () => {
+      const left = new Map([
+        ['cli.js', encoder.encode('#!/usr/bin/env node\n')],
+        ['run.js', encoder.encode('old\n')]
+      ]);
+      const right = new Map([
+        ['cli.js', encoder.encode('#!/usr/bin/env node\n')],
+        ['run.js', encoder.encode('new\n')]
+      ]);
+      setFileMode(right, 'cli.js', 0o755);
+      setFileMode(left, 'run.js', 0o755);
+
+      const result = formatDiff(left, right);
+
+      assert.strictEqual(result.filesChanged, 2);
+      assert.ok(result.output.startsWith(
+        'diff --git a/cli.js b/cli.js\nold mode 100644\nnew mode 100755\n\n'
+      ));
+      assert.ok(result.output.includes(
+        'diff --git a/run.js b/run.js\nold mode 100755\nnew mode 100644\nindex 0000000..0000000\n'
+      ));
+    });
+
+    it('should list mode-only changes in nameOnly mode', () => {
+      const content = encoder.encode('x');
+      const right = new Map([['cli.js', content]]);
+      setFileMode(right, 'cli.js', 0o755);
+
+      const result = formatDiff(new Map([['cli.js', content]]), right, { nameOnly: true });
+
+      assert.strictEqual(result.output, 'cli.js\n');
+    });
+
+    it('should name blob hashes in index lines', async () => {
+      const left = new Map([
+        ['a.txt', encoder.encode('one\ntwo\nthree\n')],
+        ['del.txt', encoder.encode('gone\n')]
+      ]);
+      const right = new Map([
+        ['a.txt', encoder.encode('one\nTWO\nthree\n')],
+        ['new.txt', encoder.encode('fresh\n')]
+      ]);
+      await hashFileMaps(left, right);
+
+      // Object IDs from git hash-object
+      const { output } = formatDiff(left, right);
+      assert.ok(output.includes('diff --git a/a.txt b/a.txt\nindex 4cb29ea..ddc897f 100644\n--- a/a.txt\n'));
+      assert.ok(output.includes('deleted file mode 100644\nindex 286c5f5..0000000\n'));
+      assert.ok(output.includes('new file mode 100644\nindex 0000000..92d5444\n'));
+
+      const full = formatDiff(left, right, { fullIndex: true }).output;
+      assert.ok(full.includes(
+        'index 4cb29ea38f70d7c61b2a3a25b02e3bdf44905402..ddc897f039f57aa91e16efa6dfde386c4255206f 100644\n'
+      ));
+      assert.ok(full.includes('index 0000000000000000000000000000000000000000..92d5444121bba43a7654dcfb037c209cb2a5d403\n'));
+    });
+
+    it('should format single-file mode changes', () => {
+      const content = encoder.encode('x');
+      const output = formatFileDiff('cli.js', content, content, {}, {
+        oldMode: '100644',
+        newMode: '100755'
+      });
+
+      assert.ok(output?.includes('old mode 100644\nnew mode 100755'));
+      assert.strictEqual(formatFileDiff('cli.js', content, content), null);
+    });
+  });
+
+  describe('formatRenameDiff', () => {
+    it('should format exact renames as headers only', () => {
+      const output = formatRenameDiff(
+        { from: 'lib/a.js', to: 'dist/a.js', status: 'renamed', similarity: 100 },
+        null,
+        false
+      );
+
+      assert.strictEqual(output, [
+        'diff --git a/lib/a.js b/dist/a.js',
+        'similarity index 100%',
+        'rename from lib/a.js',
+        'rename to dist/a.js',
+        ''
+      ].join('\n'));
+    });
+
+    it('should format copies with binary markers', () => {
+      const output = formatRenameDiff(
+        { from: 'a.png', to: 'b.png', status: 'copied', similarity: 90 },
+        null,
+        true
+      );
+
+      assert.ok(output.includes('copy from a.png\ncopy to b.png\nindex '));
+      assert.ok(output.includes('Binary files a/a.png and b/b.png differ'));
+    });
+  });
+
+  describe('formatDiff renames', () => {
+    const content = 'one\ntwo\nthree\nfour\nfive\nsix\nseven\neight\n';
+
+    it('should emit rename headers and only the changed lines', () => {
+      const left = new Map([['lib/index.js', new TextEncoder().encode(content)]]);
+      const right = new Map([['dist/index.js', new TextEncoder().encode(content.replace('eight', 'EIGHT'))]]);
+
+      const result = formatDiff(left, right, { findRenames: true });
+
+      assert.ok(result.output.startsWith([
+        'diff --git a/lib/index.js b/dist/index.js',
+        'similarity index 85%',
+        'rename from lib/index.js',
+        'rename to dist/index.js',
+        'index 0000000..0000000 100644'
+      ].join('\n')));
+      assert.ok(result.output.includes('-eight\n+EIGHT'));
+      assert.ok(!result.output.includes('-one'));
+      assert.strictEqual(result.filesChanged, 1);
+      assert.strictEqual(result.filesAdded, 0);
+      assert.strictEqual(result.filesDeleted, 0);
+      assert.strictEqual(result.filesRenamed, 1);
+      assert.deepStrictEqual(result.renames, [
+        { from: 'lib/index.js', to: 'dist/index.js', status: 'renamed', similarity: 85 }
+      ]);
+    });
+
+    it('should count copies separately from renames', () => {
+      const bytes = new TextEncoder().encode(content);
+      const left = new Map([['a.js', bytes]]);
+      const right = new Map([['b.js', bytes], ['c.js', bytes]]);
+
+      const result = formatDiff(left, right, { findCopies: true });
+
+      assert.strictEqual(result.filesChanged, 2);
+      assert.strictEqual(result.filesCopied, 1);
+      assert.strictEqual(result.filesRenamed, 1);
+      assert.ok(result.output.includes('copy from a.js\ncopy to b.js\n'));
+      assert.ok(result.output.includes('rename from a.js\nrename to c.js\n'));
+    });
+
+    it('should list renames in nameStatus mode', () => {
+      const bytes = new TextEncoder().encode(content);
+      const right = new Map([['new.js', bytes], ['mode.js', bytes]]);
+      setFileMode(right, 'mode.js', 0o755);
+
+      const result = formatDiff(
+        new Map([['old.js', bytes], ['mode.js', bytes]]),
+        right,
+        { findRenames: true, nameStatus: true }
+      );
+
+      // Mode changes are modifications, as in git
+      assert.strictEqual(result.output, 'M\tmode.js\nR100\told.js\tnew.js\n');
+    });
+
+    it('should use renames already detected instead of detecting again', () => {
+      const bytes = new TextEncoder().encode(content);
+      const left = new Map([['a.js', bytes]]);
+      const right = new Map([['b.js', bytes]]);
+
+      const result = formatDiff(left, right, {
+        nameStatus: true,
+        renames: [{ from: 'a.js', to: 'b.js', status: 'renamed', similarity: 90 }]
+      });
+
+      assert.strictEqual(result.output, 'R090\ta.js\tb.js\n');
+    });
+
+    it('should list destination paths in nameOnly mode', () => {
+      const bytes = new TextEncoder().encode(content);
+      const result = formatDiff(
+        new Map([['old.js', bytes]]),
+        new Map([['new.js', bytes]]),
+        { findRenames: true, nameOnly: true }
+      );
+
+      assert.strictEqual(result.output, 'new.js\n');
+    });
+  });
+
+  describe('formatDiff JSON', () => {
+    const encoder = new TextEncoder();
+
+    it('should return file records instead of patch text', async () => {
+      const left = new Map([
+        ['a.txt', encoder.encode('one\ntwo\nthree\n')],
+        ['logo.png', new Uint8Array([1, 2])],
+        ['old.js', encoder.encode('moved\n')]
+      ]);
+      const right = new Map([
+        ['a.txt', encoder.encode('one\nTWO\nthree\n')],
+        ['logo.png', new Uint8Array([1, 2, 3])],
+        ['new.js', encoder.encode('moved\n')]
+      ]);
+      setFileMode(right, 'a.txt', 0o755);
+      await hashFileMaps(left, right);
+
+      const result = formatDiff(left, right, { format: 'json', findRenames: true });
+
+      assert.deepStrictEqual(JSON.parse(result.output), result.files);
+      assert.deepStrictEqual(result.files, [
+        {
+          path: 'a.txt',
+          status: 'modified',
+          binary: false,
+          oldMode: '100644',
+          newMode: '100755',
+          oldSize: 14,
+          newSize: 14,
+          oldHash: '4cb29ea38f70d7c61b2a3a25b02e3bdf44905402',
+          newHash: 'ddc897f039f57aa91e16efa6dfde386c4255206f',
+          insertions: 1,
+          deletions: 1,
+          hunks: [{
+            oldStart: 1,
+            oldLines: 3,
+            newStart: 1,
+            newLines: 3,
+            lines: [
+              { type: 'context', content: 'one', oldLine: 1, newLine: 1 },
+              { type: 'delete', content: 'two', oldLine: 2 },
+              { type: 'add', content: 'TWO', newLine: 2 },
+              { type: 'context', content: 'three', oldLine: 3, newLine: 3 }
+            ]
+          }]
+        },
+        {
+          path: 'logo.png',
+          status: 'modified',
+          binary: true,
+          oldMode: '100644',
+          newMode: '100644',
+          oldSize: 2,
+          newSize: 3,
+          oldHash: '71bd63e6202752b0f0052971c84168c139021759',
+          newHash: 'aed2973e4b8a7ff1b30ff5c4751e5a2b38989e74',
+          insertions: 0,
+          deletions: 0,
+          hunks: []
+        },
+        {
+          path: 'new.js',
+          oldPath: 'old.js',
+          status: 'renamed',
+          binary: false,
+          similarity: 100,
+          oldMode: '100644',
+          newMode: '100644',
+          oldSize: 6,
+          newSize: 6,
+          oldHash: '549477274da81523feadb7071d7af1b0f0bd1683',
+          newHash: '549477274da81523feadb7071d7af1b0f0bd1683',
+          insertions: 0,
+          deletions: 0,
+          hunks: []
+        }
+      ]);
+    });
+
+    it('should let nameOnly take precedence', () => {
+      const result = formatDiff(new Map(), new Map([['a.js', encoder.encode('a')]]), {
+        format: 'json',
+        nameOnly: true
+      });
+
+      assert.strictEqual(result.output, 'a.js\n');
+      assert.strictEqual(result.files, undefined);
+    });
+  });
+
+  describe('formatDiff stats', () => {
+    const encoder = new TextEncoder();
+    const left = new Map([
+      ['a.js', encoder.encode('one\ntwo\nthree\n')],
+      ['img.png', new Uint8Array([1, 2])]
+    ]);
+    const right = new Map([
+      ['a.js', encoder.encode('one\nTWO\nthree\nfour\n')],
+      ['img.png', new Uint8Array([1, 2, 3])],
+      ['b.js', encoder.encode('b\n')]
+    ]);
+
+    it('should total insertions and deletions', () => {
+      const result = formatDiff(left, right);
+
+      assert.strictEqual(result.insertions, 3);
+      assert.strictEqual(result.deletions, 1);
+    });
+
+    it('should render stat, numstat and shortstat', () => {
+      assert.strictEqual(formatDiff(left, right, { format: 'stat' }).output, [
+        ' a.js    |   3 ++-',
+        ' b.js    |   1 +',
+        ' img.png | Bin 2 -> 3 bytes',
+        ' 3 files changed, 3 insertions(+), 1 deletion(-)',
+        ''
+      ].join('\n'));
+      assert.strictEqual(
+        formatDiff(left, right, { format: 'numstat' }).output,
+        '2\t1\ta.js\n1\t0\tb.js\n-\t-\timg.png\n'
+      );
+      assert.strictEqual(
+        formatDiff(left, right, { format: 'shortstat' }).output,
+        ' 3 files changed, 3 insertions(+), 1 deletion(-)\n'
+      );
+    });
+
+    it('should stop between files once aborted', () => {
+      assert.throws(
+        () => formatDiff(left, right, { signal: AbortSignal.abort() }),
+        (err) => /** @type {any} */ (err).phase === 'ABORT'
+      );
+    });
+
+    it('should bound every format by the output size limit', () => {
+      for (const options of [{}, { nameOnly: true }, { format: 'json' }, { format: 'numstat' }]) {
+        const { output } = formatDiff(left, right, /** @type {any} */ (options));
+        const size = new TextEncoder().encode(output).length;
+
+        assert.strictEqual(
+          formatDiff(left, right, { ...options, limits: { outputSize: size } }).output,
+          output
+        );
+        assert.throws(
+          () => formatDiff(left, right, { ...options, limits: { outputSize: size - 1 } }),
+          (err) => /** @type {any} */ (err).phase === 'SIZE' &&
+            /Diff output exceeds limit/.test(/** @type {Error} */ (err).message),
+          JSON.stringify(options)
+        );
+      }
+    });
+  });
+
+  describe('formatDiff binary patches', () => {
+    it('should emit GIT binary patch sections with full index lines', async () => {
+      const left = new Map([
+        ['app.wasm', new Uint8Array([0x00, 0x61, 0x73, 0x6d, 1])],
+        ['a.js', new TextEncoder().encode('a\n')]
+      ]);
+      const right = new Map([
+        ['app.wasm', new Uint8Array([0x00, 0x61, 0x73, 0x6d, 2])],
+        ['a.js', new TextEncoder().encode('b\n')]
+      ]);
+
+      await hashFileMaps(left, right);
+      await prepareBinaryPatches(left, right);
+      const { output } = formatDiff(left, right, { binary: true });
+
+      assert.match(output, /^index [0-9a-f]{40}\.\.[0-9a-f]{40} 100644\nGIT binary patch\nliteral 5\n/m);
+      assert.match(output, /\nliteral 5\n[^\n]+\n\nliteral 5\n[^\n]+\n\n/);
+      assert.ok(!output.includes('Binary files'));
+      assert.ok(output.includes('+b'));
+    });
+
+    it('should emit binary patches for binary renames', async () => {
+      const source = new Uint8Array(200).fill(7);
+      source[0] = 0;
+      const destination = new Uint8Array(source);
+      destination[199] = 8;
+
+      const left = new Map([['old.bin', source]]);
+      const right = new Map([['new.bin', destination]]);
+      const options = { binary: true, findRenames: true };
+
+      await prepareBinaryPatches(left, right, options);
+      const { output } = formatDiff(left, right, options);
+
+      assert.ok(output.includes('rename to new.bin\nindex '));
+      assert.ok(output.includes('\nGIT binary patch\n'));
+    });
+
+    it('should fall back to the binary marker without prepared patches', () => {
+      const left = new Map([['a.bin', new Uint8Array([0, 1])]]);
+      const right = new Map([['a.bin', new Uint8Array([0, 2])]]);
+
+      const { output } = formatDiff(left, right, { binary: true });
+
+      assert.ok(output.includes('Binary files a/a.bin and b/a.bin differ'));
+    });
+  });
+
   describe('formatFileDiff', () => {
     it('should format modified file', () => {
       const left = new TextEncoder().encode('old');
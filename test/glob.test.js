@@ -0,0 +1,103 @@
+/**
+ * Tests for src/glob.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { compileGlob, hasMagic } from '../src/glob.js';
+
+describe('glob module', () => {
+  describe('compileGlob', () => {
+    it('matches literal paths', () => {
+      const re = compileGlob('lib/index.js');
+      assert.strictEqual(re.test('lib/index.js'), true);
+      assert.strictEqual(re.test('lib/index.jsx'), false);
+      assert.strictEqual(re.test('libXindex.js'), false);
+    });
+
+    it('* does not cross directories', () => {
+      const re = compileGlob('lib/*.js');
+      assert.strictEqual(re.test('lib/a.js'), true);
+      assert.strictEqual(re.test('lib/sub/a.js'), false);
+    });
+
+    it('**/ matches zero or more directories', () => {
+      const re = compileGlob('**/test/*.js');
+      assert.strictEqual(re.test('test/a.js'), true);
+      assert.strictEqual(re.test('a/b/test/a.js'), true);
+      assert.strictEqual(re.test('a/btest/a.js'), false);
+    });
+
+    it('trailing ** matches everything below', () => {
+      const re = compileGlob('dist/**');
+      assert.strictEqual(re.test('dist/a.js'), true);
+      assert.strictEqual(re.test('dist/a/b/c.js'), true);
+      assert.strictEqual(re.test('src/a.js'), false);
+    });
+
+    it('? matches a single non-slash character', () => {
+      const re = compileGlob('file?.txt');
+      assert.strictEqual(re.test('file1.txt'), true);
+      assert.strictEqual(re.test('file12.txt'), false);
+      assert.strictEqual(re.test('file/.txt'), false);
+    });
+
+    it('supports character classes and negation', () => {
+      assert.strictEqual(compileGlob('v[0-9].js').test('v3.js'), true);
+      assert.strictEqual(compileGlob('v[0-9].js').test('vx.js'), false);
+      assert.strictEqual(compileGlob('v[!0-9].js').test('vx.js'), true);
+    });
+
+    it('treats regex metacharacters literally', () => {
+      const re = compileGlob('a+b(c).js');
+      assert.strictEqual(re.test('a+b(c).js'), true);
+      assert.strictEqual(re.test('aab(c)xjs'), false);
+    });
+
+    it('supports escapes', () => {
+      assert.strictEqual(compileGlob('\\*.js').test('*.js'), true);
+      assert.strictEqual(compileGlob('\\*.js').test('a.js'), false);
+    });
+
+    it('supports case-insensitive matching', () => {
+      assert.strictEqual(compileGlob('readme*', { nocase: true }).test('README.md'), true);
+    });
+    it('matches at any depth with matchBase', () => {
+      const re = compileGlob('*.log', { matchBase: true });
+      assert.strictEqual(re.test('a/b/debug.log'), true);
+      assert.strictEqual(re.test('debug.log'), true);
+      assert.strictEqual(re.test('a/debug.log/x'), false);
+    });
+
+    it('matches everything below a path with matchBelow', () => {
+      const re = compileGlob('lib/*', { matchBelow: true });
+      assert.strictEqual(re.test('lib/a.js'), true);
+      assert.strictEqual(re.test('lib/a/b.js'), true);
+      assert.strictEqual(re.test('lib'), false);
+    });
+
+    it('does not treat a trailing ** as the directory itself', () => {
+      assert.strictEqual(compileGlob('dist/**').test('dist'), false);
+      assert.strictEqual(compileGlob('**').test('dist'), true);
+      assert.strictEqual(compileGlob('a/**/b').test('a/b'), true);
+      assert.strictEqual(compileGlob('a/**/b').test('a/x/y/b'), true);
+    });
+
+    it('matches many stars against long paths quickly', () => {
+      const start = performance.now();
+      const re = compileGlob('*a*a*a*a*a*a*a*a*b', { matchBase: true });
+      assert.strictEqual(re.test(`x/${'a'.repeat(40)}.js`), false);
+      assert.strictEqual(compileGlob('**/a/**/a/**/a/**/b').test('a/'.repeat(40) + 'c'), false);
+      assert.ok(performance.now() - start < 100);
+    });
+  });
+
+  describe('hasMagic', () => {
+    it('detects glob characters', () => {
+      assert.strictEqual(hasMagic('lib/*.js'), true);
+      assert.strictEqual(hasMagic('file?.js'), true);
+      assert.strictEqual(hasMagic('[ab].js'), true);
+      assert.strictEqual(hasMagic('lib/index.js'), false);
+    });
+  });
+});
@@ -0,0 +1,426 @@
+/**
+ * Tests for src/handler.js
+ */
+
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { gzipSync } from 'node:zlib';
+import { packTar } from 'modern-tar';
+import { createHandler } from '../src/handler.js';
+
+const REGISTRY = 'https://registry.example/';
+
+/**
+ * Create a gzipped tar archive of package files.
+ * @param {Record<string, string>} files - Paths (below package/) and contents
+ * @returns {Promise<Uint8Array>}
+ */
+async function createTarGz(files) {
+  const entries = Object.entries(files).map(([name, content]) => {
+    const data = new TextEncoder().encode(content);
+    return {
+      header: { name: `package/${name}`, type: 'file', size: data.length, mode: 0o644 },
+      data
+    };
+  });
+  return new Uint8Array(gzipSync(await packTar(entries)));
+}
+
+/** @type {Record<string, Record<string, string>>} */
+const VERSIONS = {
+  '1.0.0': { 'index.js': 'module.exports = 1;\n', 'README.md': '# pkg\n' },
+  '1.1.0': { 'index.js': 'module.exports = 2 < 3;\n', 'README.md': '# pkg\n', 'lib/new.js': 'new\n' },
+  '0.1.0': { 'old.js': 'a\nb\nc\nd\n' },
+  '0.2.0': { 'new.js': 'a\nb\nc\nD\n' }
+};
+
+/**
+ * Serve the "pkg" packument and tarballs from the test registry.
+ * @param {string | URL | Request} input - Fetched URL
+ * @returns {Promise<Response>}
+ */
+async function registryFetch(input) {
+  const url = String(input instanceof Request ? input.url : input);
+
+  if (url === `${REGISTRY}pkg`) {
+    const versions = Object.fromEntries(Object.keys(VERSIONS).map((version) => [version, {
+      version,
+      dist: { tarball: `${REGISTRY}pkg/-/pkg-${version}.tgz` }
+    }]));
+    return Response.json({ name: 'pkg', 'dist-tags': { latest: '1.1.0' }, versions });
+  }
+
+  const match = url.match(/pkg-(\d+\.\d+\.\d+)\.tgz$/);
+  if (match && VERSIONS[match[1]]) {
+    return new Response(await createTarGz(VERSIONS[match[1]]));
+  }
+
+  return new Response(null, { status: 404, statusText: 'Not Found' });
+}
+
+/**
+ * Build a request to the test server.
+ * @param {string} path - Path and query
+ * @param {RequestInit & { accept?: string }} [init] - Request options
+ * @returns {Request}
+ */
+function request(path, { accept, ...init } = {}) {
+  const headers = new Headers(init.headers);
+  if (accept) {
+    headers.set('Accept', accept);
+  }
+  return new Request(`https://difftar.example${path}`, { ...init, headers });
+}
+
+/**
+ * POST a JSON body to the diff route.
+ * @param {unknown} body - Request body
+ * @param {string} [accept] - Accept header
+ * @returns {Request}
+ */
+function post(body, accept) {
+  return request('/diff', {
+    method: 'POST',
+    body: JSON.stringify(body),
+    headers: { 'Content-Type': 'application/json' },
+    accept
+  });
+}
+
+describe('handler module', () => {
+  /** @type {typeof globalThis.fetch} */
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = mock.fn(registryFetch);
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const handle = createHandler({ registry: REGISTRY });
+
+  describe('GET requests', () => {
+    it('should serve a text patch by default', async () => {
+      const response = await handle(request('/diff/pkg@1.0.0...pkg@1.1.0'));
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('Content-Type'), 'text/plain; charset=utf-8');
+      assert.strictEqual(response.headers.get('Vary'), 'Accept');
+
+      const text = await response.text();
+      assert.ok(text.includes('diff --git a/index.js b/index.js'));
+      assert.ok(text.includes('+module.exports = 2 < 3;'));
+      assert.ok(text.includes('new file mode 100644'));
+    });
+
+    it('should read a bare right side as a version of the left package', async () => {
+      const explicit = await handle(request('/diff/pkg@1.0.0...pkg@1.1.0'));
+      const bare = await handle(request('/diff/pkg@1.0.0...1.1.0'));
+
+      assert.strictEqual(await bare.text(), await explicit.text());
+    });
+
+    it('should resolve tags and ranges', async () => {
+      const response = await handle(request('/diff/pkg@1.0.0...latest?nameOnly'));
+      assert.strictEqual(await response.text(), 'index.js\nlib/new.js\n');
+    });
+
+    it('should take diff options from the query', async () => {
+      const response = await handle(
+        request('/diff/pkg@1.0.0...1.1.0?nameStatus=true&include=lib&include=README.md')
+      );
+      assert.strictEqual(await response.text(), 'A\tlib/new.js\n');
+    });
+
+    it('should serve non-streamable formats as text', async () => {
+      const response = await handle(request('/diff/pkg@1.0.0...1.1.0?format=shortstat'));
+      assert.strictEqual(
+        await response.text(),
+        ' 2 files changed, 2 insertions(+), 1 deletion(-)\n'
+      );
+    });
+
+    it('should reject paths without two sides', async () => {
+      for (const path of ['/diff/pkg@1.0.0', '/diff/', '/diff', '/diff/a...b...c']) {
+        const response = await handle(request(path));
+        assert.strictEqual(response.status, 400, path);
+      }
+    });
+
+    it('should reject unknown and mistyped options', async () => {
+      for (const query of ['registry=https://evil.example/', 'context=-1', 'format=xml', 'nameOnly=maybe']) {
+        const response = await handle(request(`/diff/pkg@1.0.0...1.1.0?${query}`));
+        assert.strictEqual(response.status, 400, query);
+
+        const body = await response.json();
+        assert.strictEqual(body.error, 'RequestError');
+      }
+      assert.strictEqual(/** @type {any} */ (globalThis.fetch).mock.callCount(), 0);
+    });
+
+    it('should cap pathspecs in number, length and wildcards', async () => {
+      const queries = [
+        Array.from({ length: 33 }, (_, i) => `include=f${i}`).join('&'),
+        `include=${'a'.repeat(257)}`,
+        `exclude=${encodeURIComponent('*a'.repeat(17))}`
+      ];
+      for (const query of queries) {
+        const response = await handle(request(`/diff/pkg@1.0.0...1.1.0?${query}`));
+        assert.strictEqual(response.status, 400, query);
+      }
+
+      const posted = await handle(post({ left: 'pkg@1.0.0', right: 'pkg@1.1.0', options: { include: ['*a'.repeat(17)] } }));
+      assert.strictEqual(posted.status, 400);
+      assert.strictEqual(/** @type {any} */ (globalThis.fetch).mock.callCount(), 0);
+
+      const allowed = await handle(request(`/diff/pkg@1.0.0...1.1.0?nameOnly&include=${encodeURIComponent('*'.repeat(16))}`));
+      assert.strictEqual(allowed.status, 200);
+    });
+
+    it('should reject tarball URLs', async () => {
+      const response = await handle(
+        request(`/diff/${encodeURIComponent('http://169.254.169.254/a.tgz')}...1.0.0`)
+      );
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(/** @type {any} */ (globalThis.fetch).mock.callCount(), 0);
+    });
+  });
+
+  describe('POST requests', () => {
+    it('should diff the sources of a JSON body', async () => {
+      const response = await handle(post({
+        left: 'pkg@1.0.0',
+        right: 'pkg@1.1.0',
+        options: { nameOnly: true, exclude: ['lib'] }
+      }));
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(await response.text(), 'index.js\n');
+    });
+
+    it('should reject malformed bodies', async () => {
+      const bodies = [
+        'not json',
+        JSON.stringify([]),
+        JSON.stringify({ right: 'pkg@1.1.0' }),
+        JSON.stringify({ left: 'pkg@1.0.0', right: 'pkg@1.1.0', options: [] }),
+        JSON.stringify({ left: 'pkg@1.0.0', right: 'pkg@1.1.0', options: { context: '3' } }),
+        JSON.stringify({ left: 'not a spec!', right: 'pkg@1.1.0' })
+      ];
+
+      for (const body of bodies) {
+        const response = await handle(request('/diff', { method: 'POST', body }));
+        assert.strictEqual(response.status, 400, body);
+      }
+    });
+
+    it('should reject source configurations by default', async () => {
+      for (const left of [
+        { transport: 'file', source: '/etc/passwd' },
+        { transport: 'url', source: 'http://169.254.169.254/' },
+        'https://registry.example/pkg/-/pkg-1.0.0.tgz'
+      ]) {
+        const response = await handle(post({ left, right: 'pkg@1.1.0' }));
+        assert.strictEqual(response.status, 400);
+      }
+      assert.strictEqual(/** @type {any} */ (globalThis.fetch).mock.callCount(), 0);
+    });
+
+    it('should accept allowed transports', async () => {
+      const inline = createHandler({ transports: ['inline'] });
+      const data = Buffer.from(await createTarGz(VERSIONS['1.0.0'])).toString('base64');
+
+      const response = await inline(post({
+        left: { transport: 'inline', data },
+        right: { transport: 'inline', data: Buffer.from(await createTarGz(VERSIONS['1.1.0'])).toString('base64') },
+        options: { nameOnly: true }
+      }));
+
+      assert.strictEqual(await response.text(), 'index.js\nlib/new.js\n');
+    });
+
+    it('should fetch allowed URLs under the network policy', async () => {
+      const urls = createHandler({ transports: ['url'] });
+
+      for (const left of [
+        'http://169.254.169.254/latest/meta-data/',
+        { transport: 'url', source: 'http://[::ffff:7f00:1]/pkg.tgz' }
+      ]) {
+        const response = await urls(post({ left, right: `${REGISTRY}pkg/-/pkg-1.1.0.tgz` }));
+        assert.strictEqual(response.status, 403);
+        assert.strictEqual((await response.json()).phase, 'POLICY');
+      }
+
+      const response = await urls(post({
+        left: `${REGISTRY}pkg/-/pkg-1.0.0.tgz`,
+        right: `${REGISTRY}pkg/-/pkg-1.1.0.tgz`,
+        options: { nameOnly: true }
+      }));
+      assert.strictEqual(await response.text(), 'index.js\nlib/new.js\n');
+    });
+
+    it('should use the configured network policy', async () => {
+      const strict = createHandler({ registry: REGISTRY, policy: { allowHosts: ['cdn.example'] } });
+      const response = await strict(request('/diff/pkg@1.0.0...1.1.0'));
+
+      assert.strictEqual(response.status, 403);
+      assert.match((await response.json()).message, /registry\.example/);
+    });
+  });
+
+  describe('content negotiation', () => {
+    it('should serve diffWithStats() JSON', async () => {
+      const response = await handle(
+        request('/diff/pkg@1.0.0...1.1.0', { accept: 'application/json' })
+      );
+
+      assert.strictEqual(response.headers.get('Content-Type'), 'application/json; charset=utf-8');
+      const result = await response.json();
+      assert.strictEqual(result.filesChanged, 2);
+      assert.strictEqual(result.filesAdded, 1);
+      assert.strictEqual(result.output, undefined);
+      assert.deepStrictEqual(result.files.map((/** @type {any} */ file) => file.path), ['index.js', 'lib/new.js']);
+    });
+
+    it('should serve file records as JSON whatever the output options', async () => {
+      for (const query of ['?format=stat', '?nameOnly', '?nameStatus']) {
+        const response = await handle(
+          request(`/diff/pkg@1.0.0...1.1.0${query}`, { accept: 'application/json' })
+        );
+
+        assert.strictEqual(response.headers.get('Content-Type'), 'application/json; charset=utf-8');
+        const result = await response.json();
+        assert.strictEqual(result.output, undefined);
+        assert.deepStrictEqual(result.files.map((/** @type {any} */ file) => file.path), ['index.js', 'lib/new.js']);
+      }
+    });
+
+    it('should serve escaped HTML to browsers', async () => {
+      const response = await handle(request('/diff/pkg@1.0.0...1.1.0', {
+        accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+      }));
+
+      assert.strictEqual(response.headers.get('Content-Type'), 'text/html; charset=utf-8');
+      const html = await response.text();
+      assert.ok(html.includes('<title>pkg@1.0.0...pkg@1.1.0</title>'));
+      assert.ok(html.includes('+module.exports = 2 &#60; 3;'));
+      assert.ok(!html.includes('2 < 3'));
+    });
+
+    it('should prefer text for wildcards and honor quality values', async () => {
+      const wildcard = await handle(request('/diff/pkg@1.0.0...1.1.0?nameOnly', { accept: '*/*' }));
+      assert.strictEqual(wildcard.headers.get('Content-Type'), 'text/plain; charset=utf-8');
+
+      const weighted = await handle(request('/diff/pkg@1.0.0...1.1.0?nameOnly', {
+        accept: 'text/plain;q=0.5, application/json'
+      }));
+      assert.strictEqual(weighted.headers.get('Content-Type'), 'application/json; charset=utf-8');
+
+      const refused = await handle(request('/diff/pkg@1.0.0...1.1.0?nameOnly', {
+        accept: 'text/*, text/plain;q=0'
+      }));
+      assert.strictEqual(refused.headers.get('Content-Type'), 'text/html; charset=utf-8');
+    });
+
+    it('should answer 406 when no type is acceptable', async () => {
+      const response = await handle(request('/diff/pkg@1.0.0...1.1.0', { accept: 'image/png' }));
+      assert.strictEqual(response.status, 406);
+    });
+  });
+
+  describe('errors', () => {
+    it('should map diff failures through DiffError.toResponse()', async () => {
+      const response = await handle(request('/diff/pkg@9.9.9...1.0.0'));
+
+      assert.strictEqual(response.status, 404);
+      const body = await response.json();
+      assert.strictEqual(body.error, 'DiffError');
+      assert.strictEqual(body.phase, 'RESOLVE');
+    });
+
+    it('should answer 405 for other methods', async () => {
+      const response = await handle(request('/diff/pkg@1.0.0...1.1.0', { method: 'PUT', body: '' }));
+      assert.strictEqual(response.status, 405);
+      assert.strictEqual(response.headers.get('Allow'), 'GET, POST');
+    });
+
+    it('should answer 404 outside the base path', async () => {
+      const response = await handle(request('/other/pkg@1.0.0...1.1.0'));
+      assert.strictEqual(response.status, 404);
+      assert.strictEqual((await response.json()).error, 'RequestError');
+    });
+
+    it('should stop diffing when the client goes away', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const response = await handle(request('/diff/pkg@1.0.0...1.1.0', { signal: controller.signal }));
+
+      assert.strictEqual(response.status, 499);
+      assert.strictEqual((await response.json()).phase, 'ABORT');
+      assert.strictEqual(/** @type {any} */ (globalThis.fetch).mock.callCount(), 0);
+    });
+
+    it('should answer 504 when the default timeout passes', async () => {
+      const slow = createHandler({ registry: REGISTRY, defaults: { timeout: 0 } });
+      const response = await slow(request('/diff/pkg@1.0.0...1.1.0'));
+
+      assert.strictEqual(response.status, 504);
+      assert.strictEqual((await response.json()).phase, 'TIMEOUT');
+    });
+
+    it('should answer 502 for network failures', async () => {
+      globalThis.fetch = mock.fn(async () => {
+        throw new TypeError('fetch failed');
+      });
+      const response = await handle(request('/diff/pkg@1.0.0...1.1.0'));
+
+      assert.strictEqual(response.status, 502);
+      assert.strictEqual((await response.json()).phase, 'FETCH');
+    });
+  });
+
+  describe('createHandler options', () => {
+    it('should mount at a custom base path', async () => {
+      const root = createHandler({ basePath: '/', registry: REGISTRY });
+      const response = await root(request('/pkg@1.0.0...1.1.0?nameOnly'));
+      assert.strictEqual(await response.text(), 'index.js\nlib/new.js\n');
+    });
+
+    it('should apply defaults under request options', async () => {
+      const names = createHandler({ registry: REGISTRY, defaults: { nameOnly: true, exclude: ['lib'] } });
+
+      const defaulted = await names(request('/diff/pkg@1.0.0...1.1.0'));
+      assert.strictEqual(await defaulted.text(), 'index.js\n');
+
+      const overridden = await names(request('/diff/pkg@1.0.0...1.1.0?exclude=README.md'));
+      assert.strictEqual(await overridden.text(), 'index.js\nlib/new.js\n');
+    });
+
+    it('should bound rename detection from defaults only', async () => {
+      const renames = await handle(request('/diff/pkg@0.1.0...0.2.0?nameStatus&findRenames'));
+      assert.strictEqual(await renames.text(), 'R075\told.js\tnew.js\n');
+
+      const limited = createHandler({ registry: REGISTRY, defaults: { renameLimit: 0 } });
+      const exactOnly = await limited(request('/diff/pkg@0.1.0...0.2.0?nameStatus&findRenames'));
+      assert.strictEqual(await exactOnly.text(), 'A\tnew.js\nD\told.js\n');
+
+      const raised = await handle(request('/diff/pkg@0.1.0...0.2.0?renameLimit=1000'));
+      assert.strictEqual(raised.status, 400);
+    });
+
+    it('should enforce resource limits from defaults only', async () => {
+      const limited = createHandler({ registry: REGISTRY, defaults: { limits: { fileCount: 1 } } });
+
+      const response = await limited(request('/diff/pkg@1.0.0...1.1.0'));
+      assert.strictEqual(response.status, 413);
+      assert.strictEqual((await response.json()).phase, 'SIZE');
+
+      const loosened = await limited(post({ left: 'pkg@1.0.0', right: 'pkg@1.1.0', options: { limits: { fileCount: 100 } } }));
+      assert.strictEqual(loosened.status, 400);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for src/hash.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  hashBlob,
+  hashFileMaps,
+  getBlobHash,
+  setBlobHash,
+  abbreviateHash,
+  NULL_OID
+} from '../src/hash.js';
+
+const encoder = new TextEncoder();
+
+describe('hash module', () => {
+  describe('hashBlob', () => {
+    it('matches git hash-object', async () => {
+      assert.strictEqual(await hashBlob(new Uint8Array()), 'e69de29bb2d1d6434b8b29ae775ad8c2e48c5391');
+      assert.strictEqual(
+        await hashBlob(encoder.encode('one\ntwo\nthree\n')),
+        '4cb29ea38f70d7c61b2a3a25b02e3bdf44905402'
+      );
+    });
+
+    it('hashes binary content', async () => {
+      assert.strictEqual(
+        await hashBlob(new Uint8Array([0, 1, 2, 255])),
+        'f971a5e28b6c4cb237ca3c7349e33bb600dbc907'
+      );
+    });
+  });
+
+  describe('hashFileMaps', () => {
+    it('hashes only files that differ', async () => {
+      const left = new Map([
+        ['same.txt', encoder.encode('same\n')],
+        ['changed.txt', encoder.encode('one\ntwo\nthree\n')],
+        ['deleted.txt', encoder.encode('gone\n')]
+      ]);
+      const right = new Map([
+        ['same.txt', encoder.encode('same\n')],
+        ['changed.txt', encoder.encode('one\nTWO\nthree\n')],
+        ['added.txt', encoder.encode('fresh\n')]
+      ]);
+
+      await hashFileMaps(left, right);
+
+      assert.strictEqual(getBlobHash(left, 'same.txt'), undefined);
+      assert.strictEqual(getBlobHash(right, 'same.txt'), undefined);
+      assert.strictEqual(getBlobHash(left, 'changed.txt'), '4cb29ea38f70d7c61b2a3a25b02e3bdf44905402');
+      assert.strictEqual(getBlobHash(right, 'changed.txt'), 'ddc897f039f57aa91e16efa6dfde386c4255206f');
+      assert.strictEqual(getBlobHash(left, 'deleted.txt'), '286c5f5776916d7d7d5849988ca9d83e722cf9c2');
+      assert.strictEqual(getBlobHash(right, 'added.txt'), '92d5444121bba43a7654dcfb037c209cb2a5d403');
+    });
+
+    it('keeps hashes that were already recorded', async () => {
+      const left = new Map([['a.txt', encoder.encode('a\n')]]);
+      setBlobHash(left, 'a.txt', 'f'.repeat(40));
+
+      await hashFileMaps(left, new Map());
+
+      assert.strictEqual(getBlobHash(left, 'a.txt'), 'f'.repeat(40));
+    });
+  });
+
+  describe('abbreviateHash', () => {
+    it('shortens to seven characters unless full', () => {
+      const oid = '4cb29ea38f70d7c61b2a3a25b02e3bdf44905402';
+      assert.strictEqual(abbreviateHash(oid), '4cb29ea');
+      assert.strictEqual(abbreviateHash(oid, true), oid);
+    });
+
+    it('uses the null ID for a missing side', () => {
+      assert.strictEqual(abbreviateHash(undefined), '0000000');
+      assert.strictEqual(abbreviateHash(undefined, true), NULL_OID);
+    });
+  });
+});
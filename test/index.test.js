@@ -5,23 +5,69 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import { gzipSync } from 'node:zlib';
+import { createHash } from 'node:crypto';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import { packTar } from 'modern-tar';
 import {
   diff,
   diffWithStats,
+  diffStream,
+  streamTreeDiff,
+  createHandler,
+  checkUrl,
+  isPrivateAddress,
   extractPackage,
   DiffError,
   isDiffError,
   assertDiff,
   sanitizeCredentials,
   isBinaryPath,
+  isBinaryContent,
+  isBinaryFile,
   shouldPrintPatch,
   getBinaryExtensions,
   computeDiff,
   computeTreeDiff,
   computeFileDiff,
   decodeBytes,
-  MAX_TARBALL_SIZE
+  getFileMode,
+  setFileMode,
+  hashBlob,
+  hashFileMaps,
+  getBlobHash,
+  encodeBase85,
+  formatBinaryPatch,
+  prepareBinaryPatches,
+  parseHunks,
+  detectRenames,
+  estimateSimilarity,
+  similarityIndex,
+  parseSpec,
+  resolveSpec,
+  specToSource,
+  listPackFiles,
+  readManifest,
+  compilePathspec,
+  createPathFilter,
+  MAX_TARBALL_SIZE,
+  MAX_UNPACKED_SIZE,
+  MAX_FILE_SIZE,
+  createByteLimitStream,
+  checkLimits,
+  createSignal,
+  parseRetryAfter,
+  DEFAULT_RETRY_STATUSES,
+  registerTransport,
+  unregisterTransport,
+  createMemoryCache,
+  createFsCache,
+  createWebCache,
+  parseNpmrc,
+  loadNpmrc,
+  pickRegistry,
+  getCredentials
 } from '../src/index.js';
 
 /**
@@ -51,6 +97,49 @@ async function createTarGz(entries) {
   return new Uint8Array(gzipSync(tarData));
 }
 
+/**
+ * Serve a package with two versions from an in-memory registry.
+ * @returns {Promise<{ fetch: typeof fetch, requests: string[] }>} Fetch function and requested URLs
+ */
+async function mockRegistry() {
+  const registry = 'https://registry.example.com/';
+  /** @type {Record<string, Uint8Array>} */
+  const tarballs = {};
+  /** @type {Record<string, object>} */
+  const versions = {};
+
+  for (const version of ['1.0.0', '2.0.0']) {
+    const tarball = `${registry}pkg/-/pkg-${version}.tgz`;
+    tarballs[tarball] = await createTarGz([
+      { name: 'package/package.json', content: `{"version":"${version}"}` }
+    ]);
+    versions[version] = {
+      version,
+      dist: {
+        tarball,
+        integrity: `sha512-${createHash('sha512').update(tarballs[tarball]).digest('base64')}`
+      }
+    };
+  }
+
+  /** @type {string[]} */
+  const requests = [];
+  /** @type {typeof fetch} */
+  const fetch = async (input) => {
+    const url = input instanceof Request ? input.url : String(input);
+    requests.push(url);
+
+    if (url === `${registry}pkg`) {
+      return Response.json({ name: 'pkg', 'dist-tags': { latest: '2.0.0' }, versions });
+    }
+    return tarballs[url]
+      ? new Response(tarballs[url])
+      : new Response(null, { status: 404, statusText: 'Not Found' });
+  };
+
+  return { fetch, requests };
+}
+
 describe('index module', () => {
   describe('exports', () => {
     it('should export diff function', () => {
@@ -61,6 +150,40 @@ describe('index module', () => {
       assert.strictEqual(typeof diffWithStats, 'function');
     });
 
+    it('should export streaming functions', () => {
+      assert.strictEqual(typeof diffStream, 'function');
+      assert.strictEqual(typeof streamTreeDiff, 'function');
+    });
+
+    it('should export createHandler function', () => {
+      assert.strictEqual(typeof createHandler, 'function');
+    });
+
+    it('should export cancellation utilities', () => {
+      assert.strictEqual(typeof createSignal, 'function');
+    });
+
+    it('should export the transport registry', () => {
+      assert.strictEqual(typeof registerTransport, 'function');
+      assert.strictEqual(typeof unregisterTransport, 'function');
+    });
+
+    it('should export cache adapters', () => {
+      assert.strictEqual(typeof createMemoryCache, 'function');
+      assert.strictEqual(typeof createFsCache, 'function');
+      assert.strictEqual(typeof createWebCache, 'function');
+    });
+
+    it('should export retry utilities', () => {
+      assert.strictEqual(typeof parseRetryAfter, 'function');
+      assert.ok(DEFAULT_RETRY_STATUSES.includes(503));
+    });
+
+    it('should export network policy utilities', () => {
+      assert.strictEqual(typeof checkUrl, 'function');
+      assert.strictEqual(typeof isPrivateAddress, 'function');
+    });
+
     it('should export extractPackage function', () => {
       assert.strictEqual(typeof extractPackage, 'function');
     });
@@ -74,6 +197,8 @@ describe('index module', () => {
 
     it('should export binary utilities', () => {
       assert.strictEqual(typeof isBinaryPath, 'function');
+      assert.strictEqual(typeof isBinaryContent, 'function');
+      assert.strictEqual(typeof isBinaryFile, 'function');
       assert.strictEqual(typeof shouldPrintPatch, 'function');
       assert.strictEqual(typeof getBinaryExtensions, 'function');
     });
@@ -85,10 +210,67 @@ describe('index module', () => {
       assert.strictEqual(typeof decodeBytes, 'function');
     });
 
+    it('should export file mode utilities', () => {
+      assert.strictEqual(typeof getFileMode, 'function');
+      assert.strictEqual(typeof setFileMode, 'function');
+    });
+
+    it('should export git object hashing utilities', () => {
+      assert.strictEqual(typeof hashBlob, 'function');
+      assert.strictEqual(typeof hashFileMaps, 'function');
+      assert.strictEqual(typeof getBlobHash, 'function');
+    });
+
+    it('should export JSON output utilities', () => {
+      assert.strictEqual(typeof parseHunks, 'function');
+    });
+
+    it('should export rename detection utilities', () => {
+      assert.strictEqual(typeof detectRenames, 'function');
+      assert.strictEqual(typeof estimateSimilarity, 'function');
+      assert.strictEqual(typeof similarityIndex, 'function');
+    });
+
+    it('should export spec resolution utilities', () => {
+      assert.strictEqual(typeof parseSpec, 'function');
+      assert.strictEqual(typeof resolveSpec, 'function');
+      assert.strictEqual(typeof specToSource, 'function');
+    });
+
+    it('should export npmrc utilities', () => {
+      assert.strictEqual(typeof parseNpmrc, 'function');
+      assert.strictEqual(typeof loadNpmrc, 'function');
+      assert.strictEqual(typeof pickRegistry, 'function');
+      assert.strictEqual(typeof getCredentials, 'function');
+    });
+
+    it('should export local packing utilities', () => {
+      assert.strictEqual(typeof listPackFiles, 'function');
+      assert.strictEqual(typeof readManifest, 'function');
+    });
+
+    it('should export binary patch utilities', () => {
+      assert.strictEqual(typeof encodeBase85, 'function');
+      assert.strictEqual(typeof formatBinaryPatch, 'function');
+      assert.strictEqual(typeof prepareBinaryPatches, 'function');
+    });
+
+    it('should export pathspec utilities', () => {
+      assert.strictEqual(typeof compilePathspec, 'function');
+      assert.strictEqual(typeof createPathFilter, 'function');
+    });
+
     it('should export MAX_TARBALL_SIZE constant', () => {
       assert.strictEqual(typeof MAX_TARBALL_SIZE, 'number');
       assert.strictEqual(MAX_TARBALL_SIZE, 20 * 1024 * 1024);
     });
+
+    it('should export size limit utilities', () => {
+      assert.strictEqual(MAX_UNPACKED_SIZE, 100 * 1024 * 1024);
+      assert.strictEqual(MAX_FILE_SIZE, 50 * 1024 * 1024);
+      assert.strictEqual(typeof createByteLimitStream, 'function');
+      assert.strictEqual(typeof checkLimits, 'function');
+    });
   });
 
   describe('diff function validation', () => {
@@ -126,9 +308,23 @@ describe('index module', () => {
 
     it('should reject non-object left config', async () => {
       await assert.rejects(
-        () => diff('not-an-object', { transport: 'url', source: 'http://example.com/a.tgz' }),
+        () => diff(42, { transport: 'url', source: 'http://example.com/a.tgz' }),
+        (err) => {
+          assert.ok(err instanceof DiffError);
+          return true;
+        }
+      );
+    });
+    it('should reject sources outside the network policy', async () => {
+      await assert.rejects(
+        () => diff(
+          { transport: 'url', source: 'http://169.254.169.254/a.tgz' },
+          { transport: 'url', source: 'http://internal.example/b.tgz' },
+          { policy: { denyHosts: ['*.example'] } }
+        ),
         (err) => {
           assert.ok(err instanceof DiffError);
+          assert.strictEqual(err.phase, 'POLICY');
           return true;
         }
       );
@@ -447,6 +643,25 @@ describe('Integration: diff with inline transport', () => {
     assert.ok(!output.includes('@@ ')); // No hunk headers for binary
   });
 
+  it('should emit binary patches with binary option', async () => {
+    const leftTarGz = await createTarGz([
+      { name: 'package/image.png', content: new Uint8Array([0x89, 0x50, 0x4E, 0x47]) }
+    ]);
+
+    const rightTarGz = await createTarGz([
+      { name: 'package/image.png', content: new Uint8Array([0x89, 0x50, 0x4E, 0x48]) }
+    ]);
+
+    const output = await diff(
+      { transport: 'inline', data: leftTarGz },
+      { transport: 'inline', data: rightTarGz },
+      { binary: true }
+    );
+
+    assert.ok(output.includes('GIT binary patch\nliteral 4\n'));
+    assert.ok(!output.includes('Binary files'));
+  });
+
   it('should treat binary as text with text option', async () => {
     const leftTarGz = await createTarGz([
       { name: 'package/data.bin', content: 'old binary data' }
@@ -467,6 +682,119 @@ describe('Integration: diff with inline transport', () => {
     assert.ok(output.includes('+new binary data'));
   });
 
+  it('should only diff files matching include and exclude pathspecs', async () => {
+    const leftTarGz = await createTarGz([
+      { name: 'package/lib/index.js', content: 'old' },
+      { name: 'package/lib/index.js.map', content: 'old map' },
+      { name: 'package/README.md', content: 'old readme' }
+    ]);
+
+    const rightTarGz = await createTarGz([
+      { name: 'package/lib/index.js', content: 'new' },
+      { name: 'package/lib/index.js.map', content: 'new map' },
+      { name: 'package/README.md', content: 'new readme' }
+    ]);
+
+    const output = await diff(
+      { transport: 'inline', data: leftTarGz },
+      { transport: 'inline', data: rightTarGz },
+      { nameOnly: true, include: ['lib'], exclude: ['*.map'] }
+    );
+
+    assert.strictEqual(output, 'lib/index.js\n');
+  });
+
+  it('should skip filtered files during extraction', async () => {
+    const tarGz = await createTarGz([
+      { name: 'package/lib/index.js', content: 'const x = 1;' },
+      { name: 'package/test/index.test.js', content: 'test' }
+    ]);
+
+    const files = await extractPackage(
+      { transport: 'inline', data: tarGz },
+      { exclude: ['test'] }
+    );
+
+    assert.deepStrictEqual([...files.keys()], ['lib/index.js']);
+  });
+
+  it('should stream the same output as diff', async () => {
+    const leftTarGz = await createTarGz([
+      { name: 'package/index.js', content: 'const x = 1;' },
+      { name: 'package/package.json', content: '{"version":"1.0.0"}' }
+    ]);
+
+    const rightTarGz = await createTarGz([
+      { name: 'package/index.js', content: 'const x = 2;' },
+      { name: 'package/package.json', content: '{"version":"2.0.0"}' }
+    ]);
+
+    const left = { transport: 'inline', data: leftTarGz };
+    const right = { transport: 'inline', data: rightTarGz };
+    const stream = await diffStream(left, right);
+
+    let output = '';
+    for await (const chunk of stream.readable) {
+      output += chunk;
+    }
+    assert.strictEqual(output, await diff(left, right));
+
+    const paths = [];
+    for await (const file of stream) {
+      paths.push(file.path);
+    }
+    assert.deepStrictEqual(paths, ['index.js', 'package.json']);
+  });
+
+  it('should reject unstreamable formats before fetching', async () => {
+    await assert.rejects(
+      () => diffStream(
+        { transport: 'url', source: 'http://127.0.0.1:1/never-fetched.tgz' },
+        { transport: 'url', source: 'http://127.0.0.1:1/never-fetched.tgz' },
+        { format: 'stat' }
+      ),
+      (err) => {
+        assert.ok(err instanceof DiffError);
+        assert.strictEqual(err.phase, 'DIFF');
+        return true;
+      }
+    );
+  });
+
+  it('should verify integrity of inline tarballs', async () => {
+    const tarGz = await createTarGz([
+      { name: 'package/index.js', content: 'const x = 1;' }
+    ]);
+    const integrity = `sha512-${createHash('sha512').update(tarGz).digest('base64')}`;
+
+    const output = await diff(
+      { transport: 'inline', data: tarGz, integrity },
+      { transport: 'inline', data: tarGz, integrity }
+    );
+
+    assert.strictEqual(output, '');
+  });
+
+  it('should fail with INTEGRITY error on tampered tarballs', async () => {
+    const tarGz = await createTarGz([
+      { name: 'package/index.js', content: 'const x = 1;' }
+    ]);
+    const integrity = `sha1-${createHash('sha1').update('not the tarball').digest('base64')}`;
+
+    await assert.rejects(
+      () => diff(
+        { transport: 'inline', data: tarGz },
+        { transport: 'inline', data: tarGz, integrity }
+      ),
+      (err) => {
+        assert.ok(err instanceof DiffError);
+        assert.strictEqual(err.phase, 'INTEGRITY');
+        assert.strictEqual(err.status, 422);
+        return true;
+      }
+    );
+  });
+
   it('should return empty output for identical packages', async () => {
     const tarGz = await createTarGz([
       { name: 'package/index.js', content: 'const x = 1;' },
@@ -482,6 +810,312 @@ describe('Integration: diff with inline transport', () => {
   });
 });
 
+describe('Integration: diff with resource limits', () => {
+  /**
+   * Inline sources for a small package before and after a change.
+   * @returns {Promise<[import('../src/index.js').SourceConfig, import('../src/index.js').SourceConfig]>}
+   */
+  async function sources() {
+    const left = await createTarGz([
+      { name: 'package/index.js', content: 'const x = 1;' },
+      { name: 'package/lib/util.js', content: 'export {};' },
+      { name: 'package/package.json', content: '{"version":"1.0.0"}' }
+    ]);
+    const right = await createTarGz([
+      { name: 'package/index.js', content: 'const x = 2;' },
+      { name: 'package/lib/util.js', content: 'export {};' },
+      { name: 'package/package.json', content: '{"version":"2.0.0"}' }
+    ]);
+    return [{ transport: 'inline', data: left }, { transport: 'inline', data: right }];
+  }
+
+  /**
+   * Assert that a promise rejects with a SIZE error matching a message.
+   * @param {Promise<unknown>} promise
+   * @param {RegExp} message
+   */
+  async function assertSizeError(promise, message) {
+    await assert.rejects(promise, (err) => {
+      assert.ok(err instanceof DiffError);
+      assert.strictEqual(err.phase, 'SIZE');
+      assert.strictEqual(err.status, 413);
+      assert.match(err.message, message);
+      return true;
+    });
+  }
+
+  it('should apply each limit per call', async () => {
+    const [left, right] = await sources();
+
+    await assertSizeError(diff(left, right, { limits: { tarballSize: 16 } }), /Inline data size/);
+    await assertSizeError(diff(left, right, { limits: { unpackedSize: 1024 } }), /Unpacked tarball/);
+    await assertSizeError(diff(left, right, { limits: { fileSize: 12 } }), /File size 19 B/);
+    await assertSizeError(diff(left, right, { limits: { fileCount: 2 } }), /File count exceeds limit of 2/);
+    await assertSizeError(diff(left, right, { limits: { pathLength: 16 } }), /Path length 19/);
+    await assertSizeError(diff(left, right, { limits: { outputSize: 64 } }), /Diff output exceeds limit of 64 B/);
+  });
+
+  it('should diff normally within the limits', async () => {
+    const [left, right] = await sources();
+    const limits = { tarballSize: 4096, unpackedSize: 8192, fileSize: 64, fileCount: 3, pathLength: 32, outputSize: 4096 };
+
+    const result = await diffWithStats(left, right, { limits });
+
+    assert.strictEqual(result.filesChanged, 2);
+  });
+
+  it('should only count files kept by pathspecs', async () => {
+    const [left, right] = await sources();
+
+    const files = await extractPackage(left, { include: ['lib'], limits: { fileCount: 1 } });
+
+    assert.deepStrictEqual([...files.keys()], ['lib/util.js']);
+  });
+
+  it('should fail with TIMEOUT once the timeout passes', async () => {
+    const [left, right] = await sources();
+
+    await assert.rejects(diff(left, right, { timeout: 0 }), (err) => {
+      assert.ok(err instanceof DiffError);
+      assert.strictEqual(err.phase, 'TIMEOUT');
+      assert.strictEqual(err.status, 504);
+      assert.strictEqual(err.message, 'Timed out after 0ms');
+      return true;
+    });
+  });
+
+  it('should fail with ABORT when the signal aborts', async () => {
+    const [left, right] = await sources();
+    const controller = new AbortController();
+
+    const pending = diffWithStats(left, right, { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(pending, (err) => err instanceof DiffError && err.phase === 'ABORT');
+    await assert.rejects(
+      extractPackage(left, { signal: AbortSignal.abort() }),
+      (err) => err instanceof DiffError && err.phase === 'ABORT'
+    );
+  });
+
+  it('should diff normally within the timeout', async () => {
+    const [left, right] = await sources();
+    const controller = new AbortController();
+
+    const output = await diff(left, right, { signal: controller.signal, timeout: 60_000 });
+
+    assert.ok(output.includes('+const x = 2;'));
+  });
+
+  it('should reject invalid limits before fetching', async () => {
+    const [left, right] = await sources();
+
+    await assertSizeError(diff(left, right, { limits: { fileCount: -1 } }), /Invalid limit: fileCount/);
+    await assertSizeError(
+      extractPackage(left, { limits: { tarballSize: /** @type {any} */ ('20MB') } }),
+      /Invalid limit: tarballSize/
+    );
+  });
+});
+
+describe('Integration: diff with a custom fetch', () => {
+  it('should send registry and tarball requests through the fetch option', async () => {
+    const { fetch, requests } = await mockRegistry();
+
+    const output = await diff('pkg@1.0.0', 'pkg@latest', {
+      registry: 'https://registry.example.com/',
+      fetch
+    });
+
+    assert.ok(output.includes('-{"version":"1.0.0"}'));
+    assert.ok(output.includes('+{"version":"2.0.0"}'));
+    assert.deepStrictEqual(requests.sort(), [
+      'https://registry.example.com/pkg',
+      'https://registry.example.com/pkg',
+      'https://registry.example.com/pkg/-/pkg-1.0.0.tgz',
+      'https://registry.example.com/pkg/-/pkg-2.0.0.tgz'
+    ]);
+  });
+
+  it('should resolve specs within the network policy', async () => {
+    const { fetch, requests } = await mockRegistry();
+
+    await assert.rejects(
+      diff('pkg@1.0.0', 'pkg@2.0.0', { registry: 'http://127.0.0.1:4873/', policy: {}, fetch }),
+      (err) => isDiffError(err) && err.phase === 'POLICY'
+    );
+    assert.deepStrictEqual(requests, []);
+  });
+
+  it('should pass the fetch option through extractPackage', async () => {
+    const { fetch } = await mockRegistry();
+
+    const files = await extractPackage(
+      { transport: 'url', source: 'https://registry.example.com/pkg/-/pkg-2.0.0.tgz' },
+      { fetch }
+    );
+
+    assert.deepStrictEqual([...files.keys()], ['package.json']);
+  });
+});
+
+describe('Integration: diff with a cache', () => {
+  it('should skip tarball requests for cached packages', async () => {
+    const { fetch, requests } = await mockRegistry();
+    const cache = createMemoryCache();
+    const options = { registry: 'https://registry.example.com/', fetch, cache };
+
+    const first = await diff('pkg@1.0.0', 'pkg@2.0.0', options);
+    requests.length = 0;
+    const second = await diff('pkg@1.0.0', 'pkg@2.0.0', options);
+
+    assert.strictEqual(second, first);
+    assert.deepStrictEqual(requests, [
+      'https://registry.example.com/pkg',
+      'https://registry.example.com/pkg'
+    ]);
+  });
+
+  it('should key extracted files by pathspecs', async () => {
+    const { fetch } = await mockRegistry();
+    const cache = createMemoryCache();
+    /** @type {string[]} */
+    const keys = [];
+    const spy = {
+      get: (/** @type {string} */ key) => {
+        keys.push(key);
+        return cache.get(key);
+      },
+      put: cache.put
+    };
+    const source = await specToSource('pkg@2.0.0', { registry: 'https://registry.example.com/', fetch });
+
+    const all = await extractPackage(source, { fetch, cache: spy });
+    const none = await extractPackage(source, { fetch, cache: spy, exclude: ['package.json'] });
+    const again = await extractPackage(source, { fetch, cache: spy });
+
+    assert.deepStrictEqual([...all.keys()], ['package.json']);
+    assert.deepStrictEqual([...none.keys()], []);
+    assert.deepStrictEqual(again, all);
+    assert.deepStrictEqual(keys.filter((key) => key.startsWith('difftar:files:')), [
+      `difftar:files:${source.integrity} https://registry.example.com`,
+      `difftar:files:${source.integrity} https://registry.example.com {"exclude":["package.json"]}`,
+      `difftar:files:${source.integrity} https://registry.example.com`
+    ]);
+  });
+
+  it('should not share extracted files with callers lacking the credentials', async () => {
+    const { fetch, requests } = await mockRegistry();
+    const cache = createMemoryCache();
+    const source = await specToSource('pkg@2.0.0', { registry: 'https://registry.example.com/', fetch });
+
+    await extractPackage({ ...source, auth: 'bearer', credential: 'npm_owner' }, { fetch, cache });
+    requests.length = 0;
+
+    await extractPackage({ ...source, auth: 'bearer', credential: 'npm_owner' }, { fetch, cache });
+    assert.deepStrictEqual(requests, []);
+
+    await extractPackage(source, { fetch, cache });
+    assert.deepStrictEqual(requests, [source.source]);
+
+    await assert.rejects(
+      extractPackage({ ...source, auth: 'bearer', credential: 'npm_owner' }, { fetch, cache, policy: { allowHosts: ['cdn.example'] } }),
+      (err) => isDiffError(err) && err.phase === 'POLICY'
+    );
+  });
+});
+
+describe('Integration: diff with a registered transport', () => {
+  it('should diff sources fetched by a custom transport', async () => {
+    /** @type {Record<string, Uint8Array>} */
+    const store = {
+      'pkg-1.0.0.tgz': await createTarGz([{ name: 'package/index.js', content: 'const x = 1;' }]),
+      'pkg-2.0.0.tgz': await createTarGz([{ name: 'package/index.js', content: 'const x = 2;' }])
+    };
+    registerTransport('store', (config) => ({
+      stream: new Response(store[/** @type {string} */ (config.source)]).body,
+      size: null
+    }));
+
+    try {
+      const output = await diff(
+        { transport: 'store', source: 'pkg-1.0.0.tgz' },
+        { transport: 'store', source: 'pkg-2.0.0.tgz' }
+      );
+
+      assert.ok(output.includes('-const x = 1;'));
+      assert.ok(output.includes('+const x = 2;'));
+    } finally {
+      unregisterTransport('store');
+    }
+  });
+
+  it('should diff uncompressed tarballs from a custom transport', async () => {
+    /**
+     * @param {string} content - File content
+     * @returns {Promise<Uint8Array>} Raw tar bytes
+     */
+    const createTar = (content) => packTar([{
+      header: { name: 'package/index.js', type: 'file', size: content.length, mode: 0o644 },
+      data: content
+    }]);
+    /** @type {Record<string, Uint8Array>} */
+    const store = {
+      'pkg-1.0.0.tar': await createTar('const x = 1;'),
+      'pkg-2.0.0.tar': await createTar('const x = 2;')
+    };
+    registerTransport('store', (config) => ({
+      stream: new Response(store[/** @type {string} */ (config.source)]).body,
+      size: null,
+      compressed: false
+    }));
+
+    try {
+      const output = await diff(
+        { transport: 'store', source: 'pkg-1.0.0.tar' },
+        { transport: 'store', source: 'pkg-2.0.0.tar' }
+      );
+
+      assert.ok(output.includes('-const x = 1;'));
+      assert.ok(output.includes('+const x = 2;'));
+    } finally {
+      unregisterTransport('store');
+    }
+  });
+});
+
+describe('Integration: diff with directory transport', () => {
+  it('should diff a published tarball against a local directory', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'difftar-index-'));
+
+    try {
+      await mkdir(join(dir, 'lib'));
+      await mkdir(join(dir, 'node_modules'));
+      await writeFile(join(dir, 'package.json'), '{"name":"test","version":"1.0.1"}');
+      await writeFile(join(dir, 'lib/index.js'), 'const x = 2;');
+      await writeFile(join(dir, 'node_modules/ignored.js'), 'never packed');
+
+      const published = await createTarGz([
+        { name: 'package/package.json', content: '{"name":"test","version":"1.0.0"}' },
+        { name: 'package/lib/index.js', content: 'const x = 1;' }
+      ]);
+
+      const result = await diffWithStats(
+        { transport: 'inline', data: published },
+        { transport: 'directory', source: dir }
+      );
+
+      assert.strictEqual(result.filesChanged, 2);
+      assert.strictEqual(result.filesAdded, 0);
+      assert.ok(result.output.includes('+const x = 2;'));
+      assert.ok(result.output.includes('+{"name":"test","version":"1.0.1"}'));
+      assert.ok(!result.output.includes('node_modules'));
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
 describe('Integration: diff with URL transport', () => {
   it('should diff two real npm packages from registry', async () => {
     // This test fetches real tarballs from npm registry
@@ -508,6 +1142,14 @@ describe('Integration: diff with URL transport', () => {
     assert.ok(result.output.includes('package.json'));
   });
 
+  it('should resolve package specs through the registry', async () => {
+    const result = await diffWithStats('is-number@^6.0.0', 'is-number@7.0.0');
+
+    assert.ok(result.filesChanged > 0);
+    assert.ok(result.output.includes('"version": "6.0.0"'));
+    assert.ok(result.output.includes('"version": "7.0.0"'));
+  });
+
   it('should work with the documented example pattern', async () => {
     // This matches the JSDoc example in index.js
     const patch = await diff(
@@ -0,0 +1,141 @@
+/**
+ * Tests for src/integrity.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createHash } from 'node:crypto';
+import {
+  parseIntegrity,
+  shasumToIntegrity,
+  verifyIntegrity,
+  createIntegrityStream
+} from '../src/integrity.js';
+import { isDiffError } from '../src/errors.js';
+
+const bytes = new TextEncoder().encode('RAWR! tarball bytes');
+
+/**
+ * Compute an SRI string with node:crypto for comparison.
+ * @param {string} algorithm
+ * @param {Uint8Array} data
+ */
+function sri(algorithm, data) {
+  return `${algorithm}-${createHash(algorithm).update(data).digest('base64')}`;
+}
+
+/**
+ * Drain a stream, returning all chunks.
+ * @param {ReadableStream<Uint8Array>} stream
+ */
+async function drain(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+describe('integrity module', () => {
+  describe('parseIntegrity', () => {
+    it('parses a single hash', () => {
+      assert.deepStrictEqual(parseIntegrity('sha512-abc=='), [
+        { algorithm: 'sha512', digest: 'abc==' }
+      ]);
+    });
+
+    it('orders multiple hashes strongest first', () => {
+      const hashes = parseIntegrity('sha1-one sha256-two sha512-three');
+      assert.deepStrictEqual(hashes.map((h) => h.algorithm), ['sha512', 'sha256', 'sha1']);
+    });
+
+    it('ignores unknown algorithms and options', () => {
+      assert.deepStrictEqual(parseIntegrity('md5-nope sha384-abc?opt'), [
+        { algorithm: 'sha384', digest: 'abc' }
+      ]);
+    });
+
+    it('throws INTEGRITY error when nothing is supported', () => {
+      assert.throws(
+        () => parseIntegrity('md5-abc'),
+        (err) => isDiffError(err) && err.phase === 'INTEGRITY' && err.status === 422
+      );
+    });
+
+    it('throws INTEGRITY error for non-strings', () => {
+      assert.throws(
+        () => parseIntegrity(/** @type {any} */ (42)),
+        (err) => isDiffError(err) && err.phase === 'INTEGRITY'
+      );
+    });
+  });
+
+  describe('shasumToIntegrity', () => {
+    it('converts hex SHA-1 to SRI', () => {
+      const hex = createHash('sha1').update(bytes).digest('hex');
+      assert.strictEqual(shasumToIntegrity(hex), sri('sha1', bytes));
+    });
+  });
+
+  describe('verifyIntegrity', () => {
+    it('accepts matching sha512', async () => {
+      await verifyIntegrity(bytes, sri('sha512', bytes));
+    });
+
+    it('accepts matching sha1', async () => {
+      await verifyIntegrity(bytes, sri('sha1', bytes));
+    });
+
+    it('checks only the strongest algorithm', async () => {
+      const integrity = `sha1-bogus ${sri('sha512', bytes)}`;
+      await verifyIntegrity(bytes, integrity);
+    });
+
+    it('rejects mismatched content', async () => {
+      await assert.rejects(
+        verifyIntegrity(new TextEncoder().encode('tampered'), sri('sha512', bytes)),
+        (err) => isDiffError(err) &&
+          err.phase === 'INTEGRITY' &&
+          err.message.includes('Integrity check failed')
+      );
+    });
+  });
+
+  describe('createIntegrityStream', () => {
+    it('passes chunks through unchanged when integrity matches', async () => {
+      const source = new ReadableStream({
+        start(controller) {
+          controller.enqueue(bytes.slice(0, 5));
+          controller.enqueue(bytes.slice(5));
+          controller.close();
+        }
+      });
+
+      const chunks = await drain(source.pipeThrough(createIntegrityStream(sri('sha512', bytes))));
+
+      assert.strictEqual(chunks.length, 2);
+      assert.deepStrictEqual(Buffer.concat(chunks), Buffer.from(bytes));
+    });
+
+    it('errors the stream on mismatch', async () => {
+      const source = new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('tampered'));
+          controller.close();
+        }
+      });
+
+      await assert.rejects(
+        drain(source.pipeThrough(createIntegrityStream(sri('sha512', bytes)))),
+        (err) => isDiffError(err) && err.phase === 'INTEGRITY'
+      );
+    });
+
+    it('throws immediately for invalid integrity', () => {
+      assert.throws(
+        () => createIntegrityStream('not-an-sri'),
+        (err) => isDiffError(err) && err.phase === 'INTEGRITY'
+      );
+    });
+  });
+});
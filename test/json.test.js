@@ -0,0 +1,106 @@
+/**
+ * Tests for src/json.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseHunks, createFileRecord, formatJson } from '../src/json.js';
+
+const encoder = new TextEncoder();
+
+describe('json module', () => {
+  describe('parseHunks', () => {
+    it('returns no hunks for empty patches', () => {
+      assert.deepStrictEqual(parseHunks(null), []);
+      assert.deepStrictEqual(parseHunks('--- /dev/null\n+++ b/empty\n'), []);
+    });
+
+    it('types lines and numbers them per side', () => {
+      const patch = '--- a/x\n+++ b/x\n@@ -2,3 +2,3 @@\n a\n-b\n+B\n c\n';
+
+      assert.deepStrictEqual(parseHunks(patch), [{
+        oldStart: 2,
+        oldLines: 3,
+        newStart: 2,
+        newLines: 3,
+        lines: [
+          { type: 'context', content: 'a', oldLine: 2, newLine: 2 },
+          { type: 'delete', content: 'b', oldLine: 3 },
+          { type: 'add', content: 'B', newLine: 3 },
+          { type: 'context', content: 'c', oldLine: 4, newLine: 4 }
+        ]
+      }]);
+    });
+
+    it('keeps git ranges for an empty side', () => {
+      const [hunk] = parseHunks('--- /dev/null\n+++ b/x\n@@ -0,0 +1 @@\n+only\n');
+
+      assert.strictEqual(hunk.oldStart, 0);
+      assert.strictEqual(hunk.oldLines, 0);
+      assert.strictEqual(hunk.newLines, 1);
+    });
+
+    it('marks lines without a trailing newline', () => {
+      const [hunk] = parseHunks('@@ -1,1 +1,1 @@\n-a\n\\ No newline at end of file\n+a\n');
+
+      assert.strictEqual(hunk.lines[0].noNewlineAtEnd, true);
+      assert.strictEqual(hunk.lines[1].noNewlineAtEnd, undefined);
+    });
+
+    it('parses several hunks', () => {
+      const patch = '@@ -1,1 +1,1 @@\n-a\n+b\n@@ -10,1 +10,2 @@\n x\n+y\n';
+      assert.deepStrictEqual(parseHunks(patch).map((h) => h.newStart), [1, 10]);
+    });
+  });
+
+  describe('createFileRecord', () => {
+    it('includes only the sides that exist', () => {
+      const record = createFileRecord({
+        path: 'new.js',
+        status: 'added',
+        right: encoder.encode('x\n'),
+        patch: '--- /dev/null\n+++ b/new.js\n@@ -0,0 +1,1 @@\n+x\n',
+        meta: { newMode: '100644', newHash: '587be6b4c3f93f93c489c0111bba5596147a26cb' }
+      });
+
+      assert.deepStrictEqual(record, {
+        path: 'new.js',
+        status: 'added',
+        binary: false,
+        newMode: '100644',
+        newSize: 2,
+        newHash: '587be6b4c3f93f93c489c0111bba5596147a26cb',
+        insertions: 1,
+        deletions: 0,
+        hunks: [{
+          oldStart: 0,
+          oldLines: 0,
+          newStart: 1,
+          newLines: 1,
+          lines: [{ type: 'add', content: 'x', newLine: 1 }]
+        }]
+      });
+    });
+
+    it('has no hunks for binary files', () => {
+      const record = createFileRecord({
+        path: 'a.png',
+        status: 'modified',
+        binary: true,
+        left: new Uint8Array(3),
+        right: new Uint8Array(4),
+        patch: '@@ -1 +1 @@\n-a\n+b\n'
+      });
+
+      assert.deepStrictEqual(record.hunks, []);
+      assert.strictEqual(record.oldSize, 3);
+      assert.strictEqual(record.newSize, 4);
+    });
+  });
+
+  describe('formatJson', () => {
+    it('serializes records with a trailing newline', () => {
+      assert.strictEqual(formatJson([]), '[]\n');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for src/limits.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  MAX_TARBALL_SIZE,
+  MAX_UNPACKED_SIZE,
+  MAX_FILE_SIZE,
+  formatBytes,
+  createByteLimitStream,
+  checkLimits,
+  createOutputCounter
+} from '../src/limits.js';
+import { isDiffError } from '../src/errors.js';
+
+/**
+ * Create a ReadableStream from chunks.
+ * @param {Uint8Array[]} chunks
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function streamFromChunks(chunks) {
+  return new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) {
+        controller.enqueue(chunk);
+      }
+      controller.close();
+    }
+  });
+}
+
+describe('limits module', () => {
+  describe('constants', () => {
+    it('should order the default limits', () => {
+      assert.strictEqual(MAX_TARBALL_SIZE, 20 * 1024 * 1024);
+      assert.strictEqual(MAX_UNPACKED_SIZE, 100 * 1024 * 1024);
+      assert.strictEqual(MAX_FILE_SIZE, 50 * 1024 * 1024);
+      assert.ok(MAX_FILE_SIZE < MAX_UNPACKED_SIZE);
+    });
+  });
+
+  describe('formatBytes', () => {
+    it('should format bytes, kilobytes and megabytes', () => {
+      assert.strictEqual(formatBytes(512), '512 B');
+      assert.strictEqual(formatBytes(1536), '1.5 KB');
+      assert.strictEqual(formatBytes(20 * 1024 * 1024), '20.0 MB');
+    });
+  });
+
+  describe('createByteLimitStream', () => {
+    it('should pass chunks through unchanged within the limit', async () => {
+      const chunks = [new Uint8Array([1, 2]), new Uint8Array([3, 4])];
+      const stream = streamFromChunks(chunks).pipeThrough(createByteLimitStream(4, 'Test'));
+
+      const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+      assert.deepStrictEqual(bytes, new Uint8Array([1, 2, 3, 4]));
+    });
+
+    it('should error with SIZE phase once the limit is passed', async () => {
+      const chunks = [new Uint8Array(3), new Uint8Array(3)];
+      const stream = streamFromChunks(chunks).pipeThrough(createByteLimitStream(4, 'Test'));
+
+      await assert.rejects(
+        new Response(stream).arrayBuffer(),
+        (err) => isDiffError(err) &&
+          err.phase === 'SIZE' &&
+          err.status === 413 &&
+          err.message === 'Test exceeds limit of 4 B'
+      );
+    });
+
+    it('should cancel the source when the limit is passed', async () => {
+      let cancelled = false;
+      const source = new ReadableStream({
+        pull(controller) {
+          controller.enqueue(new Uint8Array(1024));
+        },
+        cancel() {
+          cancelled = true;
+        }
+      });
+
+      await assert.rejects(
+        new Response(source.pipeThrough(createByteLimitStream(4096, 'Endless'))).arrayBuffer(),
+        (err) => isDiffError(err) && err.phase === 'SIZE'
+      );
+      assert.strictEqual(cancelled, true);
+    });
+  });
+
+  describe('checkLimits', () => {
+    it('should return valid limits unchanged', () => {
+      const limits = { tarballSize: 0, fileCount: 10, outputSize: Infinity };
+      assert.strictEqual(checkLimits(limits), limits);
+      assert.deepStrictEqual(checkLimits(), {});
+    });
+
+    it('should reject negative, NaN and non-number limits', () => {
+      for (const limits of [{ fileSize: -1 }, { pathLength: NaN }, { unpackedSize: '1MB' }]) {
+        assert.throws(
+          () => checkLimits(/** @type {any} */ (limits)),
+          (err) => isDiffError(err) && err.phase === 'SIZE' && /^Invalid limit: \w+$/.test(err.message)
+        );
+      }
+    });
+  });
+
+  describe('createOutputCounter', () => {
+    it('should count UTF-8 bytes', () => {
+      const count = createOutputCounter(8);
+      count('ab');
+      count('\u00e9\u{1f600}'); // 2 + 4 bytes
+
+      assert.throws(() => count('c'), /Diff output exceeds limit of 8 B/);
+    });
+
+    it('should never throw without a limit', () => {
+      const count = createOutputCounter();
+      count('x'.repeat(1024));
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Tests for src/npmrc.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseNpmrc, pickRegistry, getCredentials, loadNpmrc } from '../src/npmrc.js';
+import { isDiffError } from '../src/errors.js';
+
+describe('npmrc module', () => {
+  describe('parseNpmrc', () => {
+    it('should parse keys and values, skipping comments', () => {
+      const npmrc = parseNpmrc([
+        '# comment',
+        '; another comment',
+        'registry = https://npm.example.com/',
+        '@myorg:registry=https://npm.example.com/myorg/',
+        '//npm.example.com/:_authToken="npm_abc"',
+        "strict-ssl='false'",
+        'always-auth',
+        '[section]',
+        ''
+      ].join('\r\n'));
+
+      assert.deepStrictEqual(npmrc, {
+        registry: 'https://npm.example.com/',
+        '@myorg:registry': 'https://npm.example.com/myorg/',
+        '//npm.example.com/:_authToken': 'npm_abc',
+        'strict-ssl': 'false',
+        'always-auth': 'true'
+      });
+    });
+
+    it('should let later keys win', () => {
+      assert.deepStrictEqual(parseNpmrc('registry=https://a/\nregistry=https://b/'), { registry: 'https://b/' });
+    });
+
+    it('should replace environment variables like npm', () => {
+      const env = { NPM_TOKEN: 'npm_abc', HOST: 'npm.example.com' };
+      const npmrc = parseNpmrc([
+        '//${HOST}/:_authToken=${NPM_TOKEN}',
+        'set=${MISSING}',
+        'optional=a${MISSING?}b',
+        'escaped=\\${NPM_TOKEN}',
+        'doubled=\\\\${NPM_TOKEN}'
+      ].join('\n'), env);
+
+      assert.deepStrictEqual(npmrc, {
+        '//npm.example.com/:_authToken': 'npm_abc',
+        set: '${MISSING}',
+        optional: 'ab',
+        escaped: '${NPM_TOKEN}',
+        doubled: '\\npm_abc'
+      });
+    });
+  });
+
+  describe('pickRegistry', () => {
+    const npmrc = {
+      registry: 'https://npm.example.com/',
+      '@myorg:registry': 'https://npm.example.com/myorg/'
+    };
+
+    it('should prefer the scope registry, then the given registry, then npmrc', () => {
+      assert.strictEqual(pickRegistry('@myorg/pkg', npmrc, 'https://cli.example.com/'), 'https://npm.example.com/myorg/');
+      assert.strictEqual(pickRegistry('@other/pkg', npmrc, 'https://cli.example.com/'), 'https://cli.example.com/');
+      assert.strictEqual(pickRegistry('pkg', npmrc), 'https://npm.example.com/');
+      assert.strictEqual(pickRegistry('pkg', {}), undefined);
+    });
+  });
+
+  describe('getCredentials', () => {
+    it('should use bearer tokens', () => {
+      assert.deepStrictEqual(
+        getCredentials('https://npm.example.com/@myorg%2Fpkg', { '//npm.example.com/:_authToken': 'npm_abc' }),
+        { auth: 'bearer', credential: 'npm_abc' }
+      );
+    });
+
+    it('should combine username and base64 _password into basic auth', () => {
+      const npmrc = {
+        '//npm.example.com/:username': 'user',
+        '//npm.example.com/:_password': btoa('pass')
+      };
+
+      assert.deepStrictEqual(
+        getCredentials('https://npm.example.com/pkg', npmrc),
+        { auth: 'basic', credential: btoa('user:pass') }
+      );
+    });
+
+    it('should use _auth as basic credentials', () => {
+      assert.deepStrictEqual(
+        getCredentials('https://npm.example.com/pkg', { '//npm.example.com/:_auth': btoa('user:pass') }),
+        { auth: 'basic', credential: btoa('user:pass') }
+      );
+    });
+
+    it('should prefer tokens over other credentials', () => {
+      const npmrc = {
+        '//npm.example.com/:_auth': btoa('user:pass'),
+        '//npm.example.com/:_authToken': 'npm_abc'
+      };
+
+      assert.strictEqual(getCredentials('https://npm.example.com/pkg', npmrc)?.auth, 'bearer');
+    });
+
+    it('should match the most specific path, with or without a trailing slash', () => {
+      const npmrc = {
+        '//npm.example.com/:_authToken': 'host',
+        '//npm.example.com/api/npm/:_authToken': 'repo',
+        '//npm.example.com/other:_authToken': 'other'
+      };
+
+      assert.strictEqual(getCredentials('https://npm.example.com/api/npm/pkg/-/pkg-1.0.0.tgz', npmrc)?.credential, 'repo');
+      assert.strictEqual(getCredentials('https://npm.example.com/other/pkg', npmrc)?.credential, 'other');
+      assert.strictEqual(getCredentials('https://npm.example.com/pkg', npmrc)?.credential, 'host');
+    });
+
+    it('should not send credentials to other hosts or ports', () => {
+      const npmrc = { '//npm.example.com/:_authToken': 'npm_abc' };
+
+      assert.strictEqual(getCredentials('https://example.com/pkg', npmrc), undefined);
+      assert.strictEqual(getCredentials('https://npm.example.com:8443/pkg', npmrc), undefined);
+      assert.strictEqual(getCredentials('not a url', npmrc), undefined);
+    });
+
+    it('should reject passwords that are not base64', () => {
+      const npmrc = {
+        '//npm.example.com/:username': 'user',
+        '//npm.example.com/:_password': 'not base64!'
+      };
+
+      assert.throws(
+        () => getCredentials('https://npm.example.com/pkg', npmrc),
+        (err) => isDiffError(err) && err.phase === 'AUTH'
+      );
+    });
+  });
+
+  describe('loadNpmrc', () => {
+    /** @type {string} */
+    let dir;
+
+    before(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'difftar-npmrc-'));
+      await mkdir(join(dir, 'project', 'src'), { recursive: true });
+      await writeFile(join(dir, 'project', 'package.json'), '{"name":"project"}');
+      await writeFile(join(dir, 'project', '.npmrc'), '@myorg:registry=https://project.example.com/\n');
+      await writeFile(join(dir, 'user.npmrc'), [
+        '@myorg:registry=https://user.example.com/',
+        '//project.example.com/:_authToken=${NPM_TOKEN}',
+        'registry=https://user.example.com/'
+      ].join('\n'));
+      await writeFile(join(dir, 'global.npmrc'), 'registry=https://global.example.com/\nfund=false\n');
+    });
+
+    after(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should merge project, user and global files in order', async () => {
+      const npmrc = await loadNpmrc({
+        cwd: join(dir, 'project', 'src'),
+        env: {
+          NPM_TOKEN: 'npm_abc',
+          npm_config_userconfig: join(dir, 'user.npmrc'),
+          npm_config_globalconfig: join(dir, 'global.npmrc')
+        }
+      });
+
+      assert.deepStrictEqual(npmrc, {
+        fund: 'false',
+        registry: 'https://user.example.com/',
+        '@myorg:registry': 'https://project.example.com/',
+        '//project.example.com/:_authToken': 'npm_abc'
+      });
+    });
+
+    it('should skip missing files', async () => {
+      const npmrc = await loadNpmrc({
+        cwd: dir,
+        env: {
+          npm_config_userconfig: join(dir, 'missing.npmrc'),
+          npm_config_globalconfig: join(dir, 'global.npmrc')
+        }
+      });
+
+      assert.deepStrictEqual(npmrc, { registry: 'https://global.example.com/', fund: 'false' });
+    });
+  });
+});
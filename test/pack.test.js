@@ -0,0 +1,314 @@
+/**
+ * Tests for src/pack.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, chmod, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { unpackTar } from 'modern-tar';
+import {
+  parseIgnoreRules,
+  listPackFiles,
+  readPackFiles,
+  packDirectory,
+  readManifest
+} from '../src/pack.js';
+import { isDiffError } from '../src/errors.js';
+
+/** @type {string} */
+let root;
+
+/**
+ * Create a package directory with the given files.
+ * @param {string} name - Directory name under the temp root
+ * @param {Record<string, string>} files - Relative path -> contents
+ * @returns {Promise<string>} Directory path
+ */
+async function createPackage(name, files) {
+  const dir = join(root, name);
+  for (const [path, content] of Object.entries(files)) {
+    const filePath = join(dir, path);
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(filePath, content);
+  }
+  return dir;
+}
+
+/**
+ * Check a path against ignore rules the way pack.js does.
+ * @param {string} text - Ignore file contents
+ * @param {string} path - Path to check
+ * @param {boolean} [isDir]
+ */
+function ignores(text, path, isDir = false) {
+  let ignored = false;
+  for (const rule of parseIgnoreRules(text)) {
+    if (rule.dirOnly && !isDir) continue;
+    if (rule.matcher.test(path)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+describe('pack module', () => {
+  before(async () => {
+    root = await mkdtemp(join(tmpdir(), 'difftar-pack-'));
+  });
+
+  after(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  describe('parseIgnoreRules', () => {
+    it('matches unanchored patterns at any depth', () => {
+      assert.strictEqual(ignores('*.log', 'debug.log'), true);
+      assert.strictEqual(ignores('*.log', 'a/b/debug.log'), true);
+      assert.strictEqual(ignores('*.log', 'debug.js'), false);
+    });
+
+    it('anchors patterns containing a slash', () => {
+      assert.strictEqual(ignores('/test', 'test', true), true);
+      assert.strictEqual(ignores('/test', 'lib/test', true), false);
+      assert.strictEqual(ignores('docs/*.md', 'docs/a.md'), true);
+      assert.strictEqual(ignores('docs/*.md', 'lib/docs/a.md'), false);
+    });
+
+    it('restricts trailing-slash patterns to directories', () => {
+      assert.strictEqual(ignores('build/', 'build', true), true);
+      assert.strictEqual(ignores('build/', 'build', false), false);
+    });
+
+    it('supports negation', () => {
+      assert.strictEqual(ignores('*.log\n!keep.log', 'keep.log'), false);
+      assert.strictEqual(ignores('*.log\n!keep.log', 'drop.log'), true);
+    });
+
+    it('skips comments and blank lines', () => {
+      assert.deepStrictEqual(parseIgnoreRules('# comment\n\n   \n'), []);
+    });
+  });
+
+  describe('readManifest', () => {
+    it('throws FETCH error without package.json', async () => {
+      const dir = await createPackage('no-manifest', { 'index.js': '' });
+
+      await assert.rejects(
+        readManifest(dir),
+        (err) => isDiffError(err) && err.phase === 'FETCH' && err.message.includes('No package.json')
+      );
+    });
+
+    it('throws FETCH error on invalid JSON', async () => {
+      const dir = await createPackage('bad-manifest', { 'package.json': '{ nope' });
+
+      await assert.rejects(
+        readManifest(dir),
+        (err) => isDiffError(err) && err.message.includes('Invalid package.json')
+      );
+    });
+  });
+
+  describe('listPackFiles', () => {
+    it('includes everything except always-excluded files by default', async () => {
+      const dir = await createPackage('defaults', {
+        'package.json': '{"name":"defaults"}',
+        'index.js': '',
+        'lib/util.js': '',
+        'node_modules/dep/index.js': '',
+        '.git/HEAD': '',
+        '.npmrc': '',
+        '.DS_Store': '',
+        'npm-debug.log': '',
+        'package-lock.json': '{}',
+        'yarn.lock': '',
+        'pnpm-lock.yaml': '',
+        'lib/package-lock.json': '{}',
+        'lib/yarn.lock': '',
+        'lib/.index.js.swp': '',
+        'patch.orig': ''
+      });
+
+      assert.deepStrictEqual(await listPackFiles(dir), [
+        'index.js',
+        'lib/package-lock.json',
+        'lib/util.js',
+        'lib/yarn.lock',
+        'package.json'
+      ]);
+    });
+
+    it('anchors build litter and archived packages at the root', async () => {
+      const dir = await createPackage('root-litter', {
+        'package.json': '{"name":"root-litter"}',
+        '.lock-wscript': '',
+        '.wafpickle-7': '',
+        'build/config.gypi': '',
+        'archived-packages/old.tgz': '',
+        'config.gypi': '',
+        'lib/config.gypi': '',
+        'lib/.lock-wscript': '',
+        'lib/archived-packages/old.tgz': ''
+      });
+
+      assert.deepStrictEqual(await listPackFiles(dir), [
+        'config.gypi',
+        'lib/.lock-wscript',
+        'lib/archived-packages/old.tgz',
+        'lib/config.gypi',
+        'package.json'
+      ]);
+    });
+
+    it('applies .npmignore over .gitignore', async () => {
+      const dir = await createPackage('npmignore', {
+        'package.json': '{"name":"npmignore"}',
+        '.npmignore': 'test/\n',
+        '.gitignore': 'dist/\n',
+        'dist/index.js': '',
+        'test/index.test.js': ''
+      });
+
+      assert.deepStrictEqual(await listPackFiles(dir), ['dist/index.js', 'package.json']);
+    });
+
+    it('falls back to .gitignore', async () => {
+      const dir = await createPackage('gitignore', {
+        'package.json': '{"name":"gitignore"}',
+        '.gitignore': 'coverage\n*.log\n',
+        'coverage/lcov.info': '',
+        'lib/debug.log': '',
+        'lib/index.js': ''
+      });
+
+      assert.deepStrictEqual(await listPackFiles(dir), ['lib/index.js', 'package.json']);
+    });
+
+    it('applies nested ignore files relative to their directory', async () => {
+      const dir = await createPackage('nested', {
+        'package.json': '{"name":"nested"}',
+        'lib/.npmignore': '/fixtures\n',
+        'lib/fixtures/a.json': '',
+        'lib/index.js': '',
+        'fixtures/b.json': ''
+      });
+
+      assert.deepStrictEqual(await listPackFiles(dir), [
+        'fixtures/b.json',
+        'lib/index.js',
+        'package.json'
+      ]);
+    });
+
+    it('honors the files allowlist and always-included files', async () => {
+      const dir = await createPackage('files', {
+        'package.json': JSON.stringify({
+          name: 'files',
+          main: './main.js',
+          bin: { files: 'cli/run.js' },
+          files: ['dist', 'types/*.d.ts', '!dist/*.map']
+        }),
+        '.npmignore': 'dist/\n',
+        'README.md': '',
+        'LICENSE': '',
+        'CHANGELOG.md': '',
+        'main.js': '',
+        'cli/run.js': '',
+        'cli/helper.js': '',
+        'dist/index.js': '',
+        'dist/index.js.map': '',
+        'types/index.d.ts': '',
+        'types/internal.ts': '',
+        'src/index.js': ''
+      });
+
+      assert.deepStrictEqual(await listPackFiles(dir), [
+        'LICENSE',
+        'README.md',
+        'cli/run.js',
+        'dist/index.js',
+        'main.js',
+        'package.json',
+        'types/index.d.ts'
+      ]);
+    });
+
+    it('keeps always-included files even when ignored', async () => {
+      const dir = await createPackage('always', {
+        'package.json': '{"name":"always"}',
+        '.npmignore': '*\n',
+        'readme.markdown': '',
+        'licence': '',
+        'index.js': ''
+      });
+
+      assert.deepStrictEqual(await listPackFiles(dir), [
+        'licence',
+        'package.json',
+        'readme.markdown'
+      ]);
+    });
+  });
+
+  describe('readPackFiles', () => {
+    it('normalizes modes to 644 or 755', async () => {
+      const dir = await createPackage('modes', {
+        'package.json': '{"name":"modes","bin":"cli.js"}',
+        'cli.js': '#!/usr/bin/env node',
+        'index.js': ''
+      });
+      await chmod(join(dir, 'cli.js'), 0o775);
+      await chmod(join(dir, 'index.js'), 0o600);
+
+      const files = await readPackFiles(dir);
+      const modes = Object.fromEntries(files.map((f) => [f.path, f.mode]));
+
+      assert.strictEqual(modes['cli.js'], 0o755);
+      assert.strictEqual(modes['index.js'], 0o644);
+      assert.strictEqual(new TextDecoder().decode(files[0].content), '#!/usr/bin/env node');
+    });
+
+    it('reads many files in path order', async () => {
+      /** @type {Record<string, string>} */
+      const tree = { 'package.json': '{"name":"many"}' };
+      for (let i = 0; i < 100; i++) {
+        tree[`lib/f${String(i).padStart(3, '0')}.js`] = `${i}`;
+      }
+      const dir = await createPackage('many', tree);
+
+      const files = await readPackFiles(dir);
+
+      assert.strictEqual(files.length, 101);
+      assert.deepStrictEqual(files.map((f) => f.path), Object.keys(tree).sort());
+      assert.strictEqual(new TextDecoder().decode(files[42].content), '42');
+    });
+
+    it('fails with SIZE once the files exceed the limit', async () => {
+      const dir = await createPackage('too-big', {
+        'package.json': '{"name":"too-big"}',
+        'a.js': 'x'.repeat(600),
+        'b.js': 'x'.repeat(600)
+      });
+
+      await assert.rejects(
+        readPackFiles(dir, { limit: 1000 }),
+        (err) => isDiffError(err) && err.phase === 'SIZE'
+      );
+      assert.strictEqual((await readPackFiles(dir, { limit: 2000 })).length, 3);
+    });
+  });
+
+  describe('packDirectory', () => {
+    it('packs files under package/', async () => {
+      const dir = await createPackage('tarball', {
+        'package.json': '{"name":"tarball"}',
+        'lib/index.js': 'module.exports = 1;'
+      });
+
+      const entries = await unpackTar(await packDirectory(dir));
+      const names = entries.map((e) => e.header.name).sort();
+
+      assert.deepStrictEqual(names, ['package/lib/index.js', 'package/package.json']);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for src/pathspec.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { compilePathspec, createPathFilter } from '../src/pathspec.js';
+
+describe('pathspec module', () => {
+  describe('compilePathspec', () => {
+    it('matches a file and everything below a directory', () => {
+      const re = compilePathspec('lib');
+      assert.ok(re.test('lib'));
+      assert.ok(re.test('lib/index.js'));
+      assert.ok(re.test('lib/a/b.js'));
+      assert.ok(!re.test('library.js'));
+      assert.ok(!re.test('src/lib/index.js'));
+    });
+
+    it('ignores leading ./, package/ and / and trailing slashes', () => {
+      for (const pattern of ['./lib', 'package/lib', '/lib', 'lib/', './lib/']) {
+        assert.ok(compilePathspec(pattern).test('lib/index.js'), pattern);
+      }
+    });
+
+    it('keeps backslash escapes', () => {
+      const re = compilePathspec('lib/\\*.js');
+      assert.ok(re.test('lib/*.js'));
+      assert.ok(!re.test('lib/index.js'));
+    });
+
+    it('matches everything for "." and empty patterns', () => {
+      assert.ok(compilePathspec('.').test('any/file.js'));
+      assert.ok(compilePathspec('').test('any/file.js'));
+    });
+
+    it('matches basenames at any depth for leading-star patterns', () => {
+      const re = compilePathspec('*.md');
+      assert.ok(re.test('README.md'));
+      assert.ok(re.test('docs/guide/intro.md'));
+      assert.ok(!re.test('README.markdown'));
+    });
+
+    it('keeps single stars within a directory', () => {
+      const re = compilePathspec('lib/*.js');
+      assert.ok(re.test('lib/index.js'));
+      assert.ok(!re.test('lib/a/b.js'));
+    });
+
+    it('matches across directories with globstars', () => {
+      const re = compilePathspec('**/test/**');
+      assert.ok(re.test('test/a.js'));
+      assert.ok(re.test('packages/x/test/a.js'));
+      assert.ok(!re.test('lib/testing.js'));
+    });
+  });
+
+  describe('createPathFilter', () => {
+    it('returns undefined without pathspecs', () => {
+      assert.strictEqual(createPathFilter(), undefined);
+      assert.strictEqual(createPathFilter({ include: [], exclude: [] }), undefined);
+    });
+
+    it('keeps only included paths', () => {
+      const filter = createPathFilter({ include: ['lib', 'package.json'] });
+      assert.ok(filter?.('lib/index.js'));
+      assert.ok(filter?.('package.json'));
+      assert.ok(!filter?.('README.md'));
+    });
+
+    it('drops excluded paths', () => {
+      const filter = createPathFilter({ exclude: ['*.map'] });
+      assert.ok(filter?.('lib/index.js'));
+      assert.ok(!filter?.('lib/index.js.map'));
+    });
+
+    it('matches many-star patterns without backtracking', () => {
+      const start = performance.now();
+      const filter = createPathFilter({ include: ['*a*a*a*a*a*a*a*a*b'] });
+      assert.ok(!filter?.(`x/${'a'.repeat(40)}.js`));
+      assert.ok(performance.now() - start < 100);
+    });
+
+    it('lets excludes win over includes', () => {
+      const filter = createPathFilter({ include: ['lib'], exclude: ['lib/vendor'] });
+      assert.ok(filter?.('lib/index.js'));
+      assert.ok(!filter?.('lib/vendor/x.js'));
+      assert.ok(!filter?.('test/index.js'));
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for src/policy.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { checkUrl, isPrivateAddress } from '../src/policy.js';
+import { isDiffError } from '../src/errors.js';
+
+/**
+ * Assert that a URL is rejected with a POLICY error.
+ * @param {string} url - URL to check
+ * @param {import('../src/policy.js').NetworkPolicy} [policy] - Policy
+ * @param {RegExp} [message] - Expected message
+ */
+function assertBlocked(url, policy = {}, message = /not allowed/) {
+  assert.throws(
+    () => checkUrl(url, policy),
+    (err) => isDiffError(err) && err.phase === 'POLICY' && err.status === 403 && message.test(err.message),
+    url
+  );
+}
+
+describe('policy module', () => {
+  describe('isPrivateAddress', () => {
+    it('should recognize non-public IPv4 literals', () => {
+      for (const host of [
+        '0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '127.255.255.254',
+        '169.254.169.254', '172.16.0.1', '172.31.255.255', '192.0.0.8',
+        '192.168.1.1', '198.18.0.1', '224.0.0.1', '255.255.255.255'
+      ]) {
+        assert.strictEqual(isPrivateAddress(host), true, host);
+      }
+    });
+
+    it('should accept public IPv4 literals', () => {
+      for (const host of ['1.1.1.1', '8.8.8.8', '104.16.0.35', '172.32.0.1', '100.128.0.1', '192.169.0.1']) {
+        assert.strictEqual(isPrivateAddress(host), false, host);
+      }
+    });
+
+    it('should recognize non-public IPv6 literals', () => {
+      for (const host of [
+        '[::]', '[::1]', '[fc00::1]', '[fd12:3456::1]', '[fe80::1]', '[fec0::1]', '[ff02::1]',
+        '[::ffff:7f00:1]', '[::ffff:a9fe:a9fe]', '[64:ff9b::a00:1]', '[::7f00:1]'
+      ]) {
+        assert.strictEqual(isPrivateAddress(host), true, host);
+      }
+    });
+
+    it('should accept public IPv6 literals', () => {
+      for (const host of ['[2606:4700::6810:84e5]', '[::ffff:808:808]', '[64:ff9b::808:808]', '2001:db8::1']) {
+        assert.strictEqual(isPrivateAddress(host), false, host);
+      }
+    });
+
+    it('should treat localhost names as private', () => {
+      assert.strictEqual(isPrivateAddress('localhost'), true);
+      assert.strictEqual(isPrivateAddress('LOCALHOST.'), true);
+      assert.strictEqual(isPrivateAddress('api.localhost'), true);
+      assert.strictEqual(isPrivateAddress('localhost.example.com'), false);
+    });
+
+    it('should not resolve hostnames', () => {
+      assert.strictEqual(isPrivateAddress('metadata.google.internal'), false);
+      assert.strictEqual(isPrivateAddress('registry.npmjs.org'), false);
+    });
+  });
+
+  describe('checkUrl', () => {
+    it('should return the parsed URL when allowed', () => {
+      const url = checkUrl('https://registry.npmjs.org/lodash', {});
+      assert.ok(url instanceof URL);
+      assert.strictEqual(url.hostname, 'registry.npmjs.org');
+    });
+
+    it('should block private addresses by default', () => {
+      assertBlocked('http://169.254.169.254/latest/meta-data/', {}, /Private address/);
+      assertBlocked('http://localhost:8080/', {}, /Private address/);
+      assertBlocked('http://[::1]/', {}, /Private address/);
+    });
+
+    it('should see through alternative IPv4 notations', () => {
+      for (const url of ['http://2130706433/', 'http://0x7f.1/', 'http://0177.0.0.1/', 'http://127.1/']) {
+        assertBlocked(url, {}, /Private address/);
+      }
+    });
+
+    it('should allow private addresses when asked', () => {
+      assert.strictEqual(checkUrl('http://127.0.0.1:4873/pkg', { allowPrivate: true }).port, '4873');
+    });
+
+    it('should only allow listed schemes', () => {
+      assertBlocked('ftp://example.com/pkg.tgz', {}, /Scheme/);
+      assertBlocked('file:///etc/passwd', {}, /Scheme/);
+      assertBlocked('http://example.com/pkg.tgz', { schemes: ['https'] }, /Scheme/);
+      assert.ok(checkUrl('https://example.com/pkg.tgz', { schemes: ['https:'] }));
+    });
+
+    it('should only allow listed ports, counting default ports', () => {
+      const policy = { ports: [443] };
+      assert.ok(checkUrl('https://example.com/pkg.tgz', policy));
+      assert.ok(checkUrl('https://example.com:443/pkg.tgz', policy));
+      assertBlocked('https://example.com:8443/pkg.tgz', policy, /Port not allowed: 8443/);
+      assertBlocked('http://example.com/pkg.tgz', policy, /Port not allowed: 80/);
+    });
+
+    it('should match allowed hosts exactly or by subdomain wildcard', () => {
+      const policy = { allowHosts: ['registry.npmjs.org', '*.r2.cloudflarestorage.com'] };
+      assert.ok(checkUrl('https://registry.npmjs.org/lodash', policy));
+      assert.ok(checkUrl('https://REGISTRY.npmjs.org./lodash', policy));
+      assert.ok(checkUrl('https://acct.r2.cloudflarestorage.com/b/k', policy));
+      assertBlocked('https://r2.cloudflarestorage.com/b/k', policy, /Host not allowed/);
+      assertBlocked('https://registry.npmjs.org.evil.example/lodash', policy, /Host not allowed/);
+    });
+
+    it('should let denied hosts win over allowed hosts', () => {
+      const policy = { allowHosts: ['*.example.com'], denyHosts: ['admin.example.com'] };
+      assert.ok(checkUrl('https://cdn.example.com/pkg.tgz', policy));
+      assertBlocked('https://admin.example.com/pkg.tgz', policy, /Host not allowed/);
+    });
+
+    it('should still block private addresses on allowed hosts', () => {
+      assertBlocked('http://10.0.0.5/pkg.tgz', { allowHosts: ['10.0.0.5'] }, /Private address/);
+      assert.ok(checkUrl('http://10.0.0.5/pkg.tgz', { allowHosts: ['10.0.0.5'], allowPrivate: true }));
+    });
+
+    it('should reject invalid URLs', () => {
+      assertBlocked('not a url', {}, /Invalid URL/);
+    });
+  });
+});
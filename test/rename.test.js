@@ -0,0 +1,164 @@
+/**
+ * Tests for src/rename.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  detectRenames,
+  estimateSimilarity,
+  similarityIndex,
+  wantsRenames,
+  MAX_SCORE
+} from '../src/rename.js';
+import { isDiffError } from '../src/errors.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Build a file tree from string contents.
+ * @param {Record<string, string>} files - Path -> contents
+ * @returns {Map<string, Uint8Array>}
+ */
+function tree(files) {
+  return new Map(Object.entries(files).map(([path, content]) => [path, encoder.encode(content)]));
+}
+
+/**
+ * Numbered lines, `1\n2\n...`.
+ * @param {number} count
+ * @returns {string}
+ */
+function lines(count) {
+  return Array.from({ length: count }, (_, i) => `${i + 1}\n`).join('');
+}
+
+describe('rename module', () => {
+  describe('estimateSimilarity', () => {
+    it('scores identical content as MAX_SCORE', () => {
+      const bytes = encoder.encode(lines(20));
+      assert.strictEqual(estimateSimilarity(bytes, bytes), MAX_SCORE);
+    });
+
+    it('matches git for a single changed line', () => {
+      // git diff -M reports R085 for this edit
+      const src = encoder.encode(lines(20));
+      const dst = encoder.encode(lines(18) + 'changed\n20\n');
+      assert.strictEqual(similarityIndex(estimateSimilarity(src, dst)), 85);
+    });
+
+    it('ignores CR in CRLF for text', () => {
+      const src = encoder.encode(lines(20));
+      const dst = encoder.encode(lines(20).replace(/\n/g, '\r\n'));
+      assert.strictEqual(estimateSimilarity(src, dst), Math.floor(src.length * MAX_SCORE / dst.length));
+    });
+
+    it('short-circuits when sizes differ too much', () => {
+      const src = encoder.encode('a\n');
+      const dst = encoder.encode(lines(100));
+      assert.strictEqual(estimateSimilarity(src, dst, MAX_SCORE / 2), 0);
+    });
+  });
+
+  describe('wantsRenames', () => {
+    it('is enabled by either option', () => {
+      assert.strictEqual(wantsRenames({}), false);
+      assert.strictEqual(wantsRenames({ findRenames: true }), true);
+      assert.strictEqual(wantsRenames({ findRenames: 90 }), true);
+      assert.strictEqual(wantsRenames({ findCopies: true }), true);
+    });
+  });
+
+  describe('detectRenames', () => {
+    it('returns nothing unless enabled', () => {
+      const left = tree({ 'lib/a.js': lines(20) });
+      const right = tree({ 'dist/a.js': lines(20) });
+      assert.deepStrictEqual(detectRenames(left, right), []);
+    });
+
+    it('pairs exact renames', () => {
+      const left = tree({ 'lib/a.js': lines(20), 'lib/b.js': lines(30) });
+      const right = tree({ 'dist/a.js': lines(20), 'dist/b.js': lines(30) });
+
+      assert.deepStrictEqual(detectRenames(left, right, { findRenames: true }), [
+        { from: 'lib/a.js', to: 'dist/a.js', status: 'renamed', similarity: 100 },
+        { from: 'lib/b.js', to: 'dist/b.js', status: 'renamed', similarity: 100 }
+      ]);
+    });
+
+    it('prefers sources with the same basename for exact renames', () => {
+      const left = tree({ 'a/one.js': 'same\n', 'b/two.js': 'same\n' });
+      const right = tree({ 'c/two.js': 'same\n' });
+
+      const [pair] = detectRenames(left, right, { findRenames: true });
+      assert.strictEqual(pair.from, 'b/two.js');
+    });
+
+    it('pairs inexact renames above the threshold', () => {
+      const left = tree({ 'old.js': lines(20) });
+      const right = tree({ 'new.js': lines(18) + 'changed\n20\n' });
+
+      assert.deepStrictEqual(detectRenames(left, right, { findRenames: true }), [
+        { from: 'old.js', to: 'new.js', status: 'renamed', similarity: 85 }
+      ]);
+      assert.deepStrictEqual(detectRenames(left, right, { findRenames: 90 }), []);
+    });
+
+    it('renames each source at most once', () => {
+      const left = tree({ 'a.js': lines(20) });
+      const right = tree({ 'b.js': lines(20), 'c.js': lines(20) });
+
+      const pairs = detectRenames(left, right, { findRenames: true });
+      assert.deepStrictEqual(pairs.map((p) => p.to), ['b.js']);
+    });
+
+    it('reports the last use of a deleted source as the rename', () => {
+      const left = tree({ 'a.js': lines(20) });
+      const right = tree({ 'b.js': lines(20), 'c.js': lines(20) });
+
+      assert.deepStrictEqual(
+        detectRenames(left, right, { findCopies: true }).map((p) => [p.to, p.status]),
+        [['b.js', 'copied'], ['c.js', 'renamed']]
+      );
+    });
+
+    it('copies from modified files when finding copies', () => {
+      const left = tree({ 'a.js': lines(20) });
+      const right = tree({ 'a.js': lines(19) + 'X\n', 'b.js': lines(20) });
+
+      assert.deepStrictEqual(detectRenames(left, right, { findRenames: true }), []);
+      assert.deepStrictEqual(detectRenames(left, right, { findCopies: true }), [
+        { from: 'a.js', to: 'b.js', status: 'copied', similarity: 100 }
+      ]);
+    });
+
+    it('pairs a moved directory of edited files quickly', () => {
+      /** @type {Record<string, string>} */
+      const before = {};
+      /** @type {Record<string, string>} */
+      const after = {};
+      for (let i = 0; i < 200; i++) {
+        const content = Array.from({ length: 150 }, (_, j) => `const v${i}_${j} = ${i * j};\n`).join('');
+        before[`lib/f${i}.js`] = content;
+        after[`dist/f${i}.js`] = `${content}extra\n`;
+      }
+
+      const start = performance.now();
+      const pairs = detectRenames(tree(before), tree(after), { findRenames: true });
+
+      assert.strictEqual(pairs.length, 200);
+      assert.ok(pairs.every((p) => p.from.slice(4) === p.to.slice(5)));
+      assert.ok(performance.now() - start < 5000);
+    });
+
+    it('stops once the signal aborts', () => {
+      const left = tree({ 'a.js': lines(20) });
+      const right = tree({ 'b.js': lines(19) + 'X\n' });
+
+      assert.throws(
+        () => detectRenames(left, right, { findRenames: true, signal: AbortSignal.abort() }),
+        (err) => isDiffError(err) && err.phase === 'ABORT'
+      );
+    });
+  });
+});
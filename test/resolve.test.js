@@ -0,0 +1,515 @@
+/**
+ * Tests for src/resolve.js
+ */
+
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseSpec,
+  packumentUrl,
+  pickVersion,
+  fetchPackument,
+  resolveSpec,
+  specToSource,
+  isUrlSpec,
+  DEFAULT_REGISTRY
+} from '../src/resolve.js';
+import { isDiffError } from '../src/errors.js';
+
+/**
+ * Build a minimal packument for the given versions.
+ * @param {string} name
+ * @param {string[]} versions
+ * @param {Record<string, string>} distTags
+ * @param {Record<string, string>} [deprecated]
+ */
+function makePackument(name, versions, distTags, deprecated = {}) {
+  /** @type {Record<string, any>} */
+  const entries = {};
+  for (const version of versions) {
+    entries[version] = {
+      version,
+      ...(deprecated[version] && { deprecated: deprecated[version] }),
+      dist: {
+        tarball: `https://registry.npmjs.org/${name}/-/${name}-${version}.tgz`,
+        integrity: `sha512-${version}`,
+        shasum: `sha1-${version}`
+      }
+    };
+  }
+  return { name, 'dist-tags': distTags, versions: entries };
+}
+
+describe('resolve module', () => {
+  describe('parseSpec', () => {
+    it('parses exact versions', () => {
+      assert.deepStrictEqual(parseSpec('lodash@4.17.21'), {
+        raw: 'lodash@4.17.21',
+        name: 'lodash',
+        type: 'version',
+        fetchSpec: '4.17.21'
+      });
+    });
+
+    it('parses ranges', () => {
+      const parsed = parseSpec('lodash@^4.17.0');
+      assert.strictEqual(parsed.type, 'range');
+      assert.strictEqual(parsed.fetchSpec, '^4.17.0');
+    });
+
+    it('parses dist-tags', () => {
+      const parsed = parseSpec('react@next');
+      assert.strictEqual(parsed.type, 'tag');
+      assert.strictEqual(parsed.fetchSpec, 'next');
+    });
+
+    it('treats bare names as any version', () => {
+      const parsed = parseSpec('lodash');
+      assert.strictEqual(parsed.name, 'lodash');
+      assert.strictEqual(parsed.type, 'range');
+      assert.strictEqual(parsed.fetchSpec, '*');
+    });
+
+    it('parses scoped packages', () => {
+      const parsed = parseSpec('@babel/core@7.0.0');
+      assert.strictEqual(parsed.name, '@babel/core');
+      assert.strictEqual(parsed.fetchSpec, '7.0.0');
+
+      const bare = parseSpec('@babel/core');
+      assert.strictEqual(bare.name, '@babel/core');
+      assert.strictEqual(bare.fetchSpec, '*');
+    });
+
+    it('parses bare npm aliases', () => {
+      const parsed = parseSpec('npm:foo@1');
+      assert.strictEqual(parsed.name, 'foo');
+      assert.strictEqual(parsed.type, 'range');
+      assert.strictEqual(parsed.fetchSpec, '1');
+    });
+
+    it('parses named npm aliases', () => {
+      const parsed = parseSpec('my-lodash@npm:@scope/lodash@4.17.21');
+      assert.strictEqual(parsed.name, '@scope/lodash');
+      assert.strictEqual(parsed.type, 'version');
+      assert.strictEqual(parsed.fetchSpec, '4.17.21');
+    });
+
+    it('throws RESOLVE error for empty specs', () => {
+      assert.throws(
+        () => parseSpec(''),
+        (err) => isDiffError(err) && err.phase === 'RESOLVE'
+      );
+    });
+
+    it('throws RESOLVE error for invalid names', () => {
+      assert.throws(
+        () => parseSpec('not a package@1.0.0'),
+        (err) => isDiffError(err) && err.phase === 'RESOLVE' && err.message.includes('Invalid package name')
+      );
+    });
+  });
+
+  describe('isUrlSpec', () => {
+    it('detects http and https URLs', () => {
+      assert.strictEqual(isUrlSpec('https://registry.npmjs.org/a/-/a-1.0.0.tgz'), true);
+      assert.strictEqual(isUrlSpec('http://localhost/a.tgz'), true);
+      assert.strictEqual(isUrlSpec('lodash@4.17.21'), false);
+    });
+  });
+
+  describe('packumentUrl', () => {
+    it('uses the default registry', () => {
+      assert.strictEqual(packumentUrl('lodash'), `${DEFAULT_REGISTRY}lodash`);
+    });
+
+    it('encodes the slash in scoped names', () => {
+      assert.strictEqual(
+        packumentUrl('@babel/core'),
+        'https://registry.npmjs.org/@babel%2Fcore'
+      );
+    });
+
+    it('handles registries without trailing slash', () => {
+      assert.strictEqual(
+        packumentUrl('lodash', 'https://npm.example.com/api'),
+        'https://npm.example.com/api/lodash'
+      );
+    });
+  });
+
+  describe('pickVersion', () => {
+    const packument = makePackument(
+      'pkg',
+      ['1.0.0', '1.1.0', '1.2.0', '2.0.0', '2.1.0-beta.1', '3.0.0'],
+      { latest: '2.0.0', next: '2.1.0-beta.1' },
+      { '1.2.0': 'broken release' }
+    );
+
+    it('resolves dist-tags', () => {
+      assert.strictEqual(pickVersion(packument, parseSpec('pkg@next')).version, '2.1.0-beta.1');
+      assert.strictEqual(pickVersion(packument, parseSpec('pkg@latest')).version, '2.0.0');
+    });
+
+    it('resolves exact versions', () => {
+      assert.strictEqual(pickVersion(packument, parseSpec('pkg@1.1.0')).version, '1.1.0');
+    });
+
+    it('prefers the latest tag when it satisfies a range', () => {
+      assert.strictEqual(pickVersion(packument, parseSpec('pkg@>=1')).version, '2.0.0');
+      assert.strictEqual(pickVersion(packument, parseSpec('pkg')).version, '2.0.0');
+    });
+
+    it('picks the highest non-deprecated version otherwise', () => {
+      assert.strictEqual(pickVersion(packument, parseSpec('pkg@^1')).version, '1.1.0');
+      assert.strictEqual(pickVersion(packument, parseSpec('pkg@^3')).version, '3.0.0');
+    });
+
+    it('falls back to deprecated versions when nothing else satisfies', () => {
+      assert.strictEqual(pickVersion(packument, parseSpec('pkg@~1.2.0')).version, '1.2.0');
+    });
+
+    it('excludes prereleases from ranges', () => {
+      assert.strictEqual(pickVersion(packument, parseSpec('pkg@^2')).version, '2.0.0');
+    });
+
+    it('throws RESOLVE error for unknown tags', () => {
+      assert.throws(
+        () => pickVersion(packument, parseSpec('pkg@canary')),
+        (err) => isDiffError(err) && err.phase === 'RESOLVE' && err.status === 404
+      );
+    });
+
+    it('throws RESOLVE error for unknown versions', () => {
+      assert.throws(
+        () => pickVersion(packument, parseSpec('pkg@9.9.9')),
+        (err) => isDiffError(err) && err.message.includes('No matching version')
+      );
+    });
+
+    it('throws RESOLVE error for unsatisfiable ranges', () => {
+      assert.throws(
+        () => pickVersion(packument, parseSpec('pkg@^9')),
+        (err) => isDiffError(err) && err.phase === 'RESOLVE'
+      );
+    });
+  });
+
+  describe('fetchPackument', () => {
+    /** @type {typeof globalThis.fetch} */
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = globalThis.fetch;
+    });
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+    });
+
+    it('requests the abbreviated packument with auth', async () => {
+      /** @type {Request | undefined} */
+      let captured;
+
+      globalThis.fetch = mock.fn(async (url, init) => {
+        captured = new Request(url, init);
+        return Response.json(makePackument('pkg', ['1.0.0'], { latest: '1.0.0' }));
+      });
+
+      await fetchPackument('@scope/pkg', {
+        registry: 'https://npm.example.com/',
+        auth: 'bearer',
+        credential: 'npm_abc123'
+      });
+
+      assert.strictEqual(captured?.url, 'https://npm.example.com/@scope%2Fpkg');
+      assert.ok(captured?.headers.get('Accept')?.includes('application/vnd.npm.install-v1+json'));
+      assert.strictEqual(captured?.headers.get('Authorization'), 'Bearer npm_abc123');
+    });
+
+    it('uses the scope registry and credentials from npmrc', async () => {
+      /** @type {Request | undefined} */
+      let captured;
+
+      globalThis.fetch = mock.fn(async (url, init) => {
+        captured = new Request(url, init);
+        return Response.json(makePackument('pkg', ['1.0.0'], { latest: '1.0.0' }));
+      });
+
+      await fetchPackument('@scope/pkg', {
+        registry: 'https://registry.example.com/',
+        npmrc: {
+          '@scope:registry': 'https://npm.example.com/scoped/',
+          '//npm.example.com/:_authToken': 'npm_from_npmrc'
+        }
+      });
+
+      assert.strictEqual(captured?.url, 'https://npm.example.com/scoped/@scope%2Fpkg');
+      assert.strictEqual(captured?.headers.get('Authorization'), 'Bearer npm_from_npmrc');
+    });
+
+    it('prefers explicit auth over npmrc credentials', async () => {
+      /** @type {Request | undefined} */
+      let captured;
+
+      globalThis.fetch = mock.fn(async (url, init) => {
+        captured = new Request(url, init);
+        return Response.json(makePackument('pkg', ['1.0.0'], { latest: '1.0.0' }));
+      });
+
+      await fetchPackument('pkg', {
+        auth: 'none',
+        npmrc: { '//registry.npmjs.org/:_authToken': 'npm_from_npmrc' }
+      });
+
+      assert.strictEqual(captured?.headers.get('Authorization'), null);
+    });
+
+    it('sends explicit auth only to the origin of its registry', async () => {
+      /** @type {Request[]} */
+      const captured = [];
+
+      globalThis.fetch = mock.fn(async (url, init) => {
+        captured.push(new Request(url, init));
+        return Response.json(makePackument('pkg', ['1.0.0'], { latest: '1.0.0' }));
+      });
+
+      const options = {
+        registry: 'https://registry.example.com/',
+        auth: /** @type {const} */ ('bearer'),
+        credential: 'npm_explicit',
+        npmrc: {
+          '@scope:registry': 'https://npm.example.com/',
+          '//npm.example.com/:_authToken': 'npm_from_npmrc'
+        }
+      };
+      await fetchPackument('pkg', options);
+      await fetchPackument('@scope/pkg', options);
+      await fetchPackument('@other/pkg', { ...options, registry: undefined });
+
+      assert.deepStrictEqual(captured.map((request) => [request.url, request.headers.get('Authorization')]), [
+        ['https://registry.example.com/pkg', 'Bearer npm_explicit'],
+        ['https://npm.example.com/@scope%2Fpkg', 'Bearer npm_from_npmrc'],
+        ['https://registry.npmjs.org/@other%2Fpkg', 'Bearer npm_explicit']
+      ]);
+    });
+
+    it('checks the registry and every redirect against the network policy', async () => {
+      globalThis.fetch = mock.fn(async () => Response.json(makePackument('pkg', ['1.0.0'], { latest: '1.0.0' })));
+
+      await assert.rejects(
+        fetchPackument('pkg', { registry: 'http://10.0.0.5/', policy: {} }),
+        (err) => isDiffError(err) && err.phase === 'POLICY'
+      );
+      assert.strictEqual(/** @type {any} */ (globalThis.fetch).mock.callCount(), 0);
+
+      globalThis.fetch = mock.fn(async () => new Response(null, {
+        status: 302,
+        headers: { Location: 'http://169.254.169.254/latest/meta-data/' }
+      }));
+
+      await assert.rejects(
+        fetchPackument('pkg', { registry: 'https://npm.example.com/', policy: {} }),
+        (err) => isDiffError(err) && err.phase === 'POLICY' && /169\.254\.169\.254/.test(err.message)
+      );
+      assert.strictEqual(/** @type {any} */ (globalThis.fetch).mock.callCount(), 1);
+    });
+
+    it('limits packument redirects', async () => {
+      globalThis.fetch = mock.fn(async (/** @type {string} */ url) => new Response(null, {
+        status: 302,
+        headers: { Location: `${url}x` }
+      }));
+
+      await assert.rejects(
+        fetchPackument('pkg', { maxRedirects: 2 }),
+        (err) => isDiffError(err) && err.phase === 'FETCH' && /Too many redirects/.test(err.message)
+      );
+      assert.strictEqual(/** @type {any} */ (globalThis.fetch).mock.callCount(), 3);
+    });
+
+    it('throws RESOLVE error on 404', async () => {
+      globalThis.fetch = mock.fn(async () => new Response(null, { status: 404, statusText: 'Not Found' }));
+
+      await assert.rejects(
+        fetchPackument('does-not-exist'),
+        (err) => isDiffError(err) && err.phase === 'RESOLVE' && err.message.includes('does-not-exist')
+      );
+    });
+
+    it('throws AUTH error on 401', async () => {
+      globalThis.fetch = mock.fn(async () => new Response(null, { status: 401, statusText: 'Unauthorized' }));
+
+      await assert.rejects(
+        fetchPackument('private'),
+        (err) => isDiffError(err) && err.phase === 'AUTH'
+      );
+    });
+
+    it('throws FETCH error on network failure', async () => {
+      globalThis.fetch = mock.fn(async () => {
+        throw new TypeError('fetch failed');
+      });
+
+      await assert.rejects(
+        fetchPackument('pkg'),
+        (err) => isDiffError(err) && err.phase === 'FETCH'
+      );
+    });
+
+    it('sends the packument request through the fetch option', async () => {
+      globalThis.fetch = mock.fn(async () => {
+        throw new Error('global fetch must not be called');
+      });
+      const custom = mock.fn(async () => Response.json(makePackument('pkg', ['1.0.0'], { latest: '1.0.0' })));
+
+      const packument = await fetchPackument('pkg', { fetch: custom });
+
+      assert.strictEqual(packument.name, 'pkg');
+      assert.strictEqual(custom.mock.callCount(), 1);
+      assert.strictEqual(custom.mock.calls[0].arguments[0], 'https://registry.npmjs.org/pkg');
+    });
+
+    it('retries the packument request with a retry policy', async () => {
+      const fetchMock = mock.fn(async () => fetchMock.mock.callCount() === 0
+        ? new Response(null, { status: 502, statusText: 'Bad Gateway' })
+        : Response.json(makePackument('pkg', ['1.0.0'], { latest: '1.0.0' })));
+      globalThis.fetch = fetchMock;
+
+      const packument = await fetchPackument('pkg', { retry: { minDelay: 1 } });
+
+      assert.strictEqual(packument.name, 'pkg');
+      assert.strictEqual(fetchMock.mock.callCount(), 2);
+    });
+  });
+
+  describe('resolveSpec', () => {
+    /** @type {typeof globalThis.fetch} */
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = globalThis.fetch;
+      globalThis.fetch = mock.fn(async () => Response.json(
+        makePackument('pkg', ['1.0.0', '1.5.0', '2.0.0'], { latest: '2.0.0' })
+      ));
+    });
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+    });
+
+    it('returns tarball URL and integrity', async () => {
+      const resolved = await resolveSpec('pkg@^1');
+
+      assert.deepStrictEqual(resolved, {
+        name: 'pkg',
+        version: '1.5.0',
+        tarball: 'https://registry.npmjs.org/pkg/-/pkg-1.5.0.tgz',
+        integrity: 'sha512-1.5.0',
+        shasum: 'sha1-1.5.0'
+      });
+    });
+
+    it('resolves aliases against the real package', async () => {
+      const resolved = await resolveSpec('alias@npm:pkg@latest');
+      assert.strictEqual(resolved.name, 'pkg');
+      assert.strictEqual(resolved.version, '2.0.0');
+    });
+  });
+
+  describe('specToSource', () => {
+    /** @type {typeof globalThis.fetch} */
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = globalThis.fetch;
+      globalThis.fetch = mock.fn(async () => Response.json(
+        makePackument('pkg', ['1.0.0'], { latest: '1.0.0' })
+      ));
+    });
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+    });
+
+    it('passes URLs through without hitting the registry', async () => {
+      const config = await specToSource('https://example.com/pkg.tgz');
+
+      assert.deepStrictEqual(config, { transport: 'url', source: 'https://example.com/pkg.tgz' });
+      assert.strictEqual(/** @type {any} */ (globalThis.fetch).mock.callCount(), 0);
+    });
+
+    it('resolves specs to url source configs', async () => {
+      const config = await specToSource('pkg@latest');
+
+      assert.strictEqual(config.transport, 'url');
+      assert.strictEqual(config.source, 'https://registry.npmjs.org/pkg/-/pkg-1.0.0.tgz');
+    });
+
+    it('fills in integrity from the packument', async () => {
+      const config = await specToSource('pkg@1.0.0');
+
+      assert.strictEqual(config.integrity, 'sha512-1.0.0');
+    });
+
+    it('falls back to shasum when integrity is not published', async () => {
+      const packument = makePackument('pkg', ['0.1.0'], { latest: '0.1.0' });
+      delete packument.versions['0.1.0'].dist.integrity;
+      packument.versions['0.1.0'].dist.shasum = 'da39a3ee5e6b4b0d3255bfef95601890afd80709';
+      globalThis.fetch = mock.fn(async () => Response.json(packument));
+
+      const config = await specToSource('pkg');
+
+      assert.strictEqual(config.integrity, 'sha1-2jmj7l5rSw0yVb/vlWAYkK/YBwk=');
+    });
+
+    it('carries registry auth over to the tarball request', async () => {
+      const config = await specToSource('pkg', { auth: 'bearer', credential: 'tok' });
+
+      assert.strictEqual(config.auth, 'bearer');
+      assert.strictEqual(config.credential, 'tok');
+    });
+
+    it('keeps registry auth away from tarballs on other hosts', async () => {
+      const packument = makePackument('pkg', ['1.0.0'], { latest: '1.0.0' });
+      packument.versions['1.0.0'].dist.tarball = 'https://cdn.example.com/pkg-1.0.0.tgz';
+      globalThis.fetch = mock.fn(async () => Response.json(packument));
+
+      const explicit = { registry: 'https://npm.example.com/', auth: /** @type {const} */ ('bearer'), credential: 'tok' };
+      const bare = await specToSource('pkg', explicit);
+      const npmrc = await specToSource('pkg', { ...explicit, npmrc: { '//cdn.example.com/:_authToken': 'cdn' } });
+
+      assert.strictEqual(bare.source, 'https://cdn.example.com/pkg-1.0.0.tgz');
+      assert.strictEqual(bare.auth, undefined);
+      assert.strictEqual(bare.credential, undefined);
+      assert.strictEqual(npmrc.credential, 'cdn');
+    });
+
+    it('passes explicit auth to tarball URLs given as the spec', async () => {
+      const config = await specToSource('https://cdn.example.com/pkg.tgz', { auth: 'bearer', credential: 'tok' });
+
+      assert.strictEqual(config.auth, 'bearer');
+      assert.strictEqual(config.credential, 'tok');
+    });
+
+    it('takes tarball credentials from npmrc', async () => {
+      const npmrc = {
+        '//registry.npmjs.org/:_authToken': 'npm_registry',
+        '//cdn.example.com/:_auth': 'dXNlcjpwYXNz'
+      };
+
+      const resolved = await specToSource('pkg', { npmrc });
+      const url = await specToSource('https://cdn.example.com/pkg.tgz', { npmrc });
+      const other = await specToSource('https://example.com/pkg.tgz', { npmrc });
+
+      assert.strictEqual(resolved.auth, 'bearer');
+      assert.strictEqual(resolved.credential, 'npm_registry');
+      assert.deepStrictEqual(url, {
+        transport: 'url',
+        source: 'https://cdn.example.com/pkg.tgz',
+        auth: 'basic',
+        credential: 'dXNlcjpwYXNz'
+      });
+      assert.strictEqual(other.auth, undefined);
+    });
+  });
+});
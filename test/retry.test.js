@@ -0,0 +1,146 @@
+/**
+ * Tests for src/retry.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  DEFAULT_RETRY_STATUSES,
+  parseRetryAfter,
+  retryDelay,
+  withAttempts,
+  withRetries
+} from '../src/retry.js';
+import { DiffError, isDiffError } from '../src/errors.js';
+
+describe('retry module', () => {
+  describe('DEFAULT_RETRY_STATUSES', () => {
+    it('should cover timeouts, rate limits and server errors', () => {
+      assert.deepStrictEqual(DEFAULT_RETRY_STATUSES, [408, 429, 500, 502, 503, 504]);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse delays in seconds', () => {
+      assert.strictEqual(parseRetryAfter('120'), 120_000);
+      assert.strictEqual(parseRetryAfter(' 0 '), 0);
+    });
+
+    it('should parse HTTP dates relative to now', () => {
+      const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+      assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT', now), 30_000);
+      assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2026 07:00:00 GMT', now), 0);
+    });
+
+    it('should ignore missing and invalid values', () => {
+      assert.strictEqual(parseRetryAfter(null), undefined);
+      assert.strictEqual(parseRetryAfter(''), undefined);
+      assert.strictEqual(parseRetryAfter('-5'), undefined);
+      assert.strictEqual(parseRetryAfter('soon'), undefined);
+    });
+  });
+
+  describe('retryDelay', () => {
+    it('should back off exponentially up to maxDelay', () => {
+      const options = { minDelay: 100, maxDelay: 1000, jitter: false };
+      assert.deepStrictEqual(
+        [1, 2, 3, 4, 5].map((attempt) => retryDelay(attempt, options)),
+        [100, 200, 400, 800, 1000]
+      );
+    });
+
+    it('should jitter between zero and the backoff', () => {
+      for (let i = 0; i < 20; i++) {
+        const delay = /** @type {number} */ (retryDelay(3, { minDelay: 100 }));
+        assert.ok(delay >= 0 && delay <= 400);
+      }
+    });
+
+    it('should prefer Retry-After over the backoff', () => {
+      const response = new Response(null, { status: 429, headers: { 'Retry-After': '2' } });
+      assert.strictEqual(retryDelay(1, { jitter: false }, response), 2000);
+    });
+
+    it('should give up when Retry-After exceeds maxDelay', () => {
+      const response = new Response(null, { status: 503, headers: { 'Retry-After': '60' } });
+      assert.strictEqual(retryDelay(1, { maxDelay: 10_000 }, response), undefined);
+    });
+  });
+
+  describe('withAttempts', () => {
+    it('should record attempts after a retry', () => {
+      const error = withAttempts(new DiffError('FETCH', 'HTTP 503'), 3);
+      assert.strictEqual(error.attempts, 3);
+      assert.strictEqual(error.message, 'HTTP 503 (3 attempts)');
+    });
+
+    it('should leave single attempts alone', () => {
+      const error = withAttempts(new DiffError('FETCH', 'HTTP 503'), 1);
+      assert.strictEqual(error.attempts, undefined);
+      assert.strictEqual(error.message, 'HTTP 503');
+    });
+  });
+
+  describe('withRetries', () => {
+    const retry = { retries: 3, minDelay: 1, jitter: false };
+
+    it('should send the request once without a policy', async () => {
+      let calls = 0;
+      const { response, attempts } = await withRetries(async () => {
+        calls++;
+        return new Response(null, { status: 503 });
+      }, {}, 'Network error');
+
+      assert.strictEqual(response.status, 503);
+      assert.strictEqual(attempts, 1);
+      assert.strictEqual(calls, 1);
+    });
+
+    it('should return the last response once retries run out', async () => {
+      let calls = 0;
+      const { response, attempts } = await withRetries(async () => {
+        calls++;
+        return new Response('busy', { status: 502 });
+      }, { retry }, 'Network error');
+
+      assert.strictEqual(response.status, 502);
+      assert.strictEqual(attempts, 4);
+      assert.strictEqual(calls, 4);
+    });
+
+    it('should wrap network errors in FETCH errors', async () => {
+      await assert.rejects(
+        withRetries(async () => {
+          throw new TypeError('fetch failed');
+        }, { retry: { ...retry, retries: 1 } }, 'Network error fetching x'),
+        (err) => isDiffError(err) && err.phase === 'FETCH' && err.attempts === 2 &&
+          err.message === 'Network error fetching x: fetch failed (2 attempts)' &&
+          err.cause instanceof TypeError
+      );
+    });
+
+    it('should not retry DiffErrors', async () => {
+      let calls = 0;
+      await assert.rejects(
+        withRetries(async () => {
+          calls++;
+          throw new DiffError('POLICY', 'Host not allowed: example.com');
+        }, { retry }, 'Network error'),
+        (err) => isDiffError(err) && err.phase === 'POLICY' && err.attempts === undefined
+      );
+      assert.strictEqual(calls, 1);
+    });
+
+    it('should not retry aborted requests', async () => {
+      let calls = 0;
+      await assert.rejects(
+        withRetries(async () => {
+          calls++;
+          throw new DOMException('This operation was aborted', 'AbortError');
+        }, { retry, signal: AbortSignal.abort() }, 'Network error'),
+        (err) => isDiffError(err) && err.phase === 'ABORT'
+      );
+      assert.strictEqual(calls, 1);
+    });
+  });
+});
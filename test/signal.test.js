@@ -0,0 +1,120 @@
+/**
+ * Tests for src/signal.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createSignal, abortError, throwIfAborted } from '../src/signal.js';
+import { DiffError, isDiffError } from '../src/errors.js';
+
+/**
+ * Busy-wait without yielding to the event loop, like a long synchronous diff.
+ * @param {number} ms - Milliseconds to spin
+ */
+function spin(ms) {
+  const end = Date.now() + ms;
+  while (Date.now() < end) {
+    // keep the CPU busy
+  }
+}
+
+describe('signal module', () => {
+  describe('createSignal', () => {
+    it('should return the caller signal without a timeout', () => {
+      const controller = new AbortController();
+      assert.strictEqual(createSignal({ signal: controller.signal }), controller.signal);
+      assert.strictEqual(createSignal({}), undefined);
+      assert.strictEqual(createSignal(), undefined);
+    });
+
+    it('should abort when the caller signal aborts', () => {
+      const controller = new AbortController();
+      const signal = createSignal({ signal: controller.signal, timeout: 60_000 });
+
+      assert.strictEqual(signal?.aborted, false);
+      controller.abort();
+      assert.strictEqual(signal?.aborted, true);
+    });
+
+    it('should abort when the timeout passes', async () => {
+      const signal = createSignal({ timeout: 5 });
+      await sleep(20);
+
+      assert.strictEqual(signal?.aborted, true);
+      assert.throws(
+        () => throwIfAborted(signal),
+        (err) => isDiffError(err) && err.phase === 'TIMEOUT' && err.status === 504 &&
+          err.message === 'Timed out after 5ms'
+      );
+    });
+
+    it('should reject invalid timeouts', () => {
+      for (const timeout of [-1, NaN, '100']) {
+        assert.throws(
+          () => createSignal({ timeout: /** @type {any} */ (timeout) }),
+          (err) => isDiffError(err) && err.phase === 'TIMEOUT'
+        );
+      }
+    });
+  });
+
+  describe('throwIfAborted', () => {
+    it('should do nothing for missing or live signals', () => {
+      throwIfAborted(undefined);
+      throwIfAborted(new AbortController().signal);
+      throwIfAborted(createSignal({ timeout: 60_000 }));
+    });
+
+    it('should notice a passed deadline without yielding', () => {
+      const signal = createSignal({ timeout: 5 });
+      spin(20);
+
+      assert.strictEqual(signal?.aborted, false);
+      assert.throws(
+        () => throwIfAborted(signal),
+        (err) => isDiffError(err) && err.phase === 'TIMEOUT' && err.message === 'Timed out after 5ms'
+      );
+      assert.strictEqual(signal?.aborted, true);
+    });
+
+    it('should throw ABORT errors for aborted signals', () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      assert.throws(
+        () => throwIfAborted(controller.signal),
+        (err) => isDiffError(err) && err.phase === 'ABORT' && err.status === 499 &&
+          /** @type {any} */ (err.cause).name === 'AbortError'
+      );
+    });
+  });
+
+  describe('abortError', () => {
+    it('should treat any timeout signal as a timeout', async () => {
+      const signal = AbortSignal.timeout(1);
+      await sleep(10);
+
+      const error = abortError(signal);
+      assert.strictEqual(error.phase, 'TIMEOUT');
+      assert.strictEqual(error.message, 'Timed out');
+    });
+
+    it('should pass DiffError reasons through', () => {
+      const reason = new DiffError('SIZE', 'Too big');
+      const controller = new AbortController();
+      controller.abort(reason);
+
+      assert.strictEqual(abortError(controller.signal), reason);
+    });
+
+    it('should keep other reasons as the cause', () => {
+      const controller = new AbortController();
+      controller.abort('client went away');
+
+      const error = abortError(controller.signal);
+      assert.strictEqual(error.phase, 'ABORT');
+      assert.strictEqual(error.cause, undefined);
+    });
+  });
+});
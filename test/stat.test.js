@@ -0,0 +1,144 @@
+/**
+ * Tests for src/stat.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  countChanges,
+  statName,
+  formatStat,
+  formatNumstat,
+  formatShortstat,
+  formatStatSummary
+} from '../src/stat.js';
+
+/**
+ * Build a text file stat.
+ * @param {string} path
+ * @param {number} insertions
+ * @param {number} deletions
+ * @param {string} [oldPath]
+ * @returns {import('../src/stat.js').FileStat}
+ */
+function text(path, insertions, deletions, oldPath) {
+  return { path, ...(oldPath && { oldPath }), insertions, deletions, binary: false, oldSize: 1, newSize: 1 };
+}
+
+// The same changes git diff --stat was run on
+const stats = [
+  text('added.txt', 2, 0),
+  text('big.txt', 250, 300),
+  text('cli.js', 0, 0),
+  text('docs/b/guide.md', 0, 0, 'docs/a/guide.md'),
+  text('lib/new-name.js', 1, 1, 'lib/old-name.js'),
+  { path: 'logo.png', insertions: 0, deletions: 0, binary: true, oldSize: 9, newSize: 14 },
+  text('removed.txt', 0, 1),
+  text('some/really/long/directory/structure/that/goes/on/and/on/forever/file.js', 2, 1),
+  text('src/index.js', 1, 2)
+];
+
+describe('stat module', () => {
+  describe('countChanges', () => {
+    it('counts lines after the file headers', () => {
+      const patch = '--- a/x\n+++ b/x\n@@ -1,2 +1,2 @@\n-a\n+b\n c\n+d\n';
+      assert.deepStrictEqual(countChanges(patch), { insertions: 2, deletions: 1 });
+    });
+
+    it('counts nothing without hunks', () => {
+      assert.deepStrictEqual(countChanges('--- /dev/null\n+++ b/empty\n'), { insertions: 0, deletions: 0 });
+      assert.deepStrictEqual(countChanges(null), { insertions: 0, deletions: 0 });
+    });
+  });
+
+  describe('statName', () => {
+    it('factors out common directories of renames', () => {
+      assert.strictEqual(statName('lib/new.js', 'lib/old.js'), 'lib/{old.js => new.js}');
+      assert.strictEqual(statName('docs/b/guide.md', 'docs/a/guide.md'), 'docs/{a => b}/guide.md');
+      assert.strictEqual(statName('dist/index.js', 'lib/index.js'), '{lib => dist}/index.js');
+      assert.strictEqual(statName('b.js', 'a.js'), 'a.js => b.js');
+      assert.strictEqual(statName('a/b.js', 'a/b/c.js'), 'a/{b/c.js => b.js}');
+    });
+
+    it('returns plain paths otherwise', () => {
+      assert.strictEqual(statName('lib/index.js'), 'lib/index.js');
+    });
+  });
+
+  describe('formatStat', () => {
+    it('matches git diff --stat', () => {
+      assert.strictEqual(formatStat(stats), [
+        ' added.txt                                          |   2 +',
+        ' big.txt                                            | 550 ++++++++++-----------',
+        ' cli.js                                             |   0',
+        ' docs/{a => b}/guide.md                             |   0',
+        ' lib/{old-name.js => new-name.js}                   |   2 +-',
+        ' logo.png                                           | Bin 9 -> 14 bytes',
+        ' removed.txt                                        |   1 -',
+        ' .../structure/that/goes/on/and/on/forever/file.js  |   3 +-',
+        ' src/index.js                                       |   3 +-',
+        ' 9 files changed, 256 insertions(+), 305 deletions(-)',
+        ''
+      ].join('\n'));
+    });
+
+    it('matches git diff --stat=30', () => {
+      assert.strictEqual(formatStat(stats, { width: 30 }), [
+        ' added.txt       |   2 +',
+        ' big.txt         | 550 +++---',
+        ' cli.js          |   0',
+        ' .../guide.md    |   0',
+        ' ...new-name.js} |   2 +-',
+        ' logo.png        | Bin 9 -> 14 bytes',
+        ' removed.txt     |   1 -',
+        ' .../file.js     |   3 +-',
+        ' src/index.js    |   3 +-',
+        ' 9 files changed, 256 insertions(+), 305 deletions(-)',
+        ''
+      ].join('\n'));
+    });
+
+    it('does not scale graphs that fit', () => {
+      assert.strictEqual(
+        formatStat([text('a.js', 3, 2)]),
+        ' a.js | 5 +++--\n 1 file changed, 3 insertions(+), 2 deletions(-)\n'
+      );
+    });
+
+    it('is empty without changes', () => {
+      assert.strictEqual(formatStat([]), '');
+    });
+  });
+
+  describe('formatNumstat', () => {
+    it('matches git diff --numstat', () => {
+      assert.strictEqual(formatNumstat(stats), [
+        '2\t0\tadded.txt',
+        '250\t300\tbig.txt',
+        '0\t0\tcli.js',
+        '0\t0\tdocs/{a => b}/guide.md',
+        '1\t1\tlib/{old-name.js => new-name.js}',
+        '-\t-\tlogo.png',
+        '0\t1\tremoved.txt',
+        '2\t1\tsome/really/long/directory/structure/that/goes/on/and/on/forever/file.js',
+        '1\t2\tsrc/index.js',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('formatShortstat', () => {
+    it('matches git diff --shortstat', () => {
+      assert.strictEqual(formatShortstat(stats), ' 9 files changed, 256 insertions(+), 305 deletions(-)\n');
+      assert.strictEqual(formatShortstat([]), '');
+    });
+  });
+
+  describe('formatStatSummary', () => {
+    it('uses singulars and omits zero sides', () => {
+      assert.strictEqual(formatStatSummary(1, 1, 0), ' 1 file changed, 1 insertion(+)\n');
+      assert.strictEqual(formatStatSummary(2, 0, 1), ' 2 files changed, 1 deletion(-)\n');
+      assert.strictEqual(formatStatSummary(1, 0, 0), ' 1 file changed, 0 insertions(+), 0 deletions(-)\n');
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Tests for src/stream.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { streamTreeDiff, assertStreamable } from '../src/stream.js';
+import { formatDiff } from '../src/format.js';
+import { detectRenames } from '../src/rename.js';
+import { hashFileMaps } from '../src/hash.js';
+import { setFileMode } from '../src/tar.js';
+import { DiffError } from '../src/errors.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Build a pair of file trees exercising every kind of change.
+ * @returns {[Map<string, Uint8Array>, Map<string, Uint8Array>]} Old and new trees
+ */
+function createTrees() {
+  const moved = encoder.encode('line\n'.repeat(20));
+  const left = new Map([
+    ['a.js', encoder.encode('one\ntwo\n')],
+    ['bin.dat', new Uint8Array([0, 1, 2])],
+    ['gone.js', encoder.encode('bye\n')],
+    ['lib/old.js', moved],
+    ['mode.sh', encoder.encode('echo\n')],
+    ['same.js', encoder.encode('same\n')],
+    ['ws.js', encoder.encode('a  b\n')]
+  ]);
+  const right = new Map([
+    ['a.js', encoder.encode('one\nthree\n')],
+    ['bin.dat', new Uint8Array([0, 1, 3])],
+    ['dist/new.js', moved],
+    ['empty.js', new Uint8Array()],
+    ['mode.sh', encoder.encode('echo\n')],
+    ['same.js', encoder.encode('same\n')],
+    ['ws.js', encoder.encode('a b\n')]
+  ]);
+  setFileMode(right, 'mode.sh', 0o755);
+  return [left, right];
+}
+
+/**
+ * Read a text stream to the end.
+ * @param {ReadableStream<string>} readable - Stream to read
+ * @returns {Promise<string>} Concatenated chunks
+ */
+async function readAll(readable) {
+  let text = '';
+  for await (const chunk of readable) {
+    text += chunk;
+  }
+  return text;
+}
+
+describe('stream module', () => {
+  describe('streamTreeDiff', () => {
+    for (const options of [
+      {},
+      { findRenames: true },
+      { ignoreAllSpace: true },
+      { nameOnly: true },
+      { nameStatus: true, findRenames: true },
+      { noPrefix: true, fullIndex: true }
+    ]) {
+      it(`streams the same text as formatDiff with ${JSON.stringify(options)}`, async () => {
+        const [left, right] = createTrees();
+        await hashFileMaps(left, right);
+        const { output } = formatDiff(left, right, options);
+
+        const [streamLeft, streamRight] = createTrees();
+        const { readable } = streamTreeDiff(streamLeft, streamRight, options);
+
+        assert.strictEqual(await readAll(readable), output);
+      });
+    }
+
+    it('sends one chunk per file', async () => {
+      const [left, right] = createTrees();
+      const reader = streamTreeDiff(left, right).readable.getReader();
+
+      const { value } = await reader.read();
+
+      assert.ok(value?.startsWith('diff --git a/a.js b/a.js\n'));
+      assert.ok(!value?.includes('bin.dat'));
+      await reader.cancel();
+    });
+
+    it('yields FileDiff records for changed files', async () => {
+      const [left, right] = createTrees();
+
+      /** @type {string[]} */
+      const seen = [];
+      for await (const file of streamTreeDiff(left, right, { findRenames: true })) {
+        seen.push(`${file.status} ${file.path}${file.isBinary ? ' (binary)' : ''}`);
+      }
+
+      assert.deepStrictEqual(seen, [
+        'modified a.js',
+        'modified bin.dat (binary)',
+        'renamed dist/new.js',
+        'added empty.js',
+        'deleted gone.js',
+        'modified mode.sh',
+        'modified ws.js'
+      ]);
+    });
+
+    it('skips files with only ignored changes', async () => {
+      const [left, right] = createTrees();
+
+      /** @type {string[]} */
+      const paths = [];
+      for await (const file of streamTreeDiff(left, right, { ignoreAllSpace: true })) {
+        paths.push(file.path);
+      }
+
+      assert.ok(!paths.includes('ws.js'));
+      assert.ok(paths.includes('a.js'));
+    });
+
+    it('records blob hashes as it goes', async () => {
+      const [left, right] = createTrees();
+
+      for await (const file of streamTreeDiff(left, right)) {
+        if (file.path === 'a.js') {
+          assert.strictEqual(file.oldHash?.length, 40);
+          assert.strictEqual(file.newHash?.length, 40);
+        }
+      }
+    });
+
+    it('can be consumed more than once', async () => {
+      const [left, right] = createTrees();
+      const stream = streamTreeDiff(left, right);
+
+      let count = 0;
+      for await (const _ of stream) {
+        count++;
+      }
+      for await (const _ of stream) {
+        count--;
+      }
+
+      assert.strictEqual(count, 0);
+      assert.ok((await readAll(stream.readable)).includes('diff --git'));
+    });
+
+    it('streams binary patches', async () => {
+      const [left, right] = createTrees();
+      const text = await readAll(streamTreeDiff(left, right, { binary: true }).readable);
+
+      assert.ok(text.includes('GIT binary patch\nliteral 3\n'));
+    });
+
+    it('stops iterating and errors the readable once aborted', async () => {
+      const [left, right] = createTrees();
+      const controller = new AbortController();
+      const stream = streamTreeDiff(left, right, { signal: controller.signal });
+
+      const iterator = stream[Symbol.asyncIterator]();
+      assert.strictEqual((await iterator.next()).done, false);
+      controller.abort();
+      await assert.rejects(iterator.next(), (err) => err instanceof DiffError && err.phase === 'ABORT');
+      await assert.rejects(readAll(stream.readable), (err) => err instanceof DiffError && err.phase === 'ABORT');
+    });
+
+    it('errors the readable once it passes the output size limit', async () => {
+      const [left, right] = createTrees();
+      const { readable } = streamTreeDiff(left, right, { limits: { outputSize: 100 } });
+
+      await assert.rejects(
+        readAll(readable),
+        (err) => err instanceof DiffError && err.phase === 'SIZE' && /Diff output exceeds limit of 100 B/.test(err.message)
+      );
+    });
+
+    it('detects renames once for the iterator and the readable', async () => {
+      // Rename detection checks the signal once per destination
+      const countChecks = async (/** @type {(signal: AbortSignal) => Promise<unknown>} */ run) => {
+        let checks = 0;
+        const signal = /** @type {AbortSignal} */ (/** @type {unknown} */ ({
+          get aborted() {
+            checks++;
+            return false;
+          }
+        }));
+        await run(signal);
+        return checks;
+      };
+      const walkBoth = async (/** @type {Record<string, unknown>} */ options) => {
+        const [left, right] = createTrees();
+        const stream = streamTreeDiff(left, right, options);
+        for await (const file of stream) {
+          assert.ok(file.path);
+        }
+        return readAll(stream.readable);
+      };
+
+      const [left, right] = createTrees();
+      const renames = detectRenames(left, right, { findRenames: true });
+      const detection = await countChecks(async (signal) => detectRenames(left, right, { findRenames: true, signal }));
+      const walking = await countChecks((signal) => walkBoth({ findRenames: true, renames, signal }));
+      const streaming = await countChecks((signal) => walkBoth({ findRenames: true, signal }));
+
+      assert.ok(detection > 0);
+      assert.strictEqual(streaming - walking, detection);
+    });
+  });
+
+  describe('assertStreamable', () => {
+    it('accepts patch and name output', () => {
+      assertStreamable({});
+      assertStreamable({ format: 'patch' });
+      assertStreamable({ format: 'json', nameOnly: true });
+    });
+
+    it('rejects whole-diff formats', () => {
+      for (const format of /** @type {const} */ (['json', 'stat', 'numstat', 'shortstat'])) {
+        assert.throws(
+          () => assertStreamable({ format }),
+          (err) => err instanceof DiffError && err.phase === 'DIFF'
+        );
+      }
+    });
+  });
+});
@@ -3,7 +3,11 @@ import assert from 'node:assert';
 import { packTar } from 'modern-tar';
 import {
   extractTarball,
-  extractTarballWithOptions
+  extractTarballWithOptions,
+  getFileMode,
+  setFileMode,
+  formatFileMode,
+  DEFAULT_FILE_MODE
 } from '../src/tar.js';
 import { isDiffError } from '../src/errors.js';
 
@@ -23,7 +27,7 @@ function streamFromBytes(data) {
 
 /**
  * Create a tar archive with the given entries using modern-tar.
- * @param {Array<{name: string, content: string | Uint8Array, type?: string, linkname?: string}>} entries
+ * @param {Array<{name: string, content: string | Uint8Array, type?: string, linkname?: string, mode?: number}>} entries
  * @returns {Promise<Uint8Array>}
  */
 async function createTar(entries) {
@@ -37,7 +41,7 @@ async function createTar(entries) {
         name: entry.name,
         type: entry.type || 'file',
         size: body.length,
-        mode: 0o644,
+        mode: entry.mode ?? 0o644,
         mtime: new Date(),
         linkname: entry.linkname
       },
@@ -262,6 +266,49 @@ describe('extractTarball', () => {
   });
 });
 
+describe('file modes', () => {
+  it('records modes from tar headers', async () => {
+    const tar = await createTar([
+      { name: 'package/bin/cli.js', content: '#!/usr/bin/env node', mode: 0o755 },
+      { name: 'package/index.js', content: '', mode: 0o644 }
+    ]);
+
+    const files = await extractTarball(streamFromBytes(tar));
+
+    assert.strictEqual(getFileMode(files, 'bin/cli.js'), 0o755);
+    assert.strictEqual(getFileMode(files, 'index.js'), 0o644);
+  });
+
+  it('records modes with extractTarballWithOptions', async () => {
+    const tar = await createTar([
+      { name: 'package/run.sh', content: 'echo', mode: 0o775 }
+    ]);
+
+    const files = await extractTarballWithOptions(streamFromBytes(tar));
+
+    assert.strictEqual(getFileMode(files, 'run.sh'), 0o775);
+  });
+
+  it('defaults to 0644 for unknown files and plain maps', () => {
+    const files = new Map([['a.js', new Uint8Array()]]);
+
+    assert.strictEqual(getFileMode(files, 'a.js'), DEFAULT_FILE_MODE);
+
+    setFileMode(files, 'a.js', 0o100755);
+    assert.strictEqual(getFileMode(files, 'a.js'), 0o755);
+  });
+
+  it('formats modes like diff headers, canonicalized as git does', () => {
+    assert.strictEqual(formatFileMode(0o644), '100644');
+    assert.strictEqual(formatFileMode(0o755), '100755');
+    assert.strictEqual(formatFileMode(0o600), '100644');
+    assert.strictEqual(formatFileMode(0o664), '100644');
+    assert.strictEqual(formatFileMode(0o775), '100755');
+    assert.strictEqual(formatFileMode(0o744), '100755');
+    assert.strictEqual(formatFileMode(0o655), '100644');
+  });
+});
+
 describe('extractTarball symlink handling', () => {
   it('throws TAR error for symlinks', async () => {
     // Create tar with a symlink entry
@@ -316,6 +363,151 @@ describe('extractTarball symlink handling', () => {
   });
 });
 
+describe('extractTarball size limits', () => {
+  it('rejects files larger than the file size limit with SIZE error', async () => {
+    const tarData = await createTar([
+      { name: 'package/small.js', content: 'ok' },
+      { name: 'package/big.bin', content: new Uint8Array(4096) }
+    ]);
+
+    await assert.rejects(
+      extractTarball(streamFromBytes(tarData), { limits: { fileSize: 1024 } }),
+      (err) => isDiffError(err) &&
+        err.phase === 'SIZE' &&
+        err.message === 'File size 4.0 KB exceeds limit of 1.0 KB: package/big.bin'
+    );
+  });
+
+  it('accepts files at exactly the file size limit', async () => {
+    const tarData = await createTar([
+      { name: 'package/exact.bin', content: new Uint8Array(1024) }
+    ]);
+
+    const files = await extractTarball(streamFromBytes(tarData), { limits: { fileSize: 1024 } });
+
+    assert.strictEqual(files.get('exact.bin')?.length, 1024);
+  });
+
+  it('applies the file size limit in extractTarballWithOptions', async () => {
+    const tarData = await createTar([
+      { name: 'package/big.bin', content: new Uint8Array(4096) }
+    ]);
+
+    await assert.rejects(
+      extractTarballWithOptions(streamFromBytes(tarData), { limits: { fileSize: 1024 } }),
+      (err) => isDiffError(err) && err.phase === 'SIZE'
+    );
+  });
+
+  it('rejects more files than the file count limit', async () => {
+    const tarData = await createTar([
+      { name: 'package/a.js', content: 'a' },
+      { name: 'package/b.js', content: 'b' },
+      { name: 'package/c.js', content: 'c' }
+    ]);
+
+    await assert.rejects(
+      extractTarball(streamFromBytes(tarData), { limits: { fileCount: 2 } }),
+      (err) => isDiffError(err) && err.phase === 'SIZE' && err.message === 'File count exceeds limit of 2'
+    );
+    const files = await extractTarball(streamFromBytes(await createTar([
+      { name: 'package/a.js', content: 'a' },
+      { name: 'package/b.js', content: 'b' }
+    ])), { limits: { fileCount: 2 } });
+    assert.strictEqual(files.size, 2);
+  });
+
+  it('counts repeated paths against the file count limit', async () => {
+    const tarData = await createTar([
+      { name: 'package/a.js', content: 'a' },
+      { name: 'package/a.js', content: 'b' },
+      { name: 'package/a.js', content: 'c' }
+    ]);
+
+    for (const extract of [extractTarball, extractTarballWithOptions]) {
+      await assert.rejects(
+        extract(streamFromBytes(tarData), { limits: { fileCount: 2 } }),
+        (err) => isDiffError(err) && err.phase === 'SIZE' && err.message === 'File count exceeds limit of 2'
+      );
+    }
+  });
+
+  it('does not count filtered-out files', async () => {
+    const tarData = await createTar([
+      { name: 'package/a.js', content: 'a' },
+      { name: 'package/b.css', content: 'b' },
+      { name: 'package/c.css', content: 'c' }
+    ]);
+
+    const files = await extractTarballWithOptions(streamFromBytes(tarData), {
+      filter: (path) => path.endsWith('.js'),
+      limits: { fileCount: 1 }
+    });
+
+    assert.deepStrictEqual([...files.keys()], ['a.js']);
+  });
+
+  it('rejects entry paths longer than the path length limit', async () => {
+    const name = `package/${'deep/'.repeat(10)}index.js`;
+    const tarData = await createTar([{ name, content: 'x' }]);
+
+    await assert.rejects(
+      extractTarball(streamFromBytes(tarData), { limits: { pathLength: 32 } }),
+      (err) => isDiffError(err) &&
+        err.phase === 'SIZE' &&
+        err.message === `Path length ${name.length} exceeds limit of 32: ${name}`
+    );
+    await assert.rejects(
+      extractTarballWithOptions(streamFromBytes(tarData), { limits: { pathLength: 32 } }),
+      (err) => isDiffError(err) && err.phase === 'SIZE'
+    );
+  });
+});
+
+describe('extractTarball cancellation', () => {
+  it('stops with ABORT before reading entries once aborted', async () => {
+    const tarData = await createTar([{ name: 'package/index.js', content: 'x' }]);
+
+    await assert.rejects(
+      extractTarball(streamFromBytes(tarData), { signal: AbortSignal.abort() }),
+      (err) => isDiffError(err) && err.phase === 'ABORT'
+    );
+  });
+
+  it('cancels the tar stream when aborted mid-stream', async () => {
+    const tarData = await createTar([
+      { name: 'package/a.js', content: 'a' },
+      { name: 'package/b.js', content: 'b' }
+    ]);
+    const controller = new AbortController();
+    let cancelled = false;
+    const stream = new ReadableStream({
+      start(streamController) {
+        streamController.enqueue(tarData);
+      },
+      cancel() {
+        cancelled = true;
+      }
+    });
+
+    // Abort while the first file is being read
+    const seen = [];
+    await assert.rejects(
+      extractTarballWithOptions(stream, {
+        signal: controller.signal,
+        filter: (path) => {
+          seen.push(path);
+          controller.abort();
+          return true;
+        }
+      }),
+      (err) => isDiffError(err) && err.phase === 'ABORT'
+    );
+    assert.deepStrictEqual(seen, ['a.js']);
+    assert.strictEqual(cancelled, true);
+  });
+});
+
 describe('extractTarballWithOptions', () => {
   it('extracts with default options', async () => {
     const tarData = await createTar([